@@ -1,280 +1,297 @@
 import 'dotenv/config'
 import { createBot, createProvider, createFlow, addKeyword, EVENTS } from '@builderbot/bot'
-import { MemoryDB as Database } from '@builderbot/bot'
 import { BaileysProvider as Provider } from '@builderbot/provider-baileys'
 
 // Servicios
-import googleService from './services/googleService.js'
-import aiService from './services/ai-chat.js'
-import chatHistoryService from './services/chat-history.js'
-import scheduledMessagesService from './services/scheduled-messages.js'
-import messageBufferService from './services/message-buffer.js'
-import woocommerceService from './services/woocommerceService.js'
-import salesWebhookService from './services/salesWebhookService.js'
-import humanHandoffService from './services/humanHandoffService.js'
-import audioTranscriptionService from './services/audioTranscriptionService.js'
-import surveyService from './services/surveyService.js'
-
-const PORT = process.env.PORT ?? 3008
+import JsonFileDB from './services/botDatabase.js'
+import { runPipeline } from './services/messagePipeline.js'
+import { parseMediaSpec, isSimpleMedia } from './services/mediaMessageService.js'
+import { loadTenantConfigs, createTenantServices } from './services/tenants.js'
+import TenantRouter from './services/tenantRouter.js'
+
+const PORT = +(process.env.PORT ?? 3008)
+const SHUTDOWN_TIMEOUT_MS = 8000  // Railway espera ~10s entre SIGTERM y SIGKILL
 
 /**
  * Procesa el mensaje (después del buffer)
+ * @param {object} services - Servicios de la tienda (ver createTenantServices)
+ * @param {object} ctx - Contexto de BuilderBot del último mensaje (para {nombre})
  */
-async function processMessage(phoneNumber, userInput, flowDynamic) {
+async function processMessage(services, phoneNumber, userInput, flowDynamic, ctx = null) {
+    const contact = { name: ctx?.pushName || ctx?.name || '' }
     console.log('🔄 Procesando mensaje combinado:', userInput.substring(0, 50) + '...')
 
-    // ========================================
-    // 1. VERIFICAR BLACKLIST
-    // ========================================
-    try {
-        const isBlocked = await googleService.isBlacklisted(phoneNumber)
-        if (isBlocked) {
-            console.log('🚫 Número en blacklist, ignorando:', phoneNumber)
-            return
-        }
-    } catch (blacklistError) {
-        console.error('⚠️ Error al verificar blacklist:', blacklistError.message)
-    }
+    // La cadena de decisión (blacklist, handoff, encuestas, flujos, IA) está en messagePipeline.js
+    const decision = await runPipeline(services, phoneNumber, userInput, { contact })
+    if (decision.messages.length === 0) return
 
-    // ========================================
-    // 1.5 VERIFICAR SI CHAT ESTÁ PAUSADO (HANDOFF)
-    // ========================================
-    if (humanHandoffService.isPaused(phoneNumber)) {
-        console.log('⏸️ Chat pausado (handoff activo), ignorando:', phoneNumber)
-        return
-    }
-
-    // ========================================
-    // 1.6 DETECTAR INTENCIÓN DE HANDOFF
-    // ========================================
-    if (humanHandoffService.detectHandoffIntent(userInput)) {
-        console.log('🤝 Intención de handoff detectada:', phoneNumber)
-        await humanHandoffService.initiateHandoff(phoneNumber, userInput)
-        return // No procesar más, ya se envió mensaje al cliente
-    }
+    return await sendReply(services, phoneNumber, decision, flowDynamic)
+}
 
-    // ========================================
-    // 1.7 VERIFICAR SI HAY ENCUESTA ACTIVA
-    // ========================================
-    if (surveyService.hasActiveSurvey(phoneNumber)) {
-        console.log('📋 Procesando respuesta de encuesta:', phoneNumber)
-        const result = await surveyService.processAnswer(phoneNumber, userInput)
-        if (result.message) {
-            return await flowDynamic(result.message)
+/**
+ * Envía los mensajes de una decisión (texto, columna media y opciones)
+ * y, si corresponde, los guarda en el historial
+ * @param {object} decision - Resultado de runPipeline()
+ */
+async function sendReply(services, phoneNumber, decision, flowDynamic) {
+    const { chatHistoryService, mediaMessageService, quickReplyService } = services
+    const { messages } = decision
+
+    // Guardar historial en background (la IA guarda el suyo)
+    if (decision.saveHistory) {
+        chatHistoryService.saveMessage(phoneNumber, 'user', decision.input).catch(() => { })
+        for (const { body, options = [] } of messages) {
+            const text = options.length > 0 ? quickReplyService.formatList(body, options) : body
+            if (text) {
+                chatHistoryService.saveMessage(phoneNumber, 'assistant', text).catch(() => { })
+            }
         }
-        return
-    }
-
-    // ========================================
-    // 1.8 DETECTAR PALABRA CLAVE DE ENCUESTA
-    // ========================================
-    if (surveyService.isKeywordTrigger(userInput)) {
-        console.log('📋 Iniciando encuesta para:', phoneNumber)
-        const welcomeMessage = await surveyService.startSurvey(phoneNumber)
-        return await flowDynamic(welcomeMessage)
     }
 
-    // ========================================
-    // 2. BUSCAR EN FLUJOS DE SHEETS
-    // ========================================
-    try {
-        const flows = await googleService.getFlows()
-        const inputLower = userInput.toLowerCase()
-
-        const triggeredFlow = flows.find(f => {
-            if (!f.addKeyword) return false
-            const keyword = String(f.addKeyword).toLowerCase().trim()
-            return keyword && inputLower.includes(keyword)
-        })
-
-        if (triggeredFlow) {
-            console.log('🧭 Flujo disparado:', triggeredFlow.addKeyword)
-
-            const answer = (triggeredFlow.addAnswer || '').trim()
-            const mediaUrl = triggeredFlow.media && triggeredFlow.media.trim()
-
-            if (!answer) {
-                console.log('⚠️ Flujo sin respuesta, derivando a IA')
-                const aiResponse = await aiService.getResponse(userInput, phoneNumber)
-                return await flowDynamic(aiResponse)
-            }
+    for (const { body, media, options = [] } of messages) {
+        const { items, errors } = parseMediaSpec(media)
+        errors.forEach(e => console.error(`⚠️ Columna media, línea ${e.line}: ${e.message}`))
 
-            // Guardar historial en background
-            chatHistoryService.saveMessage(phoneNumber, 'user', userInput).catch(() => { })
-            chatHistoryService.saveMessage(phoneNumber, 'assistant', answer).catch(() => { })
+        // Con opciones, el texto se envía al final junto a ellas
+        const text = options.length > 0 ? '' : body
 
-            if (mediaUrl) {
-                return await flowDynamic([{ body: answer, media: mediaUrl }])
+        if (items.length === 0) {
+            if (text) await flowDynamic(text)
+        } else if (isSimpleMedia(items)) {
+            // Una sola imagen o video: como siempre, con la respuesta de leyenda
+            await flowDynamic([{ body: text, media: items[0].url }])
+        } else {
+            try {
+                await mediaMessageService.sendSequence(phoneNumber, text, items)
+            } catch (mediaError) {
+                console.error('❌ Error enviando adjuntos del flujo:', mediaError.message)
+                if (text) await flowDynamic(text)
             }
-            return await flowDynamic(answer)
         }
-    } catch (flowError) {
-        console.error('⚠️ Error al procesar flujos:', flowError.message)
-    }
 
-    // ========================================
-    // 3. FALLBACK A IA (CON WOOCOMMERCE)
-    // ========================================
-    console.log('🤖 No se encontró keyword, derivando a IA con WooCommerce...')
-    try {
-        const aiResponse = await aiService.getResponseWithWooCommerce(userInput, phoneNumber)
-        return await flowDynamic(aiResponse)
-    } catch (aiError) {
-        console.error('❌ Error en respuesta IA:', aiError.message)
-        return await flowDynamic('Disculpa, tuve un problema técnico. ¿Puedes intentar de nuevo?')
+        if (options.length > 0) {
+            await quickReplyService.send(phoneNumber, body, options, flowDynamic)
+        }
     }
 }
 
 /**
- * Flujo principal dinámico con buffer de mensajes
- * Espera mensajes fragmentados antes de procesar
+ * Crea los flujos de BuilderBot de una tienda
+ * @param {object} services - Servicios de la tienda
  */
-const dynamicFlow = addKeyword(EVENTS.WELCOME)
-    .addAction(async (ctx, { flowDynamic }) => {
-        const phoneNumber = ctx.from
-        const userInput = ctx.body.trim()
-
-        console.log('📩 Mensaje recibido de:', phoneNumber)
-        console.log('   Contenido:', userInput.substring(0, 50) + (userInput.length > 50 ? '...' : ''))
-
-        // Agregar mensaje al buffer y esperar
-        const result = await messageBufferService.addMessage(phoneNumber, userInput, ctx)
-
-        // Si result es null, significa que llegó otro mensaje y este fue descartado
-        if (!result) {
-            console.log('⏳ Mensaje agregado al buffer, esperando más...')
-            return
-        }
+function createFlows(services) {
+    const { messageBufferService, audioTranscriptionService } = services
+
+    /**
+     * Flujo principal dinámico con buffer de mensajes
+     * Espera mensajes fragmentados antes de procesar
+     */
+    const dynamicFlow = addKeyword(EVENTS.WELCOME)
+        .addAction(async (ctx, { flowDynamic }) => {
+            const phoneNumber = ctx.from
+            const userInput = ctx.body.trim()
+
+            console.log('📩 Mensaje recibido de:', phoneNumber)
+            console.log('   Contenido:', userInput.substring(0, 50) + (userInput.length > 50 ? '...' : ''))
+
+            // Agregar mensaje al buffer y esperar
+            const result = await messageBufferService.addMessage(phoneNumber, userInput, ctx)
+
+            // Si result es null, significa que llegó otro mensaje y este fue descartado
+            if (!result) {
+                console.log('⏳ Mensaje agregado al buffer, esperando más...')
+                return
+            }
 
-        // Procesar el mensaje combinado
-        await processMessage(phoneNumber, result.combined, flowDynamic)
-    })
+            // Procesar el mensaje combinado
+            await processMessage(services, phoneNumber, result.combined, flowDynamic, result.ctx)
+        })
 
-/**
- * Flujo para mensajes de voz
- * Transcribe el audio y lo procesa como texto
- */
-const voiceFlow = addKeyword(EVENTS.VOICE_NOTE)
-    .addAction(async (ctx, { flowDynamic, provider }) => {
-        const phoneNumber = ctx.from
+    /**
+     * Flujo para mensajes de voz
+     * Transcribe el audio y lo procesa como texto
+     */
+    const voiceFlow = addKeyword(EVENTS.VOICE_NOTE)
+        .addAction(async (ctx, { flowDynamic, provider }) => {
+            const phoneNumber = ctx.from
 
-        console.log('🎙️ Mensaje de voz recibido de:', phoneNumber)
-        console.log('🎙️ CTX keys:', Object.keys(ctx))
-        console.log('🎙️ Message keys:', ctx.message ? Object.keys(ctx.message) : 'no message')
+            console.log('🎙️ Mensaje de voz recibido de:', phoneNumber)
+            console.log('🎙️ CTX keys:', Object.keys(ctx))
+            console.log('🎙️ Message keys:', ctx.message ? Object.keys(ctx.message) : 'no message')
 
-        let transcribedText = ''
-        let buffer = null
+            let transcribedText = ''
+            let buffer = null
 
-        try {
-            // Método 1: downloadContentFromMessage (Baileys directo)
-            if (!transcribedText && ctx.message?.audioMessage) {
-                try {
-                    console.log('🎙️ Intentando downloadContentFromMessage...')
-                    const { downloadContentFromMessage } = await import('baileys')
-                    const stream = await downloadContentFromMessage(ctx.message.audioMessage, 'audio')
-
-                    const chunks = []
-                    for await (const chunk of stream) {
-                        chunks.push(chunk)
+            try {
+                // Método 1: downloadContentFromMessage (Baileys directo)
+                if (!transcribedText && ctx.message?.audioMessage) {
+                    try {
+                        console.log('🎙️ Intentando downloadContentFromMessage...')
+                        const { downloadContentFromMessage } = await import('baileys')
+                        const stream = await downloadContentFromMessage(ctx.message.audioMessage, 'audio')
+
+                        const chunks = []
+                        for await (const chunk of stream) {
+                            chunks.push(chunk)
+                        }
+                        buffer = Buffer.concat(chunks)
+
+                        if (buffer && buffer.length > 0) {
+                            console.log(`🎙️ Audio descargado via downloadContentFromMessage: ${Math.round(buffer.length / 1024)}KB`)
+                            transcribedText = await audioTranscriptionService.transcribeFromBuffer(buffer, 'audio.ogg')
+                        }
+                    } catch (dcErr) {
+                        console.log('⚠️ downloadContentFromMessage falló:', dcErr.message)
                     }
-                    buffer = Buffer.concat(chunks)
+                }
 
-                    if (buffer && buffer.length > 0) {
-                        console.log(`🎙️ Audio descargado via downloadContentFromMessage: ${Math.round(buffer.length / 1024)}KB`)
-                        transcribedText = await audioTranscriptionService.transcribeFromBuffer(buffer, 'audio.ogg')
+                // Método 2: downloadMediaMessage directo
+                if (!transcribedText && provider.vendor?.downloadMediaMessage) {
+                    try {
+                        console.log('🎙️ Intentando downloadMediaMessage con vendor...')
+                        buffer = await provider.vendor.downloadMediaMessage(ctx.message)
+                        if (buffer) {
+                            console.log(`🎙️ Audio descargado: ${Math.round(buffer.length / 1024)}KB`)
+                            transcribedText = await audioTranscriptionService.transcribeFromBuffer(buffer, 'audio.ogg')
+                        }
+                    } catch (dlErr) {
+                        console.log('⚠️ downloadMediaMessage falló:', dlErr.message)
                     }
-                } catch (dcErr) {
-                    console.log('⚠️ downloadContentFromMessage falló:', dcErr.message)
                 }
-            }
 
-            // Método 2: downloadMediaMessage directo
-            if (!transcribedText && provider.vendor?.downloadMediaMessage) {
-                try {
-                    console.log('🎙️ Intentando downloadMediaMessage con vendor...')
-                    buffer = await provider.vendor.downloadMediaMessage(ctx.message)
-                    if (buffer) {
-                        console.log(`🎙️ Audio descargado: ${Math.round(buffer.length / 1024)}KB`)
-                        transcribedText = await audioTranscriptionService.transcribeFromBuffer(buffer, 'audio.ogg')
+                // Método 3: saveFile de BuilderBot
+                if (!transcribedText && provider.saveFile && ctx.message) {
+                    try {
+                        console.log('🎙️ Intentando método saveFile...')
+                        const filePath = await provider.saveFile(ctx, { path: './temp' })
+                        if (filePath) {
+                            console.log(`🎙️ Audio guardado en: ${filePath}`)
+                            transcribedText = await audioTranscriptionService.transcribeFromFile(filePath)
+                        }
+                    } catch (saveErr) {
+                        console.log('⚠️ saveFile falló:', saveErr.message)
                     }
-                } catch (dlErr) {
-                    console.log('⚠️ downloadMediaMessage falló:', dlErr.message)
                 }
+
+            } catch (downloadError) {
+                console.error('❌ Error en descarga de audio:', downloadError.message)
             }
 
-            // Método 3: saveFile de BuilderBot
-            if (!transcribedText && provider.saveFile && ctx.message) {
-                try {
-                    console.log('🎙️ Intentando método saveFile...')
-                    const filePath = await provider.saveFile(ctx, { path: './temp' })
-                    if (filePath) {
-                        console.log(`🎙️ Audio guardado en: ${filePath}`)
-                        transcribedText = await audioTranscriptionService.transcribeFromFile(filePath)
-                    }
-                } catch (saveErr) {
-                    console.log('⚠️ saveFile falló:', saveErr.message)
+            // Enviar respuesta basada en resultado
+            try {
+                if (transcribedText && transcribedText.trim() !== '') {
+                    console.log(`✅ Transcripción: "${transcribedText.substring(0, 100)}..."`)
+
+                    // Procesar el texto transcrito como un mensaje normal
+                    await processMessage(services, phoneNumber, transcribedText, flowDynamic, ctx)
+                } else {
+                    console.log('⚠️ No se pudo transcribir el audio')
+                    await flowDynamic('No logré entender el audio. ¿Puedes intentar de nuevo o escribir tu mensaje?')
                 }
+            } catch (responseError) {
+                console.error('❌ Error enviando respuesta:', responseError.message)
             }
+        })
 
-        } catch (downloadError) {
-            console.error('❌ Error en descarga de audio:', downloadError.message)
-        }
+    return [dynamicFlow, voiceFlow]
+}
 
-        // Enviar respuesta basada en resultado
-        try {
-            if (transcribedText && transcribedText.trim() !== '') {
-                console.log(`✅ Transcripción: "${transcribedText.substring(0, 100)}..."`)
-
-                // Procesar el texto transcrito como un mensaje normal
-                await processMessage(phoneNumber, transcribedText, flowDynamic)
-            } else {
-                console.log('⚠️ No se pudo transcribir el audio')
-                await flowDynamic('No logré entender el audio. ¿Puedes intentar de nuevo o escribir tu mensaje?')
-            }
-        } catch (responseError) {
-            console.error('❌ Error enviando respuesta:', responseError.message)
-        }
-    })
+/**
+ * Aplica buffer y temperatura desde la hoja IA_Prompts
+ */
+async function applyIAConfig({ googleService, messageBufferService, aiService, audioTranscriptionService }) {
+    try {
+        const iaConfig = await googleService.getIAConfig()
+        messageBufferService.setConfig({ waitTimeMs: iaConfig.bufferMs })
+        aiService.setTemperature(iaConfig.temperature)
+
+        // Proveedor de transcripción desde la fila config (lo lee loadSettings)
+        if (!aiService.settings) await aiService.loadSettings()
+        audioTranscriptionService.configureProviders(aiService.transcriptionConfig)
+    } catch (configError) {
+        console.error('⚠️ Error al cargar configuración IA:', configError.message)
+    }
+}
 
 /**
- * Función principal - Inicialización del bot
+ * Sincroniza la blacklist en memoria de BuilderBot con la hoja BlackList
  */
-const main = async () => {
-    console.log('🚀 Iniciando bot...')
+function syncRuntimeBlacklist(blacklist, numbers) {
+    const current = blacklist.getList()
+    const added = numbers.filter(n => !current.includes(n))
+    const removed = current.filter(n => !numbers.includes(n))
+
+    if (added.length > 0) blacklist.add(added)
+    removed.forEach(n => blacklist.remove(n))
+
+    if (added.length > 0 || removed.length > 0) {
+        console.log(`🚫 Blacklist sincronizada: +${added.length} / -${removed.length}`)
+    }
+}
+
+/**
+ * Inicializa el bot de una tienda: servicios, sesión de WhatsApp y rutas HTTP
+ * @param {object} tenant - Tienda normalizada por loadTenantConfigs()
+ * @param {TenantRouter} router - Servidor HTTP compartido por las tiendas
+ */
+async function startTenant(tenant, router) {
+    if (!tenant.isDefault) {
+        console.log(`🏪 Iniciando tienda "${tenant.id}" (rutas /${tenant.id}/v1/...)...`)
+    }
+
+    const services = createTenantServices(tenant)
+    const {
+        googleService,
+        aiService,
+        chatHistoryService,
+        scheduledMessagesService,
+        woocommerceService,
+        salesWebhookService,
+        humanHandoffService,
+        surveyService,
+        flowSessionService,
+        mediaMessageService,
+        quickReplyService,
+        analyticsService,
+        configWatcher,
+        configValidator
+    } = services
 
     // ========================================
     // INICIALIZAR GOOGLE SHEETS
     // ========================================
     try {
         console.log('📊 Inicializando Google Sheets...')
+        await googleService.bootstrapSheets()
         await googleService.getFlows()
         await googleService.getPrompts()
-        await googleService.ensureBlacklistSheet()
-        await googleService.ensureEnviosSheet()
         console.log('✅ Google Sheets inicializado correctamente')
     } catch (sheetsError) {
         console.error('❌ Error al inicializar Sheets:', sheetsError.message)
         console.log('⚠️ El bot funcionará sin conexión a Sheets')
     }
 
+    // Enviar escrituras que quedaron pendientes antes del reinicio
+    // (antes de restaurar estado guardado, como pausas de handoff)
+    await googleService.writeQueue.start()
+
     // ========================================
-    // VERIFICAR CONEXIÓN CON GROQ API
+    // VALIDAR CONFIGURACIÓN DE LAS HOJAS
     // ========================================
-    const groqOk = await aiService.testConnection()
-    if (!groqOk) {
-        console.error('⚠️ La IA no está disponible. Verifica tu API key en https://console.groq.com/keys')
+    configValidator.logReport(await configValidator.validate())
+
+    // ========================================
+    // VERIFICAR CONEXIÓN CON LA IA
+    // ========================================
+    const aiOk = await aiService.testConnection()
+    if (!aiOk) {
+        console.error('⚠️ La IA no está disponible. Verifica el proveedor en IA_Prompts y su API key')
     }
 
     // ========================================
     // CONFIGURAR BUFFER Y TEMPERATURA
     // ========================================
-    try {
-        const iaConfig = await googleService.getIAConfig()
-        messageBufferService.setConfig({ waitTimeMs: iaConfig.bufferMs })
-        aiService.setTemperature(iaConfig.temperature)
-    } catch (configError) {
-        console.error('⚠️ Error al cargar configuración IA:', configError.message)
-    }
+    await applyIAConfig(services)
 
     // ========================================
     // VERIFICAR CONEXIÓN CON WOOCOMMERCE
@@ -288,10 +305,12 @@ const main = async () => {
     // ========================================
     // PROGRAMAR LIMPIEZA AUTOMÁTICA DE HISTORIAL
     // ========================================
+    await chatHistoryService.init()
+
     setInterval(async () => {
         console.log('🧹 Iniciando limpieza automática del historial...')
         const deletedCount = await chatHistoryService.cleanOldHistories()
-        console.log(`🧹 Limpieza completada. Archivos eliminados: ${deletedCount}`)
+        console.log(`🧹 Limpieza completada. Contactos eliminados: ${deletedCount}`)
     }, 24 * 60 * 60 * 1000) // Cada 24 horas
 
     // Mostrar estadísticas iniciales
@@ -301,17 +320,27 @@ const main = async () => {
     // ========================================
     // CREAR BOT
     // ========================================
-    const adapterFlow = createFlow([dynamicFlow, voiceFlow])
+    const adapterFlow = createFlow(createFlows(services))
     const adapterProvider = createProvider(Provider, {
-        version: [2, 3000, 1027934701]
+        version: [2, 3000, 1027934701],
+        // Cada tienda con su propia sesión de WhatsApp (<id>_sessions)
+        ...(tenant.isDefault ? {} : { name: tenant.sessionName })
     })
-    const adapterDB = new Database()
+    const adapterDB = new JsonFileDB(tenant.isDefault ? {} : { filePath: tenant.files.botDb })
 
-    const { handleCtx, httpServer } = await createBot({
+    // Blacklist de BuilderBot hidratada desde storage: los números bloqueados
+    // se descartan antes de entrar a los flujos, también tras un reinicio
+    const blackList = await googleService.getBlacklist()
+    console.log(`🚫 Blacklist cargada: ${blackList.length} números`)
+
+    const adapterBot = await createBot({
         flow: adapterFlow,
         provider: adapterProvider,
         database: adapterDB,
+    }, {
+        blackList
     })
+    const { handleCtx, httpServer } = adapterBot
 
     // ========================================
     // INICIAR SCHEDULER DE MENSAJES PROGRAMADOS
@@ -328,7 +357,6 @@ const main = async () => {
             console.error('❌ Error enviando mensaje de venta:', error.message)
         }
     })
-    await googleService.ensureVentasSheets()
     console.log('📦 Sistema de ventas automáticas configurado')
 
     // ========================================
@@ -336,6 +364,7 @@ const main = async () => {
     // ========================================
     humanHandoffService.setProvider(adapterProvider)
     await humanHandoffService.loadConfig()
+    await humanHandoffService.restorePausedChats()
     console.log('🤝 Sistema de handoff humano configurado')
 
     // ========================================
@@ -343,9 +372,46 @@ const main = async () => {
     // ========================================
     surveyService.setProvider(adapterProvider)
     await surveyService.loadConfig()
-    await googleService.ensureSurveySheets()
+    await surveyService.restoreActiveSurveys()
+    surveyService.startSessionSweeper()
     console.log('📋 Sistema de encuestas configurado')
 
+    // ========================================
+    // CONFIGURAR FLUJOS DE VARIOS PASOS
+    // ========================================
+    mediaMessageService.setProvider(adapterProvider)
+    quickReplyService.setProvider(adapterProvider)
+    await flowSessionService.restoreActiveSessions()
+    flowSessionService.startSessionSweeper()
+    console.log('🧭 Sistema de flujos de varios pasos configurado')
+
+    // ========================================
+    // ANALÍTICA DE FLUJOS
+    // ========================================
+    await analyticsService.restoreCounters()
+    analyticsService.startFlushing()
+
+    // ========================================
+    // RECARGAR CONFIGURACIÓN AL CAMBIAR SHEETS
+    // ========================================
+    configWatcher.watch('Flujos', async () => {
+        googleService.invalidateCache('flows')
+        await googleService.getFlows()
+    })
+    configWatcher.watch('IA_Prompts', async () => {
+        await aiService.refreshSettings()
+        await applyIAConfig(services)
+    })
+    configWatcher.watch('BlackList', async () => {
+        googleService.invalidateCache('blacklist')
+        syncRuntimeBlacklist(adapterBot.dynamicBlacklist, await googleService.getBlacklist())
+    })
+    configWatcher.watch('Horario', () => googleService.invalidateCache('hours'))
+    configWatcher.watch('Handoff_Config', () => humanHandoffService.loadConfig())
+    configWatcher.watch('Encuesta_Config', () => surveyService.loadConfig())
+    configWatcher.watch('Encuesta_Preguntas', () => surveyService.loadConfig())
+    await configWatcher.start()
+
     // ========================================
     // ENDPOINTS HTTP
     // ========================================
@@ -365,18 +431,23 @@ const main = async () => {
         '/v1/blacklist',
         handleCtx(async (bot, req, res) => {
             const { number, intent, motivo } = req.body
+            // Mismo formato que getBlacklist() (solo dígitos) para que coincida con `from`
+            const cleanNumber = String(number).replace(/\D/g, '')
             let result = { status: 'error', message: 'Operación no válida' }
 
             if (intent === 'add') {
                 const success = await googleService.addToBlacklist(number, motivo || 'Agregado vía API')
                 if (success) {
-                    bot.blacklist.add(number)
+                    bot.blacklist.add(cleanNumber)
                     result = { status: 'ok', message: `${number} agregado a blacklist` }
                 }
             } else if (intent === 'remove') {
                 const success = await googleService.removeFromBlacklist(number)
                 if (success) {
-                    bot.blacklist.remove(number)
+                    // remove() lanza error si el número no estaba en la lista en memoria
+                    if (bot.blacklist.getList().includes(cleanNumber)) {
+                        bot.blacklist.remove(cleanNumber)
+                    }
                     result = { status: 'ok', message: `${number} eliminado de blacklist` }
                 }
             }
@@ -402,8 +473,47 @@ const main = async () => {
         handleCtx(async (bot, req, res) => {
             googleService.invalidateCache()
             await aiService.refreshSettings()
+            // Recargar ya los servicios cuyas hojas cambiaron (sin esperar el sondeo)
+            const changed = await configWatcher.check()
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+            return res.end(JSON.stringify({ status: 'ok', message: 'Cache invalidado', changed }))
+        })
+    )
+
+    // Validar configuración de las hojas (errores y advertencias por fila)
+    adapterProvider.server.get(
+        '/v1/config/validate',
+        handleCtx(async (bot, req, res) => {
+            const result = await configValidator.validate()
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+            return res.end(JSON.stringify({ status: 'ok', ...result }))
+        })
+    )
+
+    // Simular un mensaje sin enviar nada ni cambiar estado (probar flujos y prompts)
+    // Body: message (requerido), phone (sesiones, opciones pendientes e historial de ese número), name ({nombre})
+    adapterProvider.server.post(
+        '/v1/simulate',
+        handleCtx(async (bot, req, res) => {
+            const { message, phone, name } = req.body || {}
+            if (!message || typeof message !== 'string') {
+                res.writeHead(400, { 'Content-Type': 'application/json' })
+                return res.end(JSON.stringify({ error: 'Mensaje requerido' }))
+            }
+
+            const phoneNumber = phone ? String(phone).replace(/\D/g, '') : 'simulador'
+            const decision = await runPipeline(services, phoneNumber, message.trim(), {
+                contact: { name: name || '' },
+                dryRun: true
+            })
+            // Texto tal como lo vería el cliente (opciones como lista numerada)
+            const response = decision.messages
+                .map(({ body, options = [] }) => options.length > 0 ? quickReplyService.formatList(body, options) : body)
+                .filter(Boolean)
+                .join('\n\n')
+
             res.writeHead(200, { 'Content-Type': 'application/json' })
-            return res.end(JSON.stringify({ status: 'ok', message: 'Cache invalidado' }))
+            return res.end(JSON.stringify({ status: 'ok', phone: phoneNumber, ...decision, response }))
         })
     )
 
@@ -418,11 +528,52 @@ const main = async () => {
             return res.end(JSON.stringify({
                 status: 'ok',
                 history: historyStats,
-                scheduler: schedulerStats
+                scheduler: schedulerStats,
+                writeQueue: googleService.writeQueue.getStats(),
+                flowSessions: flowSessionService.getStats(),
+                quickReplies: quickReplyService.getStats(),
+                analytics: analyticsService.getStats(),
+                configWatcher: configWatcher.getStats()
             }))
         })
     )
 
+    // Buscar en el historial de conversaciones
+    // Query: q (texto), phone, role, from, to (ISO o YYYY-MM-DD), page, pageSize
+    adapterProvider.server.get(
+        '/v1/history/search',
+        handleCtx(async (bot, req, res) => {
+            const { q, phone, role, from, to, page, pageSize } = req.query || {}
+
+            const parseDate = (value, endOfDay) => {
+                if (!value) return null
+                const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value)
+                const date = new Date(isDateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}` : value)
+                return isNaN(date.getTime()) ? undefined : date
+            }
+
+            const fromDate = parseDate(from, false)
+            const toDate = parseDate(to, true)
+            if (fromDate === undefined || toDate === undefined) {
+                res.writeHead(400, { 'Content-Type': 'application/json' })
+                return res.end(JSON.stringify({ status: 'error', message: 'Fecha inválida (usa ISO o YYYY-MM-DD)' }))
+            }
+
+            const result = await chatHistoryService.search({
+                text: q || '',
+                phone: phone || null,
+                role: role || null,
+                from: fromDate,
+                to: toDate,
+                page: parseInt(page) || 1,
+                pageSize: parseInt(pageSize) || 20
+            })
+
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+            return res.end(JSON.stringify({ status: 'ok', ...result }))
+        })
+    )
+
     // Webhook de WooCommerce (ventas)
     adapterProvider.server.post(
         '/v1/webhook/woocommerce',
@@ -499,11 +650,82 @@ const main = async () => {
     )
 
     // ========================================
-    // INICIAR SERVIDOR HTTP
+    // REGISTRAR RUTAS EN EL SERVIDOR HTTP COMPARTIDO
     // ========================================
-    httpServer(+PORT)
-    console.log(`🌐 Servidor HTTP escuchando en puerto ${PORT}`)
+    // El proveedor arma sus rutas y middlewares pero no abre un puerto propio:
+    // el router le entrega las peticiones de esta tienda
+    adapterProvider.server.listen = (port, callback) => {
+        callback?.()
+        return adapterProvider.server
+    }
+    httpServer(PORT)
+    router.register(tenant.id, (req, res) => adapterProvider.server.handler(req, res))
     console.log('📱 Esperando conexión de WhatsApp...')
+    return services
+}
+
+/**
+ * Al detener el proceso (deploy, Ctrl+C) guarda la analítica y envía la cola de escrituras.
+ * Lo que no alcance a enviarse queda en disco y sale en el próximo inicio.
+ * @param {Array<object>} tenantServices - Servicios de las tiendas iniciadas
+ */
+function registerShutdown(tenantServices) {
+    let stopping = false
+
+    const shutdown = async signal => {
+        if (stopping) return
+        stopping = true
+        console.log(`🛑 ${signal} recibido: guardando escrituras pendientes...`)
+
+        const flushAll = Promise.all(tenantServices.map(async ({ analyticsService, googleService }) => {
+            try {
+                analyticsService.flush()
+                await googleService.writeQueue.flush()
+            } catch (error) {
+                console.error('❌ Error al guardar escrituras pendientes:', error.message)
+            }
+        }))
+        const timeout = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS))
+        await Promise.race([flushAll, timeout])
+        process.exit(0)
+    }
+
+    process.once('SIGTERM', () => shutdown('SIGTERM'))
+    process.once('SIGINT', () => shutdown('SIGINT'))
+}
+
+/**
+ * Función principal - Inicialización del bot (una o varias tiendas)
+ */
+const main = async () => {
+    console.log('🚀 Iniciando bot...')
+
+    let tenants
+    try {
+        tenants = loadTenantConfigs()
+    } catch (tenantError) {
+        console.error('❌ Error en configuración de tiendas:', tenantError.message)
+        process.exit(1)
+    }
+
+    if (tenants.length > 1 || !tenants[0].isDefault) {
+        console.log(`🏪 Modo multi-tienda: ${tenants.map(t => t.id).join(', ')}`)
+    }
+
+    // Una tienda que falla al iniciar no detiene a las demás
+    const router = new TenantRouter()
+    const tenantServices = []
+    for (const tenant of tenants) {
+        try {
+            tenantServices.push(await startTenant(tenant, router))
+        } catch (startError) {
+            console.error(`❌ Error al iniciar tienda "${tenant.id}":`, startError.message)
+        }
+    }
+    registerShutdown(tenantServices)
+
+    // Un solo puerto para todas las tiendas (ver tenantRouter.js)
+    router.listen(PORT)
 }
 
 main()
@@ -1,45 +1,114 @@
-import Groq from 'groq-sdk'
+import { createProviderChain, toolCallMessage, toolResultMessage } from './llm/index.js'
+import { countTokens, countMessageTokens, inputBudget, fitHistory, fitToolResult, trimToLastSentence } from './llm/tokenBudget.js'
+import { TOOL_DEFINITIONS, runTool } from './wooCommerceTools.js'
 import googleService from './googleService.js'
 import chatHistoryService from './chat-history.js'
 import woocommerceService from './woocommerceService.js'
+import { lazySingleton } from './lazySingleton.js'
+
+// Rondas de herramientas por respuesta; en la siguiente la IA tiene que contestar
+const MAX_TOOL_ROUNDS = 3
+
+// Parte del presupuesto que el historial deja libre para los resultados de herramientas
+const TOOL_RESULTS_SHARE = 0.2
+
+// Tokens libres mínimos para ofrecer otra ronda de herramientas
+const MIN_TOOL_ROUND_TOKENS = 300
+
+// Veces que se pide continuar una respuesta cortada por límite de tokens
+const MAX_CONTINUATIONS = 2
+const CONTINUE_PROMPT = 'Continúa tu respuesta exactamente donde quedó, sin repetir nada.'
+
+// Parte de la entrada disponible que puede ocupar el catálogo (el resto: prompt e historial)
+const CATALOG_SHARE = 0.3
+
+// Resumen de la conversación: se actualiza cuando hay al menos SUMMARY_BATCH
+// mensajes fuera de la ventana de contexto sin resumir
+const SUMMARY_BATCH = 6
+const SUMMARY_MAX_TOKENS = 250
+const SUMMARY_PROMPT = 'Resume la conversación entre un cliente y el asistente de una tienda por WhatsApp. ' +
+    'Integra el resumen anterior (si hay) con los mensajes nuevos en un solo texto de máximo 120 palabras, en español. ' +
+    'Conserva lo útil para atender al cliente más adelante: nombre, productos consultados, números de pedido, ' +
+    'preferencias, problemas y temas pendientes. No agregues saludos ni información que no esté en los mensajes.'
+
+// Valores por defecto de la fila config de IA_Prompts (se restauran en cada recarga)
+const DEFAULT_SETTINGS = {
+    maxTokens: 300,
+    temperature: 0.5,
+    quickReplies: true,
+    tools: true,
+    catalogResults: 5,
+    summaries: true
+}
 
 /**
  * @class AIService
- * Gestiona la comunicación con Groq AI.
+ * Gestiona la comunicación con la IA (Groq por defecto; ver llm/index.js).
  * Obtiene configuración desde Google Sheets y genera respuestas con contexto.
  */
 class AIService {
-    constructor() {
+    /**
+     * @param {object} options - { apiKey, googleService, chatHistoryService, woocommerceService }
+     *                           (por defecto: GROQ_API_KEY y los servicios compartidos)
+     */
+    constructor(options = {}) {
+        this.googleService = options.googleService || googleService
+        this.chatHistoryService = options.chatHistoryService || chatHistoryService
+        this.woocommerceService = options.woocommerceService || woocommerceService
+
         // Limpiar API key de posibles comillas o espacios
-        let apiKey = process.env.GROQ_API_KEY || ''
+        let apiKey = options.apiKey || process.env.GROQ_API_KEY || ''
         apiKey = apiKey.replace(/^["']|["']$/g, '').trim()
 
         this.apiKey = apiKey
-        this.client = null  // Inicialización lazy
-        this.model = 'meta-llama/llama-4-scout-17b-16e-instruct'
-        this.settings = null
-        this.settingsLoadTime = null  // Cuándo se cargó settings
-        this.settingsTTL = 60 * 1000  // 1 minuto - recarga settings si expira
-        this.maxTokens = 80
-        this.temperature = 0.5
+        this.providers = null  // Cadena de proveedores (lazy), según la fila config de IA_Prompts
+        this.providerConfig = {}
+        this.transcriptionConfig = {}  // Lo aplica AudioTranscriptionService (ver applyIAConfig)
+        this.settings = null  // Se recarga con refreshSettings() cuando cambia IA_Prompts
+        this.maxTokens = DEFAULT_SETTINGS.maxTokens  // Si la respuesta se corta, se pide que continúe (ver complete)
+        this.temperature = DEFAULT_SETTINGS.temperature
+        this.quickReplies = DEFAULT_SETTINGS.quickReplies  // La IA puede ofrecer opciones rápidas (línea OPCIONES:)
+        this.tools = DEFAULT_SETTINGS.tools  // La IA consulta WooCommerce con herramientas (config "tools": false = catálogo en el prompt)
+        this.catalogResults = DEFAULT_SETTINGS.catalogResults  // Productos relevantes que se agregan al prompt cuando no hay herramientas
+        this.summaries = DEFAULT_SETTINGS.summaries  // Resume los mensajes que salen de la ventana de contexto (config "summaries")
+        this.summarizing = new Set()  // Números con un resumen en curso
 
         // Debug: mostrar formato del API key
         if (apiKey) {
             const masked = apiKey.substring(0, 8) + '...' + apiKey.substring(apiKey.length - 4)
             console.log('🔑 GROQ API Key cargada:', masked, `(${apiKey.length} caracteres)`)
         } else {
-            console.error('❌ GROQ_API_KEY no encontrada en .env')
+            console.error('⚠️ GROQ_API_KEY no encontrada en .env (necesaria si el proveedor de IA es Groq)')
         }
     }
 
     /**
-     * Obtiene el cliente Groq (lazy initialization)
+     * Obtiene la cadena de proveedores (lazy initialization)
      */
-    getClient() {
-        if (!this.client) {
-            this.client = new Groq({ apiKey: this.apiKey })
+    getProviders() {
+        if (!this.providers) {
+            this.providers = createProviderChain(this.providerConfig, { kind: 'chat', groqApiKey: this.apiKey })
+            console.log('🧠 Proveedores de IA:', this.providers.describe())
         }
-        return this.client
+        return this.providers
+    }
+
+    /**
+     * Aplica proveedor, modelo y fallback de la fila config (se recrea la cadena)
+     * @param {object} config - Config JSON de IA_Prompts
+     */
+    configureProviders(config = {}) {
+        const { transcription, ...providerConfig } = config
+        this.providerConfig = providerConfig
+        this.transcriptionConfig = transcription && typeof transcription === 'object' ? transcription : {}
+        this.providers = null
+    }
+
+    /**
+     * Si la IA consulta WooCommerce con herramientas (en vez del catálogo en el prompt)
+     */
+    useTools() {
+        return this.tools && this.woocommerceService.isConfigured
     }
 
     /**
@@ -54,20 +123,22 @@ class AIService {
     }
 
     /**
-     * Verifica la conexión con Groq API
+     * Verifica la conexión con el proveedor de IA
      */
     async testConnection() {
         try {
-            const client = this.getClient()
-            const response = await client.chat.completions.create({
-                model: this.model,
+            if (!this.settings) {
+                await this.loadSettings()
+            }
+
+            const result = await this.getProviders().chat({
                 messages: [{ role: 'user', content: 'Responde solo: OK' }],
-                max_tokens: 10
+                maxTokens: 10
             })
-            console.log('✅ Conexión con Groq API verificada')
+            console.log(`✅ Conexión con la IA verificada (${result.provider}: ${result.model})`)
             return true
         } catch (error) {
-            console.error('❌ Error de conexión Groq:', error.message)
+            console.error('❌ Error de conexión con la IA:', error.message)
             return false
         }
     }
@@ -77,10 +148,11 @@ class AIService {
      */
     async loadSettings() {
         try {
-            // Invalidar caché de googleService para obtener datos frescos
-            googleService.invalidateCache()
+            const prompts = await this.googleService.getPrompts()
+            let config = {}
 
-            const prompts = await googleService.getPrompts()
+            // Lo que se quitó de la fila config vuelve a su valor por defecto
+            Object.assign(this, DEFAULT_SETTINGS)
 
             if (prompts.length > 0) {
                 this.settings = {
@@ -91,19 +163,24 @@ class AIService {
                 // Si hay configuración de modelo, aplicarla
                 if (this.settings.modelConfig) {
                     try {
-                        const config = JSON.parse(this.settings.modelConfig.content)
-                        if (config.model) this.model = config.model
-                        if (config.maxTokens) this.maxTokens = config.maxTokens
-                        if (config.temperature) this.temperature = config.temperature
+                        config = JSON.parse(this.settings.modelConfig.content) || {}
+                        if (config.maxTokens !== undefined) this.maxTokens = config.maxTokens
+                        if (config.temperature !== undefined) this.temperature = config.temperature
+                        if (config.quickReplies !== undefined) this.quickReplies = config.quickReplies !== false
+                        if (config.tools !== undefined) this.tools = config.tools !== false
+                        if (config.catalogResults !== undefined) this.catalogResults = config.catalogResults
+                        if (config.summaries !== undefined) this.summaries = config.summaries !== false
                     } catch {
                         // Si no es JSON válido, ignorar
+                        config = {}
                     }
                 }
 
-                // Registrar tiempo de carga
-                this.settingsLoadTime = Date.now()
                 console.log('🧠 Configuración IA cargada desde Sheets')
             }
+
+            // Proveedor, modelo y fallback (sin config: Groq con el modelo por defecto)
+            this.configureProviders(config)
         } catch (error) {
             console.error('❌ Error al cargar configuración IA:', error.message)
         }
@@ -111,9 +188,12 @@ class AIService {
 
     /**
      * Construye el prompt del sistema desde los prompts de Sheets + Catálogo WC
+     * @param {string} instructions - Instrucciones de la fila de Flujos que derivó a la IA
+     * @param {string} query - Texto para buscar los productos relevantes del catálogo
+     * @param {number} catalogTokens - Tokens máximos del catálogo (sin límite si no se indica)
      * @returns {Promise<string>} Prompt completo con catálogo de productos
      */
-    async getSystemPrompt() {
+    async getSystemPrompt(instructions = '', query = '', catalogTokens = Infinity) {
         let basePrompt = 'IMPORTANTE: Siempre responde en español. '
 
         if (!this.settings || !this.settings.systemPrompts.length) {
@@ -124,62 +204,137 @@ class AIService {
                 .join('\n\n')
         }
 
-        // Inyectar catálogo de productos de WooCommerce
-        const catalog = await woocommerceService.getProductCatalogForAI()
-        if (catalog) {
-            console.log('📦 [AI] Catálogo inyectado:', catalog.substring(0, 200) + '...')
-            basePrompt += catalog
+        // Opciones rápidas: processMessage las separa y las envía como botones o lista numerada
+        if (this.quickReplies) {
+            basePrompt += '\n\nSi ayuda al cliente elegir entre caminos concretos, termina tu respuesta con una línea ' +
+                '"OPCIONES: opción 1 | opción 2 | opción 3" (máximo 3 opciones cortas). Si no hace falta, no la agregues.'
+        }
+
+        if (this.useTools()) {
+            // Los datos de la tienda se consultan en vivo con herramientas (ver wooCommerceTools.js)
+            basePrompt += '\n\nPara precios, stock, productos, categorías o estado de pedidos usa SIEMPRE las herramientas ' +
+                'de la tienda antes de responder. No inventes precios ni disponibilidad: si la herramienta no encuentra ' +
+                'el producto o el pedido, dilo y pide más datos al cliente.'
         } else {
-            console.log('⚠️ [AI] No hay catálogo para inyectar')
+            // Inyectar solo los productos de WooCommerce relevantes para el mensaje
+            const catalog = await this.getCatalogWithinBudget(query, catalogTokens)
+            if (catalog) {
+                console.log('📦 [AI] Catálogo inyectado:', catalog.substring(0, 200) + '...')
+                basePrompt += catalog
+            } else {
+                console.log('⚠️ [AI] No hay catálogo para inyectar')
+            }
+        }
+
+        // Al final, para que prevalezcan sobre los prompts generales
+        if (instructions) {
+            basePrompt += `\n\nINSTRUCCIONES PARA ESTA CONSULTA (tienen prioridad sobre lo anterior):\n${instructions}`
         }
 
         return basePrompt
     }
 
+    /**
+     * Productos relevantes que caben en el presupuesto: se quitan los menos
+     * relevantes hasta que quepa (o no se incluye catálogo)
+     * @param {string} query - Texto para buscar los productos
+     * @param {number} maxTokens - Tokens máximos
+     * @returns {Promise<string>}
+     */
+    async getCatalogWithinBudget(query, maxTokens) {
+        const model = this.getProviders().model
+
+        for (let limit = this.catalogResults; limit > 0; limit--) {
+            const catalog = await this.woocommerceService.getProductCatalogForAI(query, limit)
+            if (countTokens(catalog, model) <= maxTokens) {
+                if (limit < this.catalogResults) {
+                    console.log(`✂️ [AI] Catálogo recortado a ${limit} productos (presupuesto: ${maxTokens} tokens)`)
+                }
+                return catalog
+            }
+        }
+
+        console.log(`✂️ [AI] El catálogo no cabe en el presupuesto (${maxTokens} tokens), se omite`)
+        return ''
+    }
+
     /**
      * Genera una respuesta de IA
      * @param {string} userInput - Mensaje del usuario
      * @param {string} phoneNumber - Número para obtener contexto
+     * @param {object} options - { dryRun, instructions }
+     *                           dryRun: true para no guardar en el historial (simulación)
+     *                           instructions: instrucciones extra de un flujo (ver getSystemPrompt)
      * @returns {string} Respuesta generada
      */
-    async getResponse(userInput, phoneNumber = null) {
+    async getResponse(userInput, phoneNumber = null, options = {}) {
+        const saveHistory = phoneNumber && !options.dryRun
+
         console.log('🤖 [AI] Iniciando getResponse...')
         console.log('🤖 [AI] Input:', userInput.substring(0, 50))
 
         try {
-            // Cargar configuración si no está cargada O si el caché expiró
-            const settingsExpired = this.settingsLoadTime &&
-                (Date.now() - this.settingsLoadTime) > this.settingsTTL
-
-            if (!this.settings || settingsExpired) {
-                if (settingsExpired) {
-                    console.log('🔄 [AI] Settings expirados, recargando desde Sheets...')
-                }
+            // Cargar configuración si no está cargada
+            if (!this.settings) {
                 await this.loadSettings()
             }
 
             // Guardar mensaje del usuario en historial
+            if (saveHistory) {
+                await this.chatHistoryService.saveMessage(phoneNumber, 'user', userInput)
+            }
+
+            // Contexto del historial, sin el mensaje actual (que se agrega al final)
+            let previousContext = []
+            let summary = null
             if (phoneNumber) {
-                await chatHistoryService.saveMessage(phoneNumber, 'user', userInput)
+                const context = await this.chatHistoryService.getContextForAI(phoneNumber)
+                previousContext = saveHistory ? context.slice(0, -1) : context
+                // Lo anterior a la ventana llega como resumen
+                if (this.summaries) summary = await this.chatHistoryService.getSummary(phoneNumber)
             }
 
+            // Los productos se buscan con el mensaje y el anterior del cliente ("¿y en azul?")
+            const previousUser = [...previousContext].reverse().find(message => message.role === 'user')
+            const catalogQuery = [previousUser?.content, userInput].filter(Boolean).join(' ')
+
+            // Presupuesto de entrada según la ventana de contexto (reservando la respuesta)
+            const providers = this.getProviders()
+            const model = providers.model
+            const budget = inputBudget(providers.contextWindow(), this.maxTokens)
+
             // Construir mensajes para la API
-            const systemPrompt = await this.getSystemPrompt()
+            const systemPrompt = await this.getSystemPrompt(options.instructions, catalogQuery, Math.floor(budget * CATALOG_SHARE))
             console.log('🤖 [AI] System prompt length:', systemPrompt.length, 'caracteres')
 
+            const summaryMessage = summary
+                ? { role: 'system', content: `RESUMEN DE LA CONVERSACIÓN ANTERIOR CON ESTE CLIENTE:\n${summary}` }
+                : null
+
+            // El historial usa lo que sobra, quitando primero los mensajes más antiguos.
+            // Con herramientas, se reserva además espacio para sus definiciones y resultados
+            const fixedTokens = countMessageTokens(
+                [{ content: systemPrompt }, summaryMessage, { content: userInput }].filter(Boolean), model
+            ) + this.toolDefinitionTokens(model)
+            const toolReserve = this.useTools() ? Math.floor(budget * TOOL_RESULTS_SHARE) : 0
+            const history = fitHistory(previousContext, budget - fixedTokens - toolReserve, model)
+            if (history.dropped.length > 0) {
+                console.log(`✂️ [AI] Historial recortado: ${history.dropped.length} mensajes antiguos no caben`)
+            }
+            if (fixedTokens > budget) {
+                console.error(`⚠️ [AI] El prompt (~${fixedTokens} tokens) supera el presupuesto de ${budget}: revisa IA_Prompts`)
+            }
+
             const messages = [
                 {
                     role: 'system',
                     content: systemPrompt
-                }
+                },
+                ...(summaryMessage ? [summaryMessage] : []),
+                ...history.messages
             ]
-
-            // Agregar contexto del historial si existe
             if (phoneNumber) {
-                const context = await chatHistoryService.getContextForAI(phoneNumber)
-                const previousContext = context.slice(0, -1)
-                messages.push(...previousContext)
-                console.log('🤖 [AI] Contexto:', previousContext.length, 'mensajes')
+                console.log('🤖 [AI] Contexto:', history.messages.length, 'mensajes')
             }
 
             // Agregar mensaje actual del usuario
@@ -188,29 +343,28 @@ class AIService {
                 content: userInput
             })
 
-            console.log('🤖 [AI] Total mensajes:', messages.length)
-            console.log('🤖 [AI] Modelo:', this.model)
-            console.log('🤖 [AI] Llamando a Groq API...')
-
-            // Llamar a Groq API
-            const client = this.getClient()
-            const completion = await client.chat.completions.create({
-                model: this.model,
-                messages: messages,
-                max_tokens: this.maxTokens,
-                temperature: this.temperature
-            })
+            console.log('🤖 [AI] Total mensajes:', messages.length,
+                `(~${countMessageTokens(messages, model)} de ${budget} tokens)`)
+            console.log('🤖 [AI] Llamando a la IA...')
+
+            // Llamar al proveedor (con fallback si falla o hay límite de uso)
+            const completion = await this.complete(messages, budget)
 
-            console.log('🤖 [AI] ✅ Respuesta recibida de Groq')
+            console.log(`🤖 [AI] ✅ Respuesta recibida (${completion.provider}: ${completion.model})`)
 
-            const response = completion.choices[0]?.message?.content ||
+            const response = completion.content ||
                 'Lo siento, no pude generar una respuesta en este momento.'
 
             console.log('🤖 [AI] Respuesta:', response.substring(0, 100) + '...')
 
             // Guardar respuesta en historial
-            if (phoneNumber) {
-                await chatHistoryService.saveMessage(phoneNumber, 'assistant', response)
+            if (saveHistory) {
+                await this.chatHistoryService.saveMessage(phoneNumber, 'assistant', response)
+
+                // En segundo plano: no demora la respuesta
+                if (this.summaries) {
+                    this.updateSummary(phoneNumber).catch(() => { })
+                }
             }
 
             return response
@@ -223,9 +377,9 @@ class AIService {
 
             // Mensajes de error más específicos
             if (error.message?.includes('API key') || error.message?.includes('401')) {
-                return 'Error de configuración: Verifica tu API key de Groq en https://console.groq.com/keys'
+                return 'Error de configuración: Verifica la API key del proveedor de IA'
             }
-            if (error.message?.includes('rate limit')) {
+            if (error.status === 429 || error.message?.includes('rate limit')) {
                 return 'El servicio está ocupado, intenta de nuevo en unos segundos.'
             }
 
@@ -233,6 +387,152 @@ class AIService {
         }
     }
 
+    /**
+     * Condensa en el resumen de la conversación los mensajes que salieron de la
+     * ventana de contexto, para no olvidar consultas y pedidos anteriores del cliente
+     * @param {string} phoneNumber - Número de teléfono
+     * @param {object} options - { force: resumir aunque haya menos de SUMMARY_BATCH mensajes }
+     * @returns {Promise<string|null>} Resumen actualizado, o null si no hizo falta
+     */
+    async updateSummary(phoneNumber, options = {}) {
+        if (this.summarizing.has(phoneNumber)) return null
+
+        const pending = await this.chatHistoryService.getUnsummarizedMessages(phoneNumber)
+        if (pending.length === 0 || (pending.length < SUMMARY_BATCH && !options.force)) {
+            return null
+        }
+
+        this.summarizing.add(phoneNumber)
+        try {
+            const previous = await this.chatHistoryService.getSummary(phoneNumber)
+            const providers = this.getProviders()
+
+            // Si hay demasiados mensajes pendientes (cliente antiguo), se resumen los más recientes
+            const budget = inputBudget(providers.contextWindow(), SUMMARY_MAX_TOKENS) -
+                countTokens(SUMMARY_PROMPT + (previous || ''), providers.model)
+            const { messages: included } = fitHistory(pending, budget, providers.model)
+            const transcript = included
+                .map(message => `${message.role === 'user' ? 'Cliente' : 'Asistente'}: ${message.content}`)
+                .join('\n')
+
+            const completion = await providers.chat({
+                messages: [
+                    { role: 'system', content: SUMMARY_PROMPT },
+                    {
+                        role: 'user',
+                        content: (previous ? `RESUMEN ANTERIOR:\n${previous}\n\n` : '') + `MENSAJES NUEVOS:\n${transcript}`
+                    }
+                ],
+                maxTokens: SUMMARY_MAX_TOKENS,
+                temperature: 0.2
+            })
+
+            const summary = trimToLastSentence((completion.content || '').trim())
+            if (!summary) return null
+
+            await this.chatHistoryService.saveSummary(phoneNumber, summary, pending[pending.length - 1])
+            console.log(`📝 [AI] Resumen actualizado para ${phoneNumber} (${pending.length} mensajes)`)
+            return summary
+        } catch (error) {
+            console.error('❌ [AI] Error al actualizar resumen:', error.message)
+            return null
+        } finally {
+            this.summarizing.delete(phoneNumber)
+        }
+    }
+
+    /**
+     * Llama a la IA. Si pide herramientas de WooCommerce, las ejecuta y le
+     * devuelve los resultados hasta que responda con texto
+     * @param {Array} messages - Mensajes para la API (se agregan las llamadas y sus resultados)
+     * @param {number} budget - Tokens de entrada disponibles (ver inputBudget); se revisa antes de cada ronda
+     * @returns {Promise<object>} Respuesta final del proveedor (ver llm/index.js)
+     */
+    async complete(messages, budget = Infinity) {
+        const tools = this.useTools() ? TOOL_DEFINITIONS : null
+        const model = this.getProviders().model
+        const messageBudget = budget - this.toolDefinitionTokens(model)
+        const available = () => messageBudget - countMessageTokens(messages, model)
+
+        for (let round = 0; ; round++) {
+            // Sin espacio para más resultados, tiene que responder con lo que ya tiene
+            const canCallTools = round < MAX_TOOL_ROUNDS && available() >= MIN_TOOL_ROUND_TOKENS
+            if (tools && !canCallTools && round < MAX_TOOL_ROUNDS) {
+                console.log(`✂️ [AI] Sin espacio para más herramientas (~${available()} tokens libres)`)
+            }
+
+            const completion = await this.getProviders().chat({
+                messages,
+                maxTokens: this.maxTokens,
+                temperature: this.temperature,
+                ...(tools ? { tools, toolChoice: canCallTools ? 'auto' : 'none' } : {})
+            })
+
+            if (!tools || !completion.toolCalls?.length || !canCallTools) {
+                return await this.continueIfCut(completion, messages, tools ? { tools, toolChoice: 'none' } : {}, messageBudget)
+            }
+
+            messages.push(toolCallMessage(completion.content, completion.toolCalls))
+            for (const [i, call] of completion.toolCalls.entries()) {
+                console.log(`🔧 [AI] Herramienta ${call.name}(${call.arguments})`)
+                const result = await runTool(this.woocommerceService, call)
+                // Cada resultado usa a lo sumo su parte de lo que queda libre
+                const share = Math.floor(available() / (completion.toolCalls.length - i))
+                messages.push(toolResultMessage(call, fitToolResult(result, share, model)))
+            }
+        }
+    }
+
+    /**
+     * Tokens que ocupan las definiciones de las herramientas (0 si no se usan)
+     * @param {string} model
+     */
+    toolDefinitionTokens(model) {
+        return this.useTools() ? countTokens(JSON.stringify(TOOL_DEFINITIONS), model) : 0
+    }
+
+    /**
+     * Si la respuesta se cortó por límite de tokens (finish_reason 'length'), pide
+     * que continúe; si sigue cortada, la recorta a la última oración completa
+     * @param {object} completion - Respuesta del proveedor
+     * @param {Array} messages - Mensajes enviados (se agregan la parte recibida y el pedido de continuar)
+     * @param {object} request - Parámetros extra de la petición (herramientas ya usadas)
+     * @param {number} budget - Tokens de entrada disponibles para los mensajes
+     * @returns {Promise<object>} Respuesta con el texto completo
+     */
+    async continueIfCut(completion, messages, request = {}, budget = Infinity) {
+        let result = completion
+        let content = completion.content
+        const model = this.getProviders().model
+
+        for (let i = 0; result.finishReason === 'length' && content && i < MAX_CONTINUATIONS; i++) {
+            const next = [
+                { role: 'assistant', content: result.content },
+                { role: 'user', content: CONTINUE_PROMPT }
+            ]
+            if (countMessageTokens([...messages, ...next], model) > budget) {
+                console.log('✂️ [AI] Respuesta cortada y sin espacio para continuarla')
+                break
+            }
+
+            console.log('✂️ [AI] Respuesta cortada por límite de tokens, pidiendo que continúe...')
+            messages.push(...next)
+            result = await this.getProviders().chat({
+                messages,
+                maxTokens: this.maxTokens,
+                temperature: this.temperature,
+                ...request
+            })
+            content += result.content
+        }
+
+        if (result.finishReason === 'length') {
+            content = trimToLastSentence(content)
+        }
+
+        return { ...result, content }
+    }
+
     /**
      * Detecta si el mensaje tiene intención de consultar WooCommerce
      * @param {string} input - Mensaje del usuario
@@ -284,7 +584,8 @@ class AIService {
      * @returns {string} Contexto adicional para la IA
      */
     async getWooCommerceContext(input) {
-        if (!woocommerceService.isConfigured) {
+        // Con herramientas la IA consulta el pedido por su cuenta
+        if (!this.woocommerceService.isConfigured || this.useTools()) {
             return ''
         }
 
@@ -303,7 +604,7 @@ class AIService {
         console.log('🛒 [WC] Consulta de pedido detectada:', intent.query)
 
         try {
-            const orderStatus = await woocommerceService.getOrderStatus(intent.query)
+            const orderStatus = await this.woocommerceService.getOrderStatus(intent.query)
             if (orderStatus.found) {
                 return `\n\n[DATOS DEL PEDIDO #${intent.query}]\n${orderStatus.message}`
             } else {
@@ -317,13 +618,15 @@ class AIService {
     }
 
     /**
-     * Genera respuesta con contexto de WooCommerce (solo para pedidos)
-     * Los productos ya están en el system prompt
+     * Genera respuesta con contexto de WooCommerce (solo para pedidos y sin herramientas)
+     * Con herramientas la IA consulta la tienda por su cuenta; sin ellas, los productos
+     * ya están en el system prompt
      * @param {string} userInput - Mensaje del usuario
      * @param {string} phoneNumber - Número de teléfono
+     * @param {object} options - { dryRun } (ver getResponse)
      * @returns {string} Respuesta enriquecida
      */
-    async getResponseWithWooCommerce(userInput, phoneNumber = null) {
+    async getResponseWithWooCommerce(userInput, phoneNumber = null, options = {}) {
         // Solo agregar contexto para consultas de pedidos
         const wcContext = await this.getWooCommerceContext(userInput)
 
@@ -332,17 +635,19 @@ class AIService {
             ? `${userInput}\n${wcContext}`
             : userInput
 
-        return this.getResponse(enrichedInput, phoneNumber)
+        return this.getResponse(enrichedInput, phoneNumber, options)
     }
 
     /**
-     * Refresca la configuración desde Sheets
+     * Refresca la configuración desde Sheets (descarta el cache de prompts)
      */
     async refreshSettings() {
+        this.googleService.invalidateCache('prompts')
         this.settings = null
         await this.loadSettings()
     }
 }
 
-const aiService = new AIService()
+const aiService = lazySingleton(() => new AIService())
+export { AIService }
 export default aiService
@@ -0,0 +1,165 @@
+import googleService from './googleService.js'
+import { normalizeText } from './flowMatcher.js'
+import { lazySingleton } from './lazySingleton.js'
+
+const AI_FALLBACK_KEY = '[IA sin coincidencia]' // Fila de Flujo_Analitica con los mensajes derivados a la IA
+const MAX_UNMATCHED = 500                       // Mensajes distintos sin flujo que se guardan
+const MAX_SAMPLE_LENGTH = 200
+
+/**
+ * @class AnalyticsService
+ * Cuenta qué filas de Flujos se disparan y qué mensajes no coinciden con ninguna
+ * (se derivan a la IA), para convertir las preguntas frecuentes en flujos.
+ * Los contadores viven en memoria, se cargan al iniciar desde 'Flujo_Analitica'
+ * y 'Sin_Respuesta' y se escriben periódicamente solo los que cambiaron.
+ * Los mensajes sin flujo se agrupan por texto normalizado ("¿Envían a Rancagua?"
+ * y "envian a rancagua" cuentan juntos).
+ */
+class AnalyticsService {
+    /**
+     * @param {object} options - { googleService, flushIntervalMs }
+     */
+    constructor(options = {}) {
+        this.googleService = options.googleService || googleService
+        this.flushIntervalMs = options.flushIntervalMs ||
+            (parseInt(process.env.ANALYTICS_FLUSH_MINUTES) || 5) * 60 * 1000
+
+        this.flows = new Map()      // { addKeyword: { count, lastAt } }
+        this.unmatched = new Map()  // { texto normalizado: { sample, count, lastAt } }
+        this.dirtyFlows = new Set()
+        this.dirtyUnmatched = new Set()
+        this.flushTimer = null
+        this.lastFlush = null
+    }
+
+    /**
+     * Carga los contadores guardados (los disparos anteriores al reinicio se suman)
+     */
+    async restoreCounters() {
+        const { flows, unmatched } = await this.googleService.getAnalytics()
+
+        for (const entry of flows) {
+            this.flows.set(entry.key, { count: entry.count, lastAt: entry.lastAt })
+        }
+        for (const entry of unmatched.slice(0, MAX_UNMATCHED)) {
+            this.unmatched.set(normalizeText(entry.key), { sample: entry.key, count: entry.count, lastAt: entry.lastAt })
+        }
+
+        console.log(`📈 Analítica: ${flows.length} flujos y ${this.unmatched.size} mensajes sin respuesta restaurados`)
+    }
+
+    /**
+     * Inicia la escritura periódica de los contadores
+     */
+    startFlushing() {
+        if (this.flushTimer) return
+
+        this.flushTimer = setInterval(() => {
+            this.flush()
+        }, this.flushIntervalMs)
+    }
+
+    /**
+     * Registra el disparo de una fila de Flujos
+     * @param {object} flow - Fila de getFlows()
+     */
+    recordFlow(flow) {
+        this.increment(this.flows, flow.addKeyword, { count: 0, lastAt: null })
+        this.dirtyFlows.add(flow.addKeyword)
+    }
+
+    /**
+     * Registra un mensaje que no coincidió con ningún flujo
+     * @param {string} input - Mensaje del usuario
+     */
+    recordUnmatched(input) {
+        this.increment(this.flows, AI_FALLBACK_KEY, { count: 0, lastAt: null })
+        this.dirtyFlows.add(AI_FALLBACK_KEY)
+
+        const key = normalizeText(input)
+        if (!key) return
+        if (!this.unmatched.has(key) && this.unmatched.size >= MAX_UNMATCHED) return
+
+        const sample = String(input).trim().replace(/\s+/g, ' ').slice(0, MAX_SAMPLE_LENGTH)
+        this.increment(this.unmatched, key, { sample, count: 0, lastAt: null })
+        this.dirtyUnmatched.add(key)
+    }
+
+    /**
+     * Suma un uso al contador (lo crea si no existe)
+     */
+    increment(counters, key, initial) {
+        if (!counters.has(key)) counters.set(key, initial)
+
+        const entry = counters.get(key)
+        entry.count++
+        entry.lastAt = Date.now()
+    }
+
+    /**
+     * Envía a la cola de escritura los contadores que cambiaron
+     * @returns {number} Filas encoladas
+     */
+    flush() {
+        let written = 0
+
+        try {
+            for (const keyword of this.dirtyFlows) {
+                const entry = this.flows.get(keyword)
+                this.googleService.saveFlowAnalytics(keyword, entry.count, entry.lastAt)
+                written++
+            }
+            for (const key of this.dirtyUnmatched) {
+                const entry = this.unmatched.get(key)
+                this.googleService.saveUnmatchedInput(entry.sample, entry.count, entry.lastAt)
+                written++
+            }
+
+            this.dirtyFlows.clear()
+            this.dirtyUnmatched.clear()
+            this.lastFlush = Date.now()
+            if (written > 0) console.log(`📈 Analítica: ${written} contadores guardados`)
+        } catch (error) {
+            console.error('❌ Error al guardar analítica de flujos:', error.message)
+        }
+
+        return written
+    }
+
+    /**
+     * Obtiene estadísticas (flujos más usados y mensajes sin respuesta más frecuentes)
+     * @param {number} limit - Máximo de filas por lista
+     */
+    getStats(limit = 20) {
+        const toIso = time => time ? new Date(time).toISOString() : null
+        const byCount = (a, b) => b.count - a.count || (b.lastAt || 0) - (a.lastAt || 0)
+
+        const flows = [...this.flows.entries()]
+            .filter(([keyword]) => keyword !== AI_FALLBACK_KEY)
+            .map(([keyword, entry]) => ({ keyword, ...entry }))
+            .sort(byCount)
+        const unmatched = [...this.unmatched.values()].sort(byCount)
+
+        return {
+            flowTriggers: flows.reduce((sum, flow) => sum + flow.count, 0),
+            // Incluye los mensajes que no caben en MAX_UNMATCHED
+            unmatchedTotal: this.flows.get(AI_FALLBACK_KEY)?.count || 0,
+            topFlows: flows.slice(0, limit).map(flow => ({
+                keyword: flow.keyword,
+                count: flow.count,
+                lastTriggeredAt: toIso(flow.lastAt)
+            })),
+            topUnmatched: unmatched.slice(0, limit).map(entry => ({
+                sample: entry.sample,
+                count: entry.count,
+                lastAt: toIso(entry.lastAt)
+            })),
+            pendingFlush: this.dirtyFlows.size + this.dirtyUnmatched.size,
+            lastFlush: toIso(this.lastFlush)
+        }
+    }
+}
+
+const analyticsService = lazySingleton(() => new AnalyticsService())
+export { AnalyticsService }
+export default analyticsService
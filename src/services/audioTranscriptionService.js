@@ -1,32 +1,41 @@
-import Groq from 'groq-sdk'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { createProviderChain } from './llm/index.js'
+import { lazySingleton } from './lazySingleton.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 /**
  * @class AudioTranscriptionService
- * Transcribe mensajes de voz usando Groq Whisper API.
+ * Transcribe mensajes de voz (Groq Whisper por defecto; el proveedor se elige en
+ * config.transcription de IA_Prompts, ver llm/index.js).
  */
 class AudioTranscriptionService {
-    constructor() {
-        let apiKey = process.env.GROQ_API_KEY || ''
+    /**
+     * @param {object} options - { apiKey } (por defecto GROQ_API_KEY)
+     */
+    constructor(options = {}) {
+        let apiKey = options.apiKey || process.env.GROQ_API_KEY || ''
         apiKey = apiKey.replace(/^["']|["']$/g, '').trim()
 
-        this.client = new Groq({ apiKey })
-        this.model = 'whisper-large-v3-turbo'
-        this.tempDir = path.join(__dirname, '../../temp')
-
-        // Crear directorio temporal si no existe
-        if (!fs.existsSync(this.tempDir)) {
-            fs.mkdirSync(this.tempDir, { recursive: true })
-        }
+        this.apiKey = apiKey
+        this.providers = createProviderChain({}, { kind: 'transcription', groqApiKey: apiKey })
+        this.tempDir = path.join(__dirname, '../../temp')  // Se crea con el primer audio
 
         console.log('🎙️ AudioTranscription: Servicio inicializado')
     }
 
+    /**
+     * Aplica proveedor, modelo y fallback de config.transcription
+     * @param {object} config - { provider, model, baseUrl, apiKeyEnv, fallback }
+     */
+    configureProviders(config = {}) {
+        this.providers = createProviderChain(config, { kind: 'transcription', groqApiKey: this.apiKey })
+        console.log('🎙️ Proveedores de transcripción:', this.providers.describe())
+    }
+
     /**
      * Transcribe un archivo de audio desde un buffer
      * @param {Buffer} audioBuffer - Buffer del archivo de audio
@@ -38,15 +47,14 @@ class AudioTranscriptionService {
 
         try {
             // Guardar buffer temporalmente
+            fs.mkdirSync(this.tempDir, { recursive: true })
             fs.writeFileSync(tempPath, audioBuffer)
             console.log(`🎙️ Audio guardado temporalmente: ${tempPath} (${Math.round(audioBuffer.length / 1024)}KB)`)
 
             // Transcribir
-            const transcription = await this.client.audio.transcriptions.create({
-                file: fs.createReadStream(tempPath),
-                model: this.model,
-                language: 'es', // Español
-                response_format: 'text'
+            const transcription = await this.providers.transcribe({
+                filePath: tempPath,
+                language: 'es' // Español
             })
 
             console.log(`✅ Transcripción completada: "${transcription.substring(0, 50)}..."`)
@@ -147,5 +155,6 @@ class AudioTranscriptionService {
     }
 }
 
-const audioTranscriptionService = new AudioTranscriptionService()
+const audioTranscriptionService = lazySingleton(() => new AudioTranscriptionService())
+export { AudioTranscriptionService }
 export default audioTranscriptionService
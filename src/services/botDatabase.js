@@ -0,0 +1,158 @@
+import fs from 'fs'
+import fsp from 'fs/promises'
+import path from 'path'
+
+/**
+ * @class JsonFileDB
+ * Adaptador de base de datos para BuilderBot persistido en disco.
+ * Implementa el mismo contrato que MemoryDB (listHistory, getPrevByNumber, save)
+ * pero guarda cada entrada en un archivo JSONL (una línea por entrada),
+ * así el estado de las conversaciones sobrevive a los reinicios.
+ */
+class JsonFileDB {
+    constructor(options = {}) {
+        this.filePath = options.filePath ||
+            process.env.BOT_DB_FILE ||
+            path.join(process.cwd(), 'data', 'bot-db.jsonl')
+        this.maxEntriesPerNumber = options.maxEntriesPerNumber || 50
+        this.compactEvery = options.compactEvery || 1000  // Entradas nuevas antes de compactar
+        this.savedSinceCompact = 0
+        this.listHistory = []
+        this.writeChain = Promise.resolve()
+
+        this.load()
+    }
+
+    /**
+     * Carga las entradas guardadas y compacta el archivo
+     * (solo se conservan las últimas entradas de cada número)
+     */
+    load() {
+        let raw = ''
+        try {
+            raw = fs.readFileSync(this.filePath, 'utf8')
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error al leer base de datos del bot:', error.message)
+            }
+            return
+        }
+
+        const entries = []
+        for (const line of raw.split('\n')) {
+            if (!line.trim()) continue
+            try {
+                entries.push(JSON.parse(line))
+            } catch {
+                // Línea incompleta (ej: corte durante una escritura), se descarta
+            }
+        }
+
+        this.listHistory = this.compact(entries)
+
+        if (this.listHistory.length < entries.length) {
+            this.rewrite()
+        }
+
+        console.log(`💾 Base de datos del bot cargada: ${this.listHistory.length} entradas`)
+    }
+
+    /**
+     * Conserva solo las últimas maxEntriesPerNumber entradas de cada número
+     */
+    compact(entries) {
+        const counts = new Map()
+        const kept = []
+
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const from = entries[i]?.from
+            const count = counts.get(from) || 0
+            if (count >= this.maxEntriesPerNumber) continue
+
+            counts.set(from, count + 1)
+            kept.push(entries[i])
+        }
+
+        return kept.reverse()
+    }
+
+    /**
+     * Reescribe el archivo completo (escritura atómica)
+     * @param {Array<object>} entries - Entradas a escribir (por defecto las de memoria)
+     */
+    rewrite(entries = this.listHistory) {
+        try {
+            const dir = path.dirname(this.filePath)
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true })
+            }
+
+            const content = entries.map(entry => JSON.stringify(entry)).join('\n')
+            const tempPath = `${this.filePath}.tmp`
+            fs.writeFileSync(tempPath, content ? content + '\n' : '')
+            fs.renameSync(tempPath, this.filePath)
+        } catch (error) {
+            console.error('❌ Error al compactar base de datos del bot:', error.message)
+        }
+    }
+
+    /**
+     * Obtiene la última entrada con keyword de un número
+     * @param {string} from - Número del contacto
+     */
+    async getPrevByNumber(from) {
+        for (let i = this.listHistory.length - 1; i >= 0; i--) {
+            const entry = this.listHistory[i]
+            if (entry.from === from && entry.keyword) {
+                return entry
+            }
+        }
+        return undefined
+    }
+
+    /**
+     * Guarda una entrada en memoria y la agrega al archivo
+     * @param {object} ctx - Contexto que entrega BuilderBot
+     */
+    async save(ctx) {
+        let line
+        try {
+            line = JSON.stringify(ctx)
+        } catch (error) {
+            console.error('❌ Error al serializar entrada del bot:', error.message)
+            this.listHistory.push(ctx)
+            return
+        }
+
+        // Se guarda la versión serializada para que memoria y disco coincidan
+        this.listHistory.push(JSON.parse(line))
+
+        // La compactación escribe una copia de este momento: las entradas que se
+        // guarden después tienen su propio append más adelante en la cadena
+        this.savedSinceCompact++
+        let snapshot = null
+        if (this.savedSinceCompact >= this.compactEvery) {
+            this.savedSinceCompact = 0
+            this.listHistory = this.compact(this.listHistory)
+            snapshot = [...this.listHistory]
+        }
+
+        // Escrituras encadenadas para conservar el orden en el archivo
+        this.writeChain = this.writeChain
+            .then(async () => {
+                if (snapshot) {
+                    this.rewrite(snapshot)
+                    return
+                }
+                await fsp.mkdir(path.dirname(this.filePath), { recursive: true })
+                await fsp.appendFile(this.filePath, line + '\n')
+            })
+            .catch(error => {
+                console.error('❌ Error al guardar en base de datos del bot:', error.message)
+            })
+
+        await this.writeChain
+    }
+}
+
+export default JsonFileDB
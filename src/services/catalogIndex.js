@@ -0,0 +1,139 @@
+import { normalizeText } from './flowMatcher.js'
+
+/**
+ * Índice de búsqueda local (BM25) sobre el catálogo de WooCommerce.
+ *
+ * En vez de inyectar todo el catálogo en cada prompt, se agregan solo los
+ * productos relevantes para el mensaje. El índice se reconstruye cada vez que
+ * WooCommerceService refresca el cache de productos.
+ */
+
+// Parámetros de BM25 (valores habituales)
+const K1 = 1.2
+const B = 0.75
+
+// Peso de cada campo (se repiten sus términos en el documento)
+const FIELD_WEIGHTS = { name: 3, sku: 3, categories: 2, description: 1 }
+
+const STOP_WORDS = new Set([
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'al', 'que', 'y', 'o', 'a',
+    'en', 'es', 'si', 'no', 'por', 'para', 'con', 'sin', 'me', 'mi', 'tu', 'su', 'se', 'lo', 'le',
+    'hola', 'tienen', 'tienes', 'tiene', 'hay', 'cuanto', 'cuesta', 'precio', 'vale', 'quiero',
+    'busco', 'necesito', 'comprar', 'disponible', 'stock', 'algun', 'alguna', 'como', 'cual'
+])
+
+/**
+ * Raíz simple para español: plurales ("zapatillas" → "zapatilla", "colores" → "color")
+ */
+function stem(word) {
+    if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2)
+    if (word.length > 3 && word.endsWith('s')) return word.slice(0, -1)
+    return word
+}
+
+/**
+ * Términos de búsqueda de un texto (sin tildes, signos ni palabras comunes)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+    return normalizeText(text)
+        .split(' ')
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(stem)
+        .filter(word => !STOP_WORDS.has(word))  // "precios" → "precio"
+}
+
+/**
+ * Términos de un producto, repetidos según el peso de cada campo
+ */
+function productTerms(product) {
+    const fields = {
+        name: product.name,
+        sku: product.sku,
+        categories: (product.categories || []).join(' '),
+        description: product.description
+    }
+
+    return Object.entries(FIELD_WEIGHTS).flatMap(([field, weight]) => {
+        const terms = tokenize(fields[field])
+        return Array.from({ length: weight }, () => terms).flat()
+    })
+}
+
+/**
+ * @class CatalogIndex
+ * Índice invertido de productos con ranking BM25.
+ */
+class CatalogIndex {
+    constructor() {
+        this.products = []
+        this.postings = new Map()  // término → Map(posición del producto → frecuencia)
+        this.lengths = []
+        this.avgLength = 0
+        this.builtAt = null
+    }
+
+    /**
+     * Reconstruye el índice con los productos actuales
+     * @param {Array<object>} products - Productos formateados (ver WooCommerceService.formatProduct)
+     */
+    build(products = []) {
+        this.products = products
+        this.postings = new Map()
+        this.lengths = []
+
+        products.forEach((product, docId) => {
+            const terms = productTerms(product)
+            this.lengths.push(terms.length)
+
+            for (const term of terms) {
+                if (!this.postings.has(term)) this.postings.set(term, new Map())
+                const posting = this.postings.get(term)
+                posting.set(docId, (posting.get(docId) || 0) + 1)
+            }
+        })
+
+        const total = this.lengths.reduce((sum, length) => sum + length, 0)
+        this.avgLength = products.length > 0 ? total / products.length : 0
+        this.builtAt = new Date()
+        console.log(`🔎 Índice del catálogo reconstruido: ${products.length} productos, ${this.postings.size} términos`)
+    }
+
+    get size() {
+        return this.products.length
+    }
+
+    /**
+     * Productos más relevantes para una consulta
+     * @param {string} query - Mensaje del cliente
+     * @param {number} limit - Máximo de productos
+     * @returns {Array<{product: object, score: number}>} Ordenados por relevancia (vacío si nada coincide)
+     */
+    search(query, limit = 5) {
+        const terms = [...new Set(tokenize(query))]
+        if (terms.length === 0 || this.products.length === 0) return []
+
+        const total = this.products.length
+        const scores = new Map()
+
+        for (const term of terms) {
+            const posting = this.postings.get(term)
+            if (!posting) continue
+
+            const idf = Math.log(1 + (total - posting.size + 0.5) / (posting.size + 0.5))
+            for (const [docId, frequency] of posting) {
+                const norm = K1 * (1 - B + B * this.lengths[docId] / this.avgLength)
+                const score = idf * frequency * (K1 + 1) / (frequency + norm)
+                scores.set(docId, (scores.get(docId) || 0) + score)
+            }
+        }
+
+        return [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([docId, score]) => ({ product: this.products[docId], score }))
+    }
+}
+
+export { CatalogIndex }
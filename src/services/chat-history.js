@@ -1,52 +1,41 @@
-import fs from 'fs/promises'
 import path from 'path'
+import HistoryStore from './historyStore.js'
+import { lazySingleton } from './lazySingleton.js'
 
 /**
  * @class ChatHistoryService
  * Gestiona el historial de conversaciones del bot.
- * Almacena mensajes en archivos JSON por contacto
- * y proporciona contexto para la IA.
+ * Delega el almacenamiento en HistoryStore (archivo indexado
+ * con búsqueda) y proporciona contexto para la IA.
  */
 class ChatHistoryService {
-    constructor() {
-        this.historyDir = path.join(process.cwd(), 'chat_history')
-        this.maxMessages = 100        // Máximo de mensajes por contacto
+    /**
+     * @param {object} options - { historyDir } (por defecto chat_history/)
+     */
+    constructor(options = {}) {
+        this.historyDir = options.historyDir || path.join(process.cwd(), 'chat_history')
+        this.maxMessages = 100        // Mensajes guardados por contacto (se descartan los más antiguos)
         this.retentionDays = 30       // Días antes de limpieza automática
         this.contextMessages = 10     // Mensajes para contexto IA
 
-        this.ensureHistoryDir()
-    }
-
-    /**
-     * Asegura que el directorio de historial existe
-     */
-    async ensureHistoryDir() {
-        try {
-            await fs.access(this.historyDir)
-        } catch {
-            await fs.mkdir(this.historyDir, { recursive: true })
-            console.log('📁 Directorio de historial creado:', this.historyDir)
-        }
+        this.store = new HistoryStore({ dir: this.historyDir, maxMessagesPerContact: this.maxMessages })
     }
 
     /**
-     * Obtiene la ruta del archivo de historial para un contacto
+     * Carga el almacén (e importa los historiales antiguos si los hay)
      */
-    getHistoryFilePath(phoneNumber) {
-        const cleanNumber = phoneNumber.replace(/[^0-9]/g, '')
-        return path.join(this.historyDir, `${cleanNumber}.json`)
+    async init() {
+        await this.store.init()
     }
 
     /**
      * Carga el historial de un contacto
      */
     async loadHistory(phoneNumber) {
-        const filePath = this.getHistoryFilePath(phoneNumber)
+        const contact = await this.store.getContact(phoneNumber)
+        const messages = await this.store.getMessages(phoneNumber, this.maxMessages)
 
-        try {
-            const data = await fs.readFile(filePath, 'utf8')
-            return JSON.parse(data)
-        } catch {
+        if (!contact) {
             // Si no existe, crear estructura inicial
             return {
                 phoneNumber,
@@ -61,23 +50,28 @@ class ChatHistoryService {
                 }
             }
         }
+
+        return {
+            phoneNumber,
+            name: contact.name,
+            firstContact: contact.firstContact,
+            lastActivity: contact.lastActivity,
+            messages: messages.map(({ timestamp, role, content }) => ({ timestamp, role, content })),
+            context: contact.context
+        }
     }
 
     /**
-     * Guarda el historial de un contacto
+     * Guarda los datos del contacto (nombre, contexto).
+     * Los mensajes se agregan con saveMessage().
      */
     async saveHistory(phoneNumber, history) {
-        const filePath = this.getHistoryFilePath(phoneNumber)
-
-        history.lastActivity = new Date().toISOString()
-
-        // Limitar mensajes almacenados
-        if (history.messages.length > this.maxMessages) {
-            history.messages = history.messages.slice(-this.maxMessages)
-        }
-
         try {
-            await fs.writeFile(filePath, JSON.stringify(history, null, 2))
+            await this.store.saveContact(phoneNumber, {
+                name: history.name,
+                firstContact: history.firstContact,
+                context: history.context
+            })
         } catch (error) {
             console.error('❌ Error al guardar historial:', error.message)
         }
@@ -91,28 +85,25 @@ class ChatHistoryService {
      * @param {string} name - Nombre del contacto (opcional)
      */
     async saveMessage(phoneNumber, role, content, name = null) {
-        const history = await this.loadHistory(phoneNumber)
-
-        if (name && !history.name) {
-            history.name = name
-        }
-
-        const message = {
+        await this.store.append(phoneNumber, [{
             timestamp: new Date().toISOString(),
             role,
             content: content.trim()
-        }
+        }])
 
-        history.messages.push(message)
-        await this.saveHistory(phoneNumber, history)
+        if (name) {
+            const contact = await this.store.getContact(phoneNumber)
+            if (!contact.name) {
+                await this.store.saveContact(phoneNumber, { name })
+            }
+        }
     }
 
     /**
      * Obtiene el contexto relevante para la IA (últimos N mensajes)
      */
     async getContextForAI(phoneNumber) {
-        const history = await this.loadHistory(phoneNumber)
-        const recentMessages = history.messages.slice(-this.contextMessages)
+        const recentMessages = await this.store.getMessages(phoneNumber, this.contextMessages)
 
         return recentMessages.map(msg => ({
             role: msg.role,
@@ -120,6 +111,52 @@ class ChatHistoryService {
         }))
     }
 
+    /**
+     * Resumen de la conversación que ya salió de la ventana de contexto (null si no hay)
+     * Lo mantiene AIService.updateSummary en context.summary del contacto
+     */
+    async getSummary(phoneNumber) {
+        const contact = await this.store.getContact(phoneNumber)
+        return contact?.context?.summary?.text || null
+    }
+
+    /**
+     * Mensajes fuera de la ventana de contexto que todavía no están en el resumen
+     * @returns {Promise<Array<{id, timestamp, role, content}>>} De más antiguo a más reciente
+     */
+    async getUnsummarizedMessages(phoneNumber) {
+        const contact = await this.store.getContact(phoneNumber)
+        if (!contact) return []
+
+        const untilId = contact.context?.summary?.untilId ?? -1
+        const messages = await this.store.getMessages(phoneNumber)
+        return messages
+            .slice(0, Math.max(0, messages.length - this.contextMessages))
+            .filter(message => message.id > untilId)
+    }
+
+    /**
+     * Guarda el resumen de la conversación
+     * @param {string} phoneNumber - Número de teléfono
+     * @param {string} text - Resumen (reemplaza al anterior, que ya viene incluido)
+     * @param {object} lastMessage - Último mensaje resumido (ver getUnsummarizedMessages)
+     */
+    async saveSummary(phoneNumber, text, lastMessage) {
+        try {
+            const contact = await this.store.getContact(phoneNumber)
+            const context = { preferences: [], topics: [], ...(contact?.context || {}) }
+            context.summary = {
+                text,
+                untilId: lastMessage.id,
+                until: lastMessage.timestamp,
+                updatedAt: new Date().toISOString()
+            }
+            await this.store.saveContact(phoneNumber, { context })
+        } catch (error) {
+            console.error('❌ Error al guardar resumen:', error.message)
+        }
+    }
+
     /**
      * Obtiene el historial completo de un contacto
      */
@@ -131,44 +168,47 @@ class ChatHistoryService {
      * Obtiene un resumen del historial de un contacto
      */
     async getHistorySummary(phoneNumber) {
-        const history = await this.loadHistory(phoneNumber)
+        const contact = await this.store.getContact(phoneNumber)
 
         return {
             phoneNumber,
-            name: history.name,
-            firstContact: history.firstContact,
-            lastActivity: history.lastActivity,
-            totalMessages: history.messages.length,
-            hasHistory: history.messages.length > 0
+            name: contact?.name || null,
+            firstContact: contact?.firstContact || null,
+            lastActivity: contact?.lastActivity || null,
+            totalMessages: contact?.totalMessages || 0,
+            hasHistory: Boolean(contact?.totalMessages),
+            summary: contact?.context?.summary?.text || null
         }
     }
 
     /**
-     * Limpia historiales antiguos (más de retentionDays)
-     * @returns {number} Número de archivos eliminados
+     * Busca mensajes en el historial
+     * @param {object} params - { text, phone, role, from, to, page, pageSize } (ver HistoryStore.search)
+     */
+    async search(params) {
+        try {
+            return await this.store.search(params)
+        } catch (error) {
+            console.error('❌ Error al buscar en historial:', error.message)
+            return { total: 0, page: 1, pageSize: 0, pages: 0, results: [] }
+        }
+    }
+
+    /**
+     * Limpia mensajes antiguos (más de retentionDays)
+     * @returns {number} Número de contactos eliminados (sin mensajes recientes)
      */
     async cleanOldHistories() {
         try {
-            const files = await fs.readdir(this.historyDir)
             const cutoffDate = new Date()
             cutoffDate.setDate(cutoffDate.getDate() - this.retentionDays)
 
-            let deletedCount = 0
-
-            for (const file of files) {
-                if (!file.endsWith('.json')) continue
-
-                const filePath = path.join(this.historyDir, file)
-                const stats = await fs.stat(filePath)
-
-                if (stats.mtime < cutoffDate) {
-                    await fs.unlink(filePath)
-                    deletedCount++
-                    console.log(`🗑️ Historial eliminado: ${file}`)
-                }
+            const removed = await this.store.removeOlderThan(cutoffDate)
+            if (removed.messages > 0) {
+                console.log(`🗑️ Mensajes antiguos eliminados: ${removed.messages}`)
             }
 
-            return deletedCount
+            return removed.contacts
         } catch (error) {
             console.error('❌ Error al limpiar historiales:', error.message)
             return 0
@@ -180,36 +220,16 @@ class ChatHistoryService {
      */
     async getStats() {
         try {
-            const files = await fs.readdir(this.historyDir)
-            const jsonFiles = files.filter(f => f.endsWith('.json'))
-
-            let totalMessages = 0
-            let activeContacts = 0
-            const last24h = new Date(Date.now() - 24 * 60 * 60 * 1000)
-
-            for (const file of jsonFiles) {
-                try {
-                    const filePath = path.join(this.historyDir, file)
-                    const data = await fs.readFile(filePath, 'utf8')
-                    const history = JSON.parse(data)
-
-                    totalMessages += history.messages.length
-
-                    if (new Date(history.lastActivity) > last24h) {
-                        activeContacts++
-                    }
-                } catch {
-                    continue
-                }
-            }
+            const stats = await this.store.getStats()
 
             return {
-                totalContacts: jsonFiles.length,
-                activeContacts,
-                totalMessages,
-                averageMessagesPerContact: jsonFiles.length > 0
-                    ? Math.round(totalMessages / jsonFiles.length)
-                    : 0
+                totalContacts: stats.totalContacts,
+                activeContacts: stats.activeContacts,
+                totalMessages: stats.totalMessages,
+                averageMessagesPerContact: stats.totalContacts > 0
+                    ? Math.round(stats.totalMessages / stats.totalContacts)
+                    : 0,
+                indexedTerms: stats.indexedTerms
             }
         } catch (error) {
             console.error('❌ Error al obtener estadísticas:', error.message)
@@ -227,15 +247,17 @@ class ChatHistoryService {
      */
     async deleteHistory(phoneNumber) {
         try {
-            const filePath = this.getHistoryFilePath(phoneNumber)
-            await fs.unlink(filePath)
-            console.log(`🗑️ Historial eliminado para: ${phoneNumber}`)
-            return true
+            const deleted = await this.store.deletePhone(phoneNumber)
+            if (deleted) {
+                console.log(`🗑️ Historial eliminado para: ${phoneNumber}`)
+            }
+            return deleted
         } catch {
             return false
         }
     }
 }
 
-const chatHistoryService = new ChatHistoryService()
+const chatHistoryService = lazySingleton(() => new ChatHistoryService())
+export { ChatHistoryService }
 export default chatHistoryService
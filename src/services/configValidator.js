@@ -0,0 +1,589 @@
+import googleService from './googleService.js'
+import scheduledMessagesService from './scheduled-messages.js'
+import { SHEET_SCHEMAS, normalizeHeader } from './sheetSchemas.js'
+import { columnLetter } from './storage/a1.js'
+import { parseMatchMode, splitKeywords, rankMatches, isTie, DEFAULT_MATCH_MODE } from './flowMatcher.js'
+import templateService, { TEMPLATE_VARIABLES, TEMPLATE_SECTIONS, parseDayName, parseTimeOfDay } from './templateService.js'
+import { parseMediaSpec } from './mediaMessageService.js'
+import { compileSchedule, hasSchedule } from './flowSchedule.js'
+import { validateProviderConfig } from './llm/index.js'
+import { lazySingleton } from './lazySingleton.js'
+
+const VENTA_STATUSES = ['nueva_orden', 'pending', 'processing', 'on-hold', 'completed', 'cancelled', 'refunded', 'failed']
+
+/**
+ * Número de WhatsApp plausible (solo dígitos, con código de país)
+ */
+function isValidPhone(value) {
+    return /^\d{8,15}$/.test(String(value || '').replace(/[\s+\-()]/g, ''))
+}
+
+/**
+ * Número decimal escrito completo (parseFloat acepta "2,5" como 2)
+ */
+function parseStrictNumber(value) {
+    const text = String(value).trim()
+    return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN
+}
+
+/**
+ * Lee una hoja "Clave | Valor" como Map clave → { value, row }
+ */
+function toKeyValue(rows) {
+    const entries = new Map()
+    rows.slice(1).forEach((row, i) => {
+        if (row[0]) entries.set(row[0], { value: String(row[1] ?? '').trim(), row: i + 2 })
+    })
+    return entries
+}
+
+/**
+ * @class ConfigValidator
+ * Revisa todas las hojas contra su esquema (sheetSchemas.js) y las reglas que
+ * aplican los servicios al leerlas, y devuelve errores y advertencias por fila.
+ *   - error:       la fila se ignora o el servicio no puede funcionar
+ *   - advertencia: se usa un valor por defecto o el resultado puede no ser el esperado
+ */
+class ConfigValidator {
+    /**
+     * @param {object} options - { googleService, scheduledMessagesService, templateService }
+     */
+    constructor(options = {}) {
+        this.googleService = options.googleService || googleService
+        this.scheduledMessagesService = options.scheduledMessagesService || scheduledMessagesService
+        this.templateService = options.templateService || templateService
+    }
+
+    /**
+     * Valida todas las hojas
+     * @returns {Promise<{valid: boolean, checkedAt: string, errors: number, warnings: number, issues: Array}>}
+     */
+    async validate() {
+        const issues = []
+        const report = (level, sheet, row, column, message) => {
+            issues.push({ level, sheet, row, column, message })
+        }
+        const error = (...args) => report('error', ...args)
+        const warning = (...args) => report('warning', ...args)
+
+        try {
+            const storage = this.googleService.storage
+            const existing = new Set((await storage.listSheets()).map(s => s.title))
+
+            const present = SHEET_SCHEMAS.filter(schema => existing.has(schema.name))
+            for (const schema of SHEET_SCHEMAS) {
+                if (!existing.has(schema.name)) {
+                    error(schema.name, null, null, 'La hoja no existe (se crea al reiniciar el bot)')
+                }
+            }
+
+            const values = await storage.batchGetValues(present.map(schema => schema.name))
+            const sheets = new Map(present.map((schema, i) => [schema.name, values[i]]))
+
+            for (const schema of present) {
+                this.checkHeaders(schema, sheets.get(schema.name), warning)
+            }
+
+            const rules = {
+                Flujos: rows => this.checkFlows(rows, error, warning),
+                IA_Prompts: rows => this.checkPrompts(rows, error, warning),
+                BlackList: rows => this.checkBlacklist(rows, error, warning),
+                Envios: rows => this.checkScheduled(rows, error),
+                Mensajes_Ventas: rows => this.checkSalesMessages(rows, warning),
+                Horario: rows => this.checkBusinessHours(rows, error),
+                Handoff_Config: rows => this.checkHandoffConfig(rows, error, warning),
+                Encuesta_Config: rows => this.checkSurveyConfig(rows, sheets.get('Encuesta_Preguntas'), error, warning)
+            }
+
+            for (const [name, check] of Object.entries(rules)) {
+                if (sheets.has(name)) check(sheets.get(name))
+            }
+        } catch (validationError) {
+            console.error('❌ Error al validar configuración:', validationError.message)
+            error(null, null, null, `No se pudo leer la configuración: ${validationError.message}`)
+        }
+
+        const errors = issues.filter(i => i.level === 'error').length
+        return {
+            valid: errors === 0,
+            checkedAt: new Date().toISOString(),
+            errors,
+            warnings: issues.length - errors,
+            issues
+        }
+    }
+
+    /**
+     * Encabezados esperados por el esquema
+     */
+    checkHeaders(schema, rows, warning) {
+        if (!schema.headers) return
+
+        const headerRow = rows[0] || []
+        const present = new Set(headerRow.map(normalizeHeader))
+
+        schema.headers.forEach((header, position) => {
+            if (!header || present.has(normalizeHeader(header))) return
+            warning(schema.name, 1, columnLetter(position),
+                `Falta la columna "${header}" (se lee por posición o se agrega al reiniciar)`)
+        })
+    }
+
+    checkFlows(rows, error, warning) {
+        const records = this.googleService.toRecords('Flujos', rows)
+        const seen = new Map()
+        const multiStep = new Map() // flujo → registros
+
+        for (const record of records) {
+            const keyword = String(record.addKeyword || '').trim()
+            const answer = String(record.addAnswer || '').trim()
+            const media = String(record.media || '').trim()
+            const flow = String(record.flujo || '').trim()
+            const instructions = String(record.instrucciones || '').trim()
+
+            if (flow) {
+                const key = normalizeHeader(flow)
+                if (!multiStep.has(key)) multiStep.set(key, [])
+                multiStep.get(key).push(record)
+                this.checkMedia(record, error)
+                if (!keyword) continue
+            }
+
+            this.checkTemplateSections(record, warning)
+
+            if (!keyword) {
+                if (answer || media) {
+                    warning('Flujos', record._row, 'addKeyword', 'Fila sin addKeyword: el flujo se ignora')
+                }
+                continue
+            }
+
+            if (instructions && flow) {
+                warning('Flujos', record._row, 'instrucciones', 'Los flujos de varios pasos no usan instrucciones: se ignoran')
+            } else if (instructions && (answer || media)) {
+                warning('Flujos', record._row, 'addAnswer',
+                    `"${keyword}" tiene instrucciones: responde la IA y addAnswer/media no se envían`)
+            } else if (!answer && !flow && !instructions) {
+                warning('Flujos', record._row, 'addAnswer', media
+                    ? `"${keyword}" no tiene addAnswer: se deriva a la IA y la media no se envía`
+                    : `"${keyword}" no tiene respuesta: se deriva a la IA`)
+            }
+            if (!flow) this.checkMedia(record, error)
+            this.checkSchedule(record, error, warning)
+
+            const priority = String(record.prioridad || '').trim()
+            if (priority && !/^-?\d+$/.test(priority)) {
+                warning('Flujos', record._row, 'prioridad', `Prioridad "${priority}" no es un número entero: se usa 0`)
+            }
+
+            const matchMode = parseMatchMode(record.coincidencia)
+            if (!matchMode) {
+                warning('Flujos', record._row, 'coincidencia',
+                    `Modo "${record.coincidencia}" desconocido: se usa "${DEFAULT_MATCH_MODE}"`)
+            }
+
+            if (matchMode?.mode === 'regex') {
+                try {
+                    new RegExp(keyword, 'iu')
+                } catch (regexError) {
+                    error('Flujos', record._row, 'addKeyword', `Regex inválida: ${regexError.message}`)
+                }
+                continue
+            }
+
+            if (splitKeywords(keyword).length === 0) {
+                error('Flujos', record._row, 'addKeyword', `"${keyword}" no tiene letras ni números: nunca coincide`)
+            }
+
+            for (const alternative of splitKeywords(keyword)) {
+                if (seen.has(alternative)) {
+                    warning('Flujos', record._row, 'addKeyword',
+                        `"${alternative}" repetido (fila ${seen.get(alternative)}): responde la de mayor prioridad o la primera`)
+                } else {
+                    seen.set(alternative, record._row)
+                }
+            }
+        }
+
+        this.checkFlowConflicts(records, warning)
+
+        for (const flowRecords of multiStep.values()) {
+            this.checkMultiStepFlow(flowRecords, error, warning)
+        }
+    }
+
+    /**
+     * Líneas de la columna media (ver parseMediaSpec)
+     */
+    checkMedia(record, error) {
+        const { errors } = parseMediaSpec(record.media)
+        for (const mediaError of errors) {
+            error('Flujos', record._row, 'media', `Línea ${mediaError.line}: ${mediaError.message} (se omite)`)
+        }
+    }
+
+    /**
+     * Columnas desde/hasta/dias/horas (ver flowSchedule.js)
+     */
+    checkSchedule(record, error, warning) {
+        if (!hasSchedule(record)) return
+
+        const schedule = compileSchedule(record)
+        for (const scheduleError of schedule.errors) {
+            error('Flujos', record._row, scheduleError.column, `${scheduleError.message}: el flujo no se activa`)
+        }
+
+        if (schedule.errors.length === 0 && schedule.end !== null && schedule.end <= this.templateService.getNow().localStamp) {
+            warning('Flujos', record._row, 'hasta', `El flujo venció el ${record.hasta}: ya no se activa (puedes borrar la fila)`)
+        }
+    }
+
+    /**
+     * Secciones {abierto}...{/abierto} / {cerrado}...{/cerrado} sin cerrar
+     */
+    checkTemplateSections(record, warning) {
+        for (const column of ['addAnswer', 'instrucciones']) {
+            const text = String(record[column] || '')
+
+            for (const section of TEMPLATE_SECTIONS) {
+                const opened = text.split(`{${section}}`).length - 1
+                const closed = text.split(`{/${section}}`).length - 1
+                if (opened !== closed) {
+                    warning('Flujos', record._row, column,
+                        `Sección {${section}} sin su cierre {/${section}}: se envía tal cual`)
+                }
+            }
+        }
+    }
+
+    /**
+     * Filas que empatan (misma prioridad y especificidad) para una misma keyword:
+     * la que responde depende solo del orden de la hoja
+     */
+    checkFlowConflicts(records, warning) {
+        const triggers = records.filter(record => String(record.addKeyword || '').trim())
+        const reported = new Set()
+
+        for (const record of triggers) {
+            if (parseMatchMode(record.coincidencia)?.mode === 'regex') continue
+
+            for (const sample of splitKeywords(record.addKeyword)) {
+                const matches = rankMatches(triggers, sample)
+                if (!isTie(matches)) continue
+
+                const tied = matches.filter(m => m.priority === matches[0].priority && m.length === matches[0].length)
+                // Keywords repetidas ya se reportan como tales
+                if (tied.every(m => splitKeywords(m.flow.addKeyword).includes(sample))) continue
+
+                const rowsInvolved = tied.map(m => m.flow._row)
+                const key = rowsInvolved.join(',')
+                if (reported.has(key)) continue
+                reported.add(key)
+
+                warning('Flujos', rowsInvolved[1], 'prioridad',
+                    `"${sample}" activa las filas ${rowsInvolved.join(', ')} con la misma prioridad: ` +
+                    `responde la fila ${rowsInvolved[0]} por orden (define 'prioridad' para decidir)`)
+            }
+        }
+    }
+
+    /**
+     * Pasos de un flujo de varios pasos (mismas reglas que FlowSessionService)
+     */
+    checkMultiStepFlow(records, error, warning) {
+        const name = String(records[0].flujo).trim()
+        const steps = new Map()
+        const captures = new Set()
+
+        records.forEach(record => {
+            const id = String(record.paso || '').trim() || String(steps.size + 1)
+            if (steps.has(id)) {
+                error('Flujos', record._row, 'paso',
+                    `Paso "${id}" de "${name}" repetido (fila ${steps.get(id)._row}): la fila se ignora`)
+                return
+            }
+            steps.set(id, record)
+            if (String(record.captura || '').trim()) captures.add(String(record.captura).trim())
+        })
+
+        if (!records.some(record => String(record.addKeyword || '').trim())) {
+            warning('Flujos', records[0]._row, 'addKeyword', `El flujo "${name}" no tiene addKeyword: nunca se inicia`)
+        }
+
+        for (const [id, record] of steps.entries()) {
+            const answer = String(record.addAnswer || '').trim()
+            const options = String(record.opciones || '').split('|').map(o => o.trim()).filter(Boolean)
+            const next = String(record.siguiente || '').trim()
+
+            if (!answer && !String(record.media || '').trim()) {
+                warning('Flujos', record._row, 'addAnswer', `Paso "${id}" de "${name}" sin mensaje`)
+            }
+
+            for (const [, variable] of answer.matchAll(/\{(\w+)\}/g)) {
+                if (TEMPLATE_VARIABLES.includes(variable) || TEMPLATE_SECTIONS.includes(variable)) continue
+                if (!captures.has(variable)) {
+                    warning('Flujos', record._row, 'addAnswer',
+                        `{${variable}} no se captura en ningún paso de "${name}": se envía tal cual`)
+                }
+            }
+
+            if (!next) continue
+
+            const branches = next.includes('=')
+                ? next.split('|').map(part => part.split('=').map(s => s.trim()))
+                : [['*', next]]
+
+            for (const [answerValue, target] of branches) {
+                if (!answerValue || !target) {
+                    error('Flujos', record._row, 'siguiente', `Formato inválido en "${next}" (usa Respuesta=paso|*=paso)`)
+                    continue
+                }
+                if (normalizeHeader(target) !== 'fin' && !steps.has(target)) {
+                    error('Flujos', record._row, 'siguiente', `El paso "${target}" no existe en "${name}"`)
+                }
+                if (answerValue !== '*' && options.length > 0 &&
+                    !options.some(option => normalizeHeader(option) === normalizeHeader(answerValue))) {
+                    warning('Flujos', record._row, 'siguiente', `"${answerValue}" no está entre las opciones del paso`)
+                }
+            }
+        }
+    }
+
+    checkPrompts(rows, error, warning) {
+        let systemCount = 0
+        let configRow = null
+
+        rows.slice(1).forEach((row, i) => {
+            const rowNumber = i + 2
+            // Igual que getPrompts/loadSettings: el rol se compara tal cual
+            const role = row[0] || 'system'
+            const content = String(row[1] || '').trim()
+            if (!content && !row[3] && !row[4]) return
+
+            if (role === 'config') {
+                if (configRow) {
+                    warning('IA_Prompts', rowNumber, 'B', `Fila config repetida (se usa la fila ${configRow})`)
+                    return
+                }
+                configRow = rowNumber
+
+                let config
+                try {
+                    config = JSON.parse(content)
+                } catch (parseError) {
+                    error('IA_Prompts', rowNumber, 'B', `La fila config no es JSON válido: ${parseError.message}`)
+                    return
+                }
+                if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                    error('IA_Prompts', rowNumber, 'B', 'La fila config debe ser un objeto JSON ({ ... })')
+                    return
+                }
+                if (config.maxTokens !== undefined && !(Number.isInteger(config.maxTokens) && config.maxTokens > 0)) {
+                    error('IA_Prompts', rowNumber, 'B', 'config.maxTokens debe ser un entero positivo')
+                }
+                if (config.temperature !== undefined && !(typeof config.temperature === 'number' && config.temperature >= 0 && config.temperature <= 2)) {
+                    error('IA_Prompts', rowNumber, 'B', 'config.temperature debe ser un número entre 0 y 2')
+                }
+                if (config.quickReplies !== undefined && typeof config.quickReplies !== 'boolean') {
+                    warning('IA_Prompts', rowNumber, 'B', 'config.quickReplies debe ser true o false')
+                }
+                if (config.catalogResults !== undefined && !(Number.isInteger(config.catalogResults) && config.catalogResults > 0)) {
+                    error('IA_Prompts', rowNumber, 'B', 'config.catalogResults debe ser un entero positivo')
+                }
+                if (config.summaries !== undefined && typeof config.summaries !== 'boolean') {
+                    warning('IA_Prompts', rowNumber, 'B', 'config.summaries debe ser true o false')
+                }
+                if (config.tools !== undefined && typeof config.tools !== 'boolean') {
+                    warning('IA_Prompts', rowNumber, 'B', 'config.tools debe ser true o false')
+                }
+                this.checkProviderConfig(config, 'config', rowNumber, error, warning)
+                if (config.transcription !== undefined) {
+                    if (!config.transcription || typeof config.transcription !== 'object' || Array.isArray(config.transcription)) {
+                        error('IA_Prompts', rowNumber, 'B', 'config.transcription debe ser un objeto ({ "provider": ... })')
+                    } else {
+                        this.checkProviderConfig(config.transcription, 'config.transcription', rowNumber, error, warning)
+                    }
+                }
+                return
+            }
+
+            if (role !== 'system') {
+                warning('IA_Prompts', rowNumber, 'A', `Rol desconocido "${row[0]}": la fila se ignora`)
+                return
+            }
+
+            if (!content) {
+                warning('IA_Prompts', rowNumber, 'B', 'Prompt de sistema vacío: la fila se ignora')
+                return
+            }
+            systemCount++
+
+            if (row[3] && !(parseStrictNumber(row[3]) >= 0)) {
+                error('IA_Prompts', rowNumber, 'D', `Buffer inválido "${row[3]}": usa segundos con punto decimal (ej: 2.5)`)
+            }
+            if (row[4]) {
+                const temperature = parseStrictNumber(row[4])
+                if (!(temperature >= 0 && temperature <= 2)) {
+                    error('IA_Prompts', rowNumber, 'E', `Temperature inválida "${row[4]}": debe estar entre 0 y 2 (punto decimal)`)
+                }
+            }
+        })
+
+        if (systemCount === 0) {
+            warning('IA_Prompts', null, null, 'No hay prompts de sistema: se usa el prompt por defecto')
+        }
+    }
+
+    /**
+     * Proveedor de IA y cadena de fallback (ver llm/index.js)
+     */
+    checkProviderConfig(config, label, rowNumber, error, warning) {
+        const { errors, warnings } = validateProviderConfig(config)
+        errors.forEach(message => error('IA_Prompts', rowNumber, 'B', `${label}: ${message}`))
+        warnings.forEach(message => warning('IA_Prompts', rowNumber, 'B', `${label}: ${message}`))
+    }
+
+    checkBlacklist(rows, error, warning) {
+        rows.slice(1).forEach((row, i) => {
+            const number = String(row[0] || '').replace(/\D/g, '')
+            if (!number) {
+                if (row[1] || row[2]) warning('BlackList', i + 2, 'A', 'Fila sin número: se ignora')
+                return
+            }
+            // isBlacklisted compara por "contiene": un número corto bloquearía a muchos
+            if (number.length < 8) {
+                error('BlackList', i + 2, 'A', `Número demasiado corto "${row[0]}": bloquearía a cualquier número que lo contenga`)
+            }
+        })
+    }
+
+    checkScheduled(rows, error) {
+        rows.slice(1).forEach((row, i) => {
+            const rowNumber = i + 2
+            const [number, message, media, time, status] = row
+            if (!number && !message && !time) return
+
+            const pending = !status || String(status).trim().toLowerCase() === 'pendiente'
+            if (!pending) return
+
+            if (!isValidPhone(number)) {
+                error('Envios', rowNumber, 'A', `Número inválido "${number || ''}": el mensaje no se enviará`)
+            }
+            if (!message) {
+                error('Envios', rowNumber, 'B', 'Mensaje vacío: la fila se ignora')
+            }
+            if (media && !/^https?:\/\//i.test(media)) {
+                error('Envios', rowNumber, 'C', `URL de media inválida: "${media}"`)
+            }
+            if (!this.scheduledMessagesService.parseDateTime(time)) {
+                error('Envios', rowNumber, 'D', `Hora inválida "${time || ''}": usa DD/MM/YYYY HH:mm`)
+            }
+        })
+    }
+
+    checkSalesMessages(rows, warning) {
+        rows.slice(1).forEach((row, i) => {
+            const status = String(row[0] || '').trim()
+            if (!status) return
+
+            if (!VENTA_STATUSES.includes(status)) {
+                warning('Mensajes_Ventas', i + 2, 'A', `Estado "${status}" no corresponde a un estado de WooCommerce`)
+            }
+            if (!String(row[1] || '').trim()) {
+                warning('Mensajes_Ventas', i + 2, 'B', `Sin mensaje para "${status}": no se notificará al cliente`)
+            }
+        })
+    }
+
+    checkBusinessHours(rows, error) {
+        this.googleService.toRecords('Horario', rows).forEach(record => {
+            const day = String(record.Dia || '').trim()
+            if (!day) return
+
+            if (parseDayName(day) === -1) {
+                error('Horario', record._row, 'Dia', `Día inválido: "${day}" (Lunes a Domingo): la fila se ignora`)
+            }
+
+            const open = parseTimeOfDay(record.Apertura)
+            const close = parseTimeOfDay(record.Cierre)
+            if (open === null) {
+                error('Horario', record._row, 'Apertura', `Hora inválida: "${record.Apertura}" (usa HH:MM): la fila se ignora`)
+            }
+            if (close === null) {
+                error('Horario', record._row, 'Cierre', `Hora inválida: "${record.Cierre}" (usa HH:MM): la fila se ignora`)
+            }
+            if (open !== null && close !== null && close <= open) {
+                error('Horario', record._row, 'Cierre', 'El cierre debe ser posterior a la apertura: la fila se ignora')
+            }
+        })
+    }
+
+    checkHandoffConfig(rows, error, warning) {
+        const config = toKeyValue(rows)
+
+        const admin = config.get('Admin_Whatsapp')
+        if (!admin || !admin.value) {
+            error('Handoff_Config', admin?.row || null, 'B', 'Admin_Whatsapp vacío: las solicitudes de atención no se notificarán')
+        } else if (!isValidPhone(admin.value)) {
+            error('Handoff_Config', admin.row, 'B', `Admin_Whatsapp inválido "${admin.value}"`)
+        }
+
+        const pause = config.get('Pausa_Minutos')
+        if (pause && !/^[1-9]\d*$/.test(pause.value)) {
+            error('Handoff_Config', pause.row, 'B', `Pausa_Minutos no es un entero positivo: "${pause.value}" (se usa 30)`)
+        }
+
+        const adminMessage = config.get('Mensaje_Admin')
+        if (adminMessage?.value && !adminMessage.value.includes('{phone}')) {
+            warning('Handoff_Config', adminMessage.row, 'B', 'Mensaje_Admin no incluye {phone}: el agente no sabrá a quién responder')
+        }
+    }
+
+    checkSurveyConfig(rows, questionRows, error, warning) {
+        const config = toKeyValue(rows)
+
+        const keyword = config.get('Palabra_Clave')
+        if (!keyword || !keyword.value) {
+            error('Encuesta_Config', keyword?.row || null, 'B', 'Palabra_Clave vacía: la encuesta no se puede iniciar')
+        }
+
+        const active = config.get('Activa')
+        const activeValue = String(active?.value || '').toLowerCase()
+        if (active && !['sí', 'si', 'no'].includes(activeValue)) {
+            warning('Encuesta_Config', active.row, 'B', `Activa debe ser "Sí" o "No" (se interpreta "${active.value}" como No)`)
+        }
+
+        const timeout = config.get('Expira_Minutos')
+        if (timeout && !/^[1-9]\d*$/.test(timeout.value)) {
+            error('Encuesta_Config', timeout.row, 'B', `Expira_Minutos no es un entero positivo: "${timeout.value}" (se usa 30)`)
+        }
+
+        const questions = ((questionRows || [])[0] || []).filter(q => q && q.trim())
+        if (['sí', 'si'].includes(activeValue) && questions.length === 0) {
+            warning('Encuesta_Preguntas', 1, null, 'La encuesta está activa pero no tiene preguntas')
+        }
+    }
+
+    /**
+     * Registra el resumen del reporte en consola
+     */
+    logReport(result) {
+        if (result.issues.length === 0) {
+            console.log('🩺 Configuración válida: sin errores ni advertencias')
+            return
+        }
+
+        console.log(`🩺 Configuración: ${result.errors} errores, ${result.warnings} advertencias`)
+        for (const issue of result.issues) {
+            const icon = issue.level === 'error' ? '❌' : '⚠️'
+            const location = [issue.sheet, issue.row ? `fila ${issue.row}` : null, issue.column]
+                .filter(Boolean)
+                .join(' / ')
+            console.log(`   ${icon} ${location}: ${issue.message}`)
+        }
+    }
+}
+
+const configValidator = lazySingleton(() => new ConfigValidator())
+export { ConfigValidator }
+export default configValidator
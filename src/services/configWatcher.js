@@ -0,0 +1,185 @@
+import crypto from 'crypto'
+import googleService from './googleService.js'
+import { getSheetSchema } from './sheetSchemas.js'
+import { lazySingleton } from './lazySingleton.js'
+
+/**
+ * Huella de los valores de una hoja
+ */
+function checksum(rows) {
+    return crypto.createHash('sha1').update(JSON.stringify(rows)).digest('hex')
+}
+
+/**
+ * @class ConfigWatcher
+ * Detecta cambios en las hojas de configuración y recarga solo el servicio afectado.
+ * En cada ciclo lee todas las hojas vigiladas en una sola llamada (batchGet),
+ * compara su checksum con el anterior y, si cambió, registra qué filas/claves
+ * cambiaron y ejecuta los handlers de esa hoja.
+ */
+class ConfigWatcher {
+    /**
+     * @param {object} options - { storage, googleService, intervalMs }
+     *                           (sin storage se usa el de googleService, al primer uso)
+     */
+    constructor(options = {}) {
+        this.googleService = options.googleService || googleService
+        this._storage = options.storage || null
+        this.intervalMs = options.intervalMs ||
+            (parseInt(process.env.CONFIG_POLL_SECONDS) || 30) * 1000
+
+        this.handlers = new Map()   // hoja → [handlers]
+        this.snapshots = new Map()  // hoja → { checksum, rows }
+        this.timer = null
+        this.checking = false
+        this.lastCheck = null
+        this.lastChange = null
+    }
+
+    get storage() {
+        return this._storage || this.googleService.storage
+    }
+
+    /**
+     * Registra un handler que se ejecuta cuando cambia una hoja
+     * @param {string} sheet - Nombre de la hoja
+     * @param {Function} handler - async (changes) => void
+     */
+    watch(sheet, handler) {
+        if (!this.handlers.has(sheet)) {
+            this.handlers.set(sheet, [])
+        }
+        this.handlers.get(sheet).push(handler)
+    }
+
+    /**
+     * Toma la foto inicial (sin recargar nada) e inicia el sondeo periódico
+     */
+    async start() {
+        if (this.timer) return
+
+        const sheets = [...this.handlers.keys()]
+        try {
+            const values = await this.storage.batchGetValues(sheets)
+            sheets.forEach((sheet, i) => {
+                this.snapshots.set(sheet, { checksum: checksum(values[i]), rows: values[i] })
+            })
+        } catch (error) {
+            console.error('❌ Error al leer configuración inicial:', error.message)
+        }
+
+        this.timer = setInterval(() => this.check(), this.intervalMs)
+        console.log(`👀 Vigilando cambios en ${sheets.length} hojas cada ${this.intervalMs / 1000}s`)
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer)
+            this.timer = null
+        }
+    }
+
+    /**
+     * Compara las hojas vigiladas con la última foto y recarga las que cambiaron
+     * @returns {Promise<Array<string>>} Hojas que cambiaron
+     */
+    async check() {
+        if (this.checking) return []
+        this.checking = true
+
+        try {
+            const sheets = [...this.handlers.keys()]
+            const values = await this.storage.batchGetValues(sheets)
+            this.lastCheck = Date.now()
+
+            const changed = []
+            const pending = new Set()
+
+            sheets.forEach((sheet, i) => {
+                const rows = values[i]
+                const sum = checksum(rows)
+                const previous = this.snapshots.get(sheet)
+                this.snapshots.set(sheet, { checksum: sum, rows })
+
+                // Primera lectura de la hoja: solo se guarda la foto
+                if (!previous || previous.checksum === sum) return
+
+                changed.push(sheet)
+                console.log(`🔄 Cambios en '${sheet}': ${this.describeChanges(sheet, previous.rows, rows)}`)
+                this.handlers.get(sheet).forEach(handler => pending.add(handler))
+            })
+
+            // Un mismo handler puede vigilar varias hojas: se ejecuta una sola vez
+            for (const handler of pending) {
+                try {
+                    await handler(changed)
+                } catch (error) {
+                    console.error('❌ Error al recargar configuración:', error.message)
+                }
+            }
+
+            if (changed.length > 0) {
+                this.lastChange = Date.now()
+            }
+            return changed
+        } catch (error) {
+            console.error('❌ Error al verificar cambios de configuración:', error.message)
+            return []
+        } finally {
+            this.checking = false
+        }
+    }
+
+    /**
+     * Resume qué cambió entre dos lecturas de una hoja
+     * (claves modificadas en hojas Clave | Valor, filas en el resto)
+     */
+    describeChanges(sheet, previousRows, rows) {
+        const schema = getSheetSchema(sheet)
+
+        if (schema?.keyValue) {
+            const before = new Map(previousRows.slice(1).map(r => [r[0], r[1] ?? '']))
+            const after = new Map(rows.slice(1).map(r => [r[0], r[1] ?? '']))
+            const keys = new Set([...before.keys(), ...after.keys()])
+            const changedKeys = [...keys].filter(key => key && before.get(key) !== after.get(key))
+            return changedKeys.length > 0 ? `claves ${changedKeys.join(', ')}` : 'formato'
+        }
+
+        const total = Math.max(previousRows.length, rows.length)
+        const changedRows = []
+        let added = 0
+        let removed = 0
+
+        for (let i = 0; i < total; i++) {
+            if (i >= previousRows.length) added++
+            else if (i >= rows.length) removed++
+            else if (JSON.stringify(previousRows[i]) !== JSON.stringify(rows[i])) changedRows.push(i + 1)
+        }
+
+        const parts = []
+        if (changedRows.length > 0) {
+            const listed = changedRows.slice(0, 5).join(', ')
+            parts.push(`filas modificadas ${listed}${changedRows.length > 5 ? '…' : ''}`)
+        }
+        if (added > 0) parts.push(`${added} filas nuevas`)
+        if (removed > 0) parts.push(`${removed} filas eliminadas`)
+
+        return parts.join(', ') || 'sin diferencias visibles'
+    }
+
+    /**
+     * Estado del vigilante
+     */
+    getStats() {
+        return {
+            sheets: [...this.handlers.keys()],
+            intervalSeconds: this.intervalMs / 1000,
+            lastCheck: this.lastCheck ? new Date(this.lastCheck).toISOString() : null,
+            lastChange: this.lastChange ? new Date(this.lastChange).toISOString() : null
+        }
+    }
+}
+
+const configWatcher = lazySingleton(() => new ConfigWatcher())
+export { ConfigWatcher }
+export default configWatcher
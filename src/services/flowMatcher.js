@@ -0,0 +1,238 @@
+/**
+ * Coincidencia de palabras clave de la hoja Flujos.
+ *
+ * La columna 'coincidencia' define cómo se compara addKeyword con el mensaje:
+ *   - contiene (por defecto, como antes de esta columna): la keyword aparece en
+ *               cualquier parte ("hola" también coincide con "holanda")
+ *   - palabra:  la keyword aparece como palabra(s) completa(s)
+ *   - exacto:   el mensaje completo es la keyword
+ *   - difuso:   como 'palabra', tolerando errores de tipeo ("difuso:2" fija el máximo por palabra)
+ *   - regex:    addKeyword es una expresión regular (sin distinguir mayúsculas)
+ *
+ * Salvo en 'regex', addKeyword admite alternativas separadas por | o coma
+ * ("envio|despacho|delivery") y la comparación ignora mayúsculas, tildes y signos.
+ *
+ * Si varias filas coinciden gana la de mayor 'prioridad' (por defecto 0); a igual
+ * prioridad, la coincidencia más específica (keyword más larga: "precio envio"
+ * antes que "precio") y, si aún empatan, la que está más arriba en la hoja.
+ */
+
+export const MATCH_MODES = ['contiene', 'palabra', 'exacto', 'difuso', 'regex']
+// Columna vacía: igual que antes de existir la columna (las filas existentes no cambian)
+export const DEFAULT_MATCH_MODE = 'contiene'
+
+// Reglas compiladas por fila (se descartan junto con el cache de flujos)
+const compiled = new WeakMap()
+
+/**
+ * Normaliza texto para comparar: sin tildes, mayúsculas ni signos, espacios simples
+ */
+export function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+}
+
+/**
+ * Interpreta la columna 'coincidencia'
+ * @param {string} value - Ej: 'palabra', 'difuso', 'difuso:2'
+ * @returns {{mode: string, tolerance: number|null}|null} null si el modo no existe
+ */
+export function parseMatchMode(value) {
+    const text = normalizeText(value)
+    if (!text) return { mode: DEFAULT_MATCH_MODE, tolerance: null }
+
+    const [mode, tolerance] = text.split(' ')
+    if (!MATCH_MODES.includes(mode)) return null
+    if (tolerance !== undefined && (mode !== 'difuso' || !/^\d$/.test(tolerance))) return null
+
+    return { mode, tolerance: tolerance !== undefined ? parseInt(tolerance) : null }
+}
+
+/**
+ * Separa las alternativas de addKeyword ("envio|despacho, delivery")
+ */
+export function splitKeywords(value) {
+    return String(value || '')
+        .split(/[|,]/)
+        .map(normalizeText)
+        .filter(Boolean)
+}
+
+/**
+ * Errores de tipeo permitidos según el largo de la palabra
+ */
+function autoTolerance(word) {
+    if (word.length <= 3) return 0
+    if (word.length <= 7) return 1
+    return 2
+}
+
+/**
+ * Distancia de edición entre dos palabras, contando como un solo error
+ * el intercambio de dos letras vecinas ("cuetsa") (se corta al superar `max`)
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1
+
+    let beforePrevious = null
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i]
+        let rowMin = i
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1)
+            }
+            rowMin = Math.min(rowMin, current[j])
+        }
+        if (rowMin > max) return max + 1
+        beforePrevious = previous
+        previous = current
+    }
+    return previous[b.length]
+}
+
+/**
+ * Prioridad de una fila (columna 'prioridad', entero; por defecto 0)
+ */
+export function parsePriority(value) {
+    const text = String(value ?? '').trim()
+    return /^-?\d+$/.test(text) ? parseInt(text) : 0
+}
+
+/**
+ * Busca la keyword (una o varias palabras) entre las palabras del mensaje con tolerancia
+ */
+function fuzzyIncludes(words, keyword, tolerance) {
+    const keywordWords = keyword.split(' ')
+
+    for (let start = 0; start + keywordWords.length <= words.length; start++) {
+        const matches = keywordWords.every((word, i) => {
+            // Palabras cortas siempre exactas, para no confundir "si" con "no"
+            const max = word.length <= 3 ? 0 : (tolerance ?? autoTolerance(word))
+            return editDistance(words[start + i], word, max) <= max
+        })
+        if (matches) return true
+    }
+    return false
+}
+
+/**
+ * Largo de la keyword más larga que cumple `test` (0 si ninguna)
+ */
+function longest(keywords, test) {
+    return keywords.reduce((best, keyword) => test(keyword) ? Math.max(best, keyword.length) : best, 0)
+}
+
+/**
+ * Compila la regla de una fila de Flujos
+ * @returns {{mode: string, match: Function}|null} null si la fila no se puede usar;
+ *          match(input) devuelve el largo de lo que coincidió (0 si no coincide)
+ */
+export function compileRule(flow) {
+    if (compiled.has(flow)) return compiled.get(flow)
+
+    let rule = null
+    const parsed = parseMatchMode(flow.coincidencia) || { mode: DEFAULT_MATCH_MODE, tolerance: null }
+
+    if (parsed.mode === 'regex') {
+        try {
+            const regex = new RegExp(String(flow.addKeyword).trim(), 'iu')
+            rule = {
+                mode: 'regex',
+                match: input => {
+                    const found = regex.exec(input)
+                    return found ? Math.max(found[0].length, 1) : 0
+                }
+            }
+        } catch (error) {
+            console.error(`⚠️ Regex inválida en flujo "${flow.addKeyword}":`, error.message)
+        }
+    } else {
+        const keywords = splitKeywords(flow.addKeyword)
+        if (keywords.length > 0) {
+            const matchers = {
+                exacto: (text) => longest(keywords, k => k === text),
+                contiene: (text) => longest(keywords, k => text.includes(k)),
+                palabra: (text) => longest(keywords, k => ` ${text} `.includes(` ${k} `)),
+                difuso: (text) => {
+                    const words = text.split(' ')
+                    return longest(keywords, k => fuzzyIncludes(words, k, parsed.tolerance))
+                }
+            }
+            const matcher = matchers[parsed.mode]
+            rule = { mode: parsed.mode, match: input => matcher(normalizeText(input)) }
+        }
+    }
+
+    compiled.set(flow, rule)
+    return rule
+}
+
+/**
+ * Verifica si un mensaje dispara una fila de Flujos
+ * @param {object} flow - Fila de getFlows()
+ * @param {string} input - Mensaje del usuario
+ * @returns {number} Largo de lo que coincidió (0 si no coincide)
+ */
+export function matchesFlow(flow, input) {
+    if (!flow.addKeyword) return 0
+    const rule = compileRule(flow)
+    return rule ? rule.match(input) : 0
+}
+
+/**
+ * Todas las filas de Flujos que coinciden con el mensaje, de la que gana a la que pierde
+ * @param {Array<object>} flows - Filas de getFlows()
+ * @param {string} input - Mensaje del usuario
+ * @returns {Array<{flow: object, priority: number, length: number, index: number}>}
+ */
+export function rankMatches(flows, input) {
+    const matches = []
+    flows.forEach((flow, index) => {
+        const length = matchesFlow(flow, input)
+        if (length > 0) {
+            matches.push({ flow, priority: parsePriority(flow.prioridad), length, index })
+        }
+    })
+
+    return matches.sort((a, b) =>
+        b.priority - a.priority || b.length - a.length || a.index - b.index
+    )
+}
+
+/**
+ * Verifica si las dos primeras coincidencias empatan (las decide el orden de la hoja)
+ */
+export function isTie(matches) {
+    return matches.length > 1 &&
+        matches[0].priority === matches[1].priority &&
+        matches[0].length === matches[1].length
+}
+
+/**
+ * Fila de Flujos que responde al mensaje (ver rankMatches)
+ * @param {Array<object>} flows - Filas de getFlows()
+ * @param {string} input - Mensaje del usuario
+ * @returns {object|undefined}
+ */
+export function findMatchingFlow(flows, input) {
+    const matches = rankMatches(flows, input)
+
+    if (matches.length > 1) {
+        const listed = matches.map(m => `"${m.flow.addKeyword}"`).join(', ')
+        if (isTie(matches)) {
+            console.log(`⚠️ Flujos en conflicto (${listed}): misma prioridad y especificidad, se usa "${matches[0].flow.addKeyword}" por estar más arriba en la hoja`)
+        } else {
+            console.log(`🔀 ${matches.length} flujos coinciden (${listed}): se usa "${matches[0].flow.addKeyword}"`)
+        }
+    }
+
+    return matches[0]?.flow
+}
@@ -0,0 +1,199 @@
+/**
+ * Activación por fecha y horario de las filas de la hoja Flujos.
+ *
+ * Columnas (todas opcionales; vacías = sin restricción):
+ *   - desde: fecha/hora de inicio ("2026-11-30", "30/11/2026 09:00")
+ *   - hasta: fecha/hora de término; una fecha sin hora incluye el día completo
+ *   - dias:  días de la semana ("lunes-viernes", "lun, mie, vie", "sabado|domingo")
+ *   - horas: tramos del día ("09:00-18:00", "09:00-13:00, 15:00-19:00");
+ *            un tramo que cruza la medianoche ("20:00-08:00") también vale
+ *
+ * Todo se evalúa en la zona horaria del negocio (TemplateService.getNow).
+ * 'dias' y 'horas' se comparan con el momento actual por separado: a la 01:00
+ * del sábado el día es sábado aunque el tramo "20:00-02:00" empezara el viernes.
+ * Una fila con un valor inválido no se activa hasta corregirlo (lo reporta el validador).
+ */
+
+import { DAYS, parseTimeOfDay } from './templateService.js'
+import { normalizeText } from './flowMatcher.js'
+
+export const SCHEDULE_COLUMNS = ['desde', 'hasta', 'dias', 'horas']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Activación compilada por fila (se descarta junto con el cache de flujos)
+const compiled = new WeakMap()
+
+/**
+ * Separa una lista o rango de la hoja ("a, b|c", "lunes-viernes", "lunes a viernes")
+ */
+function splitList(value) {
+    return String(value || '').split(/[,|;]/).map(item => item.trim()).filter(Boolean)
+}
+
+function splitRange(value) {
+    return value.split(/\s*-\s*|\s+a\s+/i).map(item => item.trim())
+}
+
+/**
+ * Día de la semana por nombre o abreviatura ("Miércoles", "mie", "sáb")
+ * @returns {number} -1 si no es un día válido
+ */
+function parseDay(value) {
+    const text = normalizeText(value)
+    if (text.length < 2) return -1
+
+    const matches = DAYS.filter(day => day.startsWith(text))
+    return matches.length === 1 ? DAYS.indexOf(matches[0]) : -1
+}
+
+/**
+ * Interpreta la columna 'dias'
+ * @returns {{days: Set<number>|null, error: string|null}}
+ */
+export function parseDays(value) {
+    const items = splitList(value)
+    if (items.length === 0) return { days: null, error: null }
+
+    const days = new Set()
+    for (const item of items) {
+        const [first, last, extra] = splitRange(item)
+        const start = parseDay(first)
+        const end = last === undefined ? start : parseDay(last)
+
+        if (start === -1 || end === -1 || extra !== undefined) {
+            return { days: null, error: `Días inválidos: "${item}" (usa lunes-viernes o lun, mie, vie)` }
+        }
+
+        // Los rangos pueden dar la vuelta a la semana ("viernes-lunes")
+        for (let day = start; ; day = (day + 1) % 7) {
+            days.add(day)
+            if (day === end) break
+        }
+    }
+
+    return { days, error: null }
+}
+
+/**
+ * Interpreta la columna 'horas'
+ * @returns {{ranges: Array<{start: number, end: number}>|null, error: string|null}}
+ */
+export function parseHours(value) {
+    const items = splitList(value)
+    if (items.length === 0) return { ranges: null, error: null }
+
+    const ranges = []
+    for (const item of items) {
+        const [first, last, extra] = splitRange(item)
+        const start = parseTimeOfDay(first)
+        const end = parseTimeOfDay(last)
+
+        if (start === null || end === null || extra !== undefined || start === end) {
+            return { ranges: null, error: `Horas inválidas: "${item}" (usa HH:MM-HH:MM)` }
+        }
+        ranges.push({ start, end })
+    }
+
+    return { ranges, error: null }
+}
+
+/**
+ * Interpreta una fecha de 'desde'/'hasta' ("2026-11-30", "2026-11-30 18:00", "30/11/2026 09:00")
+ * @param {string} value
+ * @param {boolean} endOfDay - Si no trae hora, incluir el día completo (para 'hasta')
+ * @returns {{stamp: number|null, error: string|null}} stamp: fecha local como si fuera UTC
+ */
+export function parseDateTime(value, endOfDay = false) {
+    const text = String(value || '').trim()
+    if (!text) return { stamp: null, error: null }
+
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::\d{2})?)?$/.exec(text) ||
+        /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::\d{2})?)?$/.exec(text)
+    if (!match) {
+        return { stamp: null, error: `Fecha inválida: "${text}" (usa AAAA-MM-DD HH:MM o DD/MM/AAAA HH:MM)` }
+    }
+
+    const [year, month, day] = text.includes('/')
+        ? [match[3], match[2], match[1]].map(n => parseInt(n))
+        : [match[1], match[2], match[3]].map(n => parseInt(n))
+    const hasTime = match[4] !== undefined
+    const hours = hasTime ? parseInt(match[4]) : 0
+    const minutes = hasTime ? parseInt(match[5]) : 0
+
+    const stamp = Date.UTC(year, month - 1, day, hours, minutes)
+    const date = new Date(stamp)
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hours > 23 || minutes > 59) {
+        return { stamp: null, error: `Fecha inválida: "${text}"` }
+    }
+
+    return { stamp: !hasTime && endOfDay ? stamp + DAY_MS : stamp, error: null }
+}
+
+/**
+ * Compila la activación de una fila de Flujos
+ * @returns {{start, end, days, ranges, errors: Array<{column: string, message: string}>}}
+ */
+export function compileSchedule(flow) {
+    if (compiled.has(flow)) return compiled.get(flow)
+
+    const errors = []
+    const collect = (column, result) => {
+        if (result.error) errors.push({ column, message: result.error })
+        return result
+    }
+
+    const schedule = {
+        start: collect('desde', parseDateTime(flow.desde)).stamp,
+        end: collect('hasta', parseDateTime(flow.hasta, true)).stamp,
+        days: collect('dias', parseDays(flow.dias)).days,
+        ranges: collect('horas', parseHours(flow.horas)).ranges,
+        errors
+    }
+
+    if (schedule.start !== null && schedule.end !== null && schedule.end <= schedule.start) {
+        errors.push({ column: 'hasta', message: `"hasta" (${flow.hasta}) debe ser posterior a "desde" (${flow.desde})` })
+    }
+
+    compiled.set(flow, schedule)
+    return schedule
+}
+
+/**
+ * Verifica si la fila tiene alguna restricción de activación
+ */
+export function hasSchedule(flow) {
+    return SCHEDULE_COLUMNS.some(column => String(flow[column] || '').trim())
+}
+
+/**
+ * Verifica si una fila de Flujos está activa en este momento
+ * @param {object} flow - Fila de getFlows()
+ * @param {object} now - TemplateService.getNow()
+ */
+export function isFlowActive(flow, now) {
+    if (!hasSchedule(flow)) return true
+
+    const schedule = compileSchedule(flow)
+    if (schedule.errors.length > 0) return false
+
+    if (schedule.start !== null && now.localStamp < schedule.start) return false
+    if (schedule.end !== null && now.localStamp >= schedule.end) return false
+    if (schedule.days && !schedule.days.has(now.weekday)) return false
+
+    if (schedule.ranges) {
+        return schedule.ranges.some(({ start, end }) => start < end
+            ? now.minutes >= start && now.minutes < end
+            : now.minutes >= start || now.minutes < end)
+    }
+    return true
+}
+
+/**
+ * Filas de Flujos activas en este momento
+ * @param {Array<object>} flows - Filas de getFlows()
+ * @param {object} now - TemplateService.getNow()
+ */
+export function filterActiveFlows(flows, now) {
+    return flows.filter(flow => isFlowActive(flow, now))
+}
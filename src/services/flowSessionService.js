@@ -0,0 +1,442 @@
+import googleService from './googleService.js'
+import { lazySingleton } from './lazySingleton.js'
+
+const END_STEP = 'fin'
+const MAX_STEPS_PER_TURN = 20  // Evita ciclos infinitos entre pasos sin respuesta
+
+/**
+ * Normaliza texto para comparar respuestas (sin tildes, mayúsculas ni espacios extra)
+ */
+function normalize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+}
+
+/**
+ * Separa una lista escrita en una celda ("Sí|No")
+ */
+function splitList(value) {
+    return String(value || '').split('|').map(item => item.trim()).filter(Boolean)
+}
+
+/**
+ * Interpreta la columna 'siguiente':
+ *   - vacía:            paso siguiente en el orden de la hoja
+ *   - "paso":           salto fijo (o "fin" para terminar)
+ *   - "Sí=paso|No=fin": según la respuesta; "*" es el caso por defecto
+ */
+function parseNext(value) {
+    const next = { target: null, branches: new Map() }
+    const text = String(value || '').trim()
+    if (!text) return next
+
+    if (!text.includes('=')) {
+        next.target = text
+        return next
+    }
+
+    for (const part of splitList(text)) {
+        const [answer, target] = part.split('=').map(s => s.trim())
+        if (!answer || !target) continue
+        if (answer === '*') next.target = target
+        else next.branches.set(normalize(answer), target)
+    }
+    return next
+}
+
+/**
+ * @class FlowSessionService
+ * Flujos conversacionales de varios pasos definidos en la hoja 'Flujos'.
+ * Las filas con el mismo valor en la columna 'flujo' forman un flujo; cada fila es un paso:
+ *   - addKeyword: palabra que inicia el flujo en ese paso (normalmente el primero)
+ *   - addAnswer:  mensaje del paso, admite {variable} con lo ya capturado
+ *   - paso:       identificador del paso (por defecto su número de orden: 1, 2, 3...)
+ *   - captura:    variable donde se guarda la respuesta del usuario
+ *   - opciones:   respuestas válidas separadas por | (también se acepta su número)
+ *   - siguiente:  paso al que se avanza (ver parseNext), "fin" termina el flujo
+ * Un paso sin captura ni opciones se envía y se avanza sin esperar respuesta.
+ * Las sesiones en curso se guardan en 'Flujo_Sesiones' y los datos capturados
+ * en 'Flujo_Capturas' al terminar (o como "incompleta" si la sesión expira).
+ */
+class FlowSessionService {
+    /**
+     * @param {object} options - { googleService }
+     */
+    constructor(options = {}) {
+        this.googleService = options.googleService || googleService
+
+        // Estado de flujos activos por usuario
+        this.activeSessions = new Map() // { phoneNumber: { flow, step, variables, startedAt, updatedAt } }
+        this.config = {
+            cancelKeywords: ['cancelar', 'salir'],
+            cancelMessage: '👌 Listo, cancelamos el proceso. Escríbenos cuando quieras retomarlo.',
+            invalidOptionMessage: 'Por favor responde con una de estas opciones:',
+            timeoutMinutes: 30,         // Inactividad antes de expirar la sesión
+            sweepIntervalMs: 60 * 1000  // Revisión de sesiones expiradas
+        }
+        this.definitions = new Map()
+        this.sourceFlows = null
+        this.sweepTimer = null
+    }
+
+    /**
+     * Agrupa las filas de la hoja Flujos en definiciones de flujos
+     * (se reconstruye solo cuando getFlows() devuelve filas nuevas)
+     */
+    async getDefinitions() {
+        const rows = await this.googleService.getFlows()
+        if (rows === this.sourceFlows) return this.definitions
+
+        const definitions = new Map()
+        for (const row of rows) {
+            if (!row.flujo) continue
+
+            const key = normalize(row.flujo)
+            if (!definitions.has(key)) {
+                definitions.set(key, { name: row.flujo, steps: new Map(), order: [] })
+            }
+
+            const definition = definitions.get(key)
+            const id = row.paso || String(definition.order.length + 1)
+            if (definition.steps.has(id)) continue
+
+            definition.order.push(id)
+            definition.steps.set(id, {
+                id,
+                row,
+                answer: (row.addAnswer || '').trim(),
+                media: (row.media || '').trim(),
+                capture: row.captura,
+                options: splitList(row.opciones),
+                next: parseNext(row.siguiente)
+            })
+        }
+
+        this.definitions = definitions
+        this.sourceFlows = rows
+        return definitions
+    }
+
+    /**
+     * Restaura los flujos en curso guardados antes del reinicio
+     */
+    async restoreActiveSessions() {
+        try {
+            const sessions = await this.googleService.getFlowSessions()
+            let restored = 0
+
+            for (const saved of sessions) {
+                if (saved.status !== 'activa') continue
+
+                const session = {
+                    flow: saved.flow,
+                    step: saved.step,
+                    variables: saved.variables,
+                    startedAt: saved.startedAt,
+                    updatedAt: saved.updatedAt
+                }
+                this.activeSessions.set(saved.phone, session)
+
+                if (this.isExpired(session)) {
+                    await this.expireSession(saved.phone)
+                    continue
+                }
+                restored++
+            }
+
+            if (restored > 0) {
+                console.log(`🧭 Flujos: ${restored} sesión(es) en curso restaurada(s)`)
+            }
+        } catch (error) {
+            console.error('❌ Error restaurando sesiones de flujos:', error.message)
+        }
+    }
+
+    /**
+     * Inicia la revisión periódica de sesiones abandonadas
+     */
+    startSessionSweeper() {
+        if (this.sweepTimer) return
+
+        this.sweepTimer = setInterval(() => {
+            this.expireAbandonedSessions()
+        }, this.config.sweepIntervalMs)
+    }
+
+    /**
+     * Verifica si una sesión superó el tiempo de inactividad
+     */
+    isExpired(session) {
+        const lastActivity = session.updatedAt || session.startedAt
+        return Date.now() - lastActivity > this.config.timeoutMinutes * 60 * 1000
+    }
+
+    /**
+     * Expira todas las sesiones inactivas
+     */
+    async expireAbandonedSessions() {
+        for (const [phoneNumber, session] of this.activeSessions.entries()) {
+            if (this.isExpired(session)) {
+                await this.expireSession(phoneNumber)
+            }
+        }
+    }
+
+    /**
+     * Cierra una sesión expirada guardando los datos capturados hasta ese momento
+     */
+    async expireSession(phoneNumber) {
+        const session = this.activeSessions.get(phoneNumber)
+        if (!session) return
+
+        this.activeSessions.delete(phoneNumber)
+        this.saveCaptures(phoneNumber, session, 'incompleta')
+        this.googleService.saveFlowSession(phoneNumber, session, 'incompleta')
+        console.log(`⏰ Flujo "${session.flow}" expirado para ${phoneNumber} (paso ${session.step})`)
+    }
+
+    /**
+     * Verifica si un usuario está dentro de un flujo de varios pasos
+     * @param {string} phoneNumber
+     * @returns {boolean}
+     */
+    hasActiveSession(phoneNumber) {
+        const session = this.activeSessions.get(phoneNumber)
+        if (!session) return false
+
+        if (this.isExpired(session)) {
+            this.expireSession(phoneNumber).catch(() => { })
+            return false
+        }
+        return true
+    }
+
+    /**
+     * Inicia el flujo al que pertenece una fila disparada por keyword
+     * @param {string} phoneNumber
+     * @param {object} row - Fila de getFlows() con columna 'flujo'
+     * @param {object} options - { dryRun } true para calcular los mensajes sin crear la sesión (simulación)
+     * @returns {Promise<Array<{body: string, media?: string, options?: Array<string>}>>} Mensajes a enviar
+     */
+    async startFlow(phoneNumber, row, options = {}) {
+        const definitions = await this.getDefinitions()
+        const definition = definitions.get(normalize(row.flujo))
+
+        if (!definition || definition.order.length === 0) {
+            console.log(`⚠️ Flujo "${row.flujo}" sin pasos configurados`)
+            return []
+        }
+
+        // El flujo empieza en el paso de la fila que se disparó
+        const entry = [...definition.steps.values()].find(step => step.row === row)
+        const session = {
+            flow: definition.name,
+            step: entry ? entry.id : definition.order[0],
+            variables: {},
+            startedAt: Date.now(),
+            updatedAt: Date.now()
+        }
+
+        if (!options.dryRun) console.log(`🧭 Flujo "${definition.name}" iniciado para ${phoneNumber}`)
+        return this.runFrom(phoneNumber, session, definition, session.step, options.dryRun)
+    }
+
+    /**
+     * Procesa la respuesta del usuario al paso actual
+     * @param {string} phoneNumber
+     * @param {string} input - Mensaje del usuario
+     * @param {object} options - { dryRun } true para calcular los mensajes sin avanzar la sesión (simulación)
+     * @returns {Promise<Array<{body: string, media?: string, options?: Array<string>}>|null>} Mensajes a enviar,
+     *          o null si el flujo ya no existe (el mensaje sigue el camino normal)
+     */
+    async processReply(phoneNumber, input, options = {}) {
+        const { dryRun = false } = options
+        const active = this.activeSessions.get(phoneNumber)
+        if (!active) return null
+
+        // En simulación se trabaja sobre una copia
+        const session = dryRun ? { ...active, variables: { ...active.variables } } : active
+
+        if (this.config.cancelKeywords.includes(normalize(input))) {
+            if (!dryRun) this.cancelSession(phoneNumber)
+            return [{ body: this.config.cancelMessage }]
+        }
+
+        const definitions = await this.getDefinitions()
+        const definition = definitions.get(normalize(session.flow))
+        const step = definition?.steps.get(session.step)
+
+        // La hoja cambió y el paso ya no existe
+        if (!step) {
+            if (dryRun) return null
+            console.log(`⚠️ Paso "${session.step}" de "${session.flow}" ya no existe, cerrando sesión`)
+            this.activeSessions.delete(phoneNumber)
+            this.googleService.saveFlowSession(phoneNumber, session, 'cancelada')
+            return null
+        }
+
+        let value = input.trim()
+        if (step.options.length > 0) {
+            const option = this.matchOption(step.options, value)
+            if (!option) {
+                session.updatedAt = Date.now()
+                return [{ body: this.config.invalidOptionMessage, options: step.options }]
+            }
+            value = option
+        }
+
+        if (step.capture) {
+            session.variables[step.capture] = value
+        }
+        session.updatedAt = Date.now()
+
+        const nextId = this.resolveNext(definition, step, value)
+        if (!nextId) {
+            return this.finish(phoneNumber, session, [], dryRun)
+        }
+        return this.runFrom(phoneNumber, session, definition, nextId, dryRun)
+    }
+
+    /**
+     * Envía pasos desde `stepId` hasta llegar a uno que espera respuesta o al final
+     * @param {boolean} dryRun - No guardar la sesión ni las capturas (simulación)
+     */
+    runFrom(phoneNumber, session, definition, stepId, dryRun = false) {
+        const messages = []
+        let currentId = stepId
+
+        for (let i = 0; i < MAX_STEPS_PER_TURN && currentId; i++) {
+            const step = definition.steps.get(currentId)
+            if (!step) {
+                console.log(`⚠️ Flujo "${definition.name}": el paso "${currentId}" no existe`)
+                break
+            }
+
+            const message = this.renderStep(step, session.variables)
+            if (message) messages.push(message)
+
+            if (step.capture || step.options.length > 0) {
+                session.step = step.id
+                if (dryRun) return messages
+                this.activeSessions.set(phoneNumber, session)
+                this.googleService.saveFlowSession(phoneNumber, session, 'activa')
+                return messages
+            }
+
+            currentId = this.resolveNext(definition, step, null)
+        }
+
+        return this.finish(phoneNumber, session, messages, dryRun)
+    }
+
+    /**
+     * Cierra el flujo y guarda los datos capturados
+     */
+    finish(phoneNumber, session, messages, dryRun = false) {
+        if (dryRun) return messages
+
+        const wasActive = this.activeSessions.delete(phoneNumber)
+
+        this.saveCaptures(phoneNumber, session, 'completa')
+        if (wasActive) {
+            this.googleService.saveFlowSession(phoneNumber, session, 'completada')
+        }
+
+        console.log(`✅ Flujo "${session.flow}" completado por ${phoneNumber}`)
+        return messages
+    }
+
+    /**
+     * Paso al que se avanza según la columna 'siguiente' y la respuesta dada
+     * @returns {string|null} Id del paso, o null si el flujo termina
+     */
+    resolveNext(definition, step, value) {
+        let target = null
+
+        if (value !== null && step.next.branches.size > 0) {
+            target = step.next.branches.get(normalize(value)) || null
+        }
+        if (!target) target = step.next.target
+
+        if (!target) {
+            // Por defecto, el paso siguiente en el orden de la hoja
+            const index = definition.order.indexOf(step.id)
+            return definition.order[index + 1] || null
+        }
+
+        return normalize(target) === END_STEP ? null : target
+    }
+
+    /**
+     * Busca la opción elegida por texto o por su número en la lista
+     */
+    matchOption(options, input) {
+        const text = normalize(input)
+        const byText = options.find(option => normalize(option) === text)
+        if (byText) return byText
+
+        const index = parseInt(text)
+        if (String(index) === text && index >= 1 && index <= options.length) {
+            return options[index - 1]
+        }
+        return null
+    }
+
+    /**
+     * Mensaje de un paso (las opciones se envían como botones o lista numerada, ver QuickReplyService)
+     * El texto queda con sus {variable}: las capturadas van en `variables` y se insertan
+     * al final de TemplateService.render, para que lo que escribió el usuario no se
+     * interprete como plantilla ({producto:SKU}, {horario}...)
+     */
+    renderStep(step, variables) {
+        if (!step.answer && !step.media && step.options.length === 0) return null
+        return { body: step.answer, media: step.media, options: step.options, variables: { ...variables } }
+    }
+
+    /**
+     * Guarda las variables capturadas en 'Flujo_Capturas'
+     * @param {string} status - 'completa' o 'incompleta' (sesión expirada)
+     */
+    saveCaptures(phoneNumber, session, status) {
+        const entries = Object.entries(session.variables)
+        if (entries.length === 0) return
+
+        const cleanNumber = phoneNumber.replace(/\D/g, '')
+        const now = new Date().toLocaleString('es-CL')
+        const data = entries.map(([name, value]) => `${name}: ${value}`).join('\n')
+
+        this.googleService.addFlowCapture([now, cleanNumber, session.flow, data, status])
+        console.log(`✅ Datos del flujo "${session.flow}" guardados para ${cleanNumber}`)
+    }
+
+    /**
+     * Cancela el flujo activo de un usuario
+     */
+    cancelSession(phoneNumber) {
+        const session = this.activeSessions.get(phoneNumber)
+        if (!session) return false
+
+        this.activeSessions.delete(phoneNumber)
+        this.googleService.saveFlowSession(phoneNumber, session, 'cancelada')
+        console.log(`❌ Flujo "${session.flow}" cancelado para ${phoneNumber}`)
+        return true
+    }
+
+    /**
+     * Obtiene estadísticas
+     */
+    getStats() {
+        return {
+            activeSessions: this.activeSessions.size,
+            flowsConfigured: this.definitions.size,
+            timeoutMinutes: this.config.timeoutMinutes
+        }
+    }
+}
+
+const flowSessionService = lazySingleton(() => new FlowSessionService())
+export { FlowSessionService }
+export default flowSessionService
@@ -1,132 +1,288 @@
-import { GoogleAuth } from 'google-auth-library'
-import { google } from 'googleapis'
+import { createStorage } from './storage/index.js'
+import { columnLetter } from './storage/a1.js'
+import WriteQueue from './writeQueue.js'
+import { SHEET_SCHEMAS, getSheetSchema, normalizeHeader } from './sheetSchemas.js'
+import { lazySingleton } from './lazySingleton.js'
 
 /**
  * @class GoogleService
  * Servicio unificado para gestionar Google Sheets.
  * Maneja Flujos, Prompts IA, Blacklist y Envíos.
+ * El acceso a datos pasa por un backend intercambiable (Sheets o archivo local),
+ * seleccionado con STORAGE_BACKEND.
+ * Las escrituras de datos (ventas, envíos, blacklist, encuestas) pasan por
+ * una cola persistente con reintentos (ver WriteQueue).
+ *
+ * El storage y la cola se crean en el primer uso: importar el módulo (y su
+ * singleton) no lee credenciales ni abre archivos.
  */
 class GoogleService {
-    constructor() {
-        const credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON)
-        this.auth = new GoogleAuth({
-            credentials,
-            scopes: [
-                'https://www.googleapis.com/auth/spreadsheets'
-            ]
-        })
-        this.sheets = google.sheets({ version: 'v4', auth: this.auth })
-        this.sheetId = process.env.SHEET_ID
+    constructor(options = {}) {
+        this.options = options
+        this._storage = options.storage || null
+        this._writeQueue = options.writeQueue || null
 
-        // Cache para reducir llamadas a la API
+        // Cache para reducir llamadas a la API. No expira por tiempo:
+        // ConfigWatcher lo invalida cuando detecta cambios en la hoja
         this.cache = {
             flows: null,
             prompts: null,
             blacklist: null,
-            lastUpdate: {}
+            hours: null
+        }
+        this.bootstrapped = false
+        this.surveyResponseHeaders = null  // Fila 1 de Encuesta_Respuestas (promesa, se lee una vez)
+    }
+
+    /**
+     * Backend de datos (lazy initialization)
+     */
+    get storage() {
+        if (!this._storage) {
+            this._storage = createStorage(this.options)
         }
-        this.cacheTTL = 1 * 60 * 1000 // 1 minuto (cambios se reflejan rápido)
+        return this._storage
     }
 
     /**
-     * Verifica si el cache de un tipo está vigente
+     * Cola de escrituras (lazy initialization: lee la cola pendiente del disco)
      */
-    isCacheValid(type) {
-        const lastUpdate = this.cache.lastUpdate[type]
-        if (!lastUpdate) return false
-        return (Date.now() - lastUpdate) < this.cacheTTL
+    get writeQueue() {
+        if (!this._writeQueue) {
+            this._writeQueue = new WriteQueue({
+                storage: this.storage,
+                filePath: this.options.writeQueueFile
+            })
+        }
+        return this._writeQueue
     }
 
     /**
-     * Invalida todo el cache
+     * Invalida el cache de un tipo ('flows' | 'prompts' | 'blacklist' | 'hours') o todo
+     * @param {string} type - Tipo a invalidar (opcional)
      */
-    invalidateCache() {
+    invalidateCache(type = null) {
+        if (type) {
+            this.cache[type] = null
+            console.log(`🔄 Cache invalidado: ${type}`)
+            return
+        }
+
         this.cache = {
             flows: null,
             prompts: null,
             blacklist: null,
-            lastUpdate: {}
+            hours: null
         }
         console.log('🔄 Cache invalidado')
     }
 
     // ==========================================
-    // FLUJOS - Respuestas automáticas por keyword
+    // ESQUEMA - Creación y migración de hojas
     // ==========================================
 
     /**
-     * Obtiene los flujos desde la hoja 'Flujos'
-     * Columnas: addKeyword | addAnswer | media
+     * Verifica una sola vez todas las hojas del registro (sheetSchemas.js):
+     * crea las faltantes y agrega columnas/claves nuevas a las existentes.
      */
-    async getFlows() {
-        if (this.isCacheValid('flows') && this.cache.flows) {
-            return this.cache.flows
+    async bootstrapSheets() {
+        if (this.bootstrapped) return
+
+        const existing = new Set((await this.storage.listSheets()).map(s => s.title))
+        const created = []
+        const migrated = []
+
+        for (const schema of SHEET_SCHEMAS) {
+            try {
+                if (!existing.has(schema.name)) {
+                    await this.createSheet(schema)
+                    created.push(schema.name)
+                    continue
+                }
+
+                const changes = await this.migrateSheet(schema)
+                if (changes.length > 0) {
+                    migrated.push(`${schema.name} (+${changes.join(', ')})`)
+                }
+            } catch (error) {
+                console.error(`❌ Error al preparar hoja ${schema.name}:`, error.message)
+            }
         }
 
-        try {
-            // Verificar/crear hoja si no existe
-            await this.ensureFlowsSheet()
+        this.bootstrapped = true
 
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'Flujos!A2:C'
-            })
+        if (created.length > 0) console.log(`📝 Hojas creadas: ${created.join(', ')}`)
+        if (migrated.length > 0) console.log(`🛠️ Hojas migradas: ${migrated.join('; ')}`)
+        console.log(`✅ Esquema de Sheets verificado (${SHEET_SCHEMAS.length} hojas)`)
+    }
 
-            const rows = response.data.values || []
-            const flows = rows.map(row => ({
-                addKeyword: row[0] || '',
-                addAnswer: row[1] || '',
-                media: row[2] || ''
-            })).filter(f => f.addKeyword)
+    /**
+     * Crea una hoja con sus encabezados y filas por defecto
+     * @param {object} schema - Esquema de la hoja
+     */
+    async createSheet(schema) {
+        await this.storage.addSheet(schema.name)
 
-            this.cache.flows = flows
-            this.cache.lastUpdate.flows = Date.now()
-            console.log(`📋 ${flows.length} flujos cargados desde Sheets`)
+        const rows = [
+            ...(schema.headers ? [schema.headers] : []),
+            ...(schema.defaultRows || [])
+        ]
 
-            return flows
-        } catch (error) {
-            console.error('❌ Error al obtener flujos:', error.message)
-            return []
+        if (rows.length > 0) {
+            await this.storage.updateValues(`${schema.name}!A1`, rows)
         }
     }
 
     /**
-     * Asegura que existe la hoja 'Flujos' con headers
+     * Agrega a una hoja existente las columnas y claves que faltan.
+     * Nunca mueve ni sobrescribe datos: lo nuevo va al final.
+     * @param {object} schema - Esquema de la hoja
+     * @returns {Promise<Array<string>>} Columnas/claves agregadas
      */
-    async ensureFlowsSheet() {
-        try {
-            const spreadsheet = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.sheetId
+    async migrateSheet(schema) {
+        if (!schema.headers) return []
+
+        const changes = []
+        const headerRow = (await this.storage.getValues(`${schema.name}!1:1`))[0] || []
+
+        if (headerRow.length === 0) {
+            await this.storage.updateValues(`${schema.name}!A1`, [schema.headers])
+            changes.push('encabezados')
+        } else {
+            const present = new Set(headerRow.map(normalizeHeader))
+            const missing = schema.headers.filter((header, position) => {
+                if (!header || present.has(normalizeHeader(header))) return false
+
+                // Columna original renombrada a mano: se respeta su posición
+                if (position < headerRow.length && headerRow[position]) {
+                    console.log(`⚠️ ${schema.name}: se esperaba "${header}" en columna ${columnLetter(position)}, se encontró "${headerRow[position]}"`)
+                    return false
+                }
+                return true
             })
 
-            const sheetExists = spreadsheet.data.sheets.some(
-                s => s.properties.title === 'Flujos'
-            )
+            if (missing.length > 0) {
+                await this.storage.updateValues(`${schema.name}!${columnLetter(headerRow.length)}1`, [missing])
+                changes.push(...missing)
+            }
+        }
 
-            if (!sheetExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.sheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: {
-                                properties: { title: 'Flujos' }
-                            }
-                        }]
-                    }
-                })
+        if (schema.keyValue && schema.defaultRows) {
+            const keys = new Set((await this.storage.getValues(`${schema.name}!A:A`)).map(r => r[0]))
+            const missingRows = schema.defaultRows.filter(([key]) => !keys.has(key))
 
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.sheetId,
-                    range: 'Flujos!A1:C1',
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [['addKeyword', 'addAnswer', 'media']]
-                    }
-                })
-                console.log('📝 Hoja "Flujos" creada')
+            if (missingRows.length > 0) {
+                await this.storage.appendValues(`${schema.name}!A:B`, missingRows)
+                changes.push(...missingRows.map(([key]) => key))
+            }
+        }
+
+        return changes
+    }
+
+    /**
+     * Lee una hoja como lista de objetos usando la fila 1 como encabezados.
+     * Las columnas del esquema se buscan por nombre (y si no, por posición),
+     * así el orden de las columnas en la hoja no importa.
+     * @param {string} name - Nombre de la hoja
+     * @returns {Promise<Array<object>>} Registros con `_row` (fila 1-indexed)
+     */
+    async getSheetRecords(name) {
+        const rows = await this.storage.getValues(name)
+        return this.toRecords(name, rows)
+    }
+
+    /**
+     * Aplica sobre filas ya leídas los upserts que aún esperan en la cola de escrituras
+     * (sesiones y pausas guardadas justo antes de un reinicio o de un flush fallido)
+     * @param {string} name - Nombre de la hoja
+     * @param {Array<Array<string>>} rows - Filas desde la fila 1 (se modifican)
+     */
+    mergePendingUpserts(name, rows) {
+        for (const upsert of this.writeQueue.getPendingUpserts(name)) {
+            const index = rows.findIndex((row, i) => i > 0 && String(row[upsert.keyColumn] ?? '') === upsert.key)
+            if (index === -1) {
+                rows.push(upsert.values)
+            } else {
+                rows[index] = upsert.values
             }
+        }
+        return rows
+    }
+
+    /**
+     * Convierte filas ya leídas de una hoja en registros (ver getSheetRecords)
+     * @param {string} name - Nombre de la hoja (para buscar su esquema)
+     * @param {Array<Array<string>>} rows - Filas desde la fila 1
+     */
+    toRecords(name, rows) {
+        const headerRow = rows[0] || []
+        const normalized = headerRow.map(normalizeHeader)
+
+        const columns = new Map()
+        headerRow.forEach((header, index) => {
+            if (header) columns.set(header, index)
+        })
+
+        const schema = getSheetSchema(name)
+        for (const [position, header] of (schema?.headers || []).entries()) {
+            if (!header) continue
+            const index = normalized.indexOf(normalizeHeader(header))
+            columns.set(header, index !== -1 ? index : position)
+        }
+
+        return rows.slice(1).map((row, i) => {
+            const record = { _row: i + 2 }
+            for (const [header, index] of columns.entries()) {
+                record[header] = row[index] ?? ''
+            }
+            return record
+        })
+    }
+
+    // ==========================================
+    // FLUJOS - Respuestas automáticas por keyword
+    // ==========================================
+
+    /**
+     * Obtiene los flujos desde la hoja 'Flujos'
+     * Columnas: addKeyword | addAnswer | media | flujo | paso | captura | opciones | siguiente |
+     * coincidencia | prioridad (se leen por encabezado). Las filas sin addKeyword solo se conservan si son
+     * pasos de un flujo de varios pasos (columna flujo).
+     */
+    async getFlows() {
+        if (this.cache.flows) {
+            return this.cache.flows
+        }
+
+        try {
+            const records = await this.getSheetRecords('Flujos')
+            const flows = records.map(record => ({
+                _row: record._row,
+                addKeyword: record.addKeyword || '',
+                addAnswer: record.addAnswer || '',
+                media: record.media || '',
+                flujo: String(record.flujo || '').trim(),
+                paso: String(record.paso || '').trim(),
+                captura: String(record.captura || '').trim(),
+                opciones: String(record.opciones || '').trim(),
+                siguiente: String(record.siguiente || '').trim(),
+                coincidencia: String(record.coincidencia || '').trim(),
+                prioridad: String(record.prioridad || '').trim(),
+                desde: String(record.desde || '').trim(),
+                hasta: String(record.hasta || '').trim(),
+                dias: String(record.dias || '').trim(),
+                horas: String(record.horas || '').trim(),
+                instrucciones: String(record.instrucciones || '').trim()
+            })).filter(f => f.addKeyword || f.flujo)
+
+            this.cache.flows = flows
+            console.log(`📋 ${flows.length} flujos cargados desde Sheets`)
+
+            return flows
         } catch (error) {
-            console.error('❌ Error al verificar hoja Flujos:', error.message)
+            console.error('❌ Error al obtener flujos:', error.message)
+            return []
         }
     }
 
@@ -139,19 +295,12 @@ class GoogleService {
      * Columnas: Rol | Contenido | (C vacía) | Buffer | Temperature
      */
     async getPrompts() {
-        if (this.isCacheValid('prompts') && this.cache.prompts) {
+        if (this.cache.prompts) {
             return this.cache.prompts
         }
 
         try {
-            await this.ensurePromptsSheet()
-
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'IA_Prompts!A2:E'
-            })
-
-            const rows = response.data.values || []
+            const rows = await this.storage.getValues('IA_Prompts!A2:E')
             const prompts = rows.map(row => ({
                 role: row[0] || 'system',
                 content: row[1] || '',
@@ -160,7 +309,6 @@ class GoogleService {
             })).filter(p => p.content)
 
             this.cache.prompts = prompts
-            this.cache.lastUpdate.prompts = Date.now()
             console.log(`🧠 ${prompts.length} prompts IA cargados`)
 
             return prompts
@@ -219,117 +367,56 @@ class GoogleService {
         return config.bufferMs
     }
 
-    /**
-     * Asegura que existe la hoja 'IA_Prompts' con headers
-     */
-    async ensurePromptsSheet() {
-        try {
-            const spreadsheet = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.sheetId
-            })
-
-            const sheetExists = spreadsheet.data.sheets.some(
-                s => s.properties.title === 'IA_Prompts'
-            )
-
-            if (!sheetExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.sheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: {
-                                properties: { title: 'IA_Prompts' }
-                            }
-                        }]
-                    }
-                })
-
-                // Headers con Buffer (D) y Temperature (E)
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.sheetId,
-                    range: 'IA_Prompts!A1:E1',
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [['Rol', 'Contenido', '', 'Buffer', 'Temperature']]
-                    }
-                })
-
-                // Agregar prompt por defecto con buffer=2.5s y temperature=0.7
-                await this.sheets.spreadsheets.values.append({
-                    spreadsheetId: this.sheetId,
-                    range: 'IA_Prompts!A2:E2',
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [['system', 'Eres un asistente virtual amable y profesional. Responde de manera concisa y útil.', '', '2.5', '0.7']]
-                    }
-                })
-                console.log('📝 Hoja "IA_Prompts" creada con configuración por defecto')
-            }
-        } catch (error) {
-            console.error('❌ Error al verificar hoja IA_Prompts:', error.message)
-        }
-    }
-
 
     // ==========================================
-    // BLACKLIST - Números bloqueados
+    // HORARIO - Horario de atención
     // ==========================================
 
     /**
-     * Asegura que existe la hoja 'BlackList' con headers
+     * Obtiene los tramos de atención desde la hoja 'Horario'
+     * Columnas: Dia | Apertura | Cierre (se interpretan en TemplateService)
+     * @returns {Promise<Array<{day: string, open: string, close: string}>>}
      */
-    async ensureBlacklistSheet() {
-        try {
-            const spreadsheet = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.sheetId
-            })
-
-            const sheetExists = spreadsheet.data.sheets.some(
-                s => s.properties.title === 'BlackList'
-            )
-
-            if (!sheetExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.sheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: {
-                                properties: { title: 'BlackList' }
-                            }
-                        }]
-                    }
-                })
+    async getBusinessHours() {
+        if (this.cache.hours) {
+            return this.cache.hours
+        }
 
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.sheetId,
-                    range: 'BlackList!A1:C1',
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [['Numero', 'Motivo', 'Fecha']]
-                    }
-                })
-                console.log('📝 Hoja "BlackList" creada')
-            }
+        try {
+            const records = await this.getSheetRecords('Horario')
+            const hours = records.map(record => ({
+                day: String(record.Dia || '').trim(),
+                open: String(record.Apertura || '').trim(),
+                close: String(record.Cierre || '').trim()
+            })).filter(h => h.day)
+
+            this.cache.hours = hours
+            return hours
         } catch (error) {
-            console.error('❌ Error al verificar hoja BlackList:', error.message)
+            console.error('❌ Error al obtener horario:', error.message)
+            return []
         }
     }
 
+    // ==========================================
+    // BLACKLIST - Números bloqueados
+    // ==========================================
+
     /**
      * Obtiene la lista de números bloqueados
      */
     async getBlacklist() {
-        try {
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'BlackList!A2:A'
-            })
+        if (this.cache.blacklist) {
+            return this.cache.blacklist
+        }
 
-            const rows = response.data.values || []
+        try {
+            const rows = await this.storage.getValues('BlackList!A2:A')
+            // Incluir los números agregados que siguen en la cola de escritura
+            rows.push(...this.writeQueue.getPendingAppends('BlackList'))
             const numbers = rows.map(row => String(row[0] || '').replace(/\D/g, '')).filter(n => n)
 
             this.cache.blacklist = numbers
-            this.cache.lastUpdate.blacklist = Date.now()
 
             return numbers
         } catch (error) {
@@ -358,18 +445,10 @@ class GoogleService {
         try {
             const fecha = new Date().toLocaleString('es-CO', { timeZone: 'America/Bogota' })
 
-            await this.sheets.spreadsheets.values.append({
-                spreadsheetId: this.sheetId,
-                range: 'BlackList!A:C',
-                valueInputOption: 'RAW',
-                resource: {
-                    values: [[phoneNumber, motivo, fecha]]
-                }
-            })
+            this.writeQueue.append('BlackList!A:C', [[phoneNumber, motivo, fecha]])
 
             this.cache.blacklist = null
-            this.cache.lastUpdate.blacklist = null
-            console.log(`🚫 ${phoneNumber} agregado a blacklist`)
+            console.log(`🚫 ${phoneNumber} agregado a blacklist (en cola)`)
             return true
         } catch (error) {
             console.error('❌ Error al agregar a blacklist:', error.message)
@@ -384,12 +463,7 @@ class GoogleService {
         try {
             const cleanNumber = String(phoneNumber).replace(/\D/g, '')
 
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'BlackList!A:A'
-            })
-
-            const rows = response.data.values || []
+            const rows = await this.storage.getValues('BlackList!A:A')
             let rowToDelete = -1
 
             for (let i = 1; i < rows.length; i++) {
@@ -401,34 +475,10 @@ class GoogleService {
             }
 
             if (rowToDelete > 1) {
-                // Obtener el ID de la hoja
-                const spreadsheet = await this.sheets.spreadsheets.get({
-                    spreadsheetId: this.sheetId
-                })
-
-                const blacklistSheet = spreadsheet.data.sheets.find(
-                    s => s.properties.title === 'BlackList'
-                )
-
-                if (blacklistSheet) {
-                    await this.sheets.spreadsheets.batchUpdate({
-                        spreadsheetId: this.sheetId,
-                        resource: {
-                            requests: [{
-                                deleteDimension: {
-                                    range: {
-                                        sheetId: blacklistSheet.properties.sheetId,
-                                        dimension: 'ROWS',
-                                        startIndex: rowToDelete - 1,
-                                        endIndex: rowToDelete
-                                    }
-                                }
-                            }]
-                        }
-                    })
+                const deleted = await this.storage.deleteRow('BlackList', rowToDelete)
 
+                if (deleted) {
                     this.cache.blacklist = null
-                    this.cache.lastUpdate.blacklist = null
                     console.log(`✅ ${phoneNumber} eliminado de blacklist`)
                     return true
                 }
@@ -446,64 +496,23 @@ class GoogleService {
     // ENVIOS - Mensajes programados
     // ==========================================
 
-    /**
-     * Asegura que existe la hoja 'Envios' con headers
-     */
-    async ensureEnviosSheet() {
-        try {
-            const spreadsheet = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.sheetId
-            })
-
-            const sheetExists = spreadsheet.data.sheets.some(
-                s => s.properties.title === 'Envios'
-            )
-
-            if (!sheetExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.sheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: {
-                                properties: { title: 'Envios' }
-                            }
-                        }]
-                    }
-                })
-
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.sheetId,
-                    range: 'Envios!A1:E1',
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [['NumeroWhatsapp', 'MensajeTexto', 'MediaUrl', 'Hora', 'Estado']]
-                    }
-                })
-                console.log('📝 Hoja "Envios" creada')
-            }
-        } catch (error) {
-            console.error('❌ Error al verificar hoja Envios:', error.message)
-        }
-    }
-
     /**
      * Obtiene mensajes pendientes de envío
      */
     async getScheduledMessages() {
         try {
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'Envios!A2:E'
-            })
+            const rows = await this.storage.getValues('Envios!A2:E')
+
+            // Estados aún en cola: evitar reenviar un mensaje ya enviado
+            const pendingStatus = this.writeQueue.getPendingValues('Envios')
 
-            const rows = response.data.values || []
             return rows.map((row, index) => ({
                 rowIndex: index + 2,
                 numeroWhatsapp: row[0] || '',
                 mensajeTexto: row[1] || '',
                 mediaUrl: row[2] || '',
                 hora: row[3] || '',
-                estado: row[4] || 'Pendiente'
+                estado: pendingStatus.get(`E${index + 2}`) || row[4] || 'Pendiente'
             })).filter(m => m.numeroWhatsapp && m.mensajeTexto)
         } catch (error) {
             console.error('❌ Error al obtener mensajes programados:', error.message)
@@ -511,20 +520,12 @@ class GoogleService {
         }
     }
 
-    /**
-     * Actualiza el estado de un mensaje en la hoja Envios
-     */
     /**
      * Actualiza el estado de un mensaje en la hoja Envios
      */
     async updateMessageStatus(rowIndex, newStatus) {
         try {
-            await this.sheets.spreadsheets.values.update({
-                spreadsheetId: this.sheetId,
-                range: `Envios!E${rowIndex}`,
-                valueInputOption: 'RAW',
-                resource: { values: [[newStatus]] }
-            })
+            this.writeQueue.update(`Envios!E${rowIndex}`, [[newStatus]])
             return true
         } catch (error) {
             console.error(`❌ Error al actualizar estado fila ${rowIndex}:`, error.message)
@@ -536,130 +537,25 @@ class GoogleService {
     // VENTAS - Registro de ventas de WooCommerce
     // ==========================================
 
-    /**
-     * Asegura que existan las hojas Ventas y Mensajes_Ventas
-     */
-    async ensureVentasSheets() {
-        await this.ensureVentasSheet()
-        await this.ensureMensajesVentasSheet()
-    }
-
-    /**
-     * Asegura que existe la hoja 'Ventas'
-     */
-    async ensureVentasSheet() {
-        try {
-            const spreadsheet = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.sheetId
-            })
-
-            const sheetExists = spreadsheet.data.sheets.some(
-                s => s.properties.title === 'Ventas'
-            )
-
-            if (!sheetExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.sheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: { properties: { title: 'Ventas' } }
-                        }]
-                    }
-                })
-
-                // Headers
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.sheetId,
-                    range: 'Ventas!A1:H1',
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [['Whatsapp', 'Nombre_Cliente', 'Numero_Pedido', 'Productos', 'Estado_Pedido', 'Fecha', 'Notificado', 'Ultima_Actualizacion']]
-                    }
-                })
-                console.log('📝 Hoja "Ventas" creada')
-            }
-        } catch (error) {
-            console.error('❌ Error al verificar hoja Ventas:', error.message)
-        }
-    }
-
-    /**
-     * Asegura que existe la hoja 'Mensajes_Ventas' con templates
-     */
-    async ensureMensajesVentasSheet() {
-        try {
-            const spreadsheet = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.sheetId
-            })
-
-            const sheetExists = spreadsheet.data.sheets.some(
-                s => s.properties.title === 'Mensajes_Ventas'
-            )
-
-            if (!sheetExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.sheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: { properties: { title: 'Mensajes_Ventas' } }
-                        }]
-                    }
-                })
-
-                // Headers y mensajes por defecto
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.sheetId,
-                    range: 'Mensajes_Ventas!A1:B8',
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [
-                            ['Estado', 'Mensaje'],
-                            ['nueva_orden', '¡Hola {nombre}! 🎉 Tu pedido #{order} ha sido confirmado. Te avisaremos cuando esté listo.'],
-                            ['pending', 'Tu pedido #{order} está pendiente de pago. Completa el pago para procesarlo.'],
-                            ['processing', '📦 ¡Buenas noticias {nombre}! Tu pedido #{order} está siendo preparado.'],
-                            ['on-hold', 'Tu pedido #{order} está en espera. Contáctanos si tienes dudas.'],
-                            ['completed', '🎉 ¡{nombre}, tu pedido #{order} ha sido completado y entregado! Gracias por tu compra.'],
-                            ['cancelled', 'Tu pedido #{order} ha sido cancelado. Si tienes dudas, contáctanos.'],
-                            ['refunded', 'Tu pedido #{order} ha sido reembolsado. El dinero llegará en 5-10 días hábiles.']
-                        ]
-                    }
-                })
-                console.log('📝 Hoja "Mensajes_Ventas" creada con templates')
-            }
-        } catch (error) {
-            console.error('❌ Error al verificar hoja Mensajes_Ventas:', error.message)
-        }
-    }
-
     /**
      * Agrega una nueva venta a la hoja
      * @param {object} orderInfo - Datos de la orden
      */
     async addVenta(orderInfo) {
         try {
-            await this.ensureVentasSheet()
-
             const now = new Date().toLocaleString('es-CL')
 
-            await this.sheets.spreadsheets.values.append({
-                spreadsheetId: this.sheetId,
-                range: 'Ventas!A:H',
-                valueInputOption: 'RAW',
-                insertDataOption: 'INSERT_ROWS',
-                resource: {
-                    values: [[
-                        orderInfo.phone,
-                        orderInfo.customerName,
-                        orderInfo.orderNumber,
-                        orderInfo.products,
-                        orderInfo.status,
-                        now,
-                        'No',
-                        now
-                    ]]
-                }
-            })
-            console.log(`✅ Venta #${orderInfo.orderNumber} registrada en Sheets`)
+            this.writeQueue.append('Ventas!A:H', [[
+                orderInfo.phone,
+                orderInfo.customerName,
+                orderInfo.orderNumber,
+                orderInfo.products,
+                orderInfo.status,
+                now,
+                'No',
+                now
+            ]])
+            console.log(`✅ Venta #${orderInfo.orderNumber} registrada (en cola)`)
             return true
         } catch (error) {
             console.error('❌ Error al agregar venta:', error.message)
@@ -674,34 +570,15 @@ class GoogleService {
      */
     async updateVentaStatus(orderNumber, newStatus) {
         try {
-            // Buscar la fila del pedido
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'Ventas!A:H'
-            })
-
-            const rows = response.data.values || []
-            const rowIndex = rows.findIndex((row, index) =>
-                index > 0 && String(row[2]) === String(orderNumber)
-            )
-
-            if (rowIndex === -1) {
-                console.log(`⚠️ Pedido #${orderNumber} no encontrado en Ventas`)
-                return false
-            }
-
             const now = new Date().toLocaleString('es-CL')
 
-            // Actualizar estado y última actualización
-            await this.sheets.spreadsheets.values.update({
-                spreadsheetId: this.sheetId,
-                range: `Ventas!E${rowIndex + 1}:H${rowIndex + 1}`,
-                valueInputOption: 'RAW',
-                resource: {
-                    values: [[newStatus, rows[rowIndex][5], rows[rowIndex][6], now]]
-                }
+            // La fila del pedido (columna C) se busca al enviar la cola,
+            // así funciona aunque la venta aún no se haya escrito
+            this.writeQueue.updateWhere('Ventas!A:H', { column: 2, value: String(orderNumber) }, {
+                4: newStatus, // Estado_Pedido
+                7: now        // Ultima_Actualizacion
             })
-            console.log(`✅ Pedido #${orderNumber} actualizado a: ${newStatus}`)
+            console.log(`✅ Pedido #${orderNumber} actualizado a: ${newStatus} (en cola)`)
             return true
         } catch (error) {
             console.error('❌ Error al actualizar venta:', error.message)
@@ -715,23 +592,8 @@ class GoogleService {
      */
     async markVentaNotified(orderNumber) {
         try {
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'Ventas!A:H'
-            })
-
-            const rows = response.data.values || []
-            const rowIndex = rows.findIndex((row, index) =>
-                index > 0 && String(row[2]) === String(orderNumber)
-            )
-
-            if (rowIndex === -1) return false
-
-            await this.sheets.spreadsheets.values.update({
-                spreadsheetId: this.sheetId,
-                range: `Ventas!G${rowIndex + 1}`,
-                valueInputOption: 'RAW',
-                resource: { values: [['Sí']] }
+            this.writeQueue.updateWhere('Ventas!A:H', { column: 2, value: String(orderNumber) }, {
+                6: 'Sí' // Notificado
             })
             return true
         } catch (error) {
@@ -747,14 +609,7 @@ class GoogleService {
      */
     async getMensajeVenta(status) {
         try {
-            await this.ensureMensajesVentasSheet()
-
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'Mensajes_Ventas!A:B'
-            })
-
-            const rows = response.data.values || []
+            const rows = await this.storage.getValues('Mensajes_Ventas!A:B')
             const row = rows.find((r, index) =>
                 index > 0 && r[0]?.toLowerCase() === status.toLowerCase()
             )
@@ -770,66 +625,13 @@ class GoogleService {
     // HANDOFF - Configuración de atención humana
     // ==========================================
 
-    /**
-     * Asegura que existe la hoja 'Handoff_Config'
-     */
-    async ensureHandoffConfigSheet() {
-        try {
-            const spreadsheet = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.sheetId
-            })
-
-            const sheetExists = spreadsheet.data.sheets.some(
-                s => s.properties.title === 'Handoff_Config'
-            )
-
-            if (!sheetExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.sheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: { properties: { title: 'Handoff_Config' } }
-                        }]
-                    }
-                })
-
-                // Configuración por defecto
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.sheetId,
-                    range: 'Handoff_Config!A1:B6',
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [
-                            ['Configuración', 'Valor'],
-                            ['Admin_Whatsapp', ''],
-                            ['Pausa_Minutos', '30'],
-                            ['Mensaje_Cliente', '⏳ En breve un asesor se comunicará contigo para darte atención personalizada. Por favor espera.'],
-                            ['Mensaje_Admin', '🚨 *SOLICITUD DE ATENCIÓN*\n\n📱 Cliente: {phone}\n💬 Mensaje: {message}\n\n_Responde directamente a este número._'],
-                            ['Keywords', 'hablar con alguien,persona real,humano,agente,asesor,vendedor,atención personalizada']
-                        ]
-                    }
-                })
-                console.log('📝 Hoja "Handoff_Config" creada')
-            }
-        } catch (error) {
-            console.error('❌ Error al verificar hoja Handoff_Config:', error.message)
-        }
-    }
-
     /**
      * Obtiene la configuración de handoff
      * @returns {object|null} Configuración de handoff
      */
     async getHandoffConfig() {
         try {
-            await this.ensureHandoffConfigSheet()
-
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'Handoff_Config!A:B'
-            })
-
-            const rows = response.data.values || []
+            const rows = await this.storage.getValues('Handoff_Config!A:B')
             const config = {}
 
             for (let i = 1; i < rows.length; i++) {
@@ -850,143 +652,56 @@ class GoogleService {
         }
     }
 
-    // ==========================================
-    // ENCUESTAS - Preguntas y Respuestas
-    // ==========================================
-
-    /**
-     * Asegura que existan las hojas de encuesta
-     */
-    async ensureSurveySheets() {
-        await this.ensureSurveyConfigSheet()
-        await this.ensureSurveyQuestionsSheet()
-        await this.ensureSurveyResponsesSheet()
-    }
-
     /**
-     * Asegura que existe la hoja 'Encuesta_Config'
+     * Obtiene los chats pausados guardados en la hoja 'Handoff_Pausas'
+     * @returns {Promise<Array<object>>} { phone, pausedAt, expiresAt, reason, agent, status }
      */
-    async ensureSurveyConfigSheet() {
+    async getHandoffPauses() {
         try {
-            const spreadsheet = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.sheetId
-            })
-
-            const sheetExists = spreadsheet.data.sheets.some(
-                s => s.properties.title === 'Encuesta_Config'
-            )
-
-            if (!sheetExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.sheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: { properties: { title: 'Encuesta_Config' } }
-                        }]
-                    }
-                })
-
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.sheetId,
-                    range: 'Encuesta_Config!A1:B5',
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [
-                            ['Configuración', 'Valor'],
-                            ['Palabra_Clave', 'encuesta'],
-                            ['Mensaje_Inicio', '📋 ¡Hola! Vamos a hacerte unas preguntas rápidas.'],
-                            ['Mensaje_Fin', '✅ ¡Gracias por tus respuestas! Han sido guardadas.'],
-                            ['Activa', 'Sí']
-                        ]
-                    }
-                })
-                console.log('📝 Hoja "Encuesta_Config" creada')
-            }
+            // Incluye reanudaciones y expiraciones que aún esperan en la cola de escrituras
+            const rows = this.mergePendingUpserts('Handoff_Pausas', await this.storage.getValues('Handoff_Pausas'))
+
+            return this.toRecords('Handoff_Pausas', rows).map(record => ({
+                phone: String(record.Numero || '').replace(/\D/g, ''),
+                pausedAt: Date.parse(record.Pausado_En) || 0,
+                expiresAt: Date.parse(record.Expira_En) || 0,
+                reason: record.Motivo || '',
+                agent: record.Agente || '',
+                status: record.Estado || ''
+            })).filter(p => p.phone)
         } catch (error) {
-            console.error('❌ Error al verificar Encuesta_Config:', error.message)
+            console.error('❌ Error al obtener pausas de handoff:', error.message)
+            return []
         }
     }
 
     /**
-     * Asegura que existe la hoja 'Encuesta_Preguntas'
+     * Guarda (o actualiza) el estado de pausa de un chat
+     * @param {string} phone - Número limpio
+     * @param {object} info - { pausedAt, expiresAt, reason, agent }
+     * @param {string} status - 'activa' | 'reanudada' | 'expirada'
      */
-    async ensureSurveyQuestionsSheet() {
-        try {
-            const spreadsheet = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.sheetId
-            })
-
-            const sheetExists = spreadsheet.data.sheets.some(
-                s => s.properties.title === 'Encuesta_Preguntas'
-            )
-
-            if (!sheetExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.sheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: { properties: { title: 'Encuesta_Preguntas' } }
-                        }]
-                    }
-                })
-
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.sheetId,
-                    range: 'Encuesta_Preguntas!A1:D1',
-                    valueInputOption: 'RAW',
-                    resource: {
-                        values: [['¿Cuál es tu nombre?', '¿Cómo nos conociste?', '¿Qué producto te interesa?', '¿Tienes alguna pregunta?']]
-                    }
-                })
-                console.log('📝 Hoja "Encuesta_Preguntas" creada con ejemplos')
-            }
-        } catch (error) {
-            console.error('❌ Error al verificar Encuesta_Preguntas:', error.message)
-        }
+    saveHandoffPause(phone, info, status) {
+        this.writeQueue.upsert('Handoff_Pausas!A:F', 0, phone, [
+            phone,
+            new Date(info.pausedAt).toISOString(),
+            new Date(info.expiresAt).toISOString(),
+            info.reason || '',
+            info.agent || '',
+            status
+        ])
     }
 
-    /**
-     * Asegura que existe la hoja 'Encuesta_Respuestas'
-     */
-    async ensureSurveyResponsesSheet() {
-        try {
-            const spreadsheet = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.sheetId
-            })
-
-            const sheetExists = spreadsheet.data.sheets.some(
-                s => s.properties.title === 'Encuesta_Respuestas'
-            )
-
-            if (!sheetExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.sheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: { properties: { title: 'Encuesta_Respuestas' } }
-                        }]
-                    }
-                })
-                console.log('📝 Hoja "Encuesta_Respuestas" creada')
-            }
-        } catch (error) {
-            console.error('❌ Error al verificar Encuesta_Respuestas:', error.message)
-        }
-    }
+    // ==========================================
+    // ENCUESTAS - Preguntas y Respuestas
+    // ==========================================
 
     /**
      * Obtiene configuración de encuesta
      */
     async getSurveyConfig() {
         try {
-            await this.ensureSurveyConfigSheet()
-
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'Encuesta_Config!A:B'
-            })
-
-            const rows = response.data.values || []
+            const rows = await this.storage.getValues('Encuesta_Config!A:B')
             const config = {}
 
             for (let i = 1; i < rows.length; i++) {
@@ -997,6 +712,7 @@ class GoogleService {
                 if (key === 'Mensaje_Inicio') config.welcomeMessage = value
                 if (key === 'Mensaje_Fin') config.thankYouMessage = value
                 if (key === 'Activa') config.isActive = value?.toLowerCase() === 'sí' || value?.toLowerCase() === 'si'
+                if (key === 'Expira_Minutos') config.timeoutMinutes = value
             }
 
             return config
@@ -1011,14 +727,9 @@ class GoogleService {
      */
     async getSurveyQuestions() {
         try {
-            await this.ensureSurveyQuestionsSheet()
+            const rows = await this.storage.getValues('Encuesta_Preguntas!1:1')
 
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'Encuesta_Preguntas!1:1'
-            })
-
-            const questions = (response.data.values?.[0] || []).filter(q => q && q.trim())
+            const questions = (rows[0] || []).filter(q => q && q.trim())
             return questions
 
         } catch (error) {
@@ -1028,39 +739,89 @@ class GoogleService {
     }
 
     /**
-     * Agrega respuesta de encuesta
-     * @param {array} row - [Fecha, WhatsApp, Respuesta1, Respuesta2, ...]
-     * @param {array} questions - Lista de preguntas para headers
+     * Obtiene las sesiones de encuesta guardadas en 'Encuesta_Sesiones'
+     * @returns {Promise<Array<object>>} { phone, startedAt, updatedAt, currentQuestion, answers, questions, status }
+     */
+    async getSurveySessions() {
+        try {
+            const rows = this.mergePendingUpserts('Encuesta_Sesiones', await this.storage.getValues('Encuesta_Sesiones'))
+            const records = this.toRecords('Encuesta_Sesiones', rows)
+
+            return records.map(record => {
+                try {
+                    return {
+                        phone: String(record.Numero || ''),
+                        startedAt: Date.parse(record.Iniciada) || 0,
+                        updatedAt: Date.parse(record.Actualizada) || 0,
+                        currentQuestion: parseInt(record.Pregunta_Actual) || 0,
+                        answers: JSON.parse(record.Respuestas || '[]'),
+                        questions: JSON.parse(record.Preguntas || '[]'),
+                        status: record.Estado || ''
+                    }
+                } catch {
+                    console.error(`⚠️ Sesión de encuesta inválida en fila ${record._row}`)
+                    return null
+                }
+            }).filter(session => session && session.phone)
+        } catch (error) {
+            console.error('❌ Error al obtener sesiones de encuesta:', error.message)
+            return []
+        }
+    }
+
+    /**
+     * Guarda (o actualiza) una sesión de encuesta
+     * @param {string} phone - Número tal como llega del proveedor
+     * @param {object} session - { startedAt, updatedAt, currentQuestion, answers, questions }
+     * @param {string} status - 'activa' | 'completada' | 'incompleta' | 'cancelada'
+     */
+    saveSurveySession(phone, session, status) {
+        this.writeQueue.upsert('Encuesta_Sesiones!A:G', 0, phone, [
+            phone,
+            new Date(session.startedAt).toISOString(),
+            new Date(session.updatedAt || Date.now()).toISOString(),
+            session.currentQuestion,
+            JSON.stringify(session.answers),
+            JSON.stringify(session.questions),
+            status
+        ])
+    }
+
+    /**
+     * Agrega respuesta de encuesta. Cada valor va bajo su encabezado (Fecha, WhatsApp,
+     * Estado y el texto de cada pregunta): si la hoja no tiene 'Estado' o cambiaron
+     * las preguntas, los encabezados que faltan se agregan al final de la fila 1
+     * @param {object} response - { date, phone, answers, status } (answers en el orden de questions)
+     * @param {array} questions - Lista de preguntas
      */
-    async addSurveyResponse(row, questions) {
+    async addSurveyResponse(response, questions) {
         try {
-            await this.ensureSurveyResponsesSheet()
+            const values = [
+                ['Fecha', response.date],
+                ['WhatsApp', response.phone],
+                ...questions.map((question, index) => [question, response.answers[index] ?? '']),
+                ['Estado', response.status]
+            ]
 
-            // Verificar/crear headers dinámicos
-            const existingHeaders = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.sheetId,
-                range: 'Encuesta_Respuestas!1:1'
-            })
+            const headers = await this.getSurveyResponseHeaders()
+            const columnOf = name => headers.findIndex(header => normalizeHeader(header) === normalizeHeader(name))
 
-            if (!existingHeaders.data.values || existingHeaders.data.values[0]?.length === 0) {
-                // Crear headers: Fecha, WhatsApp, Pregunta1, Pregunta2...
-                const headers = ['Fecha', 'WhatsApp', ...questions]
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.sheetId,
-                    range: 'Encuesta_Respuestas!A1',
-                    valueInputOption: 'RAW',
-                    resource: { values: [headers] }
-                })
+            const missing = [...new Set(values.map(([name]) => name).filter(name => columnOf(name) === -1))]
+            if (missing.length > 0) {
+                // Hoja vacía: initHeaders se envía antes que los appends (no queda la fila en la fila 1)
+                if (headers.length === 0) {
+                    this.writeQueue.initHeaders('Encuesta_Respuestas!1:1', [missing])
+                } else {
+                    this.writeQueue.update(`Encuesta_Respuestas!${columnLetter(headers.length)}1`, [missing])
+                }
+                headers.push(...missing)
             }
 
-            // Agregar fila de respuestas
-            await this.sheets.spreadsheets.values.append({
-                spreadsheetId: this.sheetId,
-                range: 'Encuesta_Respuestas!A:Z',
-                valueInputOption: 'RAW',
-                insertDataOption: 'INSERT_ROWS',
-                resource: { values: [row] }
-            })
+            const row = headers.map(() => '')
+            for (const [name, value] of values) {
+                row[columnOf(name)] = value
+            }
+            this.writeQueue.append(`Encuesta_Respuestas!A:${columnLetter(Math.max(headers.length, 26) - 1)}`, [row])
 
             return true
         } catch (error) {
@@ -1068,10 +829,144 @@ class GoogleService {
             return false
         }
     }
-}
 
-const googleService = new GoogleService()
-export default googleService
+    /**
+     * Encabezados actuales de Encuesta_Respuestas. Se leen una vez: después solo
+     * este proceso los cambia (addSurveyResponse), así que la lista en memoria vale
+     * aunque los cambios sigan en la cola de escrituras
+     * @returns {Promise<Array<string>>} Lista compartida (addSurveyResponse le agrega columnas)
+     */
+    getSurveyResponseHeaders() {
+        if (!this.surveyResponseHeaders) {
+            this.surveyResponseHeaders = this.storage.getValues('Encuesta_Respuestas!1:1')
+                .then(rows => (rows[0] || []).map(header => String(header ?? '')))
+                .catch(error => {
+                    this.surveyResponseHeaders = null
+                    throw error
+                })
+        }
+        return this.surveyResponseHeaders
+    }
 
+    // ==========================================
+    // FLUJOS DE VARIOS PASOS - Sesiones y capturas
+    // ==========================================
 
+    /**
+     * Obtiene las sesiones de flujos guardadas en 'Flujo_Sesiones'
+     * @returns {Promise<Array<object>>} { phone, flow, step, variables, startedAt, updatedAt, status }
+     */
+    async getFlowSessions() {
+        try {
+            const rows = this.mergePendingUpserts('Flujo_Sesiones', await this.storage.getValues('Flujo_Sesiones'))
+            const records = this.toRecords('Flujo_Sesiones', rows)
+
+            return records.map(record => {
+                try {
+                    return {
+                        phone: String(record.Numero || ''),
+                        flow: String(record.Flujo || ''),
+                        step: String(record.Paso || ''),
+                        variables: JSON.parse(record.Variables || '{}'),
+                        startedAt: Date.parse(record.Iniciada) || 0,
+                        updatedAt: Date.parse(record.Actualizada) || 0,
+                        status: record.Estado || ''
+                    }
+                } catch {
+                    console.error(`⚠️ Sesión de flujo inválida en fila ${record._row}`)
+                    return null
+                }
+            }).filter(session => session && session.phone)
+        } catch (error) {
+            console.error('❌ Error al obtener sesiones de flujos:', error.message)
+            return []
+        }
+    }
 
+    /**
+     * Guarda (o actualiza) la sesión de flujo de un número
+     * @param {string} phone - Número tal como llega del proveedor
+     * @param {object} session - { flow, step, variables, startedAt, updatedAt }
+     * @param {string} status - 'activa' | 'completada' | 'incompleta' | 'cancelada'
+     */
+    saveFlowSession(phone, session, status) {
+        this.writeQueue.upsert('Flujo_Sesiones!A:G', 0, phone, [
+            phone,
+            session.flow,
+            session.step,
+            JSON.stringify(session.variables),
+            new Date(session.startedAt).toISOString(),
+            new Date(session.updatedAt || Date.now()).toISOString(),
+            status
+        ])
+    }
+
+    /**
+     * Agrega los datos capturados por un flujo a 'Flujo_Capturas'
+     * @param {array} row - [Fecha, WhatsApp, Flujo, Datos, Estado]
+     */
+    addFlowCapture(row) {
+        try {
+            this.writeQueue.append('Flujo_Capturas!A:E', [row])
+            return true
+        } catch (error) {
+            console.error('❌ Error al guardar captura de flujo:', error.message)
+            return false
+        }
+    }
+
+    // ==========================================
+    // ANALÍTICA DE FLUJOS
+    // ==========================================
+
+    /**
+     * Contadores guardados en 'Flujo_Analitica' y 'Sin_Respuesta'
+     * @returns {Promise<{flows: Array, unmatched: Array}>} [{ key, count, lastAt }]
+     */
+    async getAnalytics() {
+        const read = async (sheet, keyColumn, countColumn, dateColumn) => {
+            const records = await this.getSheetRecords(sheet)
+            return records.map(record => ({
+                key: String(record[keyColumn] || ''),
+                count: parseInt(record[countColumn]) || 0,
+                lastAt: Date.parse(record[dateColumn]) || null
+            })).filter(entry => entry.key)
+        }
+
+        try {
+            return {
+                flows: await read('Flujo_Analitica', 'addKeyword', 'Disparos', 'Ultimo_Disparo'),
+                unmatched: await read('Sin_Respuesta', 'Mensaje', 'Veces', 'Ultima_Vez')
+            }
+        } catch (error) {
+            console.error('❌ Error al obtener analítica de flujos:', error.message)
+            return { flows: [], unmatched: [] }
+        }
+    }
+
+    /**
+     * Guarda (o actualiza) los disparos de una fila de Flujos
+     */
+    saveFlowAnalytics(keyword, count, lastAt) {
+        this.writeQueue.upsert('Flujo_Analitica!A:C', 0, keyword, [
+            keyword,
+            count,
+            new Date(lastAt).toISOString()
+        ])
+    }
+
+    /**
+     * Guarda (o actualiza) un mensaje sin flujo que lo responda
+     */
+    saveUnmatchedInput(message, count, lastAt) {
+        this.writeQueue.upsert('Sin_Respuesta!A:C', 0, message, [
+            message,
+            count,
+            new Date(lastAt).toISOString()
+        ])
+    }
+}
+
+const googleService = lazySingleton(() => new GoogleService())
+export { GoogleService }
+export default googleService
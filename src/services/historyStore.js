@@ -0,0 +1,524 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+// Líneas descartadas de messages.jsonl (por el tope por contacto) antes de reescribirlo
+const STALE_LINES_BEFORE_REWRITE = 500
+
+/**
+ * Normaliza un número a solo dígitos
+ */
+function cleanPhone(phoneNumber) {
+    return String(phoneNumber || '').replace(/[^0-9]/g, '')
+}
+
+/**
+ * Divide un texto en términos buscables (minúsculas, sin tildes)
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length >= 2)
+}
+
+/**
+ * @class HistoryStore
+ * Almacén indexado del historial de conversaciones.
+ *
+ * En disco (dentro de chat_history/):
+ *   - messages.jsonl: un mensaje por línea, solo se agregan líneas
+ *   - contacts.json:  datos del contacto (nombre, primer contacto, contexto)
+ *
+ * En memoria mantiene un índice invertido (término → mensajes) y un índice
+ * por número, así las búsquedas no necesitan leer archivos.
+ *
+ * Cada contacto guarda como máximo maxMessagesPerContact mensajes: al pasarse
+ * se descartan los más antiguos (el archivo se reescribe cada tanto).
+ */
+class HistoryStore {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(process.cwd(), 'chat_history')
+        this.messagesFile = path.join(this.dir, 'messages.jsonl')
+        this.contactsFile = path.join(this.dir, 'contacts.json')
+        this.legacyDir = path.join(this.dir, 'legacy')
+        this.maxMessagesPerContact = options.maxMessagesPerContact || Infinity
+        this.staleLines = 0         // Mensajes descartados que siguen en messages.jsonl
+
+        this.messages = new Map()   // id → mensaje
+        this.byPhone = new Map()    // número → ids en orden cronológico
+        this.index = new Map()      // término → Set de ids
+        this.contacts = new Map()   // número → { name, firstContact, context }
+        this.nextId = 1
+
+        this.ready = null
+        this.writeChain = Promise.resolve()
+    }
+
+    /**
+     * Carga el almacén una sola vez (las llamadas concurrentes esperan la misma carga)
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.load()
+        }
+        return this.ready
+    }
+
+    async load() {
+        await fs.mkdir(this.dir, { recursive: true })
+
+        try {
+            const raw = await fs.readFile(this.contactsFile, 'utf8')
+            for (const [phone, contact] of Object.entries(JSON.parse(raw))) {
+                this.contacts.set(phone, contact)
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error al leer contactos del historial:', error.message)
+            }
+        }
+
+        try {
+            const raw = await fs.readFile(this.messagesFile, 'utf8')
+            for (const line of raw.split('\n')) {
+                if (!line.trim()) continue
+                try {
+                    this.addToIndex(JSON.parse(line))
+                } catch {
+                    // Línea incompleta (ej: corte durante una escritura), se descarta
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error al leer historial:', error.message)
+            }
+        }
+
+        await this.migrateLegacyFiles()
+
+        // Tope por contacto (el archivo puede traer mensajes de antes del tope)
+        let trimmed = 0
+        for (const phone of this.byPhone.keys()) {
+            trimmed += this.enforceLimit(phone)
+        }
+        if (trimmed > 0) {
+            console.log(`✂️ Historial: ${trimmed} mensajes antiguos sobre el tope por contacto descartados`)
+            this.persistMessages()
+        }
+
+        console.log(`💬 Historial cargado: ${this.messages.size} mensajes de ${this.byPhone.size} contactos`)
+    }
+
+    /**
+     * Agrega un mensaje a los índices en memoria
+     */
+    addToIndex(message) {
+        this.messages.set(message.id, message)
+        this.nextId = Math.max(this.nextId, message.id + 1)
+
+        if (!this.byPhone.has(message.phone)) {
+            this.byPhone.set(message.phone, [])
+        }
+        this.byPhone.get(message.phone).push(message.id)
+
+        for (const token of new Set(tokenize(message.content))) {
+            if (!this.index.has(token)) {
+                this.index.set(token, new Set())
+            }
+            this.index.get(token).add(message.id)
+        }
+    }
+
+    /**
+     * Quita un mensaje de los índices en memoria
+     */
+    removeFromIndex(message) {
+        this.messages.delete(message.id)
+
+        for (const token of new Set(tokenize(message.content))) {
+            const ids = this.index.get(token)
+            if (!ids) continue
+            ids.delete(message.id)
+            if (ids.size === 0) this.index.delete(token)
+        }
+    }
+
+    /**
+     * Descarta los mensajes más antiguos de un contacto que pasan el tope
+     * @returns {number} Mensajes descartados
+     */
+    enforceLimit(phone) {
+        const ids = this.byPhone.get(phone)
+        if (!ids || ids.length <= this.maxMessagesPerContact) return 0
+
+        const removed = ids.splice(0, ids.length - this.maxMessagesPerContact)
+        for (const id of removed) {
+            this.removeFromIndex(this.messages.get(id))
+        }
+        return removed.length
+    }
+
+    /**
+     * Encola una escritura en disco (se ejecutan en orden)
+     */
+    enqueueWrite(task) {
+        this.writeChain = this.writeChain
+            .then(task)
+            .catch(error => {
+                console.error('❌ Error al escribir historial:', error.message)
+            })
+        return this.writeChain
+    }
+
+    /**
+     * Escribe un archivo de forma atómica (temporal + rename)
+     */
+    async writeAtomic(filePath, content) {
+        const tempPath = `${filePath}.tmp`
+        await fs.writeFile(tempPath, content)
+        await fs.rename(tempPath, filePath)
+    }
+
+    persistContacts() {
+        return this.enqueueWrite(() => this.writeAtomic(
+            this.contactsFile,
+            JSON.stringify(Object.fromEntries(this.contacts), null, 2)
+        ))
+    }
+
+    /**
+     * Reescribe messages.jsonl con los mensajes en memoria (tras borrar).
+     * Se escriben los de este momento: los que lleguen después tienen su propio
+     * append más adelante en la cadena (así no se duplican líneas)
+     */
+    persistMessages() {
+        const lines = [...this.messages.values()].map(m => JSON.stringify(m))
+        this.staleLines = 0
+        return this.enqueueWrite(() =>
+            this.writeAtomic(this.messagesFile, lines.length > 0 ? lines.join('\n') + '\n' : '')
+        )
+    }
+
+    /**
+     * Agrega mensajes de un contacto
+     * @param {string} phoneNumber - Número de teléfono
+     * @param {Array<{timestamp: string, role: string, content: string}>} entries
+     */
+    async append(phoneNumber, entries) {
+        await this.init()
+        return this.appendEntries(phoneNumber, entries)
+    }
+
+    /**
+     * Igual que append() pero sin esperar la carga (se usa durante la migración)
+     */
+    async appendEntries(phoneNumber, entries) {
+        const phone = cleanPhone(phoneNumber)
+        const messages = entries.map(entry => ({
+            id: this.nextId++,
+            phone,
+            timestamp: entry.timestamp || new Date().toISOString(),
+            role: entry.role,
+            content: entry.content
+        }))
+        if (messages.length === 0) return []
+
+        if (!this.contacts.has(phone)) {
+            this.contacts.set(phone, {
+                name: null,
+                firstContact: messages[0].timestamp,
+                context: { preferences: [], topics: [], summary: null }
+            })
+            this.persistContacts()
+        }
+
+        messages.forEach(message => this.addToIndex(message))
+
+        const lines = messages.map(m => JSON.stringify(m)).join('\n') + '\n'
+        const written = this.enqueueWrite(() => fs.appendFile(this.messagesFile, lines))
+
+        // Los descartados siguen en el archivo hasta la próxima reescritura
+        this.staleLines += this.enforceLimit(phone)
+        if (this.staleLines >= Math.max(STALE_LINES_BEFORE_REWRITE, this.messages.size)) {
+            this.persistMessages()
+        }
+        await written
+
+        return messages
+    }
+
+    /**
+     * Obtiene los últimos mensajes de un contacto
+     * @param {string} phoneNumber - Número de teléfono
+     * @param {number} limit - Máximo de mensajes (los más recientes)
+     */
+    async getMessages(phoneNumber, limit = Infinity) {
+        await this.init()
+
+        const ids = this.byPhone.get(cleanPhone(phoneNumber)) || []
+        const selected = limit === Infinity ? ids : ids.slice(-limit)
+        return selected.map(id => this.messages.get(id))
+    }
+
+    /**
+     * Obtiene los datos de un contacto (null si no existe)
+     */
+    async getContact(phoneNumber) {
+        await this.init()
+
+        const phone = cleanPhone(phoneNumber)
+        const contact = this.contacts.get(phone)
+        if (!contact) return null
+
+        const ids = this.byPhone.get(phone) || []
+        const last = ids.length > 0 ? this.messages.get(ids[ids.length - 1]) : null
+
+        return {
+            ...contact,
+            lastActivity: last ? last.timestamp : contact.firstContact,
+            totalMessages: ids.length
+        }
+    }
+
+    /**
+     * Actualiza los datos de un contacto (nombre, contexto)
+     */
+    async saveContact(phoneNumber, data) {
+        await this.init()
+        return this.updateContact(phoneNumber, data)
+    }
+
+    async updateContact(phoneNumber, data) {
+        const phone = cleanPhone(phoneNumber)
+        const current = this.contacts.get(phone) || {
+            name: null,
+            firstContact: new Date().toISOString(),
+            context: { preferences: [], topics: [], summary: null }
+        }
+
+        this.contacts.set(phone, {
+            name: data.name ?? current.name,
+            firstContact: data.firstContact || current.firstContact,
+            context: data.context || current.context
+        })
+        await this.persistContacts()
+    }
+
+    /**
+     * Busca mensajes por texto, número y/o rango de fechas
+     * @param {object} params
+     * @param {string} params.text - Términos a buscar (todos deben aparecer; el último acepta prefijo)
+     * @param {string} params.phone - Número de teléfono (exacto)
+     * @param {string} params.role - 'user' o 'assistant'
+     * @param {Date} params.from - Fecha mínima (incluida)
+     * @param {Date} params.to - Fecha máxima (incluida)
+     * @param {number} params.page - Página (desde 1)
+     * @param {number} params.pageSize - Resultados por página
+     * @returns {Promise<{total: number, page: number, pageSize: number, pages: number, results: Array}>}
+     */
+    async search({ text = '', phone = null, role = null, from = null, to = null, page = 1, pageSize = 20 } = {}) {
+        await this.init()
+
+        let candidates = null
+
+        const tokens = tokenize(text)
+        tokens.forEach((token, i) => {
+            const isLast = i === tokens.length - 1
+            const matches = new Set()
+
+            if (isLast) {
+                for (const [term, ids] of this.index) {
+                    if (term.startsWith(token)) ids.forEach(id => matches.add(id))
+                }
+            } else {
+                (this.index.get(token) || []).forEach(id => matches.add(id))
+            }
+
+            candidates = candidates === null
+                ? matches
+                : new Set([...candidates].filter(id => matches.has(id)))
+        })
+
+        if (phone) {
+            const phoneIds = this.byPhone.get(cleanPhone(phone)) || []
+            candidates = candidates === null
+                ? new Set(phoneIds)
+                : new Set(phoneIds.filter(id => candidates.has(id)))
+        }
+
+        if (candidates === null) {
+            candidates = new Set(this.messages.keys())
+        }
+
+        const fromTime = from ? from.getTime() : -Infinity
+        const toTime = to ? to.getTime() : Infinity
+
+        const matched = [...candidates]
+            .map(id => this.messages.get(id))
+            .filter(m => !role || m.role === role)
+            .filter(m => {
+                const time = new Date(m.timestamp).getTime()
+                return time >= fromTime && time <= toTime
+            })
+            .sort((a, b) => b.id - a.id)   // Más recientes primero
+
+        const size = Math.min(Math.max(1, pageSize), 100)
+        const current = Math.max(1, page)
+        const start = (current - 1) * size
+
+        return {
+            total: matched.length,
+            page: current,
+            pageSize: size,
+            pages: Math.ceil(matched.length / size),
+            results: matched.slice(start, start + size).map(m => ({
+                id: m.id,
+                phoneNumber: m.phone,
+                name: this.contacts.get(m.phone)?.name || null,
+                timestamp: m.timestamp,
+                role: m.role,
+                content: m.content
+            }))
+        }
+    }
+
+    /**
+     * Elimina todos los mensajes y datos de un contacto
+     * @returns {Promise<boolean>} false si el contacto no tenía historial
+     */
+    async deletePhone(phoneNumber) {
+        await this.init()
+
+        const phone = cleanPhone(phoneNumber)
+        const ids = this.byPhone.get(phone)
+        if (!ids && !this.contacts.has(phone)) return false
+
+        for (const id of ids || []) {
+            this.removeFromIndex(this.messages.get(id))
+        }
+        this.byPhone.delete(phone)
+        this.contacts.delete(phone)
+
+        await Promise.all([this.persistMessages(), this.persistContacts()])
+        return true
+    }
+
+    /**
+     * Elimina los mensajes anteriores a una fecha y los contactos que quedan sin mensajes
+     * @param {Date} cutoffDate - Fecha límite
+     * @returns {Promise<{messages: number, contacts: number}>} Cantidades eliminadas
+     */
+    async removeOlderThan(cutoffDate) {
+        await this.init()
+
+        const cutoff = cutoffDate.getTime()
+        let removedMessages = 0
+        let removedContacts = 0
+
+        for (const [phone, ids] of this.byPhone) {
+            const kept = []
+            for (const id of ids) {
+                const message = this.messages.get(id)
+                if (new Date(message.timestamp).getTime() < cutoff) {
+                    this.removeFromIndex(message)
+                    removedMessages++
+                } else {
+                    kept.push(id)
+                }
+            }
+
+            if (kept.length === 0) {
+                this.byPhone.delete(phone)
+                this.contacts.delete(phone)
+                removedContacts++
+            } else {
+                this.byPhone.set(phone, kept)
+            }
+        }
+
+        if (removedMessages > 0) {
+            await Promise.all([this.persistMessages(), this.persistContacts()])
+        }
+
+        return { messages: removedMessages, contacts: removedContacts }
+    }
+
+    /**
+     * Estadísticas generales (sin leer disco)
+     */
+    async getStats() {
+        await this.init()
+
+        const last24h = Date.now() - 24 * 60 * 60 * 1000
+        let activeContacts = 0
+
+        for (const ids of this.byPhone.values()) {
+            const last = this.messages.get(ids[ids.length - 1])
+            if (new Date(last.timestamp).getTime() > last24h) {
+                activeContacts++
+            }
+        }
+
+        return {
+            totalContacts: this.byPhone.size,
+            activeContacts,
+            totalMessages: this.messages.size,
+            indexedTerms: this.index.size
+        }
+    }
+
+    /**
+     * Importa los historiales antiguos (un archivo JSON por número) y los
+     * mueve a chat_history/legacy/. Si la importación se cortó a la mitad,
+     * los mensajes ya importados de ese número se omiten.
+     * @returns {Promise<number>} Archivos importados
+     */
+    async migrateLegacyFiles() {
+        let files
+        try {
+            files = (await fs.readdir(this.dir)).filter(f => /^\d+\.json$/.test(f))
+        } catch {
+            return 0
+        }
+        if (files.length === 0) return 0
+
+        console.log(`📦 Migrando ${files.length} historiales al almacén indexado...`)
+        await fs.mkdir(this.legacyDir, { recursive: true })
+
+        let migrated = 0
+        for (const file of files) {
+            const filePath = path.join(this.dir, file)
+            try {
+                const history = JSON.parse(await fs.readFile(filePath, 'utf8'))
+                const phone = file.replace('.json', '')
+
+                const existing = this.byPhone.get(phone) || []
+                const lastImported = existing.length > 0
+                    ? this.messages.get(existing[existing.length - 1]).timestamp
+                    : null
+
+                const entries = (history.messages || [])
+                    .filter(m => m && m.content && (!lastImported || m.timestamp > lastImported))
+
+                await this.appendEntries(phone, entries)
+                await this.updateContact(phone, {
+                    name: history.name || null,
+                    firstContact: history.firstContact,
+                    context: history.context
+                })
+
+                await fs.rename(filePath, path.join(this.legacyDir, file))
+                migrated++
+            } catch (error) {
+                console.error(`❌ Error al migrar historial ${file}:`, error.message)
+            }
+        }
+
+        console.log(`✅ Historiales migrados: ${migrated}/${files.length}`)
+        return migrated
+    }
+}
+
+export default HistoryStore
@@ -1,20 +1,30 @@
 import googleService from './googleService.js'
+import { lazySingleton } from './lazySingleton.js'
 
 /**
  * @class HumanHandoffService
  * Gestiona la transferencia de conversaciones a agentes humanos.
  * Detecta intención, pausa el bot, y notifica al admin.
+ * Las pausas se guardan en la hoja 'Handoff_Pausas' y se restauran al iniciar,
+ * así un deploy o reinicio no reactiva el bot en chats atendidos por un agente.
  */
 class HumanHandoffService {
-    constructor() {
-        // Lista de chats pausados (en memoria)
-        this.pausedChats = new Map() // { phoneNumber: { pausedAt, expiresAt, reason } }
+    /**
+     * @param {object} options - { googleService, config } (config: valores por defecto,
+     *                           la hoja Handoff_Config tiene prioridad)
+     */
+    constructor(options = {}) {
+        this.googleService = options.googleService || googleService
+
+        // Chats pausados (espejo en memoria de Handoff_Pausas)
+        this.pausedChats = new Map() // { phoneNumber: { pausedAt, expiresAt, reason, agent } }
         this.provider = null
         this.config = {
             adminWhatsapp: '',
             pauseMinutes: 30,
             customerMessage: '⏳ En breve un asesor se comunicará contigo para darte atención personalizada. Por favor espera.',
-            adminMessage: '🚨 *SOLICITUD DE ATENCIÓN*\n\n📱 Cliente: {phone}\n💬 Mensaje: {message}\n\n_Responde directamente a este número._'
+            adminMessage: '🚨 *SOLICITUD DE ATENCIÓN*\n\n📱 Cliente: {phone}\n💬 Mensaje: {message}\n\n_Responde directamente a este número._',
+            ...options.config
         }
 
         // Palabras clave para detectar intención de hablar con humano
@@ -46,10 +56,11 @@ class HumanHandoffService {
 
     /**
      * Carga configuración desde Google Sheets
+     * (se vuelve a llamar cuando cambia Handoff_Config)
      */
     async loadConfig() {
         try {
-            const sheetConfig = await googleService.getHandoffConfig()
+            const sheetConfig = await this.googleService.getHandoffConfig()
             if (sheetConfig) {
                 if (sheetConfig.adminWhatsapp) {
                     this.config.adminWhatsapp = sheetConfig.adminWhatsapp.replace(/\D/g, '')
@@ -70,6 +81,41 @@ class HumanHandoffService {
         }
     }
 
+    /**
+     * Restaura las pausas vigentes guardadas antes del reinicio.
+     * Solo al iniciar: no depende de loadConfig, que se repite con cada cambio de Handoff_Config
+     */
+    async restorePausedChats() {
+        try {
+            const pauses = await this.googleService.getHandoffPauses()
+            const now = Date.now()
+            let restored = 0
+
+            for (const pause of pauses) {
+                if (pause.status !== 'activa') continue
+
+                if (now > pause.expiresAt) {
+                    this.googleService.saveHandoffPause(pause.phone, pause, 'expirada')
+                    continue
+                }
+
+                this.pausedChats.set(pause.phone, {
+                    pausedAt: pause.pausedAt,
+                    expiresAt: pause.expiresAt,
+                    reason: pause.reason,
+                    agent: pause.agent
+                })
+                restored++
+            }
+
+            if (restored > 0) {
+                console.log(`🤝 HumanHandoff: ${restored} chat(s) pausado(s) restaurado(s)`)
+            }
+        } catch (error) {
+            console.error('❌ Error restaurando chats pausados:', error.message)
+        }
+    }
+
     /**
      * Detecta si el mensaje tiene intención de hablar con un humano
      * @param {string} message - Mensaje del usuario
@@ -94,6 +140,7 @@ class HumanHandoffService {
         // Verificar si expiró
         if (Date.now() > pauseInfo.expiresAt) {
             this.pausedChats.delete(cleanNumber)
+            this.googleService.saveHandoffPause(cleanNumber, pauseInfo, 'expirada')
             console.log(`⏰ Pausa expirada para ${cleanNumber}`)
             return false
         }
@@ -105,17 +152,22 @@ class HumanHandoffService {
      * Pausa un chat
      * @param {string} phoneNumber - Número de teléfono
      * @param {string} reason - Razón de la pausa
+     * @param {string} agent - Agente asignado (por defecto el admin configurado)
      */
-    pauseChat(phoneNumber, reason = '') {
+    pauseChat(phoneNumber, reason = '', agent = this.config.adminWhatsapp) {
         const cleanNumber = phoneNumber.replace(/\D/g, '')
         const now = Date.now()
         const expiresAt = now + (this.config.pauseMinutes * 60 * 1000)
 
-        this.pausedChats.set(cleanNumber, {
+        const pauseInfo = {
             pausedAt: now,
             expiresAt: expiresAt,
-            reason: reason
-        })
+            reason: reason,
+            agent: agent || ''
+        }
+
+        this.pausedChats.set(cleanNumber, pauseInfo)
+        this.googleService.saveHandoffPause(cleanNumber, pauseInfo, 'activa')
 
         console.log(`⏸️ Chat pausado: ${cleanNumber} por ${this.config.pauseMinutes} minutos`)
     }
@@ -128,7 +180,9 @@ class HumanHandoffService {
     resumeChat(phoneNumber) {
         const cleanNumber = phoneNumber.replace(/\D/g, '')
         if (this.pausedChats.has(cleanNumber)) {
+            const pauseInfo = this.pausedChats.get(cleanNumber)
             this.pausedChats.delete(cleanNumber)
+            this.googleService.saveHandoffPause(cleanNumber, pauseInfo, 'reanudada')
             console.log(`▶️ Chat reanudado: ${cleanNumber}`)
             return true
         }
@@ -187,7 +241,8 @@ class HumanHandoffService {
                     pausedAt: new Date(info.pausedAt).toLocaleString('es-CL'),
                     expiresAt: new Date(info.expiresAt).toLocaleString('es-CL'),
                     remainingMinutes: Math.round((info.expiresAt - now) / 60000),
-                    reason: info.reason
+                    reason: info.reason,
+                    agent: info.agent
                 })
             }
         }
@@ -207,5 +262,6 @@ class HumanHandoffService {
     }
 }
 
-const humanHandoffService = new HumanHandoffService()
+const humanHandoffService = lazySingleton(() => new HumanHandoffService())
+export { HumanHandoffService }
 export default humanHandoffService
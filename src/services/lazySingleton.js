@@ -0,0 +1,29 @@
+/**
+ * Instancia compartida que se crea recién cuando se usa por primera vez.
+ *
+ * Los servicios exportan una instancia por defecto (la de la tienda 'default').
+ * Con este envoltorio, importar un módulo no construye su servicio: en modo
+ * multi-tienda las instancias por defecto nunca se crean (ni leen variables de
+ * entorno, ni escriben logs de API keys faltantes).
+ *
+ * @param {Function} create - Crea la instancia (ej: () => new AIService())
+ * @returns {object} Objeto que se comporta como la instancia
+ */
+export function lazySingleton(create) {
+    let instance = null
+    const target = () => instance || (instance = create())
+
+    return new Proxy({}, {
+        get(_, key) {
+            const value = Reflect.get(target(), key)
+            // Los métodos se llaman sobre la instancia real (this)
+            return typeof value === 'function' ? value.bind(target()) : value
+        },
+        set(_, key, value) {
+            return Reflect.set(target(), key, value)
+        },
+        has(_, key) {
+            return Reflect.has(target(), key)
+        }
+    })
+}
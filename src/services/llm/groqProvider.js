@@ -0,0 +1,57 @@
+import Groq from 'groq-sdk'
+import fs from 'fs'
+import { parseToolCalls } from './toolCalls.js'
+
+/**
+ * @class GroqProvider
+ * Chat y transcripción con la API de Groq (groq-sdk).
+ */
+class GroqProvider {
+    /**
+     * @param {object} options - { apiKey } (por defecto GROQ_API_KEY)
+     */
+    constructor(options = {}) {
+        this.name = 'groq'
+        this.apiKey = (options.apiKey || process.env.GROQ_API_KEY || '').replace(/^["']|["']$/g, '').trim()
+        this.client = null  // Inicialización lazy
+    }
+
+    /**
+     * Obtiene el cliente Groq (lazy initialization)
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = new Groq({ apiKey: this.apiKey })
+        }
+        return this.client
+    }
+
+    async chat({ model, messages, maxTokens, temperature, tools, toolChoice }) {
+        const completion = await this.getClient().chat.completions.create({
+            model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            ...(tools?.length ? { tools, tool_choice: toolChoice || 'auto' } : {})
+        })
+
+        const choice = completion.choices[0]
+        return {
+            content: choice?.message?.content || '',
+            finishReason: choice?.finish_reason || null,
+            usage: completion.usage || null,
+            toolCalls: parseToolCalls(choice?.message?.tool_calls)
+        }
+    }
+
+    async transcribe({ filePath, model, language }) {
+        return await this.getClient().audio.transcriptions.create({
+            file: fs.createReadStream(filePath),
+            model,
+            language,
+            response_format: 'text'
+        })
+    }
+}
+
+export default GroqProvider
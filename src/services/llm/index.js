@@ -0,0 +1,216 @@
+import GroqProvider from './groqProvider.js'
+import OpenAICompatibleProvider from './openaiCompatibleProvider.js'
+import MockProvider from './mockProvider.js'
+import { contextWindowFor } from './tokenBudget.js'
+
+/**
+ * Contrato de un proveedor de IA:
+ *
+ *   name
+ *   chat({ model, messages, maxTokens, temperature, tools, toolChoice })
+ *                                              → { content, finishReason, usage, toolCalls }
+ *   transcribe({ filePath, model, language })  → texto
+ *
+ * `tools` y `toolCalls` siguen el formato de function calling de OpenAI (ver toolCalls.js);
+ * toolChoice: 'auto' (por defecto) o 'none' (tiene que responder con texto).
+ *
+ * Los errores llevan `status` (HTTP) cuando lo hay; 429 = límite de uso.
+ *
+ * Proveedores disponibles:
+ *   - 'groq' (por defecto): API de Groq (GROQ_API_KEY o groqApiKey de la tienda)
+ *   - 'openai': cualquier API compatible con OpenAI, incluido un servidor local
+ *               de llama.cpp u Ollama (baseUrl; API key desde la variable apiKeyEnv)
+ *   - 'mock':   respuestas deterministas sin red (pruebas)
+ *
+ * Se eligen en la fila config de IA_Prompts. Las API keys nunca van en la hoja:
+ *   {
+ *     "provider": "groq", "model": "...",
+ *     "fallback": [
+ *       { "provider": "openai", "baseUrl": "http://localhost:11434/v1", "model": "llama3.1", "contextWindow": 8192 }
+ *     ],
+ *     "transcription": { "provider": "openai", "model": "whisper-1", "apiKeyEnv": "OPENAI_API_KEY" }
+ *   }
+ */
+
+export const PROVIDERS = ['groq', 'openai', 'mock']
+
+// Modelo por defecto de cada proveedor ('openai' no tiene: depende del servidor)
+const DEFAULT_MODELS = {
+    chat: { groq: 'meta-llama/llama-4-scout-17b-16e-instruct', mock: 'mock' },
+    transcription: { groq: 'whisper-large-v3-turbo', mock: 'mock' }
+}
+
+const RATE_LIMIT_COOLDOWN_MS = 30 * 1000
+
+/**
+ * Crea un proveedor de IA
+ * @param {object} entry - { provider, baseUrl, apiKeyEnv, response, transcription, failStatus, toolCalls }
+ * @param {object} defaults - { groqApiKey } de la tienda
+ */
+export function createLLMProvider(entry = {}, defaults = {}) {
+    const name = String(entry.provider || 'groq').toLowerCase().trim()
+
+    switch (name) {
+        case 'openai':
+            return new OpenAICompatibleProvider({
+                baseUrl: entry.baseUrl,
+                apiKey: process.env[entry.apiKeyEnv || 'OPENAI_API_KEY'] || '',
+                timeoutMs: entry.timeoutMs
+            })
+        case 'mock':
+            return new MockProvider(entry)
+        default:
+            if (name !== 'groq') {
+                console.log(`⚠️ Proveedor de IA "${name}" desconocido, usando Groq`)
+            }
+            return new GroqProvider({ apiKey: entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : defaults.groqApiKey })
+    }
+}
+
+/**
+ * Entradas de la cadena (principal + fallback) desde la config de IA_Prompts
+ * @param {object} config - Config JSON (o config.transcription)
+ * @returns {Array<object>}
+ */
+function chainEntries(config = {}) {
+    const primary = { ...config }
+    delete primary.fallback
+    delete primary.transcription
+
+    return [primary, ...(Array.isArray(config.fallback) ? config.fallback : [])]
+        .filter(entry => entry && typeof entry === 'object')
+}
+
+/**
+ * Problemas de la config de proveedores (para el validador)
+ * @param {object} config - Config JSON de IA_Prompts (o config.transcription)
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+export function validateProviderConfig(config = {}) {
+    const errors = []
+    const warnings = []
+
+    if (config.fallback !== undefined && !Array.isArray(config.fallback)) {
+        errors.push('fallback debe ser una lista ([{ "provider": ... }])')
+    }
+
+    chainEntries(config).forEach((entry, i) => {
+        const label = i === 0 ? 'provider' : `fallback[${i - 1}]`
+        const name = String(entry.provider || 'groq').toLowerCase().trim()
+
+        if (!PROVIDERS.includes(name)) {
+            errors.push(`${label}: proveedor "${entry.provider}" desconocido (usa ${PROVIDERS.join(', ')})`)
+        }
+        if (entry.apiKey !== undefined) {
+            warnings.push(`${label}: no pongas API keys en la hoja, se ignora (usa "apiKeyEnv" con el nombre de la variable de entorno)`)
+        }
+        if (entry.apiKeyEnv && !process.env[entry.apiKeyEnv]) {
+            warnings.push(`${label}: la variable de entorno ${entry.apiKeyEnv} no está definida`)
+        }
+        if (name === 'openai' && !entry.model) {
+            warnings.push(`${label}: define "model" (el servidor puede rechazar la petición sin él)`)
+        }
+        if (entry.contextWindow !== undefined && !(Number.isInteger(entry.contextWindow) && entry.contextWindow > 0)) {
+            errors.push(`${label}: contextWindow debe ser un entero positivo (tokens)`)
+        }
+        if (name === 'mock' && i === 0) {
+            warnings.push('El proveedor principal es "mock": las respuestas son simuladas')
+        }
+    })
+
+    return { errors, warnings }
+}
+
+/**
+ * @class ProviderChain
+ * Prueba los proveedores en orden: si uno falla (error o límite de uso) usa el siguiente.
+ * Un proveedor que respondió 429 se salta durante un rato (Retry-After o 30 s).
+ */
+class ProviderChain {
+    /**
+     * @param {Array<{provider: object, model: string, contextWindow: number}>} entries
+     */
+    constructor(entries) {
+        this.entries = entries.map(entry => ({ ...entry, cooldownUntil: 0 }))
+    }
+
+    /**
+     * Proveedores y modelos de la cadena ("groq:llama-3.1 → openai:llama3.1")
+     */
+    describe() {
+        return this.entries.map(entry => `${entry.provider.name}:${entry.model || '-'}`).join(' → ')
+    }
+
+    /**
+     * Modelo del proveedor principal
+     */
+    get model() {
+        return this.entries[0]?.model || null
+    }
+
+    /**
+     * Ventana de contexto más chica de la cadena (cualquiera puede terminar respondiendo)
+     */
+    contextWindow() {
+        return Math.min(...this.entries.map(entry => entry.contextWindow))
+    }
+
+    /**
+     * @returns {Promise<{content, finishReason, usage, provider, model}>}
+     */
+    async chat(request) {
+        return await this.run('chat', request)
+    }
+
+    /**
+     * @returns {Promise<string>} Texto transcrito
+     */
+    async transcribe(request) {
+        return await this.run('transcribe', request)
+    }
+
+    async run(method, request) {
+        const now = Date.now()
+        const available = this.entries.filter(entry => entry.cooldownUntil <= now)
+        // Si todos están en pausa, se intenta igual
+        const candidates = available.length > 0 ? available : this.entries
+
+        let lastError = null
+        for (const [i, entry] of candidates.entries()) {
+            try {
+                const result = await entry.provider[method]({ ...request, model: entry.model })
+                if (i > 0) console.log(`🔁 [IA] Respondió el proveedor de respaldo ${entry.provider.name}`)
+                return method === 'chat' ? { ...result, provider: entry.provider.name, model: entry.model } : result
+            } catch (error) {
+                lastError = error
+                if (error.status === 429) {
+                    entry.cooldownUntil = Date.now() + (error.retryAfterMs || RATE_LIMIT_COOLDOWN_MS)
+                }
+                const next = candidates[i + 1]
+                console.error(`⚠️ [IA] ${entry.provider.name} falló (${error.message})` +
+                    (next ? `, probando ${next.provider.name}` : ''))
+            }
+        }
+
+        throw lastError
+    }
+}
+
+/**
+ * Crea la cadena de proveedores desde la config de IA_Prompts
+ * @param {object} config - Config JSON (o config.transcription)
+ * @param {object} options - { kind: 'chat' | 'transcription', groqApiKey }
+ * @returns {ProviderChain}
+ */
+export function createProviderChain(config = {}, options = {}) {
+    const kind = options.kind || 'chat'
+
+    return new ProviderChain(chainEntries(config).map(entry => {
+        const provider = createLLMProvider(entry, options)
+        const model = entry.model || DEFAULT_MODELS[kind][provider.name]
+        return { provider, model, contextWindow: entry.contextWindow || contextWindowFor(model) }
+    }))
+}
+
+export { ProviderChain, GroqProvider, OpenAICompatibleProvider, MockProvider }
+export { toolCallMessage, toolResultMessage } from './toolCalls.js'
@@ -0,0 +1,63 @@
+/**
+ * @class MockProvider
+ * Proveedor determinista y sin red, para pruebas y para /v1/simulate sin gastar tokens.
+ * Responde siempre lo mismo para el mismo mensaje.
+ */
+class MockProvider {
+    /**
+     * @param {object} options - { response, transcription, failStatus, toolCalls }
+     *   - response:      texto fijo de respuesta (por defecto repite el último mensaje)
+     *   - transcription: texto fijo de las transcripciones
+     *   - failStatus:    si se define, falla siempre con ese código HTTP (ej: 429, para probar el fallback)
+     *   - toolCalls:     [{ name, arguments }] que pide cuando se le ofrecen herramientas
+     *                    (una vez: con los resultados ya responde)
+     */
+    constructor(options = {}) {
+        this.name = 'mock'
+        this.response = options.response || ''
+        this.transcription = options.transcription || ''
+        this.failStatus = options.failStatus || null
+        this.toolCalls = Array.isArray(options.toolCalls) ? options.toolCalls : []
+    }
+
+    failIfConfigured() {
+        if (!this.failStatus) return
+
+        const error = new Error(`${this.failStatus} Error simulado`)
+        error.status = this.failStatus
+        throw error
+    }
+
+    async chat({ messages, tools, toolChoice }) {
+        this.failIfConfigured()
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+
+        const last = messages[messages.length - 1]
+        if (tools?.length && toolChoice !== 'none' && this.toolCalls.length > 0 && last?.role !== 'tool') {
+            return {
+                content: '',
+                finishReason: 'tool_calls',
+                usage,
+                toolCalls: this.toolCalls.map((call, i) => ({
+                    id: `mock_${i}`,
+                    name: call.name,
+                    arguments: JSON.stringify(call.arguments || {})
+                }))
+            }
+        }
+
+        const lastUser = [...messages].reverse().find(message => message.role === 'user')
+        const content = this.response || (last?.role === 'tool'
+            ? `Respuesta simulada con datos: ${String(last.content).slice(0, 200)}`
+            : `Respuesta simulada a: ${String(lastUser?.content || '').slice(0, 200)}`)
+
+        return { content, finishReason: 'stop', usage, toolCalls: [] }
+    }
+
+    async transcribe() {
+        this.failIfConfigured()
+        return this.transcription || 'Transcripción simulada'
+    }
+}
+
+export default MockProvider
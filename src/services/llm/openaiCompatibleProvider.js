@@ -0,0 +1,93 @@
+import fs from 'fs'
+import path from 'path'
+import { parseToolCalls } from './toolCalls.js'
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000
+
+/**
+ * @class OpenAICompatibleProvider
+ * Chat y transcripción contra cualquier API compatible con OpenAI
+ * (/chat/completions y /audio/transcriptions): OpenAI, OpenRouter,
+ * o un servidor local de llama.cpp u Ollama (http://localhost:11434/v1).
+ */
+class OpenAICompatibleProvider {
+    /**
+     * @param {object} options - { baseUrl, apiKey, timeoutMs }
+     *                           (por defecto OPENAI_BASE_URL y OPENAI_API_KEY)
+     */
+    constructor(options = {}) {
+        this.name = 'openai'
+        this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')
+        // Los servidores locales no piden API key
+        this.apiKey = (options.apiKey || '').replace(/^["']|["']$/g, '').trim()
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS
+    }
+
+    async chat({ model, messages, maxTokens, temperature, tools, toolChoice }) {
+        const response = await this.request('/chat/completions', {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model,
+                messages,
+                max_tokens: maxTokens,
+                temperature,
+                ...(tools?.length ? { tools, tool_choice: toolChoice || 'auto' } : {})
+            })
+        })
+        const completion = await response.json()
+
+        const choice = completion.choices?.[0]
+        return {
+            content: choice?.message?.content || '',
+            finishReason: choice?.finish_reason || null,
+            usage: completion.usage || null,
+            toolCalls: parseToolCalls(choice?.message?.tool_calls)
+        }
+    }
+
+    async transcribe({ filePath, model, language }) {
+        const form = new FormData()
+        form.append('file', new Blob([fs.readFileSync(filePath)]), path.basename(filePath))
+        if (model) form.append('model', model)
+        if (language) form.append('language', language)
+        form.append('response_format', 'text')
+
+        const response = await this.request('/audio/transcriptions', { body: form })
+        return await response.text()
+    }
+
+    /**
+     * POST a la API; los errores llevan `status` (y `retryAfterMs` si la API lo indica)
+     */
+    async request(endpoint, { headers = {}, body }) {
+        const response = await fetch(`${this.baseUrl}${endpoint}`, {
+            method: 'POST',
+            headers: {
+                ...headers,
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            body,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        })
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => '')
+            let message = text
+            try {
+                message = JSON.parse(text).error?.message || text
+            } catch {
+                // Respuesta no JSON: se usa el texto tal cual
+            }
+
+            const error = new Error(`${response.status} ${message || response.statusText}`.trim())
+            error.status = response.status
+            const retryAfter = parseFloat(response.headers.get('retry-after'))
+            if (!isNaN(retryAfter)) error.retryAfterMs = retryAfter * 1000
+            throw error
+        }
+
+        return response
+    }
+}
+
+export default OpenAICompatibleProvider
@@ -0,0 +1,138 @@
+/**
+ * Presupuesto de tokens: cuánto cabe en la ventana de contexto del modelo.
+ *
+ * Los tokens NO se cuentan con el tokenizador de cada modelo (no hay uno local
+ * para Llama ni para los modelos de servidores compatibles): se ESTIMAN por
+ * caracteres, con una proporción por familia de modelo elegida para el peor
+ * caso, no para el promedio. El español rinde ~3,5-4 caracteres por token, pero
+ * el JSON de las herramientas (llaves, comillas, números, SKUs) baja a ~2-2,5.
+ * Por eso se usa ~2,5 y además se deja un margen de la ventana sin usar: la
+ * estimación sobrecuenta a propósito y recorta de más antes que exceder el contexto.
+ */
+
+// Ventana de contexto por modelo (tokens). Se usa la primera coincidencia.
+// Se puede forzar con "contextWindow" en la config del proveedor.
+const CONTEXT_WINDOWS = [
+    [/llama-4|llama-3\.[123]|llama3\.[123]/i, 131072],
+    [/gpt-4o|gpt-4\.1|gpt-5/i, 128000],
+    [/qwen|deepseek|mistral|gemma/i, 32768],
+    [/mock/i, 8192]
+]
+const DEFAULT_CONTEXT_WINDOW = 8192
+
+// Caracteres por token según la familia del modelo, en el peor caso
+// (JSON y números); el texto en español normal rinde más
+const CHARS_PER_TOKEN = [
+    [/gpt/i, 2.5],
+    [/llama|qwen|mistral|gemma|deepseek/i, 2.3]
+]
+const DEFAULT_CHARS_PER_TOKEN = 2
+
+// Tokens extra de cada mensaje (rol, separadores y, en las llamadas a herramientas, ids)
+const MESSAGE_OVERHEAD = 8
+
+// Parte de la ventana que no se usa, por si la estimación aún se queda corta
+const SAFETY_MARGIN = 0.15
+
+function lookup(table, model, fallback) {
+    const match = table.find(([pattern]) => pattern.test(model || ''))
+    return match ? match[1] : fallback
+}
+
+/**
+ * Ventana de contexto de un modelo
+ * @param {string} model
+ * @returns {number} Tokens
+ */
+export function contextWindowFor(model) {
+    return lookup(CONTEXT_WINDOWS, model, DEFAULT_CONTEXT_WINDOW)
+}
+
+/**
+ * Tokens estimados de un texto
+ * @param {string} text
+ * @param {string} model - Modelo (define los caracteres por token)
+ */
+export function countTokens(text, model) {
+    if (!text) return 0
+    return Math.ceil(String(text).length / lookup(CHARS_PER_TOKEN, model, DEFAULT_CHARS_PER_TOKEN))
+}
+
+/**
+ * Tokens estimados de una lista de mensajes de chat (incluye las llamadas a herramientas)
+ */
+export function countMessageTokens(messages, model) {
+    return messages.reduce((sum, message) =>
+        sum + MESSAGE_OVERHEAD + countTokens(message.content, model) +
+        countTokens(message.tool_calls && JSON.stringify(message.tool_calls), model), 0)
+}
+
+/**
+ * Tokens disponibles para la entrada (prompt + historial + mensaje)
+ * @param {number} contextWindow - Ventana del modelo
+ * @param {number} maxTokens - Tokens reservados para la respuesta
+ */
+export function inputBudget(contextWindow, maxTokens) {
+    return Math.max(0, Math.floor(contextWindow * (1 - SAFETY_MARGIN)) - maxTokens)
+}
+
+/**
+ * Mensajes más recientes del historial que caben en el presupuesto
+ * @param {Array<object>} history - Mensajes de más antiguo a más reciente
+ * @param {number} maxTokens
+ * @param {string} model
+ * @returns {{messages: Array<object>, dropped: Array<object>}} dropped: los que no cupieron (los más antiguos)
+ */
+export function fitHistory(history, maxTokens, model) {
+    let used = 0
+    let start = history.length
+
+    while (start > 0) {
+        const cost = countMessageTokens([history[start - 1]], model)
+        if (used + cost > maxTokens) break
+        used += cost
+        start--
+    }
+
+    return { messages: history.slice(start), dropped: history.slice(0, start) }
+}
+
+/**
+ * Resultado de una herramienta como JSON dentro del presupuesto. Si no cabe, acorta
+ * su lista más larga (productos, categorías...) y lo marca como recortado
+ * @param {object} result
+ * @param {number} maxTokens
+ * @param {string} model
+ * @returns {string} JSON
+ */
+export function fitToolResult(result, maxTokens, model) {
+    let json = JSON.stringify(result)
+    if (countTokens(json, model) <= maxTokens) return json
+
+    const key = result && typeof result === 'object'
+        ? Object.keys(result)
+            .filter(field => Array.isArray(result[field]))
+            .sort((a, b) => result[b].length - result[a].length)[0]
+        : null
+
+    if (key) {
+        const items = [...result[key]]
+        while (items.length > 0) {
+            items.pop()
+            json = JSON.stringify({ ...result, [key]: items, truncated: true })
+            if (countTokens(json, model) <= maxTokens) return json
+        }
+    }
+
+    return JSON.stringify({ error: 'El resultado no cabe en el contexto de la conversación: responde con lo que ya sabes.' })
+}
+
+/**
+ * Recorta una respuesta cortada por límite de tokens a la última oración completa
+ * @param {string} text
+ * @returns {string} El texto original si no hay una oración completa
+ */
+export function trimToLastSentence(text) {
+    const match = text.match(/^[\s\S]*[.!?…)](?=\s|$)/)
+    return match && match[0].length >= text.length / 2 ? match[0] : text
+}
@@ -0,0 +1,53 @@
+/**
+ * Llamadas a herramientas (function calling) en el formato común de los proveedores.
+ * Groq y las APIs compatibles con OpenAI usan el mismo formato de mensajes.
+ */
+
+/**
+ * Normaliza las tool_calls de la respuesta de la API
+ * @param {Array} toolCalls - message.tool_calls de la API
+ * @returns {Array<{id: string, name: string, arguments: string}>} arguments: texto JSON
+ */
+export function parseToolCalls(toolCalls) {
+    if (!Array.isArray(toolCalls)) return []
+
+    return toolCalls
+        .filter(call => call?.function?.name)
+        .map((call, i) => ({
+            id: call.id || `call_${i}`,
+            name: call.function.name,
+            arguments: typeof call.function.arguments === 'string'
+                ? call.function.arguments
+                : JSON.stringify(call.function.arguments || {})
+        }))
+}
+
+/**
+ * Mensaje 'assistant' con las llamadas, para devolverlo a la API junto a los resultados
+ * @param {string} content - Texto que acompañó a las llamadas (puede ir vacío)
+ * @param {Array} toolCalls - Llamadas normalizadas (ver parseToolCalls)
+ */
+export function toolCallMessage(content, toolCalls) {
+    return {
+        role: 'assistant',
+        content: content || null,
+        tool_calls: toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: call.arguments }
+        }))
+    }
+}
+
+/**
+ * Mensaje 'tool' con el resultado de una llamada
+ * @param {object} call - Llamada normalizada
+ * @param {*} result - Resultado (se envía como JSON)
+ */
+export function toolResultMessage(call, result) {
+    return {
+        role: 'tool',
+        tool_call_id: call.id,
+        content: typeof result === 'string' ? result : JSON.stringify(result)
+    }
+}
@@ -0,0 +1,278 @@
+import path from 'path'
+import { lazySingleton } from './lazySingleton.js'
+
+const MAX_DELAY_SECONDS = 60
+
+const DOCUMENT_TYPES = {
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.csv': 'text/csv',
+    '.txt': 'text/plain',
+    '.zip': 'application/zip'
+}
+const AUDIO_TYPES = {
+    '.ogg': 'audio/ogg; codecs=opus',
+    '.opus': 'audio/ogg; codecs=opus',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.wav': 'audio/wav'
+}
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.3gp']
+
+const TYPE_ALIASES = {
+    imagen: 'imagen',
+    image: 'imagen',
+    video: 'video',
+    documento: 'documento',
+    pdf: 'documento',
+    archivo: 'documento',
+    audio: 'audio',
+    nota_de_voz: 'audio',
+    ubicacion: 'ubicacion',
+    contacto: 'contacto',
+    vcard: 'contacto',
+    texto: 'texto',
+    espera: 'espera'
+}
+
+function isUrl(value) {
+    return /^https?:\/\/\S+$/i.test(value)
+}
+
+function extensionOf(url) {
+    try {
+        return path.extname(new URL(url).pathname).toLowerCase()
+    } catch {
+        return ''
+    }
+}
+
+/**
+ * Tipo de un adjunto escrito solo como URL, según su extensión
+ */
+function guessType(url) {
+    const extension = extensionOf(url)
+    if (DOCUMENT_TYPES[extension]) return 'documento'
+    if (AUDIO_TYPES[extension]) return 'audio'
+    if (VIDEO_EXTENSIONS.includes(extension)) return 'video'
+    return 'imagen'
+}
+
+/**
+ * Interpreta una línea de la columna media
+ * @returns {{item: object|null, error: string|null}}
+ */
+function parseLine(line) {
+    // URL sola (formato anterior): el tipo se deduce de la extensión
+    if (isUrl(line)) {
+        return { item: { type: guessType(line), url: line }, error: null }
+    }
+
+    const match = /^([\p{L}_ ]+):\s*(.*)$/u.exec(line)
+    const key = match ? match[1].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim().replace(/ +/g, '_') : ''
+    const type = TYPE_ALIASES[key]
+    if (!type) {
+        return { item: null, error: `Línea no reconocida: "${line}" (usa tipo: valor, ej: documento: URL | archivo.pdf)` }
+    }
+
+    const fields = match[2].split('|').map(field => field.trim())
+    const [value, second = '', third = ''] = fields
+
+    switch (type) {
+        case 'espera': {
+            const seconds = parseFloat(String(value).replace(',', '.'))
+            if (isNaN(seconds) || seconds < 0 || seconds > MAX_DELAY_SECONDS) {
+                return { item: null, error: `Espera inválida: "${value}" (segundos entre 0 y ${MAX_DELAY_SECONDS})` }
+            }
+            return { item: { type, seconds }, error: null }
+        }
+        case 'texto':
+            if (!match[2].trim()) return { item: null, error: 'Texto vacío' }
+            return { item: { type, text: match[2].trim() }, error: null }
+        case 'ubicacion': {
+            const [latitude, longitude] = String(value).split(',').map(n => parseFloat(n))
+            if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+                return { item: null, error: `Coordenadas inválidas: "${value}" (usa latitud,longitud)` }
+            }
+            return { item: { type, latitude, longitude, name: second, address: third }, error: null }
+        }
+        case 'contacto': {
+            const phone = String(value).replace(/[^\d]/g, '')
+            if (phone.length < 8) {
+                return { item: null, error: `Teléfono de contacto inválido: "${value}"` }
+            }
+            return { item: { type, phone, name: second || `+${phone}` }, error: null }
+        }
+        case 'documento':
+            if (!isUrl(value)) return { item: null, error: `URL inválida: "${value}"` }
+            return {
+                item: { type, url: value, fileName: second || path.basename(new URL(value).pathname) || 'archivo', caption: third },
+                error: null
+            }
+        default:
+            // imagen, video, audio
+            if (!isUrl(value)) return { item: null, error: `URL inválida: "${value}"` }
+            return { item: { type, url: value, caption: second }, error: null }
+    }
+}
+
+/**
+ * Interpreta la columna media de la hoja Flujos. Cada línea es un mensaje:
+ *   https://...                          URL sola: imagen/video/audio/documento según extensión
+ *   imagen: URL | leyenda
+ *   video: URL | leyenda
+ *   documento: URL | Catálogo 2026.pdf | leyenda
+ *   audio: URL                           se envía como nota de voz
+ *   ubicacion: -33.4372,-70.6506 | Tienda Central | Av. Siempre Viva 123
+ *   contacto: +56912345678 | Juan Pérez (ventas)
+ *   texto: mensaje adicional
+ *   espera: 3                            segundos antes del siguiente mensaje
+ * @param {string} spec - Contenido de la celda
+ * @returns {{items: Array<object>, errors: Array<{line: number, message: string}>}}
+ */
+export function parseMediaSpec(spec) {
+    const items = []
+    const errors = []
+
+    String(spec || '').split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim()
+        if (!line) return
+
+        const { item, error } = parseLine(line)
+        if (error) errors.push({ line: index + 1, message: error })
+        else items.push(item)
+    })
+
+    return { items, errors }
+}
+
+/**
+ * Verifica si la celda es una sola URL de imagen/video (se envía como antes, con flowDynamic)
+ */
+export function isSimpleMedia(items) {
+    return items.length === 1 && ['imagen', 'video'].includes(items[0].type) && !items[0].caption
+}
+
+/**
+ * @class MediaMessageService
+ * Envía secuencias de mensajes con adjuntos (documentos con nombre, notas de voz,
+ * ubicaciones, tarjetas de contacto) definidas en la columna media de la hoja Flujos,
+ * respetando la espera configurada entre mensajes.
+ */
+class MediaMessageService {
+    constructor() {
+        this.provider = null
+    }
+
+    /**
+     * Configura el proveedor de WhatsApp
+     */
+    setProvider(provider) {
+        this.provider = provider
+    }
+
+    /**
+     * Envía el texto de la respuesta y los adjuntos en orden.
+     * El texto va como leyenda del primer adjunto si este la admite y no tiene una propia.
+     * @param {string} phoneNumber - Número del destinatario
+     * @param {string} text - Texto de la respuesta (addAnswer)
+     * @param {Array<object>} items - Adjuntos de parseMediaSpec()
+     * @returns {Promise<number>} Mensajes enviados
+     */
+    async sendSequence(phoneNumber, text, items) {
+        if (!this.provider?.vendor) {
+            throw new Error('Proveedor de WhatsApp no configurado')
+        }
+
+        const jid = phoneNumber.includes('@') ? phoneNumber : `${phoneNumber.replace(/\D/g, '')}@s.whatsapp.net`
+        const queue = items.map(item => ({ ...item }))
+        let pendingText = text
+
+        const first = queue.find(item => item.type !== 'espera')
+        if (pendingText && first && ['imagen', 'video', 'documento'].includes(first.type) && !first.caption) {
+            first.caption = pendingText
+            pendingText = ''
+        }
+
+        let sent = 0
+        if (pendingText) {
+            await this.provider.vendor.sendMessage(jid, { text: pendingText })
+            sent++
+        }
+
+        for (const item of queue) {
+            if (item.type === 'espera') {
+                await new Promise(resolve => setTimeout(resolve, item.seconds * 1000))
+                continue
+            }
+
+            try {
+                await this.provider.vendor.sendMessage(jid, this.buildContent(item))
+                sent++
+            } catch (error) {
+                console.error(`❌ Error enviando ${item.type} a ${phoneNumber}:`, error.message)
+            }
+        }
+
+        return sent
+    }
+
+    /**
+     * Contenido de Baileys para un adjunto
+     */
+    buildContent(item) {
+        switch (item.type) {
+            case 'texto':
+                return { text: item.text }
+            case 'imagen':
+                return { image: { url: item.url }, caption: item.caption || undefined }
+            case 'video':
+                return { video: { url: item.url }, caption: item.caption || undefined }
+            case 'audio':
+                return {
+                    audio: { url: item.url },
+                    mimetype: AUDIO_TYPES[extensionOf(item.url)] || 'audio/ogg; codecs=opus',
+                    ptt: true
+                }
+            case 'documento':
+                return {
+                    document: { url: item.url },
+                    mimetype: DOCUMENT_TYPES[path.extname(item.fileName).toLowerCase()] ||
+                        DOCUMENT_TYPES[extensionOf(item.url)] || 'application/octet-stream',
+                    fileName: item.fileName,
+                    caption: item.caption || undefined
+                }
+            case 'ubicacion':
+                return {
+                    location: {
+                        degreesLatitude: item.latitude,
+                        degreesLongitude: item.longitude,
+                        name: item.name || undefined,
+                        address: item.address || undefined
+                    }
+                }
+            case 'contacto': {
+                const vcard = [
+                    'BEGIN:VCARD',
+                    'VERSION:3.0',
+                    `FN:${item.name}`,
+                    `TEL;type=CELL;type=VOICE;waid=${item.phone}:+${item.phone}`,
+                    'END:VCARD'
+                ].join('\n')
+                return { contacts: { displayName: item.name, contacts: [{ vcard }] } }
+            }
+            default:
+                throw new Error(`Tipo de mensaje desconocido: ${item.type}`)
+        }
+    }
+}
+
+const mediaMessageService = lazySingleton(() => new MediaMessageService())
+export { MediaMessageService }
+export default mediaMessageService
@@ -1,3 +1,5 @@
+import { lazySingleton } from './lazySingleton.js'
+
 /**
  * @class MessageBufferService
  * Acumula mensajes fragmentados de un mismo usuario antes de procesarlos.
@@ -145,5 +147,6 @@ class MessageBufferService {
     }
 }
 
-const messageBufferService = new MessageBufferService()
+const messageBufferService = lazySingleton(() => new MessageBufferService())
+export { MessageBufferService }
 export default messageBufferService
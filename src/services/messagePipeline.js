@@ -0,0 +1,254 @@
+/**
+ * Cadena de decisión de un mensaje entrante (después del buffer).
+ *
+ * Decide qué etapa responde y con qué mensajes, sin enviarlos: processMessage
+ * (app.js) entrega la respuesta y POST /v1/simulate la devuelve como JSON.
+ * Etapas, en orden (antes de 'handoff' se traduce la opción elegida, "2" → opción):
+ *   blacklist → handoff_pausado → handoff → encuesta → flujo_activo →
+ *   encuesta_inicio → flujo / flujo_ia (fila con instrucciones o sin addAnswer) → ia
+ *
+ * Con `dryRun` ninguna etapa cambia estado: no se inicia handoff ni encuesta,
+ * las sesiones de flujo no avanzan, no se consumen opciones pendientes y no se
+ * guarda historial ni analítica. Las lecturas (Sheets, WooCommerce, IA) sí se hacen.
+ */
+
+import { findMatchingFlow, parsePriority } from './flowMatcher.js'
+import { filterActiveFlows } from './flowSchedule.js'
+import { parseOptions, extractOptions } from './quickReplyService.js'
+
+const ERROR_MESSAGE = 'Disculpa, tuve un problema técnico. ¿Puedes intentar de nuevo?'
+
+/**
+ * Datos de la fila de Flujos que respondió
+ */
+function describeFlow(flow) {
+    return {
+        keyword: flow.addKeyword,
+        flujo: flow.flujo || null,
+        paso: flow.paso || null,
+        priority: parsePriority(flow.prioridad),
+        row: flow._row || null
+    }
+}
+
+/**
+ * Procesa un mensaje por la cadena de decisión
+ * @param {object} services - Servicios de la tienda (ver createTenantServices)
+ * @param {string} phoneNumber - Número del usuario
+ * @param {string} userInput - Mensaje (ya combinado por el buffer)
+ * @param {object} options - { contact: { name } para {nombre}, dryRun }
+ * @returns {Promise<object>} Decisión:
+ *   - stage:       etapa que respondió (o la que cortó el procesamiento)
+ *   - input:       mensaje procesado (con la opción elegida ya traducida)
+ *   - option:      opción elegida desde un número o botón, o null
+ *   - flow:        fila de Flujos que respondió, o null
+ *   - intent:      { type, query } de handoff o de WooCommerce, o null
+ *   - messages:    [{ body, media, options }] a enviar (vacío si no se responde)
+ *   - saveHistory: si quien envía debe guardar los mensajes en el historial
+ *   - error:       error de la IA, si lo hubo (messages trae la disculpa)
+ *   - timings:     milisegundos por etapa y total
+ */
+export async function runPipeline(services, phoneNumber, userInput, options = {}) {
+    const {
+        googleService, aiService, humanHandoffService, surveyService,
+        flowSessionService, quickReplyService, templateService, analyticsService
+    } = services
+    const { contact = {}, dryRun = false } = options
+
+    const startedAt = Date.now()
+    const timings = {}
+    const timed = async (name, fn) => {
+        const stageStart = Date.now()
+        try {
+            return await fn()
+        } finally {
+            timings[name] = Date.now() - stageStart
+        }
+    }
+
+    const decision = {
+        stage: null,
+        input: userInput,
+        option: null,
+        flow: null,
+        intent: null,
+        messages: [],
+        saveHistory: false,
+        error: null,
+        dryRun,
+        timings
+    }
+    const done = (stage, fields = {}) => {
+        Object.assign(decision, { stage }, fields)
+        timings.total = Date.now() - startedAt
+        return decision
+    }
+    // Respuestas de la hoja Flujos: variables reemplazadas y guardadas en el historial
+    const flowReply = async (stage, messages, fields = {}) => {
+        const rendered = await timed('plantillas', () => Promise.all(messages.map(async ({ variables, ...message }) => {
+            const context = { ...contact, variables }
+            return {
+                ...message,
+                body: await templateService.render(message.body, context),
+                media: message.media ? await templateService.render(message.media, context) : ''
+            }
+        })))
+        return done(stage, { ...fields, messages: rendered, saveHistory: true })
+    }
+
+    // ========================================
+    // 1. VERIFICAR BLACKLIST
+    // ========================================
+    try {
+        const isBlocked = await timed('blacklist', () => googleService.isBlacklisted(phoneNumber))
+        if (isBlocked) {
+            console.log('🚫 Número en blacklist, ignorando:', phoneNumber)
+            return done('blacklist')
+        }
+    } catch (blacklistError) {
+        console.error('⚠️ Error al verificar blacklist:', blacklistError.message)
+    }
+
+    // ========================================
+    // 1.5 VERIFICAR SI CHAT ESTÁ PAUSADO (HANDOFF)
+    // ========================================
+    if (humanHandoffService.isPaused(phoneNumber)) {
+        console.log('⏸️ Chat pausado (handoff activo), ignorando:', phoneNumber)
+        return done('handoff_pausado')
+    }
+
+    // ========================================
+    // 1.6 TRADUCIR RESPUESTA A OPCIONES ("2" → opción ofrecida)
+    // ========================================
+    const chosenOption = quickReplyService.resolveReply(phoneNumber, userInput, !dryRun)
+    if (chosenOption) {
+        console.log(`🔢 Opción elegida: "${userInput}" → "${chosenOption}"`)
+        userInput = chosenOption
+        decision.input = chosenOption
+        decision.option = chosenOption
+    }
+
+    // ========================================
+    // 1.7 DETECTAR INTENCIÓN DE HANDOFF
+    // ========================================
+    if (humanHandoffService.detectHandoffIntent(userInput)) {
+        console.log('🤝 Intención de handoff detectada:', phoneNumber)
+        const intent = { type: 'handoff', query: userInput }
+        if (dryRun) {
+            // El servicio envía este mensaje por su cuenta y avisa al admin
+            return done('handoff', { intent, messages: [{ body: humanHandoffService.config.customerMessage }] })
+        }
+        await timed('handoff', () => humanHandoffService.initiateHandoff(phoneNumber, userInput))
+        return done('handoff', { intent }) // El servicio ya envió el mensaje al cliente
+    }
+
+    // ========================================
+    // 1.8 VERIFICAR SI HAY ENCUESTA ACTIVA
+    // ========================================
+    if (surveyService.hasActiveSurvey(phoneNumber)) {
+        console.log('📋 Procesando respuesta de encuesta:', phoneNumber)
+        const message = dryRun
+            ? surveyService.previewMessage(phoneNumber)
+            : (await timed('encuesta', () => surveyService.processAnswer(phoneNumber, userInput))).message
+        return done('encuesta', { messages: message ? [{ body: message }] : [] })
+    }
+
+    // ========================================
+    // 1.9 VERIFICAR SI HAY FLUJO DE VARIOS PASOS ACTIVO
+    // ========================================
+    if (flowSessionService.hasActiveSession(phoneNumber)) {
+        console.log('🧭 Procesando respuesta de flujo:', phoneNumber)
+        const messages = await timed('flujo_activo', () =>
+            flowSessionService.processReply(phoneNumber, userInput, { dryRun })
+        )
+        // null: el flujo ya no existe en la hoja, el mensaje sigue el camino normal
+        if (messages) {
+            return await flowReply('flujo_activo', messages)
+        }
+    }
+
+    // ========================================
+    // 1.10 DETECTAR PALABRA CLAVE DE ENCUESTA
+    // ========================================
+    if (surveyService.isKeywordTrigger(userInput)) {
+        console.log('📋 Iniciando encuesta para:', phoneNumber)
+        const welcomeMessage = dryRun
+            ? surveyService.previewMessage(phoneNumber)
+            : await timed('encuesta', () => surveyService.startSurvey(phoneNumber))
+        return done('encuesta_inicio', { messages: [{ body: welcomeMessage }] })
+    }
+
+    // ========================================
+    // 2. BUSCAR EN FLUJOS DE SHEETS
+    // ========================================
+    try {
+        const triggeredFlow = await timed('flujos', async () => {
+            // Solo flujos activos ahora (columnas desde/hasta/dias/horas)
+            const flows = filterActiveFlows(await googleService.getFlows(), templateService.getNow())
+            return findMatchingFlow(flows, userInput)
+        })
+
+        if (triggeredFlow) {
+            console.log('🧭 Flujo disparado:', triggeredFlow.addKeyword)
+            if (!dryRun) analyticsService.recordFlow(triggeredFlow)
+            const flow = describeFlow(triggeredFlow)
+
+            // Flujo de varios pasos: la sesión queda esperando las respuestas
+            if (triggeredFlow.flujo) {
+                const messages = await flowSessionService.startFlow(phoneNumber, triggeredFlow, { dryRun })
+                if (messages.length > 0) {
+                    return await flowReply('flujo', messages, { flow })
+                }
+            }
+
+            const answer = (triggeredFlow.addAnswer || '').trim()
+            const media = (triggeredFlow.media || '').trim()
+
+            // Columna 'instrucciones': responde la IA guiada por la fila
+            // (ej: "Responde solo sobre despachos con esta política: ...").
+            // Sin addAnswer también responde la IA, aunque la fila tenga media
+            if (triggeredFlow.instrucciones || !answer) {
+                console.log(triggeredFlow.instrucciones
+                    ? '🧠 Flujo con instrucciones, derivando a IA'
+                    : '⚠️ Flujo sin respuesta, derivando a IA')
+                // Un error acá no sigue al fallback: la IA respondería de nuevo sin las
+                // instrucciones y el mensaje contaría también como no reconocido
+                try {
+                    const instructions = triggeredFlow.instrucciones
+                        ? await timed('plantillas', () => templateService.render(triggeredFlow.instrucciones, contact))
+                        : ''
+                    const aiResponse = extractOptions(await timed('ia', () =>
+                        aiService.getResponse(userInput, phoneNumber, { dryRun, instructions })
+                    ))
+                    return done('flujo_ia', { flow, messages: [{ body: aiResponse.text, options: aiResponse.options }] })
+                } catch (aiError) {
+                    console.error('❌ Error en respuesta IA del flujo:', aiError.message)
+                    return done('flujo_ia', { flow, error: aiError.message, messages: [{ body: ERROR_MESSAGE }] })
+                }
+            }
+
+            const options = parseOptions(triggeredFlow.opciones)
+            return await flowReply('flujo', [{ body: answer, media, options }], { flow })
+        }
+    } catch (flowError) {
+        console.error('⚠️ Error al procesar flujos:', flowError.message)
+    }
+
+    // ========================================
+    // 3. FALLBACK A IA (CON WOOCOMMERCE)
+    // ========================================
+    console.log('🤖 No se encontró keyword, derivando a IA con WooCommerce...')
+    if (!dryRun) analyticsService.recordUnmatched(userInput)
+
+    const wooIntent = aiService.detectWooCommerceIntent(userInput)
+    const intent = wooIntent.type ? wooIntent : null
+    try {
+        const aiResponse = extractOptions(await timed('ia', () =>
+            aiService.getResponseWithWooCommerce(userInput, phoneNumber, { dryRun })
+        ))
+        return done('ia', { intent, messages: [{ body: aiResponse.text, options: aiResponse.options }] })
+    } catch (aiError) {
+        console.error('❌ Error en respuesta IA:', aiError.message)
+        return done('ia', { intent, error: aiError.message, messages: [{ body: ERROR_MESSAGE }] })
+    }
+}
@@ -0,0 +1,169 @@
+import { lazySingleton } from './lazySingleton.js'
+
+const MAX_BUTTONS = 3       // Más opciones se envían como mensaje de lista
+const MAX_LIST_ROWS = 10
+
+/**
+ * Normaliza texto para comparar respuestas (sin tildes, mayúsculas ni espacios extra)
+ */
+function normalize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+}
+
+/**
+ * Separa las opciones escritas en una celda ("Ver catálogo|Estado de pedido")
+ */
+export function parseOptions(value) {
+    return String(value || '').split('|').map(option => option.trim()).filter(Boolean)
+}
+
+/**
+ * Separa las opciones que la IA agrega al final de su respuesta
+ * ("OPCIONES: Ver catálogo | Hablar con asesor")
+ * @returns {{text: string, options: Array<string>}}
+ */
+export function extractOptions(response) {
+    const text = String(response || '')
+    const match = /\n?[ \t]*\**opciones\**:\**[ \t]*([^\n]+)\s*$/i.exec(text)
+    if (!match) return { text, options: [] }
+
+    return {
+        text: text.slice(0, match.index).trim(),
+        options: parseOptions(match[1]).slice(0, MAX_LIST_ROWS)
+    }
+}
+
+/**
+ * @class QuickReplyService
+ * Ofrece opciones de respuesta rápida desde flujos y respuestas de la IA.
+ * En modo 'botones' intenta enviar botones (hasta 3) o un mensaje de lista;
+ * si Baileys/WhatsApp no lo soporta, o en modo 'lista' (por defecto), envía
+ * las opciones como lista numerada. Recuerda las opciones ofrecidas a cada
+ * número para traducir su siguiente respuesta ("2") a la opción elegida.
+ */
+class QuickReplyService {
+    /**
+     * @param {object} options - { mode: 'lista' | 'botones' } (por defecto QUICK_REPLY_MODE)
+     */
+    constructor(options = {}) {
+        this.provider = null
+        this.mode = (options.mode || process.env.QUICK_REPLY_MODE || 'lista').toLowerCase()
+        this.pending = new Map() // { phoneNumber: { options, expiresAt } }
+        this.ttlMs = 30 * 60 * 1000
+    }
+
+    /**
+     * Configura el proveedor de WhatsApp
+     */
+    setProvider(provider) {
+        this.provider = provider
+    }
+
+    /**
+     * Texto con las opciones como lista numerada
+     */
+    formatList(text, options) {
+        const list = options.map((option, i) => `${i + 1}. ${option}`).join('\n')
+        return text ? `${text}\n\n${list}` : list
+    }
+
+    /**
+     * Envía un mensaje con opciones (botones, lista o lista numerada)
+     * @param {string} phoneNumber - Número del destinatario
+     * @param {string} text - Mensaje
+     * @param {Array<string>} options - Opciones a ofrecer
+     * @param {Function} flowDynamic - Envío de BuilderBot para el texto
+     */
+    async send(phoneNumber, text, options, flowDynamic) {
+        if (!options || options.length === 0) {
+            return await flowDynamic(text)
+        }
+
+        this.pending.set(phoneNumber, { options, expiresAt: Date.now() + this.ttlMs })
+
+        if (this.mode === 'botones' && this.provider?.vendor) {
+            try {
+                await this.sendInteractive(phoneNumber, text, options)
+                return
+            } catch (error) {
+                console.error('⚠️ Botones no disponibles, se envía lista numerada:', error.message)
+            }
+        }
+
+        return await flowDynamic(this.formatList(text, options))
+    }
+
+    /**
+     * Envía botones (hasta 3 opciones) o un mensaje de lista con Baileys
+     */
+    async sendInteractive(phoneNumber, text, options) {
+        const jid = phoneNumber.includes('@') ? phoneNumber : `${phoneNumber.replace(/\D/g, '')}@s.whatsapp.net`
+
+        if (options.length <= MAX_BUTTONS) {
+            await this.provider.vendor.sendMessage(jid, {
+                text: text || 'Elige una opción:',
+                buttons: options.map((option, i) => ({
+                    buttonId: `opcion_${i + 1}`,
+                    buttonText: { displayText: option },
+                    type: 1
+                })),
+                headerType: 1
+            })
+            return
+        }
+
+        await this.provider.vendor.sendMessage(jid, {
+            text: text || 'Elige una opción:',
+            buttonText: 'Ver opciones',
+            sections: [{
+                title: 'Opciones',
+                rows: options.slice(0, MAX_LIST_ROWS).map((option, i) => ({
+                    title: option,
+                    rowId: `opcion_${i + 1}`
+                }))
+            }]
+        })
+    }
+
+    /**
+     * Traduce la respuesta a las últimas opciones ofrecidas (número, id de botón o texto).
+     * Las opciones valen solo para el siguiente mensaje del usuario.
+     * @param {string} phoneNumber
+     * @param {string} input - Mensaje del usuario
+     * @param {boolean} consume - false para consultar sin descartar las opciones (simulación)
+     * @returns {string|null} Opción elegida, o null si no corresponde
+     */
+    resolveReply(phoneNumber, input, consume = true) {
+        const pending = this.pending.get(phoneNumber)
+        if (!pending) return null
+
+        if (consume) this.pending.delete(phoneNumber)
+        if (Date.now() > pending.expiresAt) return null
+
+        const text = normalize(input).replace(/^opcion_/, '').replace(/[.)]$/, '')
+        const index = parseInt(text)
+        if (String(index) === text && index >= 1 && index <= pending.options.length) {
+            return pending.options[index - 1]
+        }
+
+        return pending.options.find(option => normalize(option) === normalize(input)) || null
+    }
+
+    /**
+     * Obtiene estadísticas
+     */
+    getStats() {
+        return {
+            mode: this.mode,
+            pendingChoices: this.pending.size
+        }
+    }
+}
+
+const quickReplyService = lazySingleton(() => new QuickReplyService())
+export { QuickReplyService }
+export default quickReplyService
@@ -1,13 +1,18 @@
 import crypto from 'crypto'
 import googleService from './googleService.js'
+import { lazySingleton } from './lazySingleton.js'
 
 /**
  * @class SalesWebhookService
  * Procesa webhooks de WooCommerce para automatizar el registro de ventas.
  */
 class SalesWebhookService {
-    constructor() {
-        this.webhookSecret = process.env.WOOCOMMERCE_WEBHOOK_SECRET || ''
+    /**
+     * @param {object} options - { googleService, webhookSecret } (por defecto WOOCOMMERCE_WEBHOOK_SECRET)
+     */
+    constructor(options = {}) {
+        this.googleService = options.googleService || googleService
+        this.webhookSecret = options.webhookSecret ?? (process.env.WOOCOMMERCE_WEBHOOK_SECRET || '')
         this.adapterSend = null // Se inyecta desde app.js
     }
 
@@ -112,7 +117,7 @@ class SalesWebhookService {
         console.log(`   Productos: ${orderInfo.products}`)
 
         // Guardar en Google Sheets
-        await googleService.addVenta(orderInfo)
+        await this.googleService.addVenta(orderInfo)
 
         // Enviar mensaje de confirmación
         if (orderInfo.phone) {
@@ -130,7 +135,7 @@ class SalesWebhookService {
         console.log(`🔄 [Webhook] Orden #${orderInfo.orderNumber} actualizada a: ${orderInfo.status}`)
 
         // Actualizar en Google Sheets
-        await googleService.updateVentaStatus(orderInfo.orderNumber, orderInfo.status)
+        await this.googleService.updateVentaStatus(orderInfo.orderNumber, orderInfo.status)
 
         // Enviar mensaje según el nuevo estado
         if (orderInfo.phone) {
@@ -151,7 +156,7 @@ class SalesWebhookService {
 
         try {
             // Obtener mensaje template
-            const template = await googleService.getMensajeVenta(status)
+            const template = await this.googleService.getMensajeVenta(status)
 
             if (!template) {
                 console.log(`ℹ️ [Webhook] No hay mensaje configurado para estado: ${status}`)
@@ -171,7 +176,7 @@ class SalesWebhookService {
             console.log(`✅ [Webhook] Mensaje enviado a ${orderInfo.phone}`)
 
             // Marcar como notificado en Sheets
-            await googleService.markVentaNotified(orderInfo.orderNumber)
+            await this.googleService.markVentaNotified(orderInfo.orderNumber)
 
         } catch (error) {
             console.error('❌ [Webhook] Error enviando notificación:', error.message)
@@ -212,5 +217,6 @@ class SalesWebhookService {
     }
 }
 
-const salesWebhookService = new SalesWebhookService()
+const salesWebhookService = lazySingleton(() => new SalesWebhookService())
+export { SalesWebhookService }
 export default salesWebhookService
@@ -1,4 +1,5 @@
 import googleService from './googleService.js'
+import { lazySingleton } from './lazySingleton.js'
 
 /**
  * @class ScheduledMessagesService
@@ -6,7 +7,11 @@ import googleService from './googleService.js'
  * Lee desde la hoja 'Envios' y aplica protecciones anti-bloqueo.
  */
 class ScheduledMessagesService {
-    constructor() {
+    /**
+     * @param {object} options - { googleService, config } (config: límites anti-bloqueo a sobrescribir)
+     */
+    constructor(options = {}) {
+        this.googleService = options.googleService || googleService
         this.isProcessing = false
         this.dailySentCount = 0
         this.lastResetDate = new Date().toDateString()
@@ -19,7 +24,8 @@ class ScheduledMessagesService {
             maxDailyMessages: 50,   // Límite diario
             checkIntervalMs: 60000, // Verificar cada 1 minuto
             startHour: 6,           // Hora inicio (6am)
-            endHour: 22             // Hora fin (10pm)
+            endHour: 22,            // Hora fin (10pm)
+            ...options.config
         }
     }
 
@@ -45,7 +51,13 @@ class ScheduledMessagesService {
             const minute = parseInt(timeParts[1]) || 0
             const second = parseInt(timeParts[2]) || 0
 
-            return new Date(year, month, day, hour, minute, second)
+            const date = new Date(year, month, day, hour, minute, second)
+
+            // Fechas imposibles (ej: 31/02) no se corren al mes siguiente
+            if (isNaN(date.getTime()) || date.getDate() !== day || date.getMonth() !== month) {
+                return null
+            }
+            return date
         } catch {
             return null
         }
@@ -106,7 +118,7 @@ class ScheduledMessagesService {
                 return
             }
 
-            const messages = await googleService.getScheduledMessages()
+            const messages = await this.googleService.getScheduledMessages()
             const now = new Date()
 
             // Filtrar mensajes pendientes cuya hora ya pasó
@@ -149,7 +161,7 @@ class ScheduledMessagesService {
                     }
 
                     // Actualizar estado a Enviado
-                    await googleService.updateMessageStatus(msg.rowIndex, 'Enviado')
+                    await this.googleService.updateMessageStatus(msg.rowIndex, 'Enviado')
                     this.dailySentCount++
 
                     console.log(`✅ Mensaje enviado a ${numero} (${this.dailySentCount}/${this.config.maxDailyMessages})`)
@@ -164,7 +176,7 @@ class ScheduledMessagesService {
 
                 } catch (sendError) {
                     console.error(`❌ Error enviando a ${msg.numeroWhatsapp}:`, sendError.message)
-                    await googleService.updateMessageStatus(msg.rowIndex, 'Error')
+                    await this.googleService.updateMessageStatus(msg.rowIndex, 'Error')
                 }
             }
 
@@ -209,5 +221,6 @@ class ScheduledMessagesService {
     }
 }
 
-const scheduledMessagesService = new ScheduledMessagesService()
+const scheduledMessagesService = lazySingleton(() => new ScheduledMessagesService())
+export { ScheduledMessagesService }
 export default scheduledMessagesService
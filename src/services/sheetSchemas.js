@@ -0,0 +1,158 @@
+/**
+ * Registro declarativo de las hojas que usa el bot.
+ * GoogleService.bootstrapSheets() lo recorre una vez al iniciar:
+ * crea las hojas faltantes con sus encabezados y filas por defecto,
+ * y migra las existentes agregando columnas (o claves) nuevas al final,
+ * sin tocar los datos ya cargados.
+ *
+ * Campos de cada esquema:
+ *   - name:        Nombre de la hoja
+ *   - headers:     Fila 1 (null si la hoja no tiene encabezados fijos)
+ *   - defaultRows: Filas que se escriben solo al crear la hoja
+ *   - keyValue:    Hoja de configuración "Clave | Valor": las claves de
+ *                  defaultRows que falten se agregan como filas nuevas
+ */
+export const SHEET_SCHEMAS = [
+    {
+        name: 'Flujos',
+        // flujo/paso/captura/opciones/siguiente: flujos de varios pasos (ver FlowSessionService)
+        // coincidencia/prioridad: cómo se compara addKeyword y quién gana si varias coinciden (ver flowMatcher.js)
+        // desde/hasta/dias/horas: cuándo está activo el flujo (ver flowSchedule.js)
+        // instrucciones: en vez de addAnswer, responde la IA siguiendo este texto
+        headers: ['addKeyword', 'addAnswer', 'media', 'flujo', 'paso', 'captura', 'opciones', 'siguiente', 'coincidencia', 'prioridad', 'desde', 'hasta', 'dias', 'horas', 'instrucciones']
+    },
+    {
+        name: 'IA_Prompts',
+        // Columna C vacía por compatibilidad con hojas existentes
+        headers: ['Rol', 'Contenido', '', 'Buffer', 'Temperature'],
+        defaultRows: [
+            ['system', 'Eres un asistente virtual amable y profesional. Responde de manera concisa y útil.', '', '2.5', '0.7']
+        ]
+    },
+    {
+        name: 'BlackList',
+        headers: ['Numero', 'Motivo', 'Fecha']
+    },
+    {
+        name: 'Envios',
+        headers: ['NumeroWhatsapp', 'MensajeTexto', 'MediaUrl', 'Hora', 'Estado']
+    },
+    {
+        name: 'Ventas',
+        headers: ['Whatsapp', 'Nombre_Cliente', 'Numero_Pedido', 'Productos', 'Estado_Pedido', 'Fecha', 'Notificado', 'Ultima_Actualizacion']
+    },
+    {
+        name: 'Mensajes_Ventas',
+        headers: ['Estado', 'Mensaje'],
+        defaultRows: [
+            ['nueva_orden', '¡Hola {nombre}! 🎉 Tu pedido #{order} ha sido confirmado. Te avisaremos cuando esté listo.'],
+            ['pending', 'Tu pedido #{order} está pendiente de pago. Completa el pago para procesarlo.'],
+            ['processing', '📦 ¡Buenas noticias {nombre}! Tu pedido #{order} está siendo preparado.'],
+            ['on-hold', 'Tu pedido #{order} está en espera. Contáctanos si tienes dudas.'],
+            ['completed', '🎉 ¡{nombre}, tu pedido #{order} ha sido completado y entregado! Gracias por tu compra.'],
+            ['cancelled', 'Tu pedido #{order} ha sido cancelado. Si tienes dudas, contáctanos.'],
+            ['refunded', 'Tu pedido #{order} ha sido reembolsado. El dinero llegará en 5-10 días hábiles.']
+        ]
+    },
+    {
+        name: 'Handoff_Config',
+        headers: ['Configuración', 'Valor'],
+        keyValue: true,
+        defaultRows: [
+            ['Admin_Whatsapp', ''],
+            ['Pausa_Minutos', '30'],
+            ['Mensaje_Cliente', '⏳ En breve un asesor se comunicará contigo para darte atención personalizada. Por favor espera.'],
+            ['Mensaje_Admin', '🚨 *SOLICITUD DE ATENCIÓN*\n\n📱 Cliente: {phone}\n💬 Mensaje: {message}\n\n_Responde directamente a este número._'],
+            ['Keywords', 'hablar con alguien,persona real,humano,agente,asesor,vendedor,atención personalizada']
+        ]
+    },
+    {
+        name: 'Handoff_Pausas',
+        // Chats pausados por handoff (una fila por número, se actualiza en cada cambio)
+        headers: ['Numero', 'Pausado_En', 'Expira_En', 'Motivo', 'Agente', 'Estado']
+    },
+    {
+        name: 'Encuesta_Config',
+        headers: ['Configuración', 'Valor'],
+        keyValue: true,
+        defaultRows: [
+            ['Palabra_Clave', 'encuesta'],
+            ['Mensaje_Inicio', '📋 ¡Hola! Vamos a hacerte unas preguntas rápidas.'],
+            ['Mensaje_Fin', '✅ ¡Gracias por tus respuestas! Han sido guardadas.'],
+            ['Activa', 'Sí'],
+            ['Expira_Minutos', '30']
+        ]
+    },
+    {
+        name: 'Encuesta_Preguntas',
+        // La fila 1 contiene las preguntas, no encabezados
+        headers: null,
+        defaultRows: [
+            ['¿Cuál es tu nombre?', '¿Cómo nos conociste?', '¿Qué producto te interesa?', '¿Tienes alguna pregunta?']
+        ]
+    },
+    {
+        name: 'Encuesta_Sesiones',
+        // Encuestas en curso (una fila por número); Respuestas/Preguntas en JSON
+        headers: ['Numero', 'Iniciada', 'Actualizada', 'Pregunta_Actual', 'Respuestas', 'Preguntas', 'Estado']
+    },
+    {
+        name: 'Encuesta_Respuestas',
+        // Encabezados dinámicos: Fecha, WhatsApp, las preguntas y Estado, cada valor
+        // bajo su encabezado (ver addSurveyResponse)
+        headers: null
+    },
+    {
+        name: 'Horario',
+        // Tramos de atención (un día puede tener varias filas; los días sin fila están cerrados)
+        headers: ['Dia', 'Apertura', 'Cierre'],
+        defaultRows: [
+            ['Lunes', '09:00', '18:00'],
+            ['Martes', '09:00', '18:00'],
+            ['Miércoles', '09:00', '18:00'],
+            ['Jueves', '09:00', '18:00'],
+            ['Viernes', '09:00', '18:00'],
+            ['Sábado', '10:00', '14:00']
+        ]
+    },
+    {
+        name: 'Flujo_Sesiones',
+        // Flujos de varios pasos en curso (una fila por número); Variables en JSON
+        headers: ['Numero', 'Flujo', 'Paso', 'Variables', 'Iniciada', 'Actualizada', 'Estado']
+    },
+    {
+        name: 'Flujo_Capturas',
+        // Datos capturados al terminar (o expirar) un flujo de varios pasos
+        headers: ['Fecha', 'WhatsApp', 'Flujo', 'Datos', 'Estado']
+    },
+    {
+        name: 'Flujo_Analitica',
+        // Veces que se disparó cada fila de Flujos (y mensajes derivados a la IA); ver AnalyticsService
+        headers: ['addKeyword', 'Disparos', 'Ultimo_Disparo']
+    },
+    {
+        name: 'Sin_Respuesta',
+        // Mensajes que no coincidieron con ningún flujo, agrupados (candidatos a nuevos flujos)
+        headers: ['Mensaje', 'Veces', 'Ultima_Vez']
+    }
+]
+
+/**
+ * Normaliza un encabezado para compararlo (sin tildes ni mayúsculas)
+ * @param {string} header - Encabezado tal como está en la hoja
+ */
+export function normalizeHeader(header) {
+    return String(header || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+}
+
+/**
+ * Obtiene el esquema de una hoja por nombre
+ * @param {string} name - Nombre de la hoja
+ */
+export function getSheetSchema(name) {
+    return SHEET_SCHEMAS.find(s => s.name === name) || null
+}
@@ -0,0 +1,73 @@
+/**
+ * Utilidades para rangos en notación A1 (ej: 'Ventas!E2:H2')
+ */
+
+/**
+ * Convierte letras de columna (A, B, ..., AA) a índice 0-based
+ */
+export function columnToIndex(letters) {
+    let index = 0
+    for (const char of letters) {
+        index = index * 26 + (char.charCodeAt(0) - 64)
+    }
+    return index - 1
+}
+
+/**
+ * Convierte un índice de columna 0-based a letras (0 → A, 26 → AA)
+ */
+export function columnLetter(index) {
+    let letters = ''
+    let n = index + 1
+    while (n > 0) {
+        const remainder = (n - 1) % 26
+        letters = String.fromCharCode(65 + remainder) + letters
+        n = Math.floor((n - 1) / 26)
+    }
+    return letters
+}
+
+/**
+ * Parsea una celda A1 (ej: 'A2', 'C', '5') en { col, row } 0-based
+ */
+function parseCell(ref) {
+    const match = /^([A-Z]*)(\d*)$/i.exec(ref.trim())
+    if (!match) throw new Error(`Referencia de celda inválida: ${ref}`)
+
+    return {
+        col: match[1] ? columnToIndex(match[1].toUpperCase()) : null,
+        row: match[2] ? parseInt(match[2]) - 1 : null
+    }
+}
+
+/**
+ * Parsea un rango A1 (ej: 'Flujos!A2:C') en límites 0-based.
+ * Los límites abiertos se representan con Infinity.
+ */
+export function parseRange(range) {
+    const separator = range.lastIndexOf('!')
+    const sheet = (separator === -1 ? range : range.substring(0, separator)).replace(/^'|'$/g, '')
+    const ref = separator === -1 ? '' : range.substring(separator + 1)
+
+    if (!ref) {
+        return { sheet, startRow: 0, startCol: 0, endRow: Infinity, endCol: Infinity }
+    }
+
+    const [startRef, endRef] = ref.split(':')
+    const start = parseCell(startRef)
+    const startRow = start.row ?? 0
+    const startCol = start.col ?? 0
+
+    if (endRef === undefined) {
+        return { sheet, startRow, startCol, endRow: startRow, endCol: startCol }
+    }
+
+    const end = parseCell(endRef)
+    return {
+        sheet,
+        startRow,
+        startCol,
+        endRow: end.row ?? Infinity,
+        endCol: end.col ?? Infinity
+    }
+}
@@ -0,0 +1,42 @@
+import SheetsStorage from './sheetsStorage.js'
+import JsonFileStorage from './jsonFileStorage.js'
+
+/**
+ * Contrato de un backend de almacenamiento (rangos en notación A1):
+ *
+ *   listSheets()                 → [{ title, sheetId }]
+ *   hasSheet(title)              → boolean
+ *   addSheet(title)
+ *   getValues(range)             → filas (string[][]), sin celdas vacías al final
+ *   batchGetValues(ranges)       → filas de cada rango (una sola llamada)
+ *   updateValues(range, values)
+ *   batchUpdateValues([{ range, values }])
+ *   appendValues(range, values)
+ *   deleteRow(title, rowNumber)  → boolean (rowNumber 1-indexed)
+ *
+ * Backends disponibles:
+ *   - 'sheets' (por defecto): Google Sheets vía API
+ *   - 'local': archivo JSON en disco (LOCAL_STORAGE_FILE, por defecto data/storage.json)
+ */
+
+/**
+ * Crea el backend de almacenamiento según STORAGE_BACKEND
+ * @param {object} options - { backend, sheetId, credentials, filePath }
+ */
+export function createStorage(options = {}) {
+    const backend = (options.backend || process.env.STORAGE_BACKEND || 'sheets').toLowerCase().trim()
+
+    if (backend === 'local' || backend === 'json') {
+        const storage = new JsonFileStorage(options)
+        console.log('💾 Storage local activo:', storage.filePath)
+        return storage
+    }
+
+    if (backend !== 'sheets') {
+        console.log(`⚠️ STORAGE_BACKEND "${backend}" desconocido, usando Google Sheets`)
+    }
+
+    return new SheetsStorage(options)
+}
+
+export { SheetsStorage, JsonFileStorage }
@@ -0,0 +1,175 @@
+import fs from 'fs'
+import path from 'path'
+import { parseRange } from './a1.js'
+
+/**
+ * Quita celdas y filas vacías al final (igual que la API de Sheets)
+ */
+function trimValues(rows) {
+    const trimmed = rows.map(row => {
+        const copy = [...row]
+        while (copy.length > 0 && (copy[copy.length - 1] === '' || copy[copy.length - 1] === undefined)) {
+            copy.pop()
+        }
+        return copy
+    })
+
+    while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) {
+        trimmed.pop()
+    }
+    return trimmed
+}
+
+/**
+ * @class JsonFileStorage
+ * Backend de almacenamiento local que emula las hojas en un archivo JSON.
+ * Permite ejecutar el bot sin conexión a Google (desarrollo, pruebas o caída de la API).
+ */
+class JsonFileStorage {
+    constructor(options = {}) {
+        this.type = 'local'
+        this.filePath = options.filePath ||
+            process.env.LOCAL_STORAGE_FILE ||
+            path.join(process.cwd(), 'data', 'storage.json')
+        this.data = null
+    }
+
+    /**
+     * Carga el archivo en memoria (lazy)
+     */
+    load() {
+        if (this.data) return this.data
+
+        try {
+            const raw = fs.readFileSync(this.filePath, 'utf8')
+            this.data = JSON.parse(raw)
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error al leer storage local:', error.message)
+            }
+            this.data = { sheets: {} }
+        }
+
+        if (!this.data.sheets) this.data.sheets = {}
+        return this.data
+    }
+
+    /**
+     * Persiste el estado en disco (escritura atómica)
+     */
+    persist() {
+        const dir = path.dirname(this.filePath)
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true })
+        }
+
+        const tempPath = `${this.filePath}.tmp`
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2))
+        fs.renameSync(tempPath, this.filePath)
+    }
+
+    /**
+     * Obtiene las filas de una hoja o lanza error si no existe
+     */
+    getSheetRows(title) {
+        const rows = this.load().sheets[title]
+        if (!rows) {
+            throw new Error(`Unable to parse range: hoja "${title}" no existe`)
+        }
+        return rows
+    }
+
+    async listSheets() {
+        return Object.keys(this.load().sheets).map((title, index) => ({
+            title,
+            sheetId: index
+        }))
+    }
+
+    async hasSheet(title) {
+        return Boolean(this.load().sheets[title])
+    }
+
+    async addSheet(title) {
+        const data = this.load()
+        if (data.sheets[title]) {
+            throw new Error(`Ya existe una hoja con el nombre "${title}"`)
+        }
+        data.sheets[title] = []
+        this.persist()
+    }
+
+    async getValues(range) {
+        const { sheet, startRow, startCol, endRow, endCol } = parseRange(range)
+        const rows = this.getSheetRows(sheet)
+
+        const selected = rows
+            .slice(startRow, endRow === Infinity ? undefined : endRow + 1)
+            .map(row => row.slice(startCol, endCol === Infinity ? undefined : endCol + 1))
+
+        return trimValues(selected)
+    }
+
+    async batchGetValues(ranges) {
+        return Promise.all(ranges.map(range => this.getValues(range)))
+    }
+
+    async updateValues(range, values) {
+        this.writeRange(range, values)
+        this.persist()
+    }
+
+    async batchUpdateValues(data) {
+        for (const { range, values } of data) {
+            this.writeRange(range, values)
+        }
+        this.persist()
+    }
+
+    /**
+     * Escribe valores en memoria a partir de la celda inicial del rango
+     */
+    writeRange(range, values) {
+        const { sheet, startRow, startCol } = parseRange(range)
+        const rows = this.getSheetRows(sheet)
+
+        values.forEach((valueRow, rowOffset) => {
+            const rowIndex = startRow + rowOffset
+            while (rows.length <= rowIndex) rows.push([])
+            const row = rows[rowIndex]
+
+            valueRow.forEach((value, colOffset) => {
+                const colIndex = startCol + colOffset
+                while (row.length < colIndex) row.push('')
+                row[colIndex] = value === null || value === undefined ? '' : String(value)
+            })
+        })
+    }
+
+    async appendValues(range, values) {
+        const { sheet, startCol } = parseRange(range)
+        const rows = trimValues(this.getSheetRows(sheet))
+        this.load().sheets[sheet] = rows
+
+        for (const valueRow of values) {
+            const row = new Array(startCol).fill('')
+            valueRow.forEach(value => {
+                row.push(value === null || value === undefined ? '' : String(value))
+            })
+            rows.push(row)
+        }
+
+        this.persist()
+    }
+
+    async deleteRow(title, rowNumber) {
+        const rows = this.load().sheets[title]
+        if (!rows) return false
+
+        rows.splice(rowNumber - 1, 1)
+        this.persist()
+        return true
+    }
+}
+
+export default JsonFileStorage
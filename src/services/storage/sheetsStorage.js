@@ -0,0 +1,166 @@
+import { GoogleAuth } from 'google-auth-library'
+import { google } from 'googleapis'
+
+/**
+ * @class SheetsStorage
+ * Backend de almacenamiento sobre la API de Google Sheets.
+ * Expone operaciones de bajo nivel (rangos A1) que usa GoogleService.
+ */
+class SheetsStorage {
+    constructor(options = {}) {
+        // Sin credenciales (ej: multi-tienda con credenciales por tienda) el error
+        // aparece recién en la primera llamada, no al importar el módulo
+        const envCredentials = process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON
+        const credentials = options.credentials ||
+            (envCredentials ? JSON.parse(envCredentials) : undefined)
+
+        this.type = 'sheets'
+        this.auth = new GoogleAuth({
+            credentials,
+            scopes: [
+                'https://www.googleapis.com/auth/spreadsheets'
+            ]
+        })
+        this.sheets = google.sheets({ version: 'v4', auth: this.auth })
+        this.sheetId = options.sheetId || process.env.SHEET_ID
+    }
+
+    /**
+     * Obtiene las hojas del documento
+     * @returns {Promise<Array<{title: string, sheetId: number}>>}
+     */
+    async listSheets() {
+        const spreadsheet = await this.sheets.spreadsheets.get({
+            spreadsheetId: this.sheetId
+        })
+
+        return spreadsheet.data.sheets.map(s => ({
+            title: s.properties.title,
+            sheetId: s.properties.sheetId
+        }))
+    }
+
+    /**
+     * Verifica si existe una hoja
+     * @param {string} title - Nombre de la hoja
+     */
+    async hasSheet(title) {
+        const sheets = await this.listSheets()
+        return sheets.some(s => s.title === title)
+    }
+
+    /**
+     * Crea una hoja nueva
+     * @param {string} title - Nombre de la hoja
+     */
+    async addSheet(title) {
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.sheetId,
+            resource: {
+                requests: [{
+                    addSheet: { properties: { title } }
+                }]
+            }
+        })
+    }
+
+    /**
+     * Lee los valores de un rango
+     * @param {string} range - Rango en notación A1 (ej: 'Flujos!A2:C')
+     * @returns {Promise<Array<Array<string>>>}
+     */
+    async getValues(range) {
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.sheetId,
+            range
+        })
+        return response.data.values || []
+    }
+
+    /**
+     * Lee varios rangos en una sola llamada
+     * @param {Array<string>} ranges - Rangos en notación A1
+     * @returns {Promise<Array<Array<Array<string>>>>} Valores de cada rango, en el mismo orden
+     */
+    async batchGetValues(ranges) {
+        const response = await this.sheets.spreadsheets.values.batchGet({
+            spreadsheetId: this.sheetId,
+            ranges
+        })
+        return (response.data.valueRanges || []).map(r => r.values || [])
+    }
+
+    /**
+     * Sobrescribe los valores de un rango
+     * @param {string} range - Rango en notación A1
+     * @param {Array<Array<any>>} values - Filas a escribir
+     */
+    async updateValues(range, values) {
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.sheetId,
+            range,
+            valueInputOption: 'RAW',
+            resource: { values }
+        })
+    }
+
+    /**
+     * Sobrescribe varios rangos en una sola llamada
+     * @param {Array<{range: string, values: Array<Array<any>>}>} data
+     */
+    async batchUpdateValues(data) {
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.sheetId,
+            resource: {
+                valueInputOption: 'RAW',
+                data
+            }
+        })
+    }
+
+    /**
+     * Agrega filas al final de la tabla del rango
+     * @param {string} range - Rango en notación A1
+     * @param {Array<Array<any>>} values - Filas a agregar
+     */
+    async appendValues(range, values) {
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.sheetId,
+            range,
+            valueInputOption: 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            resource: { values }
+        })
+    }
+
+    /**
+     * Elimina una fila de una hoja
+     * @param {string} title - Nombre de la hoja
+     * @param {number} rowNumber - Número de fila (1-indexed, como en Sheets)
+     * @returns {Promise<boolean>} false si la hoja no existe
+     */
+    async deleteRow(title, rowNumber) {
+        const sheets = await this.listSheets()
+        const sheet = sheets.find(s => s.title === title)
+        if (!sheet) return false
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.sheetId,
+            resource: {
+                requests: [{
+                    deleteDimension: {
+                        range: {
+                            sheetId: sheet.sheetId,
+                            dimension: 'ROWS',
+                            startIndex: rowNumber - 1,
+                            endIndex: rowNumber
+                        }
+                    }
+                }]
+            }
+        })
+        return true
+    }
+}
+
+export default SheetsStorage
@@ -1,21 +1,32 @@
 import googleService from './googleService.js'
+import { lazySingleton } from './lazySingleton.js'
 
 /**
  * @class SurveyService
  * Gestiona encuestas dinámicas con preguntas desde Sheets.
+ * Las sesiones en curso se guardan en 'Encuesta_Sesiones' y se restauran al iniciar;
+ * las abandonadas expiran y sus respuestas parciales se guardan como "incompleta".
  */
 class SurveyService {
-    constructor() {
+    /**
+     * @param {object} options - { googleService }
+     */
+    constructor(options = {}) {
+        this.googleService = options.googleService || googleService
+
         // Estado de encuestas activas por usuario
-        this.activeSurveys = new Map() // { phoneNumber: { currentQuestion, answers, questions } }
+        this.activeSurveys = new Map() // { phoneNumber: { currentQuestion, answers, questions, startedAt, updatedAt } }
         this.provider = null
         this.config = {
             keyword: 'encuesta',
             welcomeMessage: '📋 ¡Hola! Vamos a hacerte unas preguntas rápidas.',
             thankYouMessage: '✅ ¡Gracias por tus respuestas! Han sido guardadas.',
-            isActive: true
+            isActive: true,
+            timeoutMinutes: 30,         // Inactividad antes de expirar la sesión
+            sweepIntervalMs: 60 * 1000  // Revisión de sesiones expiradas
         }
         this.questions = []
+        this.sweepTimer = null
     }
 
     /**
@@ -31,16 +42,17 @@ class SurveyService {
      */
     async loadConfig() {
         try {
-            const config = await googleService.getSurveyConfig()
+            const config = await this.googleService.getSurveyConfig()
             if (config) {
                 if (config.keyword) this.config.keyword = config.keyword.toLowerCase().trim()
                 if (config.welcomeMessage) this.config.welcomeMessage = config.welcomeMessage
                 if (config.thankYouMessage) this.config.thankYouMessage = config.thankYouMessage
                 if (config.isActive !== undefined) this.config.isActive = config.isActive
+                if (config.timeoutMinutes) this.config.timeoutMinutes = parseInt(config.timeoutMinutes) || 30
             }
 
             // Cargar preguntas
-            this.questions = await googleService.getSurveyQuestions()
+            this.questions = await this.googleService.getSurveyQuestions()
             console.log(`📋 Survey: ${this.questions.length} preguntas cargadas, keyword: "${this.config.keyword}"`)
 
         } catch (error) {
@@ -48,6 +60,87 @@ class SurveyService {
         }
     }
 
+    /**
+     * Restaura las encuestas en curso guardadas antes del reinicio
+     */
+    async restoreActiveSurveys() {
+        try {
+            const sessions = await this.googleService.getSurveySessions()
+            let restored = 0
+
+            for (const session of sessions) {
+                if (session.status !== 'activa') continue
+
+                const survey = {
+                    currentQuestion: session.currentQuestion,
+                    answers: session.answers,
+                    questions: session.questions,
+                    startedAt: session.startedAt,
+                    updatedAt: session.updatedAt
+                }
+                this.activeSurveys.set(session.phone, survey)
+
+                if (this.isExpired(survey)) {
+                    await this.expireSurvey(session.phone)
+                    continue
+                }
+                restored++
+            }
+
+            if (restored > 0) {
+                console.log(`📋 Survey: ${restored} encuesta(s) en curso restaurada(s)`)
+            }
+        } catch (error) {
+            console.error('❌ Error restaurando encuestas:', error.message)
+        }
+    }
+
+    /**
+     * Inicia la revisión periódica de encuestas abandonadas
+     */
+    startSessionSweeper() {
+        if (this.sweepTimer) return
+
+        this.sweepTimer = setInterval(() => {
+            this.expireAbandonedSurveys()
+        }, this.config.sweepIntervalMs)
+    }
+
+    /**
+     * Verifica si una sesión superó el tiempo de inactividad
+     */
+    isExpired(survey) {
+        const lastActivity = survey.updatedAt || survey.startedAt
+        return Date.now() - lastActivity > this.config.timeoutMinutes * 60 * 1000
+    }
+
+    /**
+     * Expira todas las sesiones inactivas
+     */
+    async expireAbandonedSurveys() {
+        for (const [phoneNumber, survey] of this.activeSurveys.entries()) {
+            if (this.isExpired(survey)) {
+                await this.expireSurvey(phoneNumber)
+            }
+        }
+    }
+
+    /**
+     * Cierra una sesión expirada guardando sus respuestas parciales
+     */
+    async expireSurvey(phoneNumber) {
+        const survey = this.activeSurveys.get(phoneNumber)
+        if (!survey) return
+
+        this.activeSurveys.delete(phoneNumber)
+
+        if (survey.answers.length > 0) {
+            await this.saveSurveyResponses(phoneNumber, survey, 'incompleta')
+        }
+        this.googleService.saveSurveySession(phoneNumber, survey, 'incompleta')
+        console.log(`⏰ Encuesta expirada para ${phoneNumber} (${survey.answers.length}/${survey.questions.length} respuestas)`)
+    }
+
     /**
      * Verifica si el mensaje activa la encuesta
      * @param {string} message - Mensaje del usuario
@@ -64,7 +157,14 @@ class SurveyService {
      * @returns {boolean}
      */
     hasActiveSurvey(phoneNumber) {
-        return this.activeSurveys.has(phoneNumber)
+        const survey = this.activeSurveys.get(phoneNumber)
+        if (!survey) return false
+
+        if (this.isExpired(survey)) {
+            this.expireSurvey(phoneNumber).catch(() => { })
+            return false
+        }
+        return true
     }
 
     /**
@@ -81,17 +181,19 @@ class SurveyService {
             return 'No hay preguntas configuradas en este momento.'
         }
 
-        this.activeSurveys.set(phoneNumber, {
+        const survey = {
             currentQuestion: 0,
             answers: [],
             questions: [...this.questions],
-            startedAt: Date.now()
-        })
+            startedAt: Date.now(),
+            updatedAt: Date.now()
+        }
+        this.activeSurveys.set(phoneNumber, survey)
+        this.googleService.saveSurveySession(phoneNumber, survey, 'activa')
 
         console.log(`📋 Encuesta iniciada para ${phoneNumber}`)
 
-        const firstQuestion = this.questions[0]
-        return `${this.config.welcomeMessage}\n\n*Pregunta 1/${this.questions.length}:*\n${firstQuestion}`
+        return `${this.config.welcomeMessage}\n\n${this.formatQuestion(survey.questions, 0)}`
     }
 
     /**
@@ -110,15 +212,14 @@ class SurveyService {
         // Guardar respuesta
         survey.answers.push(answer)
         survey.currentQuestion++
+        survey.updatedAt = Date.now()
 
         // ¿Hay más preguntas?
         if (survey.currentQuestion < survey.questions.length) {
-            const nextQuestion = survey.questions[survey.currentQuestion]
-            const questionNumber = survey.currentQuestion + 1
-            const totalQuestions = survey.questions.length
+            this.googleService.saveSurveySession(phoneNumber, survey, 'activa')
 
             return {
-                message: `*Pregunta ${questionNumber}/${totalQuestions}:*\n${nextQuestion}`,
+                message: this.formatQuestion(survey.questions, survey.currentQuestion),
                 isComplete: false
             }
         }
@@ -126,6 +227,7 @@ class SurveyService {
         // Encuesta completada - guardar respuestas
         await this.saveSurveyResponses(phoneNumber, survey)
         this.activeSurveys.delete(phoneNumber)
+        this.googleService.saveSurveySession(phoneNumber, survey, 'completada')
 
         console.log(`✅ Encuesta completada por ${phoneNumber}`)
 
@@ -135,18 +237,48 @@ class SurveyService {
         }
     }
 
+    /**
+     * Texto de una pregunta ("*Pregunta 2/5:*\n...")
+     */
+    formatQuestion(questions, index) {
+        return `*Pregunta ${index + 1}/${questions.length}:*\n${questions[index]}`
+    }
+
+    /**
+     * Mensaje que enviaría startSurvey() o processAnswer(), sin iniciar la
+     * encuesta ni guardar la respuesta (simulación)
+     * @param {string} phoneNumber
+     * @returns {string}
+     */
+    previewMessage(phoneNumber) {
+        const survey = this.activeSurveys.get(phoneNumber)
+
+        if (!survey) {
+            if (this.questions.length === 0) return 'No hay preguntas configuradas en este momento.'
+            return `${this.config.welcomeMessage}\n\n${this.formatQuestion(this.questions, 0)}`
+        }
+
+        const next = survey.currentQuestion + 1
+        return next < survey.questions.length
+            ? this.formatQuestion(survey.questions, next)
+            : this.config.thankYouMessage
+    }
+
     /**
      * Guarda las respuestas en Sheets
+     * @param {string} status - 'completa' o 'incompleta' (encuesta expirada)
      */
-    async saveSurveyResponses(phoneNumber, survey) {
+    async saveSurveyResponses(phoneNumber, survey, status = 'completa') {
         try {
             const cleanNumber = phoneNumber.replace(/\D/g, '')
             const now = new Date().toLocaleString('es-CL')
 
-            // Preparar fila: [Fecha, WhatsApp, Respuesta1, Respuesta2, ...]
-            const row = [now, cleanNumber, ...survey.answers]
-
-            await googleService.addSurveyResponse(row, survey.questions)
+            // Las preguntas sin responder quedan vacías
+            const answers = survey.questions.map((_, index) => survey.answers[index] ?? '')
+            await this.googleService.addSurveyResponse(
+                { date: now, phone: cleanNumber, answers, status },
+                survey.questions
+            )
             console.log(`✅ Respuestas guardadas para ${cleanNumber}`)
 
         } catch (error) {
@@ -159,7 +291,9 @@ class SurveyService {
      */
     cancelSurvey(phoneNumber) {
         if (this.activeSurveys.has(phoneNumber)) {
+            const survey = this.activeSurveys.get(phoneNumber)
             this.activeSurveys.delete(phoneNumber)
+            this.googleService.saveSurveySession(phoneNumber, survey, 'cancelada')
             console.log(`❌ Encuesta cancelada para ${phoneNumber}`)
             return true
         }
@@ -174,10 +308,12 @@ class SurveyService {
             activeSurveys: this.activeSurveys.size,
             questionsConfigured: this.questions.length,
             keyword: this.config.keyword,
-            isActive: this.config.isActive
+            isActive: this.config.isActive,
+            timeoutMinutes: this.config.timeoutMinutes
         }
     }
 }
 
-const surveyService = new SurveyService()
+const surveyService = lazySingleton(() => new SurveyService())
+export { SurveyService }
 export default surveyService
@@ -0,0 +1,223 @@
+import googleService from './googleService.js'
+import woocommerceService from './woocommerceService.js'
+import { lazySingleton } from './lazySingleton.js'
+
+export const DAYS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado']
+
+// Variables que resuelve el servicio (el resto de {variable} se deja tal cual)
+export const TEMPLATE_VARIABLES = ['nombre', 'hora', 'fecha', 'dia', 'horario', 'producto']
+export const TEMPLATE_SECTIONS = ['abierto', 'cerrado']
+
+/**
+ * Día de la semana (0 = domingo) desde su nombre ("Miércoles", "miercoles")
+ * @returns {number} -1 si no es un día válido
+ */
+export function parseDayName(value) {
+    const text = String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+    return DAYS.indexOf(text)
+}
+
+/**
+ * Hora del día "HH:MM" en minutos desde medianoche
+ * @returns {number|null} null si el formato es inválido
+ */
+export function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim())
+    if (!match) return null
+
+    const hours = parseInt(match[1])
+    const minutes = parseInt(match[2])
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null
+    return hours * 60 + minutes
+}
+
+/**
+ * Reemplaza solo las {variable} capturadas (sin consultar horario ni productos)
+ */
+function fillVariables(text, variables) {
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+        variables[name] !== undefined ? variables[name] : match
+    )
+}
+
+function formatTimeOfDay(minutes) {
+    const hours = Math.floor(minutes / 60)
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+/**
+ * @class TemplateService
+ * Reemplaza variables en las respuestas de la hoja Flujos al momento de enviarlas:
+ *   - {nombre}:  nombre del contacto en WhatsApp
+ *   - {hora}, {fecha}, {dia}: hora, fecha y día actuales en la zona horaria del negocio
+ *   - {horario}: horario de atención de hoy según la hoja 'Horario'
+ *   - {producto:SKU} precio y stock en vivo desde WooCommerce
+ *     ({producto:SKU:nombre}, {producto:SKU:precio} o {producto:SKU:stock} para un solo dato)
+ * y muestra secciones según el horario de atención:
+ *   - {abierto}...{/abierto}: solo si el negocio está abierto ahora
+ *   - {cerrado}...{/cerrado}: solo si está cerrado
+ */
+class TemplateService {
+    /**
+     * @param {object} options - { googleService, woocommerceService, timezone }
+     */
+    constructor(options = {}) {
+        this.googleService = options.googleService || googleService
+        this.woocommerceService = options.woocommerceService || woocommerceService
+        this.timezone = options.timezone || process.env.BUSINESS_TIMEZONE || 'America/Santiago'
+    }
+
+    /**
+     * Reemplaza las variables y secciones de un texto
+     * @param {string} text - Texto con variables
+     * @param {object} context - { name, variables } datos del contacto y variables capturadas en un flujo
+     * @returns {Promise<string>}
+     */
+    async render(text, context = {}) {
+        if (!text || !text.includes('{')) return text
+        const variables = context.variables || {}
+
+        try {
+            const now = this.getNow()
+            let result = text
+
+            if (/\{(abierto|cerrado)\}/.test(result)) {
+                const open = await this.isOpen(now)
+                result = result.replace(/\{(abierto|cerrado)\}([\s\S]*?)\{\/\1\}/g, (match, section, content) =>
+                    (section === 'abierto') === open ? content : ''
+                )
+            }
+
+            const products = await this.lookupProducts(result)
+            const todayHours = result.includes('{horario}') ? await this.describeHours(now.weekday) : ''
+
+            return result.replace(/\{(\w+)(?::([^}:]+))?(?::(\w+))?\}/g, (match, name, arg, field) => {
+                switch (name) {
+                    case 'nombre': return context.name || ''
+                    case 'hora': return now.time
+                    case 'fecha': return now.date
+                    case 'dia': return now.dayName
+                    case 'horario': return todayHours
+                    case 'producto': return arg ? this.formatProduct(products.get(arg.trim()), field) : match
+                    // Variables capturadas: se insertan en esta última pasada, sin volver a procesarlas
+                    default: return !arg && variables[name] !== undefined ? variables[name] : match
+                }
+            }).replace(/[ \t]+\n/g, '\n').trim()
+        } catch (error) {
+            console.error('❌ Error al procesar variables de la respuesta:', error.message)
+            return fillVariables(text, variables)
+        }
+    }
+
+    /**
+     * Fecha y hora actuales en la zona horaria del negocio
+     */
+    getNow(date = new Date()) {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('es-CL', {
+                timeZone: this.timezone,
+                weekday: 'long',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(date).map(part => [part.type, part.value])
+        )
+
+        const hours = parseInt(parts.hour)
+        const minutes = parseInt(parts.minute)
+        return {
+            // Fecha y hora locales como si fueran UTC, para comparar con fechas de la hoja
+            localStamp: Date.UTC(parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day), hours, minutes),
+            weekday: parseDayName(parts.weekday),
+            dayName: parts.weekday,
+            minutes: hours * 60 + minutes,
+            time: `${parts.hour}:${parts.minute}`,
+            date: `${parts.day}/${parts.month}/${parts.year}`
+        }
+    }
+
+    /**
+     * Tramos de atención por día desde la hoja 'Horario' (filas inválidas se ignoran)
+     * @returns {Promise<Array<{weekday: number, open: number, close: number}>>}
+     */
+    async getBusinessHours() {
+        const rows = await this.googleService.getBusinessHours()
+
+        return rows.map(row => ({
+            weekday: parseDayName(row.day),
+            open: parseTimeOfDay(row.open),
+            close: parseTimeOfDay(row.close)
+        })).filter(slot => slot.weekday !== -1 && slot.open !== null && slot.close !== null && slot.close > slot.open)
+    }
+
+    /**
+     * Verifica si el negocio está abierto (un día puede tener varios tramos)
+     */
+    async isOpen(now = this.getNow()) {
+        const slots = await this.getBusinessHours()
+        return slots.some(slot =>
+            slot.weekday === now.weekday && now.minutes >= slot.open && now.minutes < slot.close
+        )
+    }
+
+    /**
+     * Horario de un día en texto ("09:00 a 13:00 y 15:00 a 19:00" o "cerrado")
+     */
+    async describeHours(weekday) {
+        const slots = (await this.getBusinessHours())
+            .filter(slot => slot.weekday === weekday)
+            .sort((a, b) => a.open - b.open)
+
+        if (slots.length === 0) return 'cerrado'
+        return slots.map(slot => `${formatTimeOfDay(slot.open)} a ${formatTimeOfDay(slot.close)}`).join(' y ')
+    }
+
+    /**
+     * Consulta en WooCommerce los SKU usados en {producto:SKU}
+     * @returns {Promise<Map<string, object|null>>}
+     */
+    async lookupProducts(text) {
+        const skus = new Set()
+        for (const [, sku] of text.matchAll(/\{producto:([^}:]+)(?::\w+)?\}/g)) {
+            skus.add(sku.trim())
+        }
+
+        const products = new Map()
+        await Promise.all([...skus].map(async sku => {
+            products.set(sku, await this.woocommerceService.getProductBySku(sku))
+        }))
+        return products
+    }
+
+    /**
+     * Texto de un producto para {producto:SKU[:campo]}
+     */
+    formatProduct(product, field) {
+        if (!product) return 'producto no disponible'
+
+        const price = product.onSale
+            ? `$${product.salePrice} (antes $${product.regularPrice})`
+            : `$${product.price}`
+        const stock = product.inStock
+            ? (product.stockQuantity ? `disponible (${product.stockQuantity} unidades)` : 'disponible')
+            : 'agotado'
+
+        switch (field) {
+            case 'nombre': return product.name
+            case 'precio': return price
+            case 'stock': return stock
+            default: return `${product.name}: ${price}, ${stock}`
+        }
+    }
+}
+
+const templateService = lazySingleton(() => new TemplateService())
+export { TemplateService }
+export default templateService
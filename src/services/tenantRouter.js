@@ -0,0 +1,85 @@
+import http from 'http'
+
+/**
+ * @class TenantRouter
+ * Servidor HTTP único para todas las tiendas: un solo PORT (Railway expone uno).
+ *
+ * Cada petición va a la tienda indicada en el encabezado X-Tenant-Id o en el
+ * primer segmento de la ruta (/tienda1/v1/messages → /v1/messages de tienda1).
+ * Con una sola tienda no hace falta indicarla.
+ *
+ * Cada tienda registra el handler del servidor de su proveedor de WhatsApp
+ * (rutas /v1/... de BuilderBot); la sesión de Baileys sigue siendo propia.
+ */
+class TenantRouter {
+    constructor() {
+        this.handlers = new Map()  // id de la tienda → handler(req, res)
+        this.server = null
+    }
+
+    /**
+     * Registra las rutas de una tienda
+     * @param {string} id - Id de la tienda
+     * @param {Function} handler - (req, res) del servidor de la tienda
+     */
+    register(id, handler) {
+        this.handlers.set(id, handler)
+    }
+
+    /**
+     * Tienda y ruta (sin el prefijo de la tienda) de una petición
+     * @param {object} req - { url, headers }
+     * @returns {{id: string|null, url: string}} id: null si no se puede determinar
+     */
+    resolve(req) {
+        const header = req.headers?.['x-tenant-id']
+        if (header) {
+            return { id: String(header).trim(), url: req.url }
+        }
+
+        const match = /^\/([^/?]+)(.*)$/.exec(req.url || '')
+        if (match && this.handlers.has(match[1])) {
+            const rest = match[2]
+            return { id: match[1], url: rest.startsWith('/') ? rest : `/${rest}` }
+        }
+
+        if (this.handlers.size === 1) {
+            return { id: [...this.handlers.keys()][0], url: req.url }
+        }
+        return { id: null, url: req.url }
+    }
+
+    /**
+     * Entrega una petición al servidor de su tienda
+     */
+    handle(req, res) {
+        const { id, url } = this.resolve(req)
+        const handler = this.handlers.get(id)
+
+        if (!handler) {
+            res.writeHead(404, { 'Content-Type': 'application/json' })
+            res.end(JSON.stringify({
+                error: id
+                    ? `Tienda "${id}" no encontrada`
+                    : 'Indica la tienda: /<tienda>/v1/... o el encabezado X-Tenant-Id',
+                tenants: [...this.handlers.keys()]
+            }))
+            return
+        }
+
+        req.url = url
+        handler(req, res)
+    }
+
+    /**
+     * Abre el servidor HTTP
+     * @param {number} port
+     */
+    listen(port) {
+        this.server = http.createServer((req, res) => this.handle(req, res))
+        this.server.listen(port)
+        console.log(`🌐 Servidor HTTP escuchando en puerto ${port} (tiendas: ${[...this.handlers.keys()].join(', ')})`)
+    }
+}
+
+export default TenantRouter
@@ -0,0 +1,224 @@
+import fs from 'fs'
+import path from 'path'
+import googleService, { GoogleService } from './googleService.js'
+import aiService, { AIService } from './ai-chat.js'
+import chatHistoryService, { ChatHistoryService } from './chat-history.js'
+import scheduledMessagesService, { ScheduledMessagesService } from './scheduled-messages.js'
+import messageBufferService, { MessageBufferService } from './message-buffer.js'
+import woocommerceService, { WooCommerceService } from './woocommerceService.js'
+import salesWebhookService, { SalesWebhookService } from './salesWebhookService.js'
+import humanHandoffService, { HumanHandoffService } from './humanHandoffService.js'
+import audioTranscriptionService, { AudioTranscriptionService } from './audioTranscriptionService.js'
+import surveyService, { SurveyService } from './surveyService.js'
+import flowSessionService, { FlowSessionService } from './flowSessionService.js'
+import templateService, { TemplateService } from './templateService.js'
+import mediaMessageService, { MediaMessageService } from './mediaMessageService.js'
+import quickReplyService, { QuickReplyService } from './quickReplyService.js'
+import analyticsService, { AnalyticsService } from './analyticsService.js'
+import configWatcher, { ConfigWatcher } from './configWatcher.js'
+import configValidator, { ConfigValidator } from './configValidator.js'
+
+/**
+ * Modo multi-tienda: un proceso atiende varias tiendas, cada una con su sesión
+ * de WhatsApp, su planilla y sus credenciales de WooCommerce.
+ *
+ * Todas comparten el servidor HTTP del puerto PORT (ver tenantRouter.js): las
+ * peticiones indican la tienda en la ruta (/tienda1/v1/messages) o en el
+ * encabezado X-Tenant-Id. El webhook de WooCommerce de cada tienda apunta a
+ * /<id>/v1/webhook/woocommerce.
+ *
+ * Las tiendas se definen en TENANTS_FILE (ruta a un JSON) o TENANTS (JSON en línea):
+ *
+ *   [{
+ *     "id": "tienda1",                  // Requerido: letras, números, - y _ (prefijo de sus rutas HTTP)
+ *     "sheetId": "...",                 // Requerido con storageBackend 'sheets'
+ *     "credentials": { ... },           // Opcional (por defecto GOOGLE_APPLICATION_CREDENTIALS_JSON)
+ *     "storageBackend": "sheets",       // Opcional: 'sheets' | 'local'
+ *     "groqApiKey": "...",              // Opcional (por defecto GROQ_API_KEY)
+ *     "woocommerce": { "url", "consumerKey", "consumerSecret", "webhookSecret" },
+ *     "handoff": { "adminWhatsapp": "569..." },       // Por defecto si la hoja no lo define
+ *     "scheduler": { "maxDailyMessages": 50, "startHour": 6, "endHour": 22 },
+ *     "timezone": "America/Santiago"   // Opcional (por defecto BUSINESS_TIMEZONE)
+ *   }]
+ *
+ * El estado local de cada tienda queda aislado en data/<id>/, chat_history/<id>/
+ * y la sesión de WhatsApp <id>_sessions/.
+ *
+ * Sin TENANTS_FILE ni TENANTS se usa una sola tienda 'default' con las variables
+ * de entorno de siempre y los servicios compartidos (mismo comportamiento que antes).
+ * Esos servicios por defecto se crean al usarse (ver lazySingleton.js): en modo
+ * multi-tienda no se crean.
+ */
+
+// Primer segmento de las rutas del servidor HTTP
+const RESERVED_IDS = ['v1']
+
+/**
+ * Lee y valida la configuración de tiendas
+ * @returns {Array<object>} Tiendas normalizadas
+ * @throws {Error} Si la configuración es inválida
+ */
+export function loadTenantConfigs() {
+    let raw = null
+
+    if (process.env.TENANTS_FILE) {
+        raw = fs.readFileSync(process.env.TENANTS_FILE, 'utf8')
+    } else if (process.env.TENANTS) {
+        raw = process.env.TENANTS
+    }
+
+    if (!raw) {
+        return [{
+            id: 'default',
+            isDefault: true
+        }]
+    }
+
+    let list
+    try {
+        list = JSON.parse(raw)
+    } catch (error) {
+        throw new Error(`Configuración de tiendas no es JSON válido: ${error.message}`)
+    }
+
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('La configuración de tiendas debe ser una lista con al menos una tienda')
+    }
+
+    const ids = new Set()
+
+    return list.map((tenant, i) => {
+        const label = tenant?.id || `#${i + 1}`
+
+        if (!tenant?.id || !/^[a-z0-9_-]+$/i.test(tenant.id)) {
+            throw new Error(`Tienda ${label}: "id" requerido (letras, números, - y _)`)
+        }
+        if (ids.has(tenant.id)) {
+            throw new Error(`Tienda ${label}: "id" duplicado`)
+        }
+        // El id es el prefijo de sus rutas: no puede confundirse con una ruta del servidor
+        if (RESERVED_IDS.includes(tenant.id.toLowerCase())) {
+            throw new Error(`Tienda ${label}: "${tenant.id}" es una ruta del servidor, usa otro id`)
+        }
+        if (tenant.port !== undefined) {
+            console.log(`⚠️ Tienda ${label}: "port" se ignora (todas las tiendas comparten PORT)`)
+        }
+
+        const storageBackend = (tenant.storageBackend || process.env.STORAGE_BACKEND || 'sheets').toLowerCase()
+        if (storageBackend === 'sheets' && !tenant.sheetId) {
+            throw new Error(`Tienda ${label}: "sheetId" requerido`)
+        }
+
+        ids.add(tenant.id)
+
+        const dataDir = path.join(process.cwd(), 'data', tenant.id)
+
+        return {
+            id: tenant.id,
+            isDefault: false,
+            sheetId: tenant.sheetId,
+            credentials: tenant.credentials,
+            storageBackend,
+            groqApiKey: tenant.groqApiKey,
+            woocommerce: tenant.woocommerce || {},
+            handoff: tenant.handoff || {},
+            scheduler: tenant.scheduler || {},
+            timezone: tenant.timezone,
+            sessionName: tenant.id,
+            files: {
+                storage: path.join(dataDir, 'storage.json'),
+                writeQueue: path.join(dataDir, 'write-queue.json'),
+                botDb: path.join(dataDir, 'bot-db.jsonl'),
+                historyDir: path.join(process.cwd(), 'chat_history', tenant.id)
+            }
+        }
+    })
+}
+
+/**
+ * Crea los servicios de una tienda (la tienda 'default' usa los compartidos)
+ * @param {object} tenant - Tienda normalizada por loadTenantConfigs()
+ * @returns {object} Servicios de la tienda, con los mismos nombres que los singletons
+ */
+export function createTenantServices(tenant) {
+    if (tenant.isDefault) {
+        return {
+            googleService,
+            aiService,
+            chatHistoryService,
+            scheduledMessagesService,
+            messageBufferService,
+            woocommerceService,
+            salesWebhookService,
+            humanHandoffService,
+            audioTranscriptionService,
+            surveyService,
+            flowSessionService,
+            templateService,
+            mediaMessageService,
+            quickReplyService,
+            analyticsService,
+            configWatcher,
+            configValidator
+        }
+    }
+
+    const tenantGoogle = new GoogleService({
+        backend: tenant.storageBackend,
+        sheetId: tenant.sheetId,
+        credentials: tenant.credentials,
+        filePath: tenant.files.storage,
+        writeQueueFile: tenant.files.writeQueue
+    })
+    // Sin fallback a WOOCOMMERCE_*: una tienda sin credenciales no usa las de otra
+    const tenantWoo = new WooCommerceService({
+        url: tenant.woocommerce.url || '',
+        consumerKey: tenant.woocommerce.consumerKey || '',
+        consumerSecret: tenant.woocommerce.consumerSecret || ''
+    })
+    const tenantHistory = new ChatHistoryService({ historyDir: tenant.files.historyDir })
+    const tenantScheduler = new ScheduledMessagesService({
+        googleService: tenantGoogle,
+        config: tenant.scheduler
+    })
+    const tenantTemplates = new TemplateService({
+        googleService: tenantGoogle,
+        woocommerceService: tenantWoo,
+        timezone: tenant.timezone
+    })
+
+    return {
+        googleService: tenantGoogle,
+        aiService: new AIService({
+            apiKey: tenant.groqApiKey,
+            googleService: tenantGoogle,
+            chatHistoryService: tenantHistory,
+            woocommerceService: tenantWoo
+        }),
+        chatHistoryService: tenantHistory,
+        scheduledMessagesService: tenantScheduler,
+        messageBufferService: new MessageBufferService(),
+        woocommerceService: tenantWoo,
+        salesWebhookService: new SalesWebhookService({
+            googleService: tenantGoogle,
+            webhookSecret: tenant.woocommerce.webhookSecret || ''
+        }),
+        humanHandoffService: new HumanHandoffService({
+            googleService: tenantGoogle,
+            config: tenant.handoff
+        }),
+        audioTranscriptionService: new AudioTranscriptionService({ apiKey: tenant.groqApiKey }),
+        surveyService: new SurveyService({ googleService: tenantGoogle }),
+        flowSessionService: new FlowSessionService({ googleService: tenantGoogle }),
+        templateService: tenantTemplates,
+        mediaMessageService: new MediaMessageService(),
+        quickReplyService: new QuickReplyService(),
+        analyticsService: new AnalyticsService({ googleService: tenantGoogle }),
+        configWatcher: new ConfigWatcher({ googleService: tenantGoogle }),
+        configValidator: new ConfigValidator({
+            googleService: tenantGoogle,
+            scheduledMessagesService: tenantScheduler,
+            templateService: tenantTemplates
+        })
+    }
+}
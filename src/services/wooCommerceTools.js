@@ -0,0 +1,182 @@
+/**
+ * Herramientas de WooCommerce que la IA puede llamar (function calling).
+ *
+ * La IA decide cuándo consultar la tienda: los precios, el stock y el estado de
+ * los pedidos salen siempre de una consulta en vivo y no del catálogo del prompt.
+ * Cada herramienta devuelve un objeto JSON que se le entrega a la IA como
+ * mensaje 'tool'; los errores también (la IA le explica al cliente).
+ */
+
+// Resultados máximos por búsqueda (cada producto ocupa tokens del contexto)
+const MAX_PRODUCTS = 5
+
+// Los errores de la API llegan a runTool: una caída de la tienda no es "no encontrado"
+const LIVE = { throwErrors: true }
+
+/**
+ * Definiciones en el formato de la API (compatible con OpenAI y Groq)
+ */
+export const TOOL_DEFINITIONS = [
+    {
+        type: 'function',
+        function: {
+            name: 'searchProducts',
+            description: 'Busca productos de la tienda por nombre, SKU o descripción. Devuelve precio y stock actuales.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Términos de búsqueda (ej: "zapatillas running")' }
+                },
+                required: ['query']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'getProductById',
+            description: 'Obtiene un producto por su ID (el que devuelve searchProducts) con precio y stock actuales.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer', description: 'ID del producto' }
+                },
+                required: ['id']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'checkProductStock',
+            description: 'Verifica si un producto está disponible y cuántas unidades quedan.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    productName: { type: 'string', description: 'Nombre del producto' }
+                },
+                required: ['productName']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'getOrderStatus',
+            description: 'Consulta el estado de un pedido por su número.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    orderNumber: { type: 'string', description: 'Número del pedido (sin #)' }
+                },
+                required: ['orderNumber']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'getCategories',
+            description: 'Lista las categorías de productos de la tienda con su cantidad de productos.',
+            parameters: { type: 'object', properties: {} }
+        }
+    }
+]
+
+export const TOOL_NAMES = TOOL_DEFINITIONS.map(tool => tool.function.name)
+
+/**
+ * Datos de un producto que ve la IA (sin imágenes ni HTML)
+ */
+function describeProduct(product) {
+    return {
+        id: product.id,
+        name: product.name,
+        sku: product.sku || null,
+        price: product.price,
+        regularPrice: product.regularPrice || null,
+        salePrice: product.onSale ? product.salePrice : null,
+        inStock: product.inStock,
+        stockQuantity: product.stockQuantity ?? null,
+        categories: product.categories,
+        description: product.description.substring(0, 150),
+        link: product.permalink || null
+    }
+}
+
+/**
+ * Argumentos de la llamada (la API los entrega como texto JSON)
+ */
+function parseArguments(args) {
+    if (args && typeof args === 'object') return args
+    try {
+        return JSON.parse(args || '{}') || {}
+    } catch {
+        return {}
+    }
+}
+
+/**
+ * Ejecuta una herramienta pedida por la IA
+ * @param {object} woocommerceService - WooCommerceService de la tienda
+ * @param {object} call - { name, arguments } (arguments: objeto o texto JSON)
+ * @returns {Promise<object>} Resultado para la IA
+ */
+export async function runTool(woocommerceService, call) {
+    const args = parseArguments(call.arguments)
+
+    try {
+        switch (call.name) {
+            case 'searchProducts': {
+                const query = String(args.query || '').trim()
+                if (!query) return { error: 'Falta "query"' }
+                const products = await woocommerceService.searchProducts(query, LIVE)
+                return {
+                    query,
+                    total: products.length,
+                    products: products.slice(0, MAX_PRODUCTS).map(describeProduct)
+                }
+            }
+            case 'getProductById': {
+                const id = parseInt(args.id)
+                if (isNaN(id)) return { error: 'Falta "id" (número)' }
+                const product = await woocommerceService.getProductById(id, LIVE)
+                return product ? describeProduct(product) : { found: false, message: `No existe el producto ${id}` }
+            }
+            case 'checkProductStock': {
+                const productName = String(args.productName || '').trim()
+                if (!productName) return { error: 'Falta "productName"' }
+                return await woocommerceService.checkProductStock(productName, LIVE)
+            }
+            case 'getOrderStatus': {
+                const orderNumber = String(args.orderNumber || '').replace(/^#/, '').trim()
+                if (!orderNumber) return { error: 'Falta "orderNumber"' }
+                const status = await woocommerceService.getOrderStatus(orderNumber, LIVE)
+                // Sin datos de facturación: no hace falta exponerlos a la IA
+                return status.found
+                    ? {
+                        found: true,
+                        orderNumber: status.orderNumber,
+                        status: status.statusLabel,
+                        total: status.total,
+                        currency: status.currency,
+                        dateCreated: status.dateCreated,
+                        items: status.items.map(item => ({ name: item.name, quantity: item.quantity }))
+                    }
+                    : { found: false, message: status.message }
+            }
+            case 'getCategories': {
+                const categories = await woocommerceService.getCategories(LIVE)
+                return { categories: categories.map(c => ({ name: c.name, count: c.count })) }
+            }
+            default:
+                return { error: `Herramienta desconocida: ${call.name}` }
+        }
+    } catch (error) {
+        console.error(`❌ [WC] Error en herramienta ${call.name}:`, error.message)
+        return {
+            error: 'La tienda no está disponible en este momento: no se pudo consultar. ' +
+                'No digas que el producto o el pedido no existe; pide al cliente que intente más tarde.'
+        }
+    }
+}
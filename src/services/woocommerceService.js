@@ -1,4 +1,6 @@
 import WooCommerceRestApi from '@woocommerce/woocommerce-rest-api'
+import { CatalogIndex } from './catalogIndex.js'
+import { lazySingleton } from './lazySingleton.js'
 
 /**
  * @class WooCommerceService
@@ -6,7 +8,11 @@ import WooCommerceRestApi from '@woocommerce/woocommerce-rest-api'
  * Permite consultar productos e información de pedidos.
  */
 class WooCommerceService {
-    constructor() {
+    /**
+     * @param {object} options - { url, consumerKey, consumerSecret }
+     *                           (sin url se usan las variables WOOCOMMERCE_*)
+     */
+    constructor(options = {}) {
         this.api = null
         this.isConfigured = false
         this.cache = {
@@ -18,17 +24,20 @@ class WooCommerceService {
             }
         }
         this.cacheExpiry = 5 * 60 * 1000 // 5 minutos
+        this.catalogIndex = new CatalogIndex()  // Se reconstruye con cada refresco de productos
 
-        this.init()
+        this.init(options)
     }
 
     /**
      * Inicializa la conexión con WooCommerce
      */
-    init() {
-        const url = process.env.WOOCOMMERCE_URL
-        const consumerKey = process.env.WOOCOMMERCE_CONSUMER_KEY
-        const consumerSecret = process.env.WOOCOMMERCE_CONSUMER_SECRET
+    init(options = {}) {
+        const { url, consumerKey, consumerSecret } = options.url !== undefined ? options : {
+            url: process.env.WOOCOMMERCE_URL,
+            consumerKey: process.env.WOOCOMMERCE_CONSUMER_KEY,
+            consumerSecret: process.env.WOOCOMMERCE_CONSUMER_SECRET
+        }
 
         if (!url || !consumerKey || !consumerSecret) {
             console.log('⚠️ WooCommerce no configurado. Añade las variables en .env')
@@ -63,9 +72,12 @@ class WooCommerceService {
     /**
      * Busca productos por nombre o SKU
      * @param {string} query - Término de búsqueda
+     * @param {object} options - { throwErrors }: lanzar los errores de la API en vez de
+     *                           devolver vacío (las herramientas de la IA distinguen
+     *                           "no encontrado" de "tienda no disponible")
      * @returns {Array} Lista de productos encontrados
      */
-    async searchProducts(query) {
+    async searchProducts(query, options = {}) {
         if (!this.isConfigured) return []
 
         try {
@@ -78,6 +90,7 @@ class WooCommerceService {
             return response.data.map(p => this.formatProduct(p))
         } catch (error) {
             console.error('❌ Error al buscar productos:', error.message)
+            if (options.throwErrors) throw error
             return []
         }
     }
@@ -102,6 +115,7 @@ class WooCommerceService {
             this.cache.products = response.data.map(p => this.formatProduct(p))
             this.cache.lastUpdate.products = Date.now()
             console.log(`📦 ${this.cache.products.length} productos cargados de WooCommerce`)
+            this.catalogIndex.build(this.cache.products)
 
             return this.cache.products
         } catch (error) {
@@ -113,16 +127,38 @@ class WooCommerceService {
     /**
      * Obtiene un producto por ID
      * @param {number} id - ID del producto
+     * @param {object} options - { throwErrors } (ver searchProducts; un 404 sigue devolviendo null)
      * @returns {object|null} Producto formateado
      */
-    async getProductById(id) {
+    async getProductById(id, options = {}) {
         if (!this.isConfigured) return null
 
         try {
             const response = await this.api.get(`products/${id}`)
             return this.formatProduct(response.data)
         } catch (error) {
+            if (error.response?.status === 404) {
+                return null // Producto no encontrado
+            }
             console.error('❌ Error al obtener producto:', error.message)
+            if (options.throwErrors) throw error
+            return null
+        }
+    }
+
+    /**
+     * Obtiene un producto por SKU (consulta en vivo, para precio y stock actuales)
+     * @param {string} sku - SKU del producto
+     * @returns {object|null} Producto formateado
+     */
+    async getProductBySku(sku) {
+        if (!this.isConfigured) return null
+
+        try {
+            const response = await this.api.get('products', { sku, status: 'publish' })
+            return response.data.length > 0 ? this.formatProduct(response.data[0]) : null
+        } catch (error) {
+            console.error('❌ Error al obtener producto por SKU:', error.message)
             return null
         }
     }
@@ -130,10 +166,11 @@ class WooCommerceService {
     /**
      * Verifica el stock de un producto
      * @param {string} productName - Nombre del producto
+     * @param {object} options - { throwErrors } (ver searchProducts)
      * @returns {object} Info de stock
      */
-    async checkProductStock(productName) {
-        const products = await this.searchProducts(productName)
+    async checkProductStock(productName, options = {}) {
+        const products = await this.searchProducts(productName, options)
 
         if (products.length === 0) {
             return { found: false, message: 'Producto no encontrado' }
@@ -154,9 +191,10 @@ class WooCommerceService {
 
     /**
      * Obtiene todas las categorías
+     * @param {object} options - { throwErrors } (ver searchProducts)
      * @returns {Array} Lista de categorías
      */
-    async getCategories() {
+    async getCategories(options = {}) {
         if (!this.isConfigured) return []
 
         if (this.isCacheValid('categories') && this.cache.categories) {
@@ -178,6 +216,7 @@ class WooCommerceService {
             return this.cache.categories
         } catch (error) {
             console.error('❌ Error al obtener categorías:', error.message)
+            if (options.throwErrors) throw error
             return []
         }
     }
@@ -212,9 +251,10 @@ class WooCommerceService {
     /**
      * Busca un pedido por su número
      * @param {string|number} orderNumber - Número del pedido
+     * @param {object} options - { throwErrors } (ver searchProducts; un 404 sigue devolviendo null)
      * @returns {object|null} Información del pedido
      */
-    async getOrderByNumber(orderNumber) {
+    async getOrderByNumber(orderNumber, options = {}) {
         if (!this.isConfigured) return null
 
         try {
@@ -226,6 +266,7 @@ class WooCommerceService {
                 return null // Pedido no encontrado
             }
             console.error('❌ Error al obtener pedido:', error.message)
+            if (options.throwErrors) throw error
             return null
         }
     }
@@ -233,10 +274,11 @@ class WooCommerceService {
     /**
      * Obtiene el estado formateado de un pedido
      * @param {string|number} orderNumber - Número del pedido
+     * @param {object} options - { throwErrors } (ver getOrderByNumber)
      * @returns {object} Info del estado
      */
-    async getOrderStatus(orderNumber) {
-        const order = await this.getOrderByNumber(orderNumber)
+    async getOrderStatus(orderNumber, options = {}) {
+        const order = await this.getOrderByNumber(orderNumber, options)
 
         if (!order) {
             return {
@@ -373,20 +415,39 @@ class WooCommerceService {
     }
 
     /**
-     * Genera el catálogo completo en formato optimizado para inyectar en el prompt de IA
+     * Genera los productos relevantes para un mensaje, para inyectar en el prompt de IA
+     * (búsqueda BM25 en el índice local; ver catalogIndex.js)
+     * @param {string} query - Mensaje del cliente (y el anterior, para las preguntas de seguimiento)
+     * @param {number} limit - Máximo de productos a incluir
      * @returns {string} Catálogo formateado para el contexto de IA
      */
-    async getProductCatalogForAI() {
+    async getProductCatalogForAI(query, limit = 5) {
+        // Si el cache venció se recargan los productos y se reconstruye el índice
         const products = await this.getAllProducts()
 
         if (products.length === 0) {
             return ''
         }
 
-        let catalog = '\n\n=== CATÁLOGO DE PRODUCTOS (INFORMACIÓN EN TIEMPO REAL) ===\n'
-        catalog += 'Usa SOLO esta información para responder sobre productos:\n\n'
+        const results = this.catalogIndex.search(query, limit)
+        console.log(`🔎 [WC] ${results.length} productos relevantes de ${products.length}:`,
+            results.map(r => `${r.product.name} (${r.score.toFixed(2)})`).join(', ') || '-')
+
+        if (results.length === 0) {
+            const categories = await this.getCategories()
+            let catalog = '\n\n=== CATÁLOGO DE PRODUCTOS ===\n'
+            catalog += `La tienda tiene ${products.length} productos`
+            if (categories.length > 0) {
+                catalog += ` en las categorías: ${categories.map(c => c.name).join(', ')}`
+            }
+            catalog += '.\nNingún producto coincide con este mensaje. Si el cliente busca un producto, pídele más detalles (nombre, tipo, marca). No inventes productos ni precios.\n'
+            return catalog
+        }
+
+        let catalog = '\n\n=== PRODUCTOS RELEVANTES (INFORMACIÓN EN TIEMPO REAL) ===\n'
+        catalog += `Los ${results.length} productos que más coinciden con el mensaje (de ${products.length} en la tienda):\n\n`
 
-        products.forEach((p, index) => {
+        results.forEach(({ product: p }, index) => {
             const stock = p.inStock ? '✅ Disponible' : '❌ Agotado'
             const price = p.onSale
                 ? `$${p.salePrice} (antes $${p.regularPrice})`
@@ -401,12 +462,13 @@ class WooCommerceService {
             catalog += '\n'
         })
 
-        catalog += '=== FIN DEL CATÁLOGO ===\n'
-        catalog += 'IMPORTANTE: Responde SIEMPRE basándote en este catálogo. Si preguntan por un producto que NO está listado, indica que no lo tenemos disponible.\n'
+        catalog += '=== FIN DE LOS PRODUCTOS ===\n'
+        catalog += 'IMPORTANTE: Usa SOLO esta información para precios y stock. Si preguntan por un producto que no está en la lista, pide más detalles en vez de asegurar que no existe.\n'
 
         return catalog
     }
 }
 
-const woocommerceService = new WooCommerceService()
+const woocommerceService = lazySingleton(() => new WooCommerceService())
+export { WooCommerceService }
 export default woocommerceService
@@ -0,0 +1,433 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { columnLetter } from './storage/a1.js'
+
+// Errores de red transitorios (sin status HTTP)
+const RETRYABLE_NETWORK_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+    'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'EHOSTUNREACH', 'EPIPE'
+])
+
+/**
+ * Determina si un error de la API es transitorio (429, 5xx o error de red conocido).
+ * El resto (400, errores de programación, disco...) no se reintenta.
+ */
+function isRetryableError(error) {
+    const status = Number(error.response?.status ?? error.status ?? error.code)
+
+    if (Number.isInteger(status)) {
+        return status === 429 || status >= 500
+    }
+    return RETRYABLE_NETWORK_CODES.has(error.code) || RETRYABLE_NETWORK_CODES.has(error.cause?.code)
+}
+
+/**
+ * @class WriteQueue
+ * Cola persistente de escrituras hacia el storage (Sheets).
+ * Agrupa las operaciones en lotes (append por rango + batchUpdate),
+ * reintenta errores 429/5xx con backoff exponencial y sobrevive reinicios
+ * guardando las operaciones pendientes en disco.
+ *
+ * Tipos de operación:
+ *   - append:      { range, values }
+ *   - update:      { range, values }
+ *   - updateWhere: { range, match: { column, value }, set: { [column]: value } }
+ *                  Busca la fila al momento del flush (ej: pedido por número)
+ *   - upsert:      { range, keyColumn, key, values }
+ *                  Reemplaza la fila cuya columna keyColumn = key, o la agrega
+ *                  (el rango debe comenzar en la columna A)
+ *   - initHeaders: { range, values } Escribe la fila solo si el rango está vacío
+ */
+class WriteQueue {
+    constructor(options = {}) {
+        this.storage = options.storage
+        this.filePath = options.filePath ||
+            process.env.WRITE_QUEUE_FILE ||
+            path.join(process.cwd(), 'data', 'write-queue.json')
+
+        this.config = {
+            flushDelayMs: 1000,       // Espera para agrupar escrituras
+            baseRetryDelayMs: 2000,   // Primer reintento a los 2s
+            maxRetryDelayMs: 5 * 60 * 1000, // Máximo 5 minutos entre reintentos
+            maxAttempts: 12           // Luego se mueve a "failed"
+        }
+
+        this.pending = []
+        this.failed = []
+        this.flushTimer = null
+        this.isFlushing = false
+        this.inFlight = []            // Operaciones de la llamada en curso
+        this.retryAttempt = 0
+        this.lastFlushAt = null
+        this.lastError = null
+
+        this.load()
+    }
+
+    /**
+     * Carga la cola desde disco
+     */
+    load() {
+        try {
+            const raw = fs.readFileSync(this.filePath, 'utf8')
+            const data = JSON.parse(raw)
+            this.pending = data.pending || []
+            this.failed = data.failed || []
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error al leer cola de escrituras:', error.message)
+            }
+        }
+    }
+
+    /**
+     * Guarda la cola en disco (escritura atómica)
+     */
+    persist() {
+        try {
+            const dir = path.dirname(this.filePath)
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true })
+            }
+
+            const tempPath = `${this.filePath}.tmp`
+            fs.writeFileSync(tempPath, JSON.stringify({
+                pending: this.pending,
+                failed: this.failed
+            }, null, 2))
+            fs.renameSync(tempPath, this.filePath)
+        } catch (error) {
+            console.error('❌ Error al guardar cola de escrituras:', error.message)
+        }
+    }
+
+    /**
+     * Inicia la cola: procesa lo que quedó pendiente del reinicio anterior
+     * @returns {Promise<boolean>} true si la cola quedó vacía
+     */
+    async start() {
+        if (this.pending.length > 0) {
+            console.log(`📮 WriteQueue: ${this.pending.length} escritura(s) pendiente(s) de la sesión anterior`)
+        }
+        return this.flush()
+    }
+
+    /**
+     * Agrega una operación a la cola
+     * @param {object} op - Operación (ver tipos en la documentación de la clase)
+     */
+    enqueue(op) {
+        this.pending.push({
+            ...op,
+            id: crypto.randomUUID(),
+            createdAt: Date.now(),
+            attempts: 0
+        })
+        this.persist()
+
+        // Si hay un reintento programado, respetar el backoff
+        if (this.retryAttempt === 0) {
+            this.scheduleFlush(this.config.flushDelayMs)
+        }
+    }
+
+    append(range, values) {
+        this.enqueue({ type: 'append', range, values })
+    }
+
+    update(range, values) {
+        this.enqueue({ type: 'update', range, values })
+    }
+
+    updateWhere(range, match, set) {
+        this.enqueue({ type: 'updateWhere', range, match, set })
+    }
+
+    upsert(range, keyColumn, key, values) {
+        this.enqueue({ type: 'upsert', range, keyColumn, key: String(key), values })
+    }
+
+    initHeaders(range, values) {
+        this.enqueue({ type: 'initHeaders', range, values })
+    }
+
+    /**
+     * Programa un flush (si no hay uno ya programado antes)
+     */
+    scheduleFlush(delayMs) {
+        if (this.flushTimer) return
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null
+            this.flush()
+        }, delayMs)
+    }
+
+    /**
+     * Envía todas las operaciones pendientes al storage
+     * @returns {Promise<boolean>} true si la cola quedó vacía
+     */
+    async flush() {
+        if (this.isFlushing) return false
+        if (this.pending.length === 0) return true
+
+        this.isFlushing = true
+        const batch = [...this.pending]
+
+        try {
+            await this.processBatch(batch)
+
+            this.retryAttempt = 0
+            this.lastError = null
+            this.lastFlushAt = Date.now()
+            console.log(`📮 WriteQueue: ${batch.length} escritura(s) enviada(s)`)
+        } catch (error) {
+            this.handleFlushError(error, batch)
+        } finally {
+            this.isFlushing = false
+            this.persist()
+        }
+
+        // Operaciones que llegaron durante el flush
+        if (this.pending.length > 0 && this.retryAttempt === 0) {
+            this.scheduleFlush(this.config.flushDelayMs)
+        }
+
+        return this.pending.length === 0
+    }
+
+    /**
+     * Procesa un lote: appends agrupados por rango, luego updates en un batchUpdate.
+     * Cada grupo completado se quita de la cola, así un fallo parcial no duplica filas.
+     */
+    async processBatch(batch) {
+        // 1. Encabezados (antes de cualquier append al mismo rango)
+        for (const op of batch.filter(o => o.type === 'initHeaders')) {
+            this.inFlight = [op]
+            const existing = await this.storage.getValues(op.range)
+            if (existing.length === 0 || existing[0]?.length === 0) {
+                await this.storage.updateValues(op.range, op.values)
+            }
+            this.remove([op])
+        }
+
+        // 2. Appends agrupados por rango, respetando el orden de llegada
+        const appendGroups = new Map()
+        for (const op of batch.filter(o => o.type === 'append')) {
+            if (!appendGroups.has(op.range)) appendGroups.set(op.range, [])
+            appendGroups.get(op.range).push(op)
+        }
+
+        for (const [range, ops] of appendGroups.entries()) {
+            this.inFlight = ops
+            await this.storage.appendValues(range, ops.flatMap(o => o.values))
+            this.remove(ops)
+        }
+
+        // 3. Upserts: la última versión de cada clave gana
+        const upsertOps = batch.filter(o => o.type === 'upsert')
+        if (upsertOps.length > 0) {
+            this.inFlight = upsertOps
+            await this.processUpserts(upsertOps)
+            this.remove(upsertOps)
+        }
+
+        // 4. Updates directos + updateWhere resueltos contra datos frescos
+        const updateOps = batch.filter(o => o.type === 'update' || o.type === 'updateWhere')
+        if (updateOps.length === 0) return
+        this.inFlight = updateOps
+
+        const data = []
+        const rowsByRange = new Map()
+
+        for (const op of updateOps) {
+            if (op.type === 'update') {
+                data.push({ range: op.range, values: op.values })
+                continue
+            }
+
+            if (!rowsByRange.has(op.range)) {
+                rowsByRange.set(op.range, await this.storage.getValues(op.range))
+            }
+            data.push(...this.resolveUpdateWhere(op, rowsByRange.get(op.range)))
+        }
+
+        if (data.length > 0) {
+            await this.storage.batchUpdateValues(data)
+        }
+        this.remove(updateOps)
+    }
+
+    /**
+     * Resuelve upserts: filas existentes → batchUpdate, nuevas → append por rango
+     * @param {Array<object>} ops - Operaciones upsert del lote
+     */
+    async processUpserts(ops) {
+        const latest = new Map()
+        for (const op of ops) {
+            latest.set(`${op.range}|${op.keyColumn}|${op.key}`, op)
+        }
+
+        const data = []
+        const appends = new Map()
+        const rowsByRange = new Map()
+
+        for (const op of latest.values()) {
+            if (!rowsByRange.has(op.range)) {
+                rowsByRange.set(op.range, await this.storage.getValues(op.range))
+            }
+
+            const rows = rowsByRange.get(op.range)
+            const index = rows.findIndex((row, i) => i > 0 && String(row[op.keyColumn] ?? '') === op.key)
+
+            if (index === -1) {
+                if (!appends.has(op.range)) appends.set(op.range, [])
+                appends.get(op.range).push(op.values)
+                continue
+            }
+
+            const sheet = op.range.split('!')[0]
+            data.push({ range: `${sheet}!A${index + 1}`, values: [op.values] })
+        }
+
+        if (data.length > 0) {
+            await this.storage.batchUpdateValues(data)
+        }
+        for (const [range, values] of appends.entries()) {
+            await this.storage.appendValues(range, values)
+        }
+    }
+
+    /**
+     * Convierte un updateWhere en updates de celdas concretas
+     * @param {object} op - Operación updateWhere
+     * @param {Array<Array<string>>} rows - Filas del rango (incluye encabezado)
+     */
+    resolveUpdateWhere(op, rows) {
+        const sheet = op.range.split('!')[0]
+        const data = []
+
+        rows.forEach((row, index) => {
+            if (index === 0) return
+            if (String(row[op.match.column] ?? '') !== String(op.match.value)) return
+
+            for (const [column, value] of Object.entries(op.set)) {
+                const cell = `${sheet}!${columnLetter(Number(column))}${index + 1}`
+                data.push({ range: cell, values: [[value]] })
+                row[column] = value
+            }
+        })
+
+        if (data.length === 0) {
+            console.log(`⚠️ WriteQueue: ninguna fila de ${sheet} coincide con ${op.match.value}, se descarta`)
+        }
+        return data
+    }
+
+    /**
+     * Quita operaciones completadas de la cola
+     */
+    remove(ops) {
+        const ids = new Set(ops.map(o => o.id))
+        this.pending = this.pending.filter(o => !ids.has(o.id))
+    }
+
+    /**
+     * Maneja un error de flush: backoff exponencial o descarte a "failed"
+     * @param {Error} error
+     * @param {Array<object>} batch - Operaciones del flush que falló (las que llegaron
+     *                                después no cuentan el intento: no se enviaron)
+     */
+    handleFlushError(error, batch = []) {
+        this.lastError = error.message
+
+        if (!isRetryableError(error)) {
+            // Error permanente (ej: 400 rango inválido): no bloquear el resto de la cola
+            const poisoned = this.inFlight.filter(op => this.pending.includes(op))
+            console.error(`❌ WriteQueue: error permanente, ${poisoned.length} operación(es) movida(s) a failed:`, error.message)
+            this.failed.push(...poisoned.map(op => ({ ...op, error: error.message })))
+            this.remove(poisoned)
+            this.retryAttempt = 0
+            return
+        }
+
+        const attempted = new Set(batch.map(op => op.id))
+        const retried = this.pending.filter(op => attempted.has(op.id))
+        retried.forEach(op => { op.attempts++ })
+        const exhausted = retried.filter(op => op.attempts >= this.config.maxAttempts)
+        if (exhausted.length > 0) {
+            console.error(`❌ WriteQueue: ${exhausted.length} operación(es) agotaron reintentos, movidas a failed`)
+            this.failed.push(...exhausted.map(op => ({ ...op, error: error.message })))
+            this.remove(exhausted)
+        }
+
+        const delay = Math.min(
+            this.config.baseRetryDelayMs * Math.pow(2, this.retryAttempt),
+            this.config.maxRetryDelayMs
+        ) + Math.floor(Math.random() * 1000)
+        this.retryAttempt++
+
+        console.error(`⚠️ WriteQueue: error transitorio (${error.message}), reintento #${this.retryAttempt} en ${Math.round(delay / 1000)}s`)
+
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer)
+            this.flushTimer = null
+        }
+        this.scheduleFlush(delay)
+    }
+
+    /**
+     * Valores de updates directos aún no enviados para una hoja
+     * @param {string} sheet - Nombre de la hoja
+     * @returns {Map<string, any>} Celda (ej: 'E5') → último valor en cola
+     */
+    getPendingValues(sheet) {
+        const values = new Map()
+
+        for (const op of this.pending) {
+            if (op.type !== 'update') continue
+            const [opSheet, cell] = op.range.split('!')
+            if (opSheet !== sheet || cell.includes(':')) continue
+            values.set(cell, op.values[0]?.[0])
+        }
+        return values
+    }
+
+    /**
+     * Filas agregadas (append) aún no enviadas para una hoja
+     * @param {string} sheet - Nombre de la hoja
+     * @returns {Array<Array<any>>} Filas en el orden en que se encolaron
+     */
+    getPendingAppends(sheet) {
+        return this.pending
+            .filter(op => op.type === 'append' && op.range.split('!')[0] === sheet)
+            .flatMap(op => op.values)
+    }
+
+    /**
+     * Upserts aún no enviados para una hoja
+     * @param {string} sheet - Nombre de la hoja
+     * @returns {Array<{keyColumn, key, values}>} En el orden en que se encolaron (el último gana)
+     */
+    getPendingUpserts(sheet) {
+        return this.pending
+            .filter(op => op.type === 'upsert' && op.range.split('!')[0] === sheet)
+            .map(({ keyColumn, key, values }) => ({ keyColumn, key, values }))
+    }
+
+    /**
+     * Obtiene estadísticas de la cola
+     */
+    getStats() {
+        return {
+            pending: this.pending.length,
+            failed: this.failed.length,
+            retryAttempt: this.retryAttempt,
+            lastFlushAt: this.lastFlushAt ? new Date(this.lastFlushAt).toLocaleString('es-CL') : null,
+            lastError: this.lastError
+        }
+    }
+}
+
+export default WriteQueue
@@ -0,0 +1,37 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { columnToIndex, columnLetter, parseRange } from '../src/services/storage/a1.js'
+
+test('columnLetter y columnToIndex son inversas', () => {
+    assert.equal(columnLetter(0), 'A')
+    assert.equal(columnLetter(25), 'Z')
+    assert.equal(columnLetter(26), 'AA')
+    assert.equal(columnLetter(701), 'ZZ')
+    assert.equal(columnLetter(702), 'AAA')
+
+    for (const index of [0, 5, 25, 26, 51, 52, 701, 702, 1000]) {
+        assert.equal(columnToIndex(columnLetter(index)), index)
+    }
+})
+
+test('parseRange: hoja completa', () => {
+    assert.deepEqual(parseRange('Flujos'), {
+        sheet: 'Flujos', startRow: 0, startCol: 0, endRow: Infinity, endCol: Infinity
+    })
+})
+
+test('parseRange: rango abierto por abajo', () => {
+    assert.deepEqual(parseRange('Flujos!A2:C'), {
+        sheet: 'Flujos', startRow: 1, startCol: 0, endRow: Infinity, endCol: 2
+    })
+})
+
+test('parseRange: celda única y hoja con comillas', () => {
+    assert.deepEqual(parseRange("'Mis Ventas'!E5"), {
+        sheet: 'Mis Ventas', startRow: 4, startCol: 4, endRow: 4, endCol: 4
+    })
+})
+
+test('parseRange: referencia inválida', () => {
+    assert.throws(() => parseRange('Flujos!A-1'), /Referencia de celda inválida/)
+})
@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { AIService } from '../src/services/ai-chat.js'
+
+/**
+ * AIService cuya hoja IA_Prompts devuelve la fila config indicada
+ */
+function createAI(sheet) {
+    const googleService = { getPrompts: async () => sheet.config ? [{ role: 'config', content: JSON.stringify(sheet.config) }] : [] }
+    return new AIService({ apiKey: 'test', googleService, woocommerceService: {}, chatHistoryService: {} })
+}
+
+test('loadSettings: temperature 0 y catalogResults 0 se aplican', async () => {
+    const ai = createAI({ config: { provider: 'mock', temperature: 0, catalogResults: 0 } })
+    await ai.loadSettings()
+
+    assert.equal(ai.temperature, 0)
+    assert.equal(ai.catalogResults, 0)
+})
+
+test('loadSettings: lo que se quita de la fila config vuelve al valor por defecto', async () => {
+    const sheet = { config: { provider: 'mock', maxTokens: 800, temperature: 1.2, quickReplies: false, tools: false, catalogResults: 10, summaries: false } }
+    const ai = createAI(sheet)
+    const defaults = { maxTokens: ai.maxTokens, temperature: ai.temperature, quickReplies: ai.quickReplies, tools: ai.tools, catalogResults: ai.catalogResults, summaries: ai.summaries }
+
+    await ai.loadSettings()
+    assert.equal(ai.maxTokens, 800)
+    assert.equal(ai.tools, false)
+
+    sheet.config = { provider: 'mock' }
+    await ai.loadSettings()
+    const { maxTokens, temperature, quickReplies, tools, catalogResults, summaries } = ai
+    assert.deepEqual({ maxTokens, temperature, quickReplies, tools, catalogResults, summaries }, defaults)
+})
@@ -0,0 +1,54 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { CatalogIndex, tokenize } from '../src/services/catalogIndex.js'
+
+const products = [
+    { id: 1, name: 'Zapatillas Running Pro', sku: 'ZRP-01', categories: ['Calzado'], description: 'Livianas para correr' },
+    { id: 2, name: 'Polera Running', sku: 'PR-02', categories: ['Ropa'], description: 'Tela respirable' },
+    { id: 3, name: 'Mochila Urbana', sku: 'MU-03', categories: ['Accesorios'], description: 'Bolsillo para zapatillas' },
+    { id: 4, name: 'Calcetines', sku: 'CAL-04', categories: ['Ropa'], description: 'Pack de 3 pares' }
+]
+
+function buildIndex() {
+    const index = new CatalogIndex()
+    index.build(products)
+    return index
+}
+
+test('tokenize: sin tildes, palabras comunes ni plurales', () => {
+    assert.deepEqual(tokenize('¿Cuánto cuestan las zapatillas de running?'), ['cuestan', 'zapatilla', 'running'])
+    assert.deepEqual(tokenize('precios colores'), ['color'])
+})
+
+test('el nombre pesa más que la descripción', () => {
+    const results = buildIndex().search('zapatillas')
+    assert.deepEqual(results.map(r => r.product.id), [1, 3])
+    assert.ok(results[0].score > results[1].score)
+})
+
+test('los términos raros pesan más que los comunes', () => {
+    // "running" está en 2 productos y "polera" solo en uno
+    assert.equal(buildIndex().search('polera running')[0].product.id, 2)
+})
+
+test('busca por SKU y categoría', () => {
+    const index = buildIndex()
+    assert.equal(index.search('zrp 01')[0].product.id, 1)
+    assert.deepEqual(index.search('accesorios').map(r => r.product.id), [3])
+})
+
+test('respeta el límite y devuelve vacío si nada coincide', () => {
+    const index = buildIndex()
+    assert.equal(index.search('running ropa', 1).length, 1)
+    assert.deepEqual(index.search('televisor'), [])
+    assert.deepEqual(index.search('hola, tienen stock?'), [])
+    assert.deepEqual(new CatalogIndex().search('zapatillas'), [])
+})
+
+test('build reemplaza el índice anterior', () => {
+    const index = buildIndex()
+    index.build(products.slice(1, 2))
+
+    assert.equal(index.size, 1)
+    assert.deepEqual(index.search('zapatillas'), [])
+})
@@ -0,0 +1,127 @@
+import { test, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { ChatHistoryService } from '../src/services/chat-history.js'
+import { AIService } from '../src/services/ai-chat.js'
+
+const PHONE = '56911111111'
+
+let dir
+let history
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-history-'))
+    // Sin logs: en Node 20, un log pegado al reporte de la prueba anterior puede
+    // llegar en el mismo bloque y romper el parseo del runner
+    mock.method(console, 'log', () => { })
+    history = new ChatHistoryService({ historyDir: dir })
+    history.contextMessages = 2
+})
+
+afterEach(() => {
+    mock.restoreAll()
+    fs.rmSync(dir, { recursive: true, force: true })
+})
+
+/**
+ * Guarda mensajes alternando cliente y asistente ("m1", "m2"...)
+ */
+async function saveMessages(from, to) {
+    for (let i = from; i <= to; i++) {
+        await history.saveMessage(PHONE, i % 2 ? 'user' : 'assistant', `m${i}`)
+    }
+}
+
+/**
+ * AIService con la IA simulada que registra lo que se le envía
+ */
+function createAI(response) {
+    const ai = new AIService({
+        apiKey: 'test',
+        googleService: { getPrompts: async () => [] },
+        woocommerceService: { isConfigured: false, getProductCatalogForAI: async () => '' },
+        chatHistoryService: history
+    })
+    ai.settings = { systemPrompts: [], modelConfig: null }
+    ai.configureProviders({ provider: 'mock', response })
+
+    const requests = []
+    const chain = ai.getProviders()
+    const chat = chain.chat.bind(chain)
+    chain.chat = async request => {
+        requests.push(request)
+        return chat(request)
+    }
+    return { ai, requests }
+}
+
+const contents = messages => messages.map(message => message.content)
+
+test('getUnsummarizedMessages: fuera de la ventana y después de untilId', async () => {
+    await saveMessages(1, 6)
+    assert.deepEqual(contents(await history.getUnsummarizedMessages(PHONE)), ['m1', 'm2', 'm3', 'm4'])
+
+    const [, second] = await history.getUnsummarizedMessages(PHONE)
+    await history.saveSummary(PHONE, 'Resumen de m1 y m2.', second)
+    assert.equal(await history.getSummary(PHONE), 'Resumen de m1 y m2.')
+    assert.deepEqual(contents(await history.getUnsummarizedMessages(PHONE)), ['m3', 'm4'])
+
+    // La ventana avanza: m5 y m6 salen del contexto
+    await saveMessages(7, 8)
+    assert.deepEqual(contents(await history.getUnsummarizedMessages(PHONE)), ['m3', 'm4', 'm5', 'm6'])
+    assert.deepEqual(await history.getUnsummarizedMessages('56900000000'), [])
+})
+
+test('updateSummary: integra el resumen anterior y avanza untilId', async () => {
+    const { ai, requests } = createAI('Ana busca un polerón azul.')
+    await saveMessages(1, 4)
+
+    // Menos mensajes pendientes que el lote: no resume (salvo force)
+    assert.equal(await ai.updateSummary(PHONE), null)
+    assert.equal(requests.length, 0)
+    assert.equal(await ai.updateSummary(PHONE, { force: true }), 'Ana busca un polerón azul.')
+    assert.match(requests[0].messages[1].content, /^MENSAJES NUEVOS:\nCliente: m1\nAsistente: m2$/)
+    assert.deepEqual(await history.getUnsummarizedMessages(PHONE), [])
+
+    await saveMessages(5, 10)
+    assert.equal(await ai.updateSummary(PHONE), 'Ana busca un polerón azul.')
+    assert.equal(requests[1].messages[1].content, [
+        'RESUMEN ANTERIOR:\nAna busca un polerón azul.',
+        '',
+        'MENSAJES NUEVOS:\nCliente: m3\nAsistente: m4\nCliente: m5\nAsistente: m6\nCliente: m7\nAsistente: m8'
+    ].join('\n'))
+    assert.deepEqual(await history.getUnsummarizedMessages(PHONE), [])
+})
+
+test('getResponse: el resumen va antes del historial reciente', async () => {
+    const { ai, requests } = createAI('Sí, tenemos en talla M.')
+    await saveMessages(1, 4)
+    const [, second] = await history.getUnsummarizedMessages(PHONE)
+    await history.saveSummary(PHONE, 'Ana busca un polerón azul.', second)
+
+    await ai.getResponse('¿Hay talla M?', PHONE, { dryRun: true })
+
+    const [system, summary, ...rest] = requests[0].messages
+    assert.equal(system.role, 'system')
+    assert.deepEqual(summary, {
+        role: 'system',
+        content: 'RESUMEN DE LA CONVERSACIÓN ANTERIOR CON ESTE CLIENTE:\nAna busca un polerón azul.'
+    })
+    assert.deepEqual(rest, [
+        { role: 'user', content: 'm3' },
+        { role: 'assistant', content: 'm4' },
+        { role: 'user', content: '¿Hay talla M?' }
+    ])
+})
+
+test('getResponse: con "summaries": false no se envía el resumen', async () => {
+    const { ai, requests } = createAI('Hola')
+    await saveMessages(1, 4)
+    await history.saveSummary(PHONE, 'Resumen anterior.', (await history.getUnsummarizedMessages(PHONE))[1])
+    ai.summaries = false
+
+    await ai.getResponse('Hola', PHONE, { dryRun: true })
+    assert.ok(requests[0].messages.every(message => !message.content.includes('Resumen anterior.')))
+})
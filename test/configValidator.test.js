@@ -0,0 +1,125 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { GoogleService } from '../src/services/googleService.js'
+import { ConfigValidator } from '../src/services/configValidator.js'
+
+const FLOW_HEADERS = ['addKeyword', 'addAnswer', 'media', 'flujo', 'paso', 'captura', 'opciones', 'siguiente', 'coincidencia', 'prioridad', 'desde', 'hasta', 'dias', 'horas', 'instrucciones']
+
+let dir
+let googleService
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-validator-'))
+    googleService = new GoogleService({
+        backend: 'local',
+        filePath: path.join(dir, 'storage.json'),
+        writeQueueFile: path.join(dir, 'queue.json')
+    })
+})
+
+afterEach(() => {
+    clearTimeout(googleService.writeQueue.flushTimer)
+    fs.rmSync(dir, { recursive: true, force: true })
+})
+
+/**
+ * Valida una hoja Flujos con las filas indicadas (objetos por columna)
+ * @returns {Promise<Array<object>>} Problemas encontrados en Flujos
+ */
+async function validateFlows(flows) {
+    await googleService.storage.addSheet('Flujos')
+    await googleService.storage.updateValues('Flujos!A1', [
+        FLOW_HEADERS,
+        ...flows.map(flow => FLOW_HEADERS.map(header => flow[header] ?? ''))
+    ])
+
+    const validator = new ConfigValidator({
+        googleService,
+        scheduledMessagesService: {},
+        templateService: { getNow: () => ({ localStamp: Date.UTC(2026, 10, 30, 10), weekday: 1, minutes: 600 }) }
+    })
+    const result = await validator.validate()
+    return result.issues.filter(issue => issue.sheet === 'Flujos')
+}
+
+const summary = issues => issues.map(({ level, row, column }) => [level, row, column])
+
+test('sin problemas: un flujo simple no reporta nada', async () => {
+    assert.deepEqual(await validateFlows([{ addKeyword: 'hola', addAnswer: 'Hola!' }]), [])
+})
+
+test('coincidencia desconocida: advertencia con el modo por defecto', async () => {
+    const issues = await validateFlows([
+        { addKeyword: 'hola', addAnswer: 'Hola!', coincidencia: 'parecida' },
+        { addKeyword: 'chao', addAnswer: 'Chao!', coincidencia: 'exacta 2' }
+    ])
+
+    assert.deepEqual(summary(issues), [['warning', 2, 'coincidencia'], ['warning', 3, 'coincidencia']])
+    assert.match(issues[0].message, /Modo "parecida" desconocido/)
+})
+
+test('regex inválida: error en addKeyword', async () => {
+    const issues = await validateFlows([{ addKeyword: 'envio(s', addAnswer: 'Sí', coincidencia: 'regex' }])
+
+    assert.deepEqual(summary(issues), [['error', 2, 'addKeyword']])
+    assert.match(issues[0].message, /Regex inválida/)
+})
+
+test('horario inválido o vencido: error por columna y advertencia', async () => {
+    const issues = await validateFlows([
+        { addKeyword: 'promo', addAnswer: '20% dcto', dias: 'lunes-feriado', horas: '09:00-09:00' },
+        { addKeyword: 'navidad', addAnswer: 'Feliz navidad', desde: '2026-12-01', hasta: '2026-11-30 10:00' },
+        { addKeyword: 'cyber', addAnswer: 'Cyber', hasta: '2026-10-01' }
+    ])
+
+    assert.deepEqual(summary(issues), [
+        ['error', 2, 'dias'],
+        ['error', 2, 'horas'],
+        ['error', 3, 'hasta'],
+        ['warning', 4, 'hasta']
+    ])
+    assert.match(issues[3].message, /venció/)
+})
+
+test('media: una línea inválida es error y se indica su número', async () => {
+    const issues = await validateFlows([{
+        addKeyword: 'tienda',
+        addAnswer: 'Te esperamos',
+        media: 'imagen: https://x.cl/local.jpg\nubicacion: norte, sur\ncontacto: 123'
+    }])
+
+    assert.deepEqual(summary(issues), [['error', 2, 'media'], ['error', 2, 'media']])
+    assert.match(issues[0].message, /^Línea 2: Coordenadas inválidas/)
+    assert.match(issues[1].message, /^Línea 3: Teléfono de contacto inválido/)
+})
+
+test('keyword repetida: advertencia en la segunda fila', async () => {
+    const issues = await validateFlows([
+        { addKeyword: 'envio|despacho', addAnswer: 'Despachamos en 48h' },
+        { addKeyword: 'Envío', addAnswer: 'Envíos gratis' }
+    ])
+
+    assert.deepEqual(summary(issues), [['warning', 3, 'addKeyword']])
+    assert.match(issues[0].message, /"envio" repetido \(fila 2\)/)
+})
+
+test('opciones y siguiente de un flujo de varios pasos', async () => {
+    const issues = await validateFlows([
+        { addKeyword: 'pedido', flujo: 'pedido', paso: 'inicio', addAnswer: '¿Retiro o despacho?', opciones: 'Retiro|Despacho', siguiente: 'Retiro=fin|Envio=direccion|Despacho' },
+        { flujo: 'pedido', paso: 'direccion', addAnswer: '¿Tu dirección?', captura: 'direccion', siguiente: 'confirmar' },
+        { flujo: 'pedido', paso: 'direccion', addAnswer: 'Repetido' }
+    ])
+
+    assert.deepEqual(summary(issues), [
+        ['error', 4, 'paso'],
+        ['warning', 2, 'siguiente'],
+        ['error', 2, 'siguiente'],
+        ['error', 3, 'siguiente']
+    ])
+    assert.match(issues[1].message, /"Envio" no está entre las opciones/)
+    assert.match(issues[2].message, /Formato inválido/)
+    assert.match(issues[3].message, /El paso "confirmar" no existe/)
+})
@@ -0,0 +1,100 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeText, parseMatchMode, splitKeywords, parsePriority, matchesFlow, rankMatches, isTie, findMatchingFlow } from '../src/services/flowMatcher.js'
+
+const matches = (flow, input) => matchesFlow(flow, input) > 0
+
+test('normalizeText quita tildes, mayúsculas y signos', () => {
+    assert.equal(normalizeText('¿Cuánto  CUESTA el envío?'), 'cuanto cuesta el envio')
+})
+
+test('parseMatchMode: columna vacía usa contiene', () => {
+    assert.deepEqual(parseMatchMode(''), { mode: 'contiene', tolerance: null })
+    assert.deepEqual(parseMatchMode('Difuso:2'), { mode: 'difuso', tolerance: 2 })
+    assert.equal(parseMatchMode('parecido'), null)
+    assert.equal(parseMatchMode('exacto:2'), null)
+})
+
+test('splitKeywords separa alternativas por | y coma', () => {
+    assert.deepEqual(splitKeywords('Envío|despacho, delivery'), ['envio', 'despacho', 'delivery'])
+})
+
+test('contiene (por defecto): la keyword puede ser parte de otra palabra', () => {
+    const flow = { addKeyword: 'hola' }
+    assert.ok(matches(flow, 'Holanda'))
+    assert.ok(matches({ ...flow, coincidencia: 'contiene' }, 'hola!'))
+    assert.ok(!matches(flow, 'buenas'))
+})
+
+test('palabra: solo palabras completas', () => {
+    const flow = { addKeyword: 'hola', coincidencia: 'palabra' }
+    assert.ok(matches(flow, '¡Hola, buen día!'))
+    assert.ok(!matches(flow, 'holanda'))
+    assert.ok(matches({ addKeyword: 'precio envio', coincidencia: 'palabra' }, 'el precio envío?'))
+})
+
+test('exacto: el mensaje completo', () => {
+    const flow = { addKeyword: 'menu', coincidencia: 'exacto' }
+    assert.ok(matches(flow, 'Menú'))
+    assert.ok(!matches(flow, 'ver menu'))
+})
+
+test('difuso: tolera errores de tipeo según el largo de la palabra', () => {
+    const flow = { addKeyword: 'cuesta', coincidencia: 'difuso' }
+    assert.ok(matches(flow, 'cuanto cuetsa'))
+    assert.ok(matches(flow, 'cuanto cueta'))
+    assert.ok(!matches(flow, 'cuanto sale el costo'))
+
+    // Palabras cortas siempre exactas
+    assert.ok(!matches({ addKeyword: 'si', coincidencia: 'difuso' }, 'no'))
+    assert.ok(!matches({ addKeyword: 'cuesta', coincidencia: 'difuso:0' }, 'cuetsa'))
+})
+
+test('regex: expresión regular sin distinguir mayúsculas', () => {
+    const flow = { addKeyword: '^pedido\\s*#?\\d+$', coincidencia: 'regex' }
+    assert.ok(matches(flow, 'Pedido #123'))
+    assert.ok(!matches(flow, 'mi pedido'))
+})
+
+test('regex inválida: la fila no coincide', () => {
+    assert.ok(!matches({ addKeyword: '([', coincidencia: 'regex' }, '(['))
+})
+
+test('parsePriority: entero o 0', () => {
+    assert.equal(parsePriority(' 5 '), 5)
+    assert.equal(parsePriority('-2'), -2)
+    assert.equal(parsePriority('alta'), 0)
+    assert.equal(parsePriority(undefined), 0)
+})
+
+test('gana la fila de mayor prioridad', () => {
+    const flows = [
+        { addKeyword: 'precio envio' },
+        { addKeyword: 'envio', prioridad: '2' }
+    ]
+    assert.equal(findMatchingFlow(flows, 'precio envio?'), flows[1])
+})
+
+test('a igual prioridad gana la keyword más específica', () => {
+    const flows = [
+        { addKeyword: 'precio' },
+        { addKeyword: 'precio envio' }
+    ]
+    const ranked = rankMatches(flows, 'cual es el precio envio')
+    assert.deepEqual(ranked.map(m => m.flow), [flows[1], flows[0]])
+    assert.ok(!isTie(ranked))
+})
+
+test('empate: decide el orden de la hoja', () => {
+    const flows = [
+        { addKeyword: 'hola' },
+        { addKeyword: 'chao|hola' }
+    ]
+    const ranked = rankMatches(flows, 'hola')
+    assert.ok(isTie(ranked))
+    assert.equal(findMatchingFlow(flows, 'hola'), flows[0])
+})
+
+test('sin coincidencias', () => {
+    assert.equal(findMatchingFlow([{ addKeyword: 'hola' }, { addKeyword: '' }], 'buenas'), undefined)
+})
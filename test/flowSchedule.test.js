@@ -0,0 +1,79 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseDays, parseHours, parseDateTime, compileSchedule, isFlowActive, filterActiveFlows } from '../src/services/flowSchedule.js'
+
+/**
+ * Momento local en el formato de TemplateService.getNow ("2026-11-30T09:15")
+ */
+function at(text) {
+    const date = new Date(`${text}Z`)
+    return {
+        localStamp: date.getTime(),
+        weekday: date.getUTCDay(),
+        minutes: date.getUTCHours() * 60 + date.getUTCMinutes()
+    }
+}
+
+test('parseDays: rangos, listas, abreviaturas y vuelta de semana', () => {
+    assert.deepEqual([...parseDays('lunes-viernes').days], [1, 2, 3, 4, 5])
+    assert.deepEqual([...parseDays('lun, Mié|sáb').days], [1, 3, 6])
+    assert.deepEqual([...parseDays('viernes a lunes').days], [5, 6, 0, 1])
+    assert.equal(parseDays('').days, null)
+    assert.match(parseDays('lunes-feriado').error, /Días inválidos/)
+    // "m" es ambiguo (martes, miércoles)
+    assert.match(parseDays('m').error, /Días inválidos/)
+})
+
+test('parseHours: tramos y errores', () => {
+    assert.deepEqual(parseHours('09:00-13:00, 15:00-19:30').ranges, [
+        { start: 540, end: 780 },
+        { start: 900, end: 1170 }
+    ])
+    assert.match(parseHours('09:00-09:00').error, /Horas inválidas/)
+    assert.match(parseHours('9-18-20').error, /Horas inválidas/)
+})
+
+test('parseDateTime: formatos y fin del día para "hasta"', () => {
+    const day = Date.UTC(2026, 10, 30)
+    assert.equal(parseDateTime('2026-11-30').stamp, day)
+    assert.equal(parseDateTime('30/11/2026 09:30').stamp, day + 9.5 * 60 * 60 * 1000)
+    assert.equal(parseDateTime('2026-11-30', true).stamp, day + 24 * 60 * 60 * 1000)
+    assert.match(parseDateTime('2026-02-30').error, /Fecha inválida/)
+    assert.match(parseDateTime('mañana').error, /Fecha inválida/)
+})
+
+test('compileSchedule: "hasta" debe ser posterior a "desde"', () => {
+    const { errors } = compileSchedule({ desde: '2026-12-01', hasta: '2026-11-30 10:00' })
+    assert.deepEqual(errors.map(e => e.column), ['hasta'])
+})
+
+test('isFlowActive: sin columnas siempre está activa', () => {
+    assert.ok(isFlowActive({ addKeyword: 'hola' }, at('2026-11-30T03:00')))
+})
+
+test('isFlowActive: rango de fechas con "hasta" inclusivo', () => {
+    const flow = { desde: '2026-11-27', hasta: '2026-11-30' }
+    assert.ok(!isFlowActive(flow, at('2026-11-26T23:59')))
+    assert.ok(isFlowActive(flow, at('2026-11-27T00:00')))
+    assert.ok(isFlowActive(flow, at('2026-11-30T23:59')))
+    assert.ok(!isFlowActive(flow, at('2026-12-01T00:00')))
+})
+
+test('isFlowActive: días y horas (2026-11-30 es lunes)', () => {
+    const flow = { dias: 'lunes-viernes', horas: '09:00-18:00' }
+    assert.ok(isFlowActive(flow, at('2026-11-30T09:00')))
+    assert.ok(!isFlowActive(flow, at('2026-11-30T18:00')))
+    assert.ok(!isFlowActive(flow, at('2026-11-29T10:00')))
+})
+
+test('isFlowActive: tramo que cruza la medianoche', () => {
+    const flow = { horas: '20:00-02:00' }
+    assert.ok(isFlowActive(flow, at('2026-11-30T23:30')))
+    assert.ok(isFlowActive(flow, at('2026-12-01T01:59')))
+    assert.ok(!isFlowActive(flow, at('2026-12-01T02:00')))
+})
+
+test('una fila con un valor inválido no se activa', () => {
+    const flows = [{ addKeyword: 'a', dias: 'feriados' }, { addKeyword: 'b' }]
+    assert.deepEqual(filterActiveFlows(flows, at('2026-11-30T10:00')).map(f => f.addKeyword), ['b'])
+})
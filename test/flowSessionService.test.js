@@ -0,0 +1,130 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { FlowSessionService } from '../src/services/flowSessionService.js'
+
+const PHONE = '56911111111'
+
+// Pedido: nombre → retiro o despacho → (dirección) → confirmación
+const FLOWS = [
+    { flujo: 'pedido', addKeyword: 'pedido', addAnswer: '¡Hola! ¿Cuál es tu nombre?', captura: 'nombre' },
+    { flujo: 'pedido', paso: 'entrega', addAnswer: '{nombre}, ¿retiro o despacho?', captura: 'entrega', opciones: 'Retiro|Despacho', siguiente: 'Retiro=fin|Despacho=direccion' },
+    { flujo: 'pedido', paso: 'direccion', addAnswer: '¿A qué dirección?', captura: 'direccion' },
+    { flujo: 'pedido', paso: 'gracias', addAnswer: 'Anotado, {nombre}: despacho a {direccion}' }
+]
+
+/**
+ * Servicio con la hoja Flujos en memoria; registra lo que se guarda
+ */
+function createService(sessions = []) {
+    const saved = { sessions: [], captures: [] }
+    const service = new FlowSessionService({
+        googleService: {
+            getFlows: async () => FLOWS,
+            getFlowSessions: async () => sessions,
+            saveFlowSession: (phone, session, status) => saved.sessions.push({ phone, step: session.step, status }),
+            addFlowCapture: row => saved.captures.push(row)
+        }
+    })
+    return { service, saved }
+}
+
+const bodies = messages => messages.map(message => message.body)
+
+test('pasos: captura variables, sigue la rama elegida y guarda al terminar', async () => {
+    const { service, saved } = createService()
+
+    const first = await service.startFlow(PHONE, FLOWS[0])
+    assert.deepEqual(bodies(first), ['¡Hola! ¿Cuál es tu nombre?'])
+    assert.equal(service.hasActiveSession(PHONE), true)
+
+    const second = await service.processReply(PHONE, 'Ana')
+    assert.deepEqual(second, [{
+        body: '{nombre}, ¿retiro o despacho?',
+        media: '',
+        options: ['Retiro', 'Despacho'],
+        variables: { nombre: 'Ana' }
+    }])
+
+    // La opción se acepta por su número
+    assert.deepEqual(bodies(await service.processReply(PHONE, '2')), ['¿A qué dirección?'])
+
+    const last = await service.processReply(PHONE, 'Av. Siempre Viva 123')
+    assert.deepEqual(last[0].variables, { nombre: 'Ana', entrega: 'Despacho', direccion: 'Av. Siempre Viva 123' })
+    assert.equal(service.hasActiveSession(PHONE), false)
+
+    assert.deepEqual(saved.sessions.map(s => [s.step, s.status]), [
+        ['1', 'activa'], ['entrega', 'activa'], ['direccion', 'activa'], ['direccion', 'completada']
+    ])
+    assert.equal(saved.captures.length, 1)
+    assert.equal(saved.captures[0][3], 'nombre: Ana\nentrega: Despacho\ndireccion: Av. Siempre Viva 123')
+    assert.equal(saved.captures[0][4], 'completa')
+})
+
+test('opción inválida: repite las opciones sin avanzar', async () => {
+    const { service } = createService()
+    await service.startFlow(PHONE, FLOWS[0])
+    await service.processReply(PHONE, 'Ana')
+
+    const retry = await service.processReply(PHONE, 'mañana')
+    assert.deepEqual(retry, [{ body: service.config.invalidOptionMessage, options: ['Retiro', 'Despacho'] }])
+    assert.equal(service.activeSessions.get(PHONE).step, 'entrega')
+
+    // "retiro" (sin mayúscula) termina el flujo
+    assert.deepEqual(await service.processReply(PHONE, 'retiro'), [])
+    assert.equal(service.hasActiveSession(PHONE), false)
+})
+
+test('cancelar: cierra la sesión sin guardar capturas', async () => {
+    const { service, saved } = createService()
+    await service.startFlow(PHONE, FLOWS[0])
+
+    assert.deepEqual(bodies(await service.processReply(PHONE, 'Cancelar')), [service.config.cancelMessage])
+    assert.equal(service.hasActiveSession(PHONE), false)
+    assert.equal(saved.sessions.at(-1).status, 'cancelada')
+    assert.equal(saved.captures.length, 0)
+})
+
+test('expiración: la sesión inactiva se cierra como incompleta con lo capturado', async () => {
+    const { service, saved } = createService()
+    await service.startFlow(PHONE, FLOWS[0])
+    await service.processReply(PHONE, 'Ana')
+
+    service.activeSessions.get(PHONE).updatedAt = Date.now() - 31 * 60 * 1000
+    await service.expireAbandonedSessions()
+
+    assert.equal(service.hasActiveSession(PHONE), false)
+    assert.equal(saved.sessions.at(-1).status, 'incompleta')
+    assert.deepEqual(saved.captures.map(row => [row[3], row[4]]), [['nombre: Ana', 'incompleta']])
+})
+
+test('restaurar: recupera las sesiones activas y expira las vencidas', async () => {
+    const now = Date.now()
+    const { service, saved } = createService([
+        { phone: PHONE, flow: 'pedido', step: 'entrega', variables: { nombre: 'Ana' }, startedAt: now, updatedAt: now, status: 'activa' },
+        { phone: '56922222222', flow: 'pedido', step: '1', variables: {}, startedAt: 0, updatedAt: 0, status: 'activa' },
+        { phone: '56933333333', flow: 'pedido', step: '1', variables: {}, startedAt: now, updatedAt: now, status: 'completada' }
+    ])
+    await service.restoreActiveSessions()
+
+    assert.deepEqual([...service.activeSessions.keys()], [PHONE])
+    assert.deepEqual(saved.sessions, [{ phone: '56922222222', step: '1', status: 'incompleta' }])
+    assert.deepEqual(bodies(await service.processReply(PHONE, 'Despacho')), ['¿A qué dirección?'])
+})
+
+test('dryRun: muestra los mensajes sin crear ni avanzar la sesión', async () => {
+    const { service, saved } = createService()
+
+    assert.deepEqual(bodies(await service.startFlow(PHONE, FLOWS[0], { dryRun: true })), ['¡Hola! ¿Cuál es tu nombre?'])
+    assert.equal(service.hasActiveSession(PHONE), false)
+
+    await service.startFlow(PHONE, FLOWS[0])
+    await service.processReply(PHONE, 'Ana')
+    const before = structuredClone(service.activeSessions.get(PHONE))
+
+    assert.deepEqual(bodies(await service.processReply(PHONE, 'Despacho', { dryRun: true })), ['¿A qué dirección?'])
+    assert.deepEqual(bodies(await service.processReply(PHONE, 'cancelar', { dryRun: true })), [service.config.cancelMessage])
+
+    assert.deepEqual(service.activeSessions.get(PHONE), before)
+    assert.deepEqual(saved.sessions.map(s => s.step), ['1', 'entrega'])
+    assert.equal(saved.captures.length, 0)
+})
@@ -0,0 +1,133 @@
+import { test, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import HistoryStore from '../src/services/historyStore.js'
+
+let dir
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'))
+    // Sin logs: en Node 20, un log pegado al reporte de la prueba anterior puede
+    // llegar en el mismo bloque y romper el parseo del runner
+    mock.method(console, 'log', () => { })
+})
+
+afterEach(() => {
+    mock.restoreAll()
+    fs.rmSync(dir, { recursive: true, force: true })
+})
+
+const at = day => `2026-03-${String(day).padStart(2, '0')}T12:00:00.000Z`
+
+/**
+ * Almacén con dos contactos y mensajes en días distintos
+ */
+async function createStore(options = {}) {
+    const store = new HistoryStore({ dir, ...options })
+    await store.append('+56 9 1111 1111', [
+        { timestamp: at(1), role: 'user', content: '¿Tienen zapatillas rojas?' },
+        { timestamp: at(1), role: 'assistant', content: 'Sí, zapatillas rojas en talla 40' },
+        { timestamp: at(5), role: 'user', content: 'Quiero la camiseta azul' }
+    ])
+    await store.append('56922222222', [
+        { timestamp: at(3), role: 'user', content: 'Hola, ¿envían a Rancagua?' },
+        { timestamp: at(7), role: 'assistant', content: 'Sí, despachamos a Rancagua en 48h' }
+    ])
+    return store
+}
+
+const contents = result => result.results.map(r => r.content)
+
+test('search: todos los términos, sin tildes y el último como prefijo', async () => {
+    const store = await createStore()
+
+    assert.deepEqual(contents(await store.search({ text: 'zapatillas rojas' })), [
+        'Sí, zapatillas rojas en talla 40',
+        '¿Tienen zapatillas rojas?'
+    ])
+    assert.deepEqual(contents(await store.search({ text: 'ENVIAN ranc' })), ['Hola, ¿envían a Rancagua?'])
+    assert.equal((await store.search({ text: 'zapatillas azul' })).total, 0)
+})
+
+test('search: filtros por número, rol y fechas', async () => {
+    const store = await createStore()
+
+    const byPhone = await store.search({ phone: '56911111111' })
+    assert.equal(byPhone.total, 3)
+    assert.ok(byPhone.results.every(r => r.phoneNumber === '56911111111'))
+
+    assert.deepEqual(contents(await store.search({ text: 'rancagua', role: 'assistant' })), ['Sí, despachamos a Rancagua en 48h'])
+    assert.deepEqual(contents(await store.search({ phone: '56911111111', role: 'user', from: new Date(at(2)) })), ['Quiero la camiseta azul'])
+    assert.deepEqual(contents(await store.search({ from: new Date(at(3)), to: new Date(at(5)) })), [
+        'Hola, ¿envían a Rancagua?',
+        'Quiero la camiseta azul'
+    ])
+})
+
+test('search: paginación con los más recientes primero', async () => {
+    const store = await createStore()
+
+    const first = await store.search({ pageSize: 2 })
+    assert.deepEqual({ total: first.total, pages: first.pages }, { total: 5, pages: 3 })
+    assert.deepEqual(contents(first), ['Sí, despachamos a Rancagua en 48h', 'Hola, ¿envían a Rancagua?'])
+
+    const last = await store.search({ pageSize: 2, page: 3 })
+    assert.deepEqual(contents(last), ['¿Tienen zapatillas rojas?'])
+    assert.equal((await store.search({ pageSize: 2, page: 4 })).results.length, 0)
+})
+
+test('tope por contacto: descarta los más antiguos, también del índice y al recargar', async () => {
+    const store = await createStore({ maxMessagesPerContact: 2 })
+
+    const messages = await store.getMessages('56911111111')
+    assert.deepEqual(messages.map(m => m.content), ['Sí, zapatillas rojas en talla 40', 'Quiero la camiseta azul'])
+    assert.equal((await store.search({ text: 'tienen' })).total, 0)
+
+    const reloaded = new HistoryStore({ dir, maxMessagesPerContact: 1 })
+    assert.deepEqual((await reloaded.getMessages('56911111111')).map(m => m.content), ['Quiero la camiseta azul'])
+    assert.equal((await reloaded.getStats()).totalMessages, 2)
+    await reloaded.writeChain
+})
+
+test('removeOlderThan: borra mensajes antiguos y contactos sin mensajes', async () => {
+    const store = await createStore()
+
+    const removed = await store.removeOlderThan(new Date(at(4)))
+    assert.deepEqual(removed, { messages: 3, contacts: 0 })
+    assert.equal((await store.search({ text: 'zapatillas' })).total, 0)
+
+    assert.deepEqual(await store.removeOlderThan(new Date(at(6))), { messages: 1, contacts: 1 })
+    assert.equal(await store.getContact('56911111111'), null)
+
+    // Persistido en disco
+    const reloaded = new HistoryStore({ dir })
+    assert.deepEqual(contents(await reloaded.search({})), ['Sí, despachamos a Rancagua en 48h'])
+})
+
+test('migración: importa los archivos antiguos por número y los mueve a legacy/', async () => {
+    fs.writeFileSync(path.join(dir, '56933333333.json'), JSON.stringify({
+        name: 'Ana',
+        firstContact: at(1),
+        context: { preferences: ['rojo'], topics: [], summary: null },
+        messages: [
+            { timestamp: at(1), role: 'user', content: 'Busco un polerón' },
+            { timestamp: at(2), role: 'assistant', content: 'Tenemos polerones desde $15.000' }
+        ]
+    }))
+
+    const store = new HistoryStore({ dir })
+    assert.deepEqual(contents(await store.search({ text: 'busco poleron' })), ['Busco un polerón'])
+
+    const contact = await store.getContact('56933333333')
+    assert.equal(contact.name, 'Ana')
+    assert.equal(contact.totalMessages, 2)
+    assert.deepEqual(contact.context.preferences, ['rojo'])
+    assert.ok(fs.existsSync(path.join(dir, 'legacy', '56933333333.json')))
+    assert.ok(!fs.existsSync(path.join(dir, '56933333333.json')))
+
+    // Al reiniciar no se vuelve a importar
+    const reloaded = new HistoryStore({ dir })
+    assert.equal((await reloaded.getStats()).totalMessages, 2)
+})
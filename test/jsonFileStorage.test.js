@@ -0,0 +1,91 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import JsonFileStorage from '../src/services/storage/jsonFileStorage.js'
+
+let dir
+let storage
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-storage-'))
+    storage = new JsonFileStorage({ filePath: path.join(dir, 'storage.json') })
+    await storage.addSheet('Ventas')
+    await storage.updateValues('Ventas!A1', [
+        ['Pedido', 'Cliente', 'Total'],
+        ['1', 'Ana', '100'],
+        ['2', 'Luis', '200']
+    ])
+})
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+})
+
+test('getValues: hoja completa, columnas, filas y celda', async () => {
+    assert.deepEqual(await storage.getValues('Ventas'), [
+        ['Pedido', 'Cliente', 'Total'],
+        ['1', 'Ana', '100'],
+        ['2', 'Luis', '200']
+    ])
+    assert.deepEqual(await storage.getValues('Ventas!B:C'), [['Cliente', 'Total'], ['Ana', '100'], ['Luis', '200']])
+    assert.deepEqual(await storage.getValues('Ventas!1:1'), [['Pedido', 'Cliente', 'Total']])
+    assert.deepEqual(await storage.getValues('Ventas!A2:B3'), [['1', 'Ana'], ['2', 'Luis']])
+    assert.deepEqual(await storage.getValues('Ventas!C3'), [['200']])
+})
+
+test('getValues: quita celdas y filas vacías al final', async () => {
+    await storage.updateValues('Ventas!D5', [['']])
+    assert.deepEqual(await storage.getValues('Ventas!A3:D5'), [['2', 'Luis', '200']])
+    assert.deepEqual(await storage.getValues('Ventas!D:D'), [])
+})
+
+test('getValues: hoja inexistente lanza error', async () => {
+    await assert.rejects(storage.getValues('Otra!A:B'), /no existe/)
+})
+
+test('appendValues: agrega después de la última fila con datos, desde la columna del rango', async () => {
+    await storage.appendValues('Ventas!A:C', [['3', 'Eva', 300], ['4', null, '']])
+    await storage.appendValues('Ventas!B:C', [['Sin pedido', '0']])
+
+    assert.deepEqual((await storage.getValues('Ventas')).slice(3), [
+        ['3', 'Eva', '300'],
+        ['4'],
+        ['', 'Sin pedido', '0']
+    ])
+})
+
+test('updateValues: escribe desde la celda inicial y extiende la hoja', async () => {
+    await storage.updateValues('Ventas!C2', [['150']])
+    await storage.updateValues('Ventas!E5', [['x', 'y']])
+
+    assert.deepEqual(await storage.getValues('Ventas'), [
+        ['Pedido', 'Cliente', 'Total'],
+        ['1', 'Ana', '150'],
+        ['2', 'Luis', '200'],
+        [],
+        ['', '', '', '', 'x', 'y']
+    ])
+})
+
+test('batchUpdateValues: aplica todos los rangos', async () => {
+    await storage.batchUpdateValues([
+        { range: 'Ventas!B2', values: [['Ana María']] },
+        { range: 'Ventas!D1:D3', values: [['Estado'], ['pagado'], ['pendiente']] }
+    ])
+
+    assert.deepEqual(await storage.getValues('Ventas!B:D'), [
+        ['Cliente', 'Total', 'Estado'],
+        ['Ana María', '100', 'pagado'],
+        ['Luis', '200', 'pendiente']
+    ])
+})
+
+test('los cambios se guardan en disco y se leen desde otra instancia', async () => {
+    await storage.appendValues('Ventas!A:C', [['3', 'Eva', '300']])
+
+    const reopened = new JsonFileStorage({ filePath: path.join(dir, 'storage.json') })
+    assert.deepEqual(await reopened.getValues('Ventas!A4:C4'), [['3', 'Eva', '300']])
+    assert.equal(await reopened.hasSheet('Ventas'), true)
+})
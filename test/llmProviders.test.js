@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createProviderChain, validateProviderConfig, MockProvider } from '../src/services/llm/index.js'
+
+const messages = [{ role: 'user', content: 'hola' }]
+
+test('MockProvider: respuesta determinista', async () => {
+    const provider = new MockProvider()
+    const first = await provider.chat({ messages })
+    const second = await provider.chat({ messages })
+
+    assert.equal(first.content, 'Respuesta simulada a: hola')
+    assert.deepEqual(first, second)
+    assert.equal(await new MockProvider({ transcription: 'audio' }).transcribe(), 'audio')
+})
+
+test('ProviderChain: si el principal falla responde el de respaldo', async () => {
+    const chain = createProviderChain({
+        provider: 'mock',
+        failStatus: 500,
+        fallback: [{ provider: 'mock', model: 'respaldo', response: 'desde el respaldo' }]
+    })
+
+    const result = await chain.chat({ messages })
+    assert.equal(result.content, 'desde el respaldo')
+    assert.equal(result.model, 'respaldo')
+    assert.equal(chain.describe(), 'mock:mock → mock:respaldo')
+})
+
+test('ProviderChain: un 429 deja al proveedor en pausa', async () => {
+    const chain = createProviderChain({
+        provider: 'mock',
+        failStatus: 429,
+        fallback: [{ provider: 'mock', model: 'respaldo' }]
+    })
+
+    await chain.chat({ messages })
+    assert.ok(chain.entries[0].cooldownUntil > Date.now())
+
+    // En pausa ya no se intenta: responde directo el respaldo
+    chain.entries[0].provider.failStatus = null
+    assert.equal((await chain.chat({ messages })).model, 'respaldo')
+})
+
+test('ProviderChain: si todos fallan lanza el último error', async () => {
+    const chain = createProviderChain({ provider: 'mock', failStatus: 503 })
+    await assert.rejects(chain.chat({ messages }), { status: 503 })
+})
+
+test('ProviderChain: usa la ventana de contexto más chica', () => {
+    const chain = createProviderChain({
+        provider: 'mock',
+        contextWindow: 32000,
+        fallback: [{ provider: 'mock', contextWindow: 4096 }]
+    })
+    assert.equal(chain.contextWindow(), 4096)
+})
+
+test('validateProviderConfig: errores y advertencias', () => {
+    const { errors, warnings } = validateProviderConfig({
+        provider: 'claude',
+        apiKey: 'secreta',
+        fallback: [{ provider: 'openai', contextWindow: -1 }]
+    })
+
+    assert.equal(errors.length, 2)
+    assert.match(errors[0], /desconocido/)
+    assert.match(errors[1], /contextWindow/)
+    assert.ok(warnings.some(warning => /API keys/.test(warning)))
+    assert.ok(warnings.some(warning => /define "model"/.test(warning)))
+})
@@ -0,0 +1,181 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { runPipeline } from '../src/services/messagePipeline.js'
+import { AIService } from '../src/services/ai-chat.js'
+
+/**
+ * Falla si se llama: en dryRun ninguna etapa debe cambiar estado
+ */
+function forbidden(name) {
+    return () => { throw new Error(`${name} no debe llamarse en dryRun`) }
+}
+
+/**
+ * Servicios de una tienda con la IA simulada (MockProvider) y el resto en memoria
+ */
+function createServices({ flows = [], aiConfig = {} } = {}) {
+    const googleService = {
+        isBlacklisted: async phoneNumber => phoneNumber === '56900000000',
+        getFlows: async () => flows,
+        getPrompts: async () => []
+    }
+
+    const aiService = new AIService({
+        apiKey: 'test',
+        googleService,
+        woocommerceService: { isConfigured: false, getProductCatalogForAI: async () => '' },
+        chatHistoryService: {
+            getContextForAI: async () => [],
+            getSummary: async () => null,
+            saveMessage: forbidden('saveMessage')
+        }
+    })
+    aiService.settings = { systemPrompts: [], modelConfig: null }
+    aiService.configureProviders({ provider: 'mock', ...aiConfig })
+
+    return {
+        googleService,
+        aiService,
+        humanHandoffService: {
+            config: { customerMessage: 'Te comunico con un asesor' },
+            isPaused: () => false,
+            detectHandoffIntent: input => /asesor/i.test(input),
+            initiateHandoff: forbidden('initiateHandoff')
+        },
+        surveyService: {
+            hasActiveSurvey: () => false,
+            isKeywordTrigger: input => input === 'encuesta',
+            previewMessage: () => '¿Cómo calificarías la atención?',
+            startSurvey: forbidden('startSurvey')
+        },
+        flowSessionService: {
+            hasActiveSession: () => false,
+            startFlow: async () => []
+        },
+        quickReplyService: {
+            resolveReply: (phoneNumber, input, consume) => {
+                assert.equal(consume, false)
+                return input === '2' ? 'Envíos' : null
+            }
+        },
+        templateService: {
+            render: async (text, contact) => text.replace('{nombre}', contact.name || ''),
+            getNow: () => ({ localStamp: Date.UTC(2026, 10, 30, 10), weekday: 1, minutes: 600 })
+        },
+        analyticsService: {
+            recordFlow: forbidden('recordFlow'),
+            recordUnmatched: forbidden('recordUnmatched')
+        }
+    }
+}
+
+const run = (services, input, options = {}) =>
+    runPipeline(services, '56911111111', input, { dryRun: true, ...options })
+
+test('blacklist: no responde', async () => {
+    const decision = await runPipeline(createServices(), '56900000000', 'hola', { dryRun: true })
+    assert.equal(decision.stage, 'blacklist')
+    assert.deepEqual(decision.messages, [])
+})
+
+test('flujo: responde la fila con las variables reemplazadas', async () => {
+    const services = createServices({
+        flows: [{ addKeyword: 'hola', addAnswer: 'Hola {nombre}!', opciones: 'Catálogo|Envíos', _row: 2 }]
+    })
+    const decision = await run(services, 'Hola', { contact: { name: 'Ana' } })
+
+    assert.equal(decision.stage, 'flujo')
+    assert.equal(decision.flow.row, 2)
+    assert.deepEqual(decision.messages, [{ body: 'Hola Ana!', media: '', options: ['Catálogo', 'Envíos'] }])
+    assert.equal(decision.dryRun, true)
+    assert.equal(typeof decision.timings.total, 'number')
+})
+
+test('flujo inactivo por horario: sigue a la IA', async () => {
+    const services = createServices({ flows: [{ addKeyword: 'hola', addAnswer: 'Hola!', dias: 'sabado' }] })
+    const decision = await run(services, 'hola')
+
+    assert.equal(decision.stage, 'ia')
+    assert.equal(decision.flow, null)
+})
+
+test('fila sin addAnswer (aunque tenga media): responde la IA', async () => {
+    const services = createServices({ flows: [{ addKeyword: 'catalogo', media: 'https://x/catalogo.pdf' }] })
+    const decision = await run(services, 'catalogo')
+
+    assert.equal(decision.stage, 'flujo_ia')
+    assert.equal(decision.flow.keyword, 'catalogo')
+    assert.equal(decision.messages[0].body, 'Respuesta simulada a: catalogo')
+})
+
+test('opción elegida por número se traduce antes de buscar flujos', async () => {
+    const services = createServices({ flows: [{ addKeyword: 'envios', addAnswer: 'Despachamos en 48h' }] })
+    const decision = await run(services, '2')
+
+    assert.equal(decision.option, 'Envíos')
+    assert.equal(decision.input, 'Envíos')
+    assert.equal(decision.messages[0].body, 'Despachamos en 48h')
+})
+
+test('handoff en dryRun: muestra el mensaje sin iniciarlo', async () => {
+    const decision = await run(createServices(), 'quiero hablar con un asesor')
+
+    assert.equal(decision.stage, 'handoff')
+    assert.deepEqual(decision.messages, [{ body: 'Te comunico con un asesor' }])
+})
+
+test('encuesta en dryRun: muestra la pregunta sin iniciarla', async () => {
+    const decision = await run(createServices(), 'encuesta')
+
+    assert.equal(decision.stage, 'encuesta_inicio')
+    assert.deepEqual(decision.messages, [{ body: '¿Cómo calificarías la atención?' }])
+})
+
+test('IA: detecta la intención y separa las opciones rápidas', async () => {
+    const services = createServices({ aiConfig: { response: 'Tu pedido va en camino\nOPCIONES: Ver pedido | Hablar con asesor' } })
+    const decision = await run(services, 'cómo va mi pedido 1234')
+
+    assert.equal(decision.stage, 'ia')
+    assert.deepEqual(decision.intent, { type: 'order', query: '1234' })
+    assert.deepEqual(decision.messages, [{ body: 'Tu pedido va en camino', options: ['Ver pedido', 'Hablar con asesor'] }])
+    assert.equal(decision.saveHistory, false)
+})
+
+test('flujo con instrucciones: si la IA falla no se repite como no reconocido', async () => {
+    const services = createServices({
+        flows: [{ addKeyword: 'envios', instrucciones: 'Responde solo sobre despachos' }],
+        aiConfig: { failStatus: 503 }
+    })
+    const counts = { flows: 0, unmatched: 0, chats: 0 }
+    services.analyticsService = {
+        recordFlow: () => counts.flows++,
+        recordUnmatched: () => counts.unmatched++
+    }
+    services.quickReplyService = { resolveReply: () => null }
+    services.aiService.chatHistoryService.saveMessage = async () => { }
+    const providers = services.aiService.getProviders()
+    const chat = providers.chat.bind(providers)
+    providers.chat = request => {
+        counts.chats++
+        return chat(request)
+    }
+
+    const decision = await run(services, 'envios', { dryRun: false })
+
+    assert.equal(decision.stage, 'flujo_ia')
+    assert.equal(decision.flow.keyword, 'envios')
+    assert.equal(decision.messages[0].body, 'Disculpa, tuve un problema técnico. ¿Puedes intentar de nuevo?')
+    assert.deepEqual(counts, { flows: 1, unmatched: 0, chats: 1 })
+})
+
+test('flujo con instrucciones: un error de la IA queda en la decisión', async () => {
+    const services = createServices({ flows: [{ addKeyword: 'envios', instrucciones: 'Responde solo sobre despachos' }] })
+    services.aiService.getResponse = async () => { throw new Error('503 Error simulado') }
+    services.aiService.getResponseWithWooCommerce = forbidden('getResponseWithWooCommerce')
+
+    const decision = await run(services, 'envios')
+
+    assert.equal(decision.stage, 'flujo_ia')
+    assert.equal(decision.error, '503 Error simulado')
+    assert.deepEqual(decision.messages, [{ body: 'Disculpa, tuve un problema técnico. ¿Puedes intentar de nuevo?' }])
+})
@@ -0,0 +1,52 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { GoogleService } from '../src/services/googleService.js'
+
+let dir
+let service
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pending-sessions-'))
+    service = new GoogleService({
+        backend: 'local',
+        filePath: path.join(dir, 'storage.json'),
+        writeQueueFile: path.join(dir, 'queue.json')
+    })
+    await service.storage.addSheet('Flujo_Sesiones')
+    await service.storage.updateValues('Flujo_Sesiones!A1', [
+        ['Numero', 'Flujo', 'Paso', 'Variables', 'Iniciada', 'Actualizada', 'Estado'],
+        ['569', 'pedido', '1', '{}', '2026-01-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z', 'activa']
+    ])
+    await service.storage.addSheet('Encuesta_Sesiones')
+})
+
+afterEach(() => {
+    clearTimeout(service.writeQueue.flushTimer)
+    fs.rmSync(dir, { recursive: true, force: true })
+})
+
+test('getFlowSessions: incluye los cambios que siguen en la cola de escrituras', async () => {
+    const session = { flow: 'pedido', step: '2', variables: { nombre: 'Ana' }, startedAt: 0, updatedAt: 1 }
+    service.saveFlowSession('569', session, 'activa')
+    service.saveFlowSession('568', { ...session, step: '1', variables: {} }, 'activa')
+
+    const sessions = await service.getFlowSessions()
+    assert.deepEqual(sessions.map(s => [s.phone, s.step, s.variables]), [
+        ['569', '2', { nombre: 'Ana' }],
+        ['568', '1', {}]
+    ])
+})
+
+test('getSurveySessions: una sesión cerrada en la cola no vuelve como activa', async () => {
+    const session = { startedAt: 0, updatedAt: 1, currentQuestion: 1, answers: ['Ana'], questions: ['¿Nombre?'] }
+    service.saveSurveySession('569', session, 'activa')
+    await service.writeQueue.flush()
+
+    service.saveSurveySession('569', session, 'completada')
+
+    const sessions = await service.getSurveySessions()
+    assert.deepEqual(sessions.map(s => [s.phone, s.status]), [['569', 'completada']])
+})
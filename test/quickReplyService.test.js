@@ -0,0 +1,111 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { QuickReplyService, parseOptions, extractOptions } from '../src/services/quickReplyService.js'
+
+const PHONE = '56911111111'
+
+/**
+ * Envío de BuilderBot que registra los textos
+ */
+function createFlowDynamic() {
+    const sent = []
+    const flowDynamic = async text => { sent.push(text) }
+    return { sent, flowDynamic }
+}
+
+test('parseOptions: separa por | y descarta vacías', () => {
+    assert.deepEqual(parseOptions(' Ver catálogo | Estado de pedido ||  '), ['Ver catálogo', 'Estado de pedido'])
+    assert.deepEqual(parseOptions(''), [])
+    assert.deepEqual(parseOptions(undefined), [])
+})
+
+test('extractOptions: separa la línea OPCIONES del final de la respuesta', () => {
+    assert.deepEqual(extractOptions('Tu pedido va en camino.\nOPCIONES: Ver pedido | Hablar con asesor'), {
+        text: 'Tu pedido va en camino.',
+        options: ['Ver pedido', 'Hablar con asesor']
+    })
+    // Markdown de la IA y mayúsculas/minúsculas
+    assert.deepEqual(extractOptions('Hola\n**Opciones:** Catálogo | Envíos').options, ['Catálogo', 'Envíos'])
+    // Como máximo 10 opciones
+    assert.equal(extractOptions(`Elige\nOPCIONES: ${Array.from({ length: 12 }, (_, i) => `o${i}`).join(' | ')}`).options.length, 10)
+    // Solo al final del mensaje
+    const text = 'OPCIONES: a | b\nEscribe la que prefieras'
+    assert.deepEqual(extractOptions(text), { text, options: [] })
+})
+
+test('send: sin opciones envía el texto tal cual', async () => {
+    const service = new QuickReplyService({ mode: 'lista' })
+    const { sent, flowDynamic } = createFlowDynamic()
+
+    await service.send(PHONE, 'Hola', [], flowDynamic)
+    assert.deepEqual(sent, ['Hola'])
+    assert.equal(service.pending.size, 0)
+})
+
+test('send: modo lista envía una lista numerada', async () => {
+    const service = new QuickReplyService({ mode: 'lista' })
+    const { sent, flowDynamic } = createFlowDynamic()
+
+    await service.send(PHONE, '¿Qué necesitas?', ['Catálogo', 'Envíos'], flowDynamic)
+    assert.deepEqual(sent, ['¿Qué necesitas?\n\n1. Catálogo\n2. Envíos'])
+})
+
+test('send: si los botones fallan usa la lista numerada', async () => {
+    const service = new QuickReplyService({ mode: 'botones' })
+    const messages = []
+    service.setProvider({
+        vendor: {
+            sendMessage: async (jid, message) => {
+                messages.push({ jid, message })
+                throw new Error('Botones no soportados')
+            }
+        }
+    })
+    const { sent, flowDynamic } = createFlowDynamic()
+
+    await service.send(PHONE, 'Elige', ['Sí', 'No'], flowDynamic)
+
+    assert.equal(messages[0].jid, `${PHONE}@s.whatsapp.net`)
+    assert.deepEqual(messages[0].message.buttons.map(b => b.buttonText.displayText), ['Sí', 'No'])
+    assert.deepEqual(sent, ['Elige\n\n1. Sí\n2. No'])
+})
+
+test('resolveReply: por número, id de botón o texto', async () => {
+    const service = new QuickReplyService({ mode: 'lista' })
+    const { flowDynamic } = createFlowDynamic()
+    const offer = () => service.send(PHONE, 'Elige', ['Ver catálogo', 'Envíos'], flowDynamic)
+
+    await offer()
+    assert.equal(service.resolveReply(PHONE, '2.'), 'Envíos')
+    await offer()
+    assert.equal(service.resolveReply(PHONE, 'opcion_1'), 'Ver catálogo')
+    await offer()
+    assert.equal(service.resolveReply(PHONE, ' ver CATALOGO '), 'Ver catálogo')
+    await offer()
+    assert.equal(service.resolveReply(PHONE, '3'), null)
+    assert.equal(service.resolveReply('56922222222', '1'), null)
+})
+
+test('resolveReply: las opciones valen solo para el siguiente mensaje', async () => {
+    const service = new QuickReplyService({ mode: 'lista' })
+    const { flowDynamic } = createFlowDynamic()
+    await service.send(PHONE, 'Elige', ['Sí', 'No'], flowDynamic)
+
+    // Consultar sin consumir (simulación) no las descarta
+    assert.equal(service.resolveReply(PHONE, '1', false), 'Sí')
+    assert.equal(service.pending.has(PHONE), true)
+
+    // Una respuesta que no es opción también las consume
+    assert.equal(service.resolveReply(PHONE, 'otra cosa'), null)
+    assert.equal(service.resolveReply(PHONE, '1'), null)
+})
+
+test('resolveReply: opciones vencidas no se traducen', async () => {
+    const service = new QuickReplyService({ mode: 'lista' })
+    const { flowDynamic } = createFlowDynamic()
+    await service.send(PHONE, 'Elige', ['Sí', 'No'], flowDynamic)
+
+    service.pending.get(PHONE).expiresAt = Date.now() - 1
+    assert.equal(service.resolveReply(PHONE, '1'), null)
+    assert.equal(service.pending.size, 0)
+})
@@ -0,0 +1,64 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { GoogleService } from '../src/services/googleService.js'
+
+let dir
+let service
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'survey-responses-'))
+    service = new GoogleService({
+        backend: 'local',
+        filePath: path.join(dir, 'storage.json'),
+        writeQueueFile: path.join(dir, 'queue.json')
+    })
+    await service.storage.addSheet('Encuesta_Respuestas')
+})
+
+afterEach(() => {
+    clearTimeout(service.writeQueue.flushTimer)
+    fs.rmSync(dir, { recursive: true, force: true })
+})
+
+async function sheetRows() {
+    await service.writeQueue.flush()
+    return service.storage.getValues('Encuesta_Respuestas')
+}
+
+test('hoja vacía: escribe los encabezados con Estado', async () => {
+    await service.addSurveyResponse({ date: 'hoy', phone: '569', answers: ['Ana'], status: 'completa' }, ['¿Nombre?'])
+
+    assert.deepEqual(await sheetRows(), [
+        ['Fecha', 'WhatsApp', '¿Nombre?', 'Estado'],
+        ['hoy', '569', 'Ana', 'completa']
+    ])
+})
+
+test('hoja existente sin Estado: agrega la columna con su encabezado', async () => {
+    await service.storage.updateValues('Encuesta_Respuestas!A1', [
+        ['Fecha', 'WhatsApp', '¿Nombre?', '¿Ciudad?'],
+        ['ayer', '568', 'Luis', 'Talca']
+    ])
+
+    await service.addSurveyResponse({ date: 'hoy', phone: '569', answers: ['Ana'], status: 'incompleta' }, ['¿Nombre?', '¿Ciudad?'])
+
+    assert.deepEqual(await sheetRows(), [
+        ['Fecha', 'WhatsApp', '¿Nombre?', '¿Ciudad?', 'Estado'],
+        ['ayer', '568', 'Luis', 'Talca'],
+        ['hoy', '569', 'Ana', '', 'incompleta']
+    ])
+})
+
+test('preguntas nuevas: van al final y el estado sigue bajo Estado', async () => {
+    await service.addSurveyResponse({ date: 'd1', phone: '1', answers: ['Ana'], status: 'completa' }, ['¿Nombre?'])
+    await service.addSurveyResponse({ date: 'd2', phone: '2', answers: ['Luis', 'Talca'], status: 'completa' }, ['¿Nombre?', '¿Ciudad?'])
+
+    assert.deepEqual(await sheetRows(), [
+        ['Fecha', 'WhatsApp', '¿Nombre?', 'Estado', '¿Ciudad?'],
+        ['d1', '1', 'Ana', 'completa'],
+        ['d2', '2', 'Luis', 'completa', 'Talca']
+    ])
+})
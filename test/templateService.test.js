@@ -0,0 +1,123 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TemplateService, parseDayName, parseTimeOfDay } from '../src/services/templateService.js'
+
+/**
+ * Falla si se llama: la consulta no debe ocurrir
+ */
+function forbidden(name) {
+    return () => { throw new Error(`${name} no debe llamarse`) }
+}
+
+// Lunes 30/11/2026 a las 10:30 en la zona del negocio
+const NOW = { localStamp: Date.UTC(2026, 10, 30, 10, 30), weekday: 1, dayName: 'lunes', minutes: 630, time: '10:30', date: '30/11/2026' }
+
+const HOURS = [
+    { day: 'Lunes', open: '09:00', close: '13:00' },
+    { day: 'lunes', open: '15:00', close: '19:00' },
+    { day: 'Sábado', open: '10:00', close: '14:00' },
+    { day: 'feriado', open: '10:00', close: '12:00' },
+    { day: 'martes', open: '18:00', close: '09:00' }
+]
+
+const PRODUCTS = {
+    POL1: { name: 'Polerón', price: '15000', inStock: true, stockQuantity: 4 },
+    ZAP2: { name: 'Zapatillas', price: '30000', regularPrice: '40000', salePrice: '30000', onSale: true, inStock: false }
+}
+
+/**
+ * TemplateService con la hora fija, la hoja Horario y la tienda en memoria
+ */
+function createTemplates(now = NOW) {
+    const lookups = []
+    const templates = new TemplateService({
+        googleService: { getBusinessHours: async () => HOURS },
+        woocommerceService: {
+            getProductBySku: async sku => {
+                lookups.push(sku)
+                return PRODUCTS[sku] || null
+            }
+        }
+    })
+    templates.getNow = () => now
+    return { templates, lookups }
+}
+
+test('parseDayName y parseTimeOfDay', () => {
+    assert.equal(parseDayName('Miércoles'), 3)
+    assert.equal(parseDayName(' DOMINGO '), 0)
+    assert.equal(parseDayName('feriado'), -1)
+    assert.equal(parseTimeOfDay('9:05'), 545)
+    assert.equal(parseTimeOfDay('24:00'), 1440)
+    assert.equal(parseTimeOfDay('24:30'), null)
+    assert.equal(parseTimeOfDay('9h'), null)
+})
+
+test('render: variables del contacto y de la fecha', async () => {
+    const { templates } = createTemplates()
+
+    assert.equal(await templates.render('Hola {nombre}! Hoy {dia} {fecha} a las {hora}', { name: 'Ana' }), 'Hola Ana! Hoy lunes 30/11/2026 a las 10:30')
+    assert.equal(await templates.render('Hola {nombre}!'), 'Hola !')
+    assert.equal(await templates.render('Sin variables'), 'Sin variables')
+    assert.equal(await templates.render('{desconocida} queda igual'), '{desconocida} queda igual')
+})
+
+test('render: {producto:SKU} consulta cada SKU una vez', async () => {
+    const { templates, lookups } = createTemplates()
+
+    const text = await templates.render('{producto:POL1}\n{producto:ZAP2:precio} ({producto:ZAP2:stock})\n{producto:POL1:nombre} {producto:NO}')
+    assert.equal(text, [
+        'Polerón: $15000, disponible (4 unidades)',
+        '$30000 (antes $40000) (agotado)',
+        'Polerón producto no disponible'
+    ].join('\n'))
+    assert.deepEqual(lookups.sort(), ['NO', 'POL1', 'ZAP2'])
+})
+
+test('render: horario de hoy y secciones según si está abierto', async () => {
+    const text = '{abierto}Estamos atendiendo.{/abierto}{cerrado}Volvemos pronto.{/cerrado} Hoy: {horario}'
+
+    assert.equal(await createTemplates().templates.render(text), 'Estamos atendiendo. Hoy: 09:00 a 13:00 y 15:00 a 19:00')
+
+    // Entre tramos: cerrado
+    const lunch = { ...NOW, minutes: 14 * 60, time: '14:00' }
+    assert.equal(await createTemplates(lunch).templates.render(text), 'Volvemos pronto. Hoy: 09:00 a 13:00 y 15:00 a 19:00')
+
+    // Domingo sin tramos; martes solo tiene un tramo inválido (cierre antes de abrir)
+    const sunday = { ...NOW, weekday: 0, dayName: 'domingo' }
+    assert.equal(await createTemplates(sunday).templates.render(text), 'Volvemos pronto. Hoy: cerrado')
+    const tuesday = { ...NOW, weekday: 2, minutes: 19 * 60 }
+    assert.equal(await createTemplates(tuesday).templates.render('{horario}'), 'cerrado')
+})
+
+test('render: si falla la consulta devuelve el texto sin procesar', async () => {
+    const templates = new TemplateService({
+        googleService: { getBusinessHours: async () => { throw new Error('Sheets caído') } },
+        woocommerceService: {}
+    })
+    templates.getNow = () => NOW
+
+    assert.equal(await templates.render('Hoy: {horario}, {pedido}', { variables: { pedido: '2 poleras' } }), 'Hoy: {horario}, 2 poleras')
+})
+
+test('getNow: fecha y hora en la zona horaria del negocio', () => {
+    const templates = new TemplateService({ googleService: {}, woocommerceService: {}, timezone: 'America/Santiago' })
+    // 13:30 UTC del lunes 30/11/2026 = 10:30 en Santiago (UTC-3 en verano)
+    const now = templates.getNow(new Date(Date.UTC(2026, 10, 30, 13, 30)))
+
+    assert.deepEqual({ ...now, dayName: undefined }, { ...NOW, dayName: undefined })
+})
+
+test('variables capturadas: se insertan sin interpretarse como plantilla', async () => {
+    const templates = new TemplateService({
+        googleService: { getBusinessHours: forbidden('getBusinessHours') },
+        woocommerceService: { getProductBySku: forbidden('getProductBySku') }
+    })
+
+    const text = await templates.render('Gracias {nombre}, anotamos: {pedido}', {
+        name: 'Ana',
+        variables: { pedido: '{producto:SKU1} {horario} {abierto}x{/abierto}' }
+    })
+
+    assert.equal(text, 'Gracias Ana, anotamos: {producto:SKU1} {horario} {abierto}x{/abierto}')
+})
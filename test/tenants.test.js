@@ -0,0 +1,99 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import TenantRouter from '../src/services/tenantRouter.js'
+
+/**
+ * Respuesta HTTP mínima que guarda el estado y el cuerpo
+ */
+function createResponse() {
+    return {
+        status: null,
+        body: null,
+        writeHead(status) { this.status = status },
+        end(body) { this.body = body }
+    }
+}
+
+function createRouter(ids) {
+    const router = new TenantRouter()
+    const received = []
+    ids.forEach(id => router.register(id, req => received.push({ id, url: req.url })))
+    return { router, received }
+}
+
+test('importar tenants.js no crea los servicios por defecto', async () => {
+    delete process.env.GROQ_API_KEY
+    const logged = []
+    const { log, error } = console
+    console.log = console.error = (...args) => logged.push(args.join(' '))
+    try {
+        const { createTenantServices } = await import('../src/services/tenants.js')
+        createTenantServices({
+            id: 'tienda1', isDefault: false, storageBackend: 'local', groqApiKey: 'clave-de-tienda1',
+            woocommerce: { url: 'https://tienda1.cl', consumerKey: 'ck', consumerSecret: 'cs' },
+            handoff: {}, scheduler: {},
+            files: { storage: '/nonexistent/storage.json', writeQueue: '/nonexistent/queue.json', historyDir: '/nonexistent/history' }
+        })
+    } finally {
+        console.log = log
+        console.error = error
+    }
+
+    assert.deepEqual(logged.filter(line => /GROQ_API_KEY|WooCommerce no configurado/.test(line)), [])
+})
+
+test('loadTenantConfigs: sin puerto por tienda y con ids de ruta reservados', async () => {
+    const { loadTenantConfigs } = await import('../src/services/tenants.js')
+    process.env.TENANTS = JSON.stringify([
+        { id: 'tienda1', storageBackend: 'local' },
+        { id: 'tienda2', storageBackend: 'local' }
+    ])
+    try {
+        assert.deepEqual(loadTenantConfigs().map(tenant => tenant.id), ['tienda1', 'tienda2'])
+
+        process.env.TENANTS = JSON.stringify([{ id: 'v1', storageBackend: 'local' }])
+        assert.throws(() => loadTenantConfigs(), /ruta del servidor/)
+    } finally {
+        delete process.env.TENANTS
+    }
+})
+
+test('enruta por el prefijo de la ruta', () => {
+    const { router, received } = createRouter(['tienda1', 'tienda2'])
+
+    router.handle({ url: '/tienda2/v1/stats', headers: {} }, createResponse())
+    router.handle({ url: '/tienda1?x=1', headers: {} }, createResponse())
+
+    assert.deepEqual(received, [
+        { id: 'tienda2', url: '/v1/stats' },
+        { id: 'tienda1', url: '/?x=1' }
+    ])
+})
+
+test('enruta por el encabezado X-Tenant-Id', () => {
+    const { router, received } = createRouter(['tienda1', 'tienda2'])
+    router.handle({ url: '/v1/messages', headers: { 'x-tenant-id': 'tienda1' } }, createResponse())
+
+    assert.deepEqual(received, [{ id: 'tienda1', url: '/v1/messages' }])
+})
+
+test('con una sola tienda no hace falta indicarla', () => {
+    const { router, received } = createRouter(['default'])
+    router.handle({ url: '/v1/webhook/woocommerce', headers: {} }, createResponse())
+
+    assert.deepEqual(received, [{ id: 'default', url: '/v1/webhook/woocommerce' }])
+})
+
+test('tienda desconocida o sin indicar: 404 con las tiendas disponibles', () => {
+    const { router, received } = createRouter(['tienda1', 'tienda2'])
+
+    const missing = createResponse()
+    router.handle({ url: '/v1/stats', headers: {} }, missing)
+    assert.equal(missing.status, 404)
+    assert.deepEqual(JSON.parse(missing.body).tenants, ['tienda1', 'tienda2'])
+
+    const unknown = createResponse()
+    router.handle({ url: '/v1/stats', headers: { 'x-tenant-id': 'tienda3' } }, unknown)
+    assert.match(JSON.parse(unknown.body).error, /tienda3/)
+    assert.deepEqual(received, [])
+})
@@ -0,0 +1,101 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    contextWindowFor, countTokens, countMessageTokens, inputBudget, fitHistory, fitToolResult, trimToLastSentence
+} from '../src/services/llm/tokenBudget.js'
+import { AIService } from '../src/services/ai-chat.js'
+
+test('contextWindowFor: por familia de modelo', () => {
+    assert.equal(contextWindowFor('meta-llama/llama-4-scout-17b-16e-instruct'), 131072)
+    assert.equal(contextWindowFor('gpt-4o-mini'), 128000)
+    assert.equal(contextWindowFor('qwen2.5:7b'), 32768)
+    assert.equal(contextWindowFor('desconocido'), 8192)
+    assert.equal(contextWindowFor(null), 8192)
+})
+
+test('countTokens sobrestima: nunca cuenta menos que un tokenizador real en español', () => {
+    // Ambos textos son ~5 tokens con el tokenizador de GPT-4o / Llama 3
+    assert.ok(countTokens('¿Cuánto cuesta el envío?', 'gpt-4o') >= 9)
+    assert.ok(countTokens('{"id":7,"price":"19990"}', 'llama-3.1-8b') >= 10)
+    assert.equal(countTokens('', 'gpt-4o'), 0)
+})
+
+test('countMessageTokens incluye las llamadas a herramientas', () => {
+    const plain = countMessageTokens([{ role: 'assistant', content: null }], 'gpt-4o')
+    const withCalls = countMessageTokens([{
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'a', type: 'function', function: { name: 'searchProducts', arguments: '{"query":"x"}' } }]
+    }], 'gpt-4o')
+    assert.ok(withCalls > plain)
+})
+
+test('inputBudget reserva la respuesta y el margen', () => {
+    assert.ok(inputBudget(8192, 300) < 8192 - 300)
+    assert.equal(inputBudget(100, 300), 0)
+})
+
+test('fitHistory conserva los mensajes más recientes', () => {
+    const history = Array.from({ length: 10 }, (_, i) => ({ role: 'user', content: `mensaje número ${i}` }))
+    const cost = countMessageTokens([history[9]], 'gpt-4o')
+    const { messages, dropped } = fitHistory(history, cost * 3, 'gpt-4o')
+
+    assert.deepEqual(messages, history.slice(7))
+    assert.deepEqual(dropped, history.slice(0, 7))
+    assert.deepEqual(fitHistory(history, 0, 'gpt-4o').messages, [])
+})
+
+test('fitToolResult acorta la lista más larga y avisa', () => {
+    const result = { total: 20, products: Array.from({ length: 20 }, (_, i) => ({ id: i, name: `Producto ${i}` })) }
+
+    assert.equal(fitToolResult(result, 10000, 'gpt-4o'), JSON.stringify(result))
+
+    const fitted = JSON.parse(fitToolResult(result, 100, 'gpt-4o'))
+    assert.equal(fitted.truncated, true)
+    assert.equal(fitted.total, 20)
+    assert.ok(fitted.products.length > 0 && fitted.products.length < 20)
+    assert.deepEqual(fitted.products[0], result.products[0])
+
+    assert.match(JSON.parse(fitToolResult({ text: 'x'.repeat(1000) }, 50, 'gpt-4o')).error, /no cabe/)
+})
+
+test('trimToLastSentence', () => {
+    assert.equal(trimToLastSentence('Tenemos stock. El envío demora dos días y el cos'), 'Tenemos stock. El envío demora dos días y el cos')
+    assert.equal(trimToLastSentence('Tenemos stock en tienda. El envío demora dos días. Y el cos'), 'Tenemos stock en tienda. El envío demora dos días.')
+})
+
+/**
+ * AIService con la IA simulada pidiendo `calls` y una tienda que devuelve muchas categorías
+ */
+function createAI(calls) {
+    const store = {
+        isConfigured: true,
+        getCategories: async () => Array.from({ length: 200 }, (_, i) => ({ name: `Categoría ${i}`, count: i }))
+    }
+    const ai = new AIService({ apiKey: 'test', woocommerceService: store, googleService: {}, chatHistoryService: {} })
+    ai.configureProviders({ provider: 'mock', toolCalls: calls })
+    return ai
+}
+
+test('complete: los resultados de herramientas se ajustan al presupuesto', async () => {
+    const ai = createAI([{ name: 'getCategories' }, { name: 'getCategories' }])
+    const messages = [{ role: 'system', content: 'Asistente de la tienda' }, { role: 'user', content: 'qué categorías tienen?' }]
+    const budget = 3000
+
+    await ai.complete(messages, budget)
+
+    const results = messages.filter(message => message.role === 'tool')
+    assert.equal(results.length, 2)
+    assert.ok(results.every(message => JSON.parse(message.content).truncated))
+    assert.ok(countMessageTokens(messages, ai.getProviders().model) + ai.toolDefinitionTokens('mock') <= budget)
+})
+
+test('complete: sin espacio no ofrece herramientas', async () => {
+    const ai = createAI([{ name: 'getCategories' }])
+    const messages = [{ role: 'user', content: 'qué categorías tienen?' }]
+
+    const completion = await ai.complete(messages, ai.toolDefinitionTokens('mock') + 100)
+
+    assert.equal(completion.content, 'Respuesta simulada a: qué categorías tienen?')
+    assert.equal(messages.length, 1)
+})
@@ -0,0 +1,94 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { runTool, TOOL_NAMES } from '../src/services/wooCommerceTools.js'
+import { MockProvider } from '../src/services/llm/index.js'
+import { parseToolCalls } from '../src/services/llm/toolCalls.js'
+
+const product = {
+    id: 7, name: 'Zapatilla Run', sku: 'Z1', price: '19990', regularPrice: '24990', salePrice: '19990',
+    onSale: true, inStock: true, stockQuantity: 3, categories: ['Calzado'],
+    description: 'Liviana '.repeat(40), permalink: 'https://tienda.cl/z', images: ['https://tienda.cl/z.jpg']
+}
+
+const store = {
+    searchProducts: async () => Array.from({ length: 8 }, (_, i) => ({ ...product, id: i })),
+    getProductById: async id => id === 7 ? product : null,
+    getOrderStatus: async orderNumber => ({ found: false, message: `No encontré el pedido #${orderNumber}` }),
+    getCategories: async () => [{ id: 1, name: 'Calzado', count: 4, slug: 'calzado' }]
+}
+
+const messages = [{ role: 'user', content: 'cuánto cuesta la zapatilla' }]
+
+test('searchProducts: máximo 5 productos, sin imágenes ni HTML', async () => {
+    const result = await runTool(store, { name: 'searchProducts', arguments: '{"query":" zapatilla "}' })
+
+    assert.equal(result.query, 'zapatilla')
+    assert.equal(result.total, 8)
+    assert.equal(result.products.length, 5)
+    assert.equal(result.products[0].salePrice, '19990')
+    assert.equal(result.products[0].description.length, 150)
+    assert.equal(result.products[0].images, undefined)
+})
+
+test('getProductById: no encontrado', async () => {
+    assert.equal((await runTool(store, { name: 'getProductById', arguments: { id: 7 } })).name, 'Zapatilla Run')
+    assert.deepEqual(await runTool(store, { name: 'getProductById', arguments: '{"id":"9"}' }),
+        { found: false, message: 'No existe el producto 9' })
+})
+
+test('getOrderStatus: quita el # del número', async () => {
+    const result = await runTool(store, { name: 'getOrderStatus', arguments: { orderNumber: '#55' } })
+    assert.deepEqual(result, { found: false, message: 'No encontré el pedido #55' })
+})
+
+test('argumentos faltantes, inválidos o herramienta desconocida', async () => {
+    assert.deepEqual(await runTool(store, { name: 'searchProducts', arguments: 'no es json' }), { error: 'Falta "query"' })
+    assert.deepEqual(await runTool(store, { name: 'getProductById', arguments: {} }), { error: 'Falta "id" (número)' })
+    assert.deepEqual(await runTool(store, { name: 'borrarTodo' }), { error: 'Herramienta desconocida: borrarTodo' })
+})
+
+test('una caída de la tienda llega como error, no como "no encontrado"', async () => {
+    const down = {
+        searchProducts: async (query, options) => {
+            assert.equal(options.throwErrors, true)
+            throw new Error('ECONNREFUSED')
+        }
+    }
+    const result = await runTool(down, { name: 'searchProducts', arguments: { query: 'zapatilla' } })
+    assert.match(result.error, /no está disponible/)
+})
+
+test('TOOL_NAMES lista todas las herramientas', () => {
+    assert.deepEqual(TOOL_NAMES, ['searchProducts', 'getProductById', 'checkProductStock', 'getOrderStatus', 'getCategories'])
+})
+
+test('MockProvider: pide herramientas una vez y responde con el resultado', async () => {
+    const provider = new MockProvider({ toolCalls: [{ name: 'getCategories' }] })
+    const tools = [{ type: 'function', function: { name: 'getCategories' } }]
+
+    const call = await provider.chat({ messages, tools })
+    assert.equal(call.finishReason, 'tool_calls')
+    assert.deepEqual(call.toolCalls, [{ id: 'mock_0', name: 'getCategories', arguments: '{}' }])
+
+    const answer = await provider.chat({
+        messages: [...messages, { role: 'tool', content: '{"categories":[]}' }],
+        tools
+    })
+    assert.equal(answer.content, 'Respuesta simulada con datos: {"categories":[]}')
+
+    const forced = await provider.chat({ messages, tools, toolChoice: 'none' })
+    assert.equal(forced.toolCalls.length, 0)
+})
+
+
+test('parseToolCalls normaliza las llamadas de la API', () => {
+    assert.deepEqual(parseToolCalls([
+        { id: 'a', function: { name: 'searchProducts', arguments: '{"query":"x"}' } },
+        { function: { name: 'getProductById', arguments: { id: 3 } } },
+        { function: {} }
+    ]), [
+        { id: 'a', name: 'searchProducts', arguments: '{"query":"x"}' },
+        { id: 'call_1', name: 'getProductById', arguments: '{"id":3}' }
+    ])
+    assert.deepEqual(parseToolCalls(null), [])
+})
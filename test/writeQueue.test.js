@@ -0,0 +1,188 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import WriteQueue from '../src/services/writeQueue.js'
+
+/**
+ * Storage en memoria que registra las llamadas (y puede fallar a pedido)
+ */
+function createStorage(sheets = {}) {
+    return {
+        calls: [],
+        failWith: null,
+        async fail(method) {
+            this.calls.push(method)
+            if (this.failWith) throw this.failWith
+        },
+        async getValues(range) {
+            await this.fail('getValues')
+            return (sheets[range.split('!')[0]] || []).map(row => [...row])
+        },
+        async appendValues(range, values) {
+            await this.fail('appendValues')
+            const sheet = range.split('!')[0]
+            sheets[sheet] = [...(sheets[sheet] || []), ...values]
+        },
+        async updateValues(range, values) {
+            await this.fail('updateValues')
+            sheets[range.split('!')[0]] = values
+        },
+        async batchUpdateValues(data) {
+            await this.fail('batchUpdateValues')
+            this.updates = data
+        }
+    }
+}
+
+function httpError(status) {
+    const error = new Error(`HTTP ${status}`)
+    error.response = { status }
+    return error
+}
+
+let dir
+let queues
+
+function createQueue(storage) {
+    const queue = new WriteQueue({ storage, filePath: path.join(dir, 'queue.json') })
+    queue.config.flushDelayMs = 60 * 1000  // Los tests llaman a flush() directamente
+    queues.push(queue)
+    return queue
+}
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-queue-'))
+    queues = []
+})
+
+afterEach(() => {
+    queues.forEach(queue => clearTimeout(queue.flushTimer))
+    fs.rmSync(dir, { recursive: true, force: true })
+})
+
+test('agrupa los appends del mismo rango en una sola llamada', async () => {
+    const storage = createStorage()
+    const queue = createQueue(storage)
+
+    queue.append('Ventas!A:C', [['1', 'a']])
+    queue.append('Ventas!A:C', [['2', 'b']])
+    queue.append('Mensajes!A:B', [['hola']])
+
+    assert.equal(await queue.flush(), true)
+    assert.deepEqual(storage.calls, ['appendValues', 'appendValues'])
+    assert.equal(queue.pending.length, 0)
+})
+
+test('persiste las operaciones pendientes y las recupera al reiniciar', () => {
+    const queue = createQueue(createStorage())
+    queue.append('Ventas!A:C', [['1']])
+
+    const restarted = createQueue(createStorage())
+    assert.equal(restarted.pending.length, 1)
+    assert.deepEqual(restarted.getPendingAppends('Ventas'), [['1']])
+})
+
+test('updateWhere se resuelve contra la fila que coincide', async () => {
+    const storage = createStorage({ Ventas: [['pedido', 'estado'], ['10', 'nuevo'], ['11', 'nuevo']] })
+    const queue = createQueue(storage)
+
+    queue.updateWhere('Ventas!A:B', { column: 0, value: '11' }, { 1: 'pagado' })
+    await queue.flush()
+
+    assert.deepEqual(storage.updates, [{ range: 'Ventas!B3', values: [['pagado']] }])
+})
+
+test('upsert: la última versión de cada clave gana', async () => {
+    const storage = createStorage({ Pausas: [['telefono', 'estado'], ['569', 'activa']] })
+    const queue = createQueue(storage)
+
+    queue.upsert('Pausas!A:B', 0, '569', ['569', 'pausada'])
+    queue.upsert('Pausas!A:B', 0, '569', ['569', 'reanudada'])
+    queue.upsert('Pausas!A:B', 0, '570', ['570', 'pausada'])
+    assert.deepEqual(queue.getPendingUpserts('Pausas').map(op => op.values[1]), ['pausada', 'reanudada', 'pausada'])
+
+    await queue.flush()
+    assert.deepEqual(storage.updates, [{ range: 'Pausas!A2', values: [['569', 'reanudada']] }])
+    assert.equal(queue.pending.length, 0)
+})
+
+test('error transitorio: backoff exponencial y la operación queda en cola', async () => {
+    const storage = createStorage()
+    storage.failWith = httpError(429)
+    const queue = createQueue(storage)
+
+    queue.append('Ventas!A:C', [['1']])
+    assert.equal(await queue.flush(), false)
+    assert.equal(queue.retryAttempt, 1)
+    assert.equal(queue.pending[0].attempts, 1)
+    assert.ok(queue.flushTimer, 'debe programar un reintento')
+
+    await queue.flush()
+    assert.equal(queue.retryAttempt, 2)
+    assert.equal(queue.getStats().lastError, 'HTTP 429')
+
+    storage.failWith = null
+    assert.equal(await queue.flush(), true)
+    assert.equal(queue.retryAttempt, 0)
+})
+
+test('un flush fallido solo cuenta el intento de las operaciones del lote', async () => {
+    const storage = createStorage()
+    const queue = createQueue(storage)
+    queue.append('Ventas!A:C', [['1']])
+
+    // La operación nueva llega mientras el lote está en vuelo
+    storage.failWith = httpError(503)
+    const appendValues = storage.appendValues
+    storage.appendValues = async function (...args) {
+        queue.append('Ventas!A:C', [['2']])
+        return appendValues.apply(this, args)
+    }
+    await queue.flush()
+
+    assert.deepEqual(queue.pending.map(op => op.attempts), [1, 0])
+})
+
+test('agotados los reintentos, la operación pasa a failed', async () => {
+    const storage = createStorage()
+    storage.failWith = Object.assign(new Error('ECONNRESET'), { code: 'ECONNRESET' })
+    const queue = createQueue(storage)
+    queue.config.maxAttempts = 2
+
+    queue.append('Ventas!A:C', [['1']])
+    await queue.flush()
+    await queue.flush()
+
+    assert.equal(queue.pending.length, 0)
+    assert.equal(queue.failed.length, 1)
+    assert.equal(queue.failed[0].error, 'ECONNRESET')
+})
+
+test('error permanente: mueve solo el grupo en vuelo a failed', async () => {
+    const storage = createStorage()
+    const queue = createQueue(storage)
+    queue.append('Ventas!A:C', [['1']])
+    queue.update('Ventas!B2', [['x']])
+
+    storage.failWith = httpError(400)
+    await queue.flush()
+
+    assert.deepEqual(queue.failed.map(op => op.type), ['append'])
+    assert.deepEqual(queue.pending.map(op => op.type), ['update'])
+    assert.equal(queue.retryAttempt, 0)
+})
+
+test('error sin status ni código de red conocido: no se reintenta', async () => {
+    const storage = createStorage()
+    storage.failWith = new TypeError("Cannot read properties of undefined (reading 'length')")
+    const queue = createQueue(storage)
+
+    queue.append('Ventas!A:C', [['1']])
+    await queue.flush()
+
+    assert.equal(queue.pending.length, 0)
+    assert.equal(queue.failed.length, 1)
+    assert.equal(queue.retryAttempt, 0)
+})